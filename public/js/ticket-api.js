@@ -139,7 +139,7 @@ class TicketAPI {
 
     // Get support agents (for assignment)
     async getSupportAgents() {
-        const response = await fetch('/api/users?role=SupportAgent', {
+        const response = await fetch('/api/users?role=SupportAgent&isActive=true&limit=100', {
             headers: this.getHeaders()
         });
         return this.handleResponse(response);
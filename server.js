@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 
 import connectDB from './src/config/db.js';
 import app from './src/app.js';
+import slaService from './src/services/slaService.js';
 
 dotenv.config();
 
@@ -10,6 +11,8 @@ const port = process.env.PORT || 5000;
 const startServer = async () => {
   try {
     await connectDB(process.env.MONGO_URI);
+    // Flags parcels whose delivery promise lapses between status and location updates
+    slaService.start();
     app.listen(port, () => {
       console.log(`EcoTrack Logistics System API running on port ${port}`);
     });
@@ -5,8 +5,12 @@ import cors from 'cors';
 
 import authRoutes from './routes/authRoutes.js';
 import protectedRoutes from './routes/protectedRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
 import parcelRoutes from './routes/parcelRoutes.js';
+import driverRoutes from './routes/driverRoutes.js';
+import geofenceRoutes from './routes/geofenceRoutes.js';
 import routeRoutes from './routes/routeRoutes.js';
 import routeOptimizationRoutes from './routes/routeOptimizationRoutes.js';
 import routeOptimizationApiRoutes from './routes/routeOptimizationApiRoutes.js';
@@ -16,6 +20,7 @@ import ticketRetrievalRoutes from './routes/ticketRetrievalRoutes.js';
 import ticketAssignmentRoutes from './routes/ticketAssignmentRoutes.js';
 import ticketStatusRoutes from './routes/ticketStatusRoutes.js';
 import ticketParcelIntegrationRoutes from './routes/ticketParcelIntegrationRoutes.js';
+import publicRoutes from './routes/publicRoutes.js';
 import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
 import errorLogger, { logMapApiStatus } from './middleware/errorLogging.js';
 
@@ -32,12 +37,17 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-app.use(express.json());
+// Proof of delivery carries signature and photo images as base64 data URLs
+app.use(express.json({ limit: '6mb' }));
 app.use(express.static(path.join(__dirname, '..', 'public')));
 app.use('/api/auth', authRoutes);
 app.use('/api/protected', protectedRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/parcels', parcelRoutes);
+app.use('/api/drivers', driverRoutes);
+app.use('/api/geofences', geofenceRoutes);
 app.use('/api/routes', routeRoutes);
 app.use('/api/route-optimization', routeOptimizationRoutes);
 app.use('/api/routes/optimize', routeOptimizationApiRoutes);
@@ -47,6 +57,7 @@ app.use('/api/tickets', ticketRetrievalRoutes); // Retrieval routes
 app.use('/api/tickets', ticketAssignmentRoutes); // Assignment routes
 app.use('/api/tickets', ticketStatusRoutes); // Status update routes
 app.use('/api/tickets', ticketParcelIntegrationRoutes); // Parcel integration routes
+app.use('/api/public', publicRoutes); // Unauthenticated receiver tracking
 
 // Error logging middleware (must be before errorHandler)
 app.use(errorLogger);
@@ -0,0 +1,32 @@
+// Development authentication mode: lets local tooling and test suites mint signed
+// tokens for seeded personas without going through registration and login.
+
+// Test personas keyed by the name clients pass to POST /api/auth/dev-token
+const devPersonas = {
+  supervisor: {
+    name: 'Dev Supervisor',
+    email: 'supervisor.dev@ecotrack.local',
+    role: 'Supervisor',
+  },
+  driver: {
+    name: 'Dev Driver',
+    email: 'driver.dev@ecotrack.local',
+    role: 'Driver',
+  },
+  support: {
+    name: 'Dev Support Agent',
+    email: 'support.dev@ecotrack.local',
+    role: 'SupportAgent',
+  },
+  customer: {
+    name: 'Dev Customer',
+    email: 'customer.dev@ecotrack.local',
+    role: 'Customer',
+  },
+};
+
+// Enabled only by AUTH_DEV_MODE=true, and never in production
+const isDevAuthEnabled = () =>
+  process.env.AUTH_DEV_MODE === 'true' && process.env.NODE_ENV !== 'production';
+
+export { devPersonas, isDevAuthEnabled };
@@ -0,0 +1,44 @@
+// Geofences: circles around places drivers visit, checked against every GPS fix they report.
+//
+// Crossing a fence's edge records an arrival or departure event. Automatic transitions then
+// move the driver's parcels through the parcel lifecycle (src/config/parcelLifecycle.js) as if
+// the driver had tapped the status, recording `source: 'geofence'` in the status history.
+// Fences are evaluated in src/services/geofenceService.js.
+
+const radiusFromEnv = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Fences drawn around the geocoded addresses of each parcel assigned to the driver.
+// Hub fences are managed through /api/geofences and carry their own radius.
+const parcelFences = {
+  pickup: {
+    label: 'Pickup address',
+    coordinates: 'pickupCoordinates',
+    radiusMeters: radiusFromEnv('GEOFENCE_PICKUP_RADIUS_METERS', 150),
+  },
+  delivery: {
+    label: 'Delivery address',
+    coordinates: 'deliveryCoordinates',
+    radiusMeters: radiusFromEnv('GEOFENCE_DELIVERY_RADIUS_METERS', 150),
+  },
+  deliveryArea: {
+    label: 'Delivery area',
+    coordinates: 'deliveryCoordinates',
+    radiusMeters: radiusFromEnv('GEOFENCE_DELIVERY_AREA_RADIUS_METERS', 2000),
+  },
+};
+
+// Radius given to new hub fences when none is provided
+const defaultHubRadiusMeters = radiusFromEnv('GEOFENCE_HUB_RADIUS_METERS', 300);
+
+// Fence kinds automatic transitions may name
+const fenceKinds = ['hub', ...Object.keys(parcelFences)];
+
+// Status changes applied when the driver arrives at or departs from a fence. Parcel fences
+// only move their own parcel; hub fences move every parcel assigned to the driver that is
+// in the `from` status. Transitions must exist in the lifecycle and need no request fields.
+const automaticTransitions = [
+  { fence: 'pickup', event: 'departure', from: 'PickedUp', to: 'InTransit' },
+  { fence: 'deliveryArea', event: 'arrival', from: 'InTransit', to: 'OutForDelivery' },
+];
+
+export { parcelFences, defaultHubRadiusMeters, fenceKinds, automaticTransitions };
@@ -0,0 +1,50 @@
+// Parcel lifecycle: every status a parcel can be in, and the transitions between them.
+//
+// Each transition names the roles that may make it, the request fields it requires (such as
+// the reason for a failed delivery) and the side effects applied when it happens. Side
+// effects are implemented in src/services/parcelLifecycleService.js. Drivers can only move
+// parcels assigned to them; that ownership rule comes from the parcel:update-status grant.
+
+// Statuses in delivery order. `progress` is the share of the journey completed (0-100);
+// `carried` parcels are in the driver's vehicle and follow the driver's GPS position.
+const statuses = {
+  Created: { label: 'Created', progress: 0, description: 'Registered but not yet scheduled for collection' },
+  AwaitingPickup: { label: 'Awaiting pickup', progress: 10, description: 'Scheduled for collection from the sender' },
+  PickedUp: { label: 'Picked up', progress: 25, carried: true, description: 'Collected from the sender' },
+  AtHub: { label: 'At hub', progress: 40, description: 'Being sorted at a depot' },
+  InTransit: { label: 'In transit', progress: 50, carried: true, description: 'On the way to the delivery area' },
+  OutForDelivery: { label: 'Out for delivery', progress: 75, carried: true, description: 'With the driver for final delivery' },
+  Delivered: { label: 'Delivered', progress: 100, terminal: true, description: 'Handed over to the receiver' },
+  DeliveryFailed: { label: 'Delivery failed', progress: 75, carried: true, description: 'A delivery attempt did not succeed' },
+  ReturnToSender: { label: 'Returning to sender', progress: 0, carried: true, description: 'On the way back to the sender' },
+  Returned: { label: 'Returned', progress: 0, terminal: true, description: 'Handed back to the sender' },
+  Cancelled: { label: 'Cancelled', progress: 0, terminal: true, description: 'Withdrawn before collection' },
+};
+
+// Status given to parcels when they are created
+const initialStatus = 'Created';
+
+const transitions = [
+  { from: 'Created', to: 'AwaitingPickup', roles: ['Supervisor'] },
+  { from: 'Created', to: 'Cancelled', roles: ['Supervisor'], requiredFields: ['reason'], sideEffects: ['releaseDriver'] },
+  { from: 'AwaitingPickup', to: 'PickedUp', roles: ['Driver'], sideEffects: ['recordLocation'] },
+  { from: 'AwaitingPickup', to: 'Cancelled', roles: ['Supervisor'], requiredFields: ['reason'], sideEffects: ['releaseDriver'] },
+  { from: 'PickedUp', to: 'AtHub', roles: ['Driver'], sideEffects: ['recordLocation'] },
+  { from: 'PickedUp', to: 'InTransit', roles: ['Driver'], sideEffects: ['recordLocation'] },
+  { from: 'AtHub', to: 'InTransit', roles: ['Driver', 'Supervisor'], sideEffects: ['recordLocation'] },
+  { from: 'AtHub', to: 'ReturnToSender', roles: ['Supervisor'], requiredFields: ['reason'] },
+  { from: 'InTransit', to: 'AtHub', roles: ['Driver'], sideEffects: ['recordLocation'] },
+  { from: 'InTransit', to: 'OutForDelivery', roles: ['Driver'], sideEffects: ['recordLocation'] },
+  { from: 'OutForDelivery', to: 'Delivered', roles: ['Driver'], requiredFields: ['proofOfDelivery'], sideEffects: ['recordLocation', 'captureProofOfDelivery'] },
+  { from: 'OutForDelivery', to: 'DeliveryFailed', roles: ['Driver'], requiredFields: ['reason'], sideEffects: ['recordLocation', 'countDeliveryAttempt'] },
+  { from: 'DeliveryFailed', to: 'OutForDelivery', roles: ['Driver'], sideEffects: ['recordLocation'] },
+  { from: 'DeliveryFailed', to: 'AtHub', roles: ['Driver'], sideEffects: ['recordLocation'] },
+  { from: 'DeliveryFailed', to: 'ReturnToSender', roles: ['Supervisor'], requiredFields: ['reason'] },
+  { from: 'ReturnToSender', to: 'Returned', roles: ['Driver'], sideEffects: ['recordLocation'] },
+];
+
+const parcelStatuses = Object.keys(statuses);
+const terminalStatuses = parcelStatuses.filter((status) => statuses[status].terminal);
+const carriedStatuses = parcelStatuses.filter((status) => statuses[status].carried);
+
+export { statuses, initialStatus, transitions, parcelStatuses, terminalStatuses, carriedStatuses };
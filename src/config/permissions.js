@@ -0,0 +1,139 @@
+// Permission registry: every action the API authorizes, and which roles may perform it.
+//
+// A role's grant is either ANY_SCOPE (the action applies to every resource) or the name of
+// an ownership policy from src/policies/ownershipPolicies.js that limits it to resources the
+// user is attached to, such as parcels assigned to a driver.
+
+const ANY_SCOPE = 'any';
+
+// Permission names are "<resource>:<action>"
+const permissions = {
+  'parcel:create': 'Create parcels',
+  'parcel:read': 'View parcels',
+  'parcel:update': 'Edit parcel details',
+  'parcel:delete': 'Delete parcels',
+  'parcel:restore': 'List and restore deleted parcels',
+  'parcel:read-history': 'View the field-level change history of parcels',
+  'parcel:assign-driver': 'Assign a driver to a parcel',
+  'parcel:update-status': 'Move a parcel along its lifecycle; each transition names the roles that may make it',
+  'parcel:track': 'View live tracking for a parcel',
+  'parcel:geocode': 'Look up coordinates for addresses and correct parcel coordinates',
+  'parcel:import': 'Import parcels in bulk from CSV, NDJSON or JSON',
+  'route:read': 'View routes and their environmental summary',
+  'route:create': 'Create routes',
+  'route:manage': 'Re-optimize and delete routes',
+  'route:optimize-parcel': 'Optimize routes for a parcel and view its optimization history',
+  'route:delete-optimized': 'Delete optimized routes',
+  'route:assign': 'Assign optimized routes to parcels',
+  'ticket:create': 'Open support tickets',
+  'ticket:read': 'View support tickets and their replies',
+  'ticket:read-internal': 'View internal notes, internal replies and the audit history of tickets',
+  'ticket:reply': 'Reply to support tickets',
+  'ticket:triage': 'Set priority, tags and assignee when opening a ticket',
+  'ticket:update-status': 'Change the status of a support ticket',
+  'ticket:assign': 'Assign, reassign and unassign support tickets',
+  'ticket:view-statistics': 'View ticket statistics',
+  'dashboard:supervisor': 'View the supervisor dashboard',
+  'dashboard:driver': 'View the driver dashboard',
+  'dashboard:support': 'View the support dashboard',
+  'driver-profile:read': 'View driver profiles and availability calendars',
+  'driver-profile:manage': 'Create, edit and delete driver profiles',
+  'driver-profile:update-availability': 'Edit driver working hours and time off',
+  'driver-location:report': 'Report GPS fixes from the driver app',
+  'geofence:read': 'View hub geofences and the arrival and departure events of drivers',
+  'geofence:manage': 'Create, edit and delete hub geofences',
+  'user:manage': 'Manage user accounts, lockouts and the auth event log',
+  'api-key:manage': 'Issue and revoke API keys for integrations',
+};
+
+// Grants per role. Supervisors are listed explicitly; there is no implicit bypass.
+const rolePermissions = {
+  Supervisor: {
+    'parcel:create': ANY_SCOPE,
+    'parcel:read': ANY_SCOPE,
+    'parcel:update': ANY_SCOPE,
+    'parcel:delete': ANY_SCOPE,
+    'parcel:restore': ANY_SCOPE,
+    'parcel:read-history': ANY_SCOPE,
+    'parcel:assign-driver': ANY_SCOPE,
+    'parcel:update-status': ANY_SCOPE,
+    'parcel:track': ANY_SCOPE,
+    'parcel:geocode': ANY_SCOPE,
+    'parcel:import': ANY_SCOPE,
+    'route:read': ANY_SCOPE,
+    'route:create': ANY_SCOPE,
+    'route:manage': ANY_SCOPE,
+    'route:optimize-parcel': ANY_SCOPE,
+    'route:delete-optimized': ANY_SCOPE,
+    'route:assign': ANY_SCOPE,
+    'ticket:create': ANY_SCOPE,
+    'ticket:read': ANY_SCOPE,
+    'ticket:read-internal': ANY_SCOPE,
+    'ticket:reply': ANY_SCOPE,
+    'ticket:triage': ANY_SCOPE,
+    'ticket:update-status': ANY_SCOPE,
+    'ticket:assign': ANY_SCOPE,
+    'ticket:view-statistics': ANY_SCOPE,
+    'dashboard:supervisor': ANY_SCOPE,
+    'dashboard:driver': ANY_SCOPE,
+    'dashboard:support': ANY_SCOPE,
+    'driver-profile:read': ANY_SCOPE,
+    'driver-profile:manage': ANY_SCOPE,
+    'driver-profile:update-availability': ANY_SCOPE,
+    'geofence:read': ANY_SCOPE,
+    'geofence:manage': ANY_SCOPE,
+    'user:manage': ANY_SCOPE,
+    'api-key:manage': ANY_SCOPE,
+  },
+  Driver: {
+    'parcel:read': ANY_SCOPE,
+    'parcel:update-status': 'assignedDriver',
+    'parcel:track': 'assignedDriver',
+    'route:read': ANY_SCOPE,
+    'route:optimize-parcel': 'assignedDriver',
+    'dashboard:driver': ANY_SCOPE,
+    'driver-profile:read': 'profileOwner',
+    'driver-profile:update-availability': 'profileOwner',
+    // Fixes are always filed under the reporting driver
+    'driver-location:report': ANY_SCOPE,
+  },
+  SupportAgent: {
+    'parcel:read': ANY_SCOPE,
+    'parcel:track': ANY_SCOPE,
+    'parcel:read-history': ANY_SCOPE,
+    'route:read': ANY_SCOPE,
+    'ticket:create': ANY_SCOPE,
+    'ticket:read': 'assignedAgent',
+    'ticket:read-internal': 'assignedAgent',
+    'ticket:reply': 'assignedAgent',
+    'ticket:triage': ANY_SCOPE,
+    'ticket:update-status': 'assignedAgent',
+    'dashboard:support': ANY_SCOPE,
+    'driver-profile:read': ANY_SCOPE,
+    'geofence:read': ANY_SCOPE,
+  },
+  // Customers only reach their own parcels and the tickets they opened, without internal fields
+  Customer: {
+    'parcel:read': 'parcelCustomer',
+    'parcel:track': 'parcelCustomer',
+    'ticket:create': 'ticketParcelCustomer',
+    'ticket:read': 'ticketCreator',
+    'ticket:reply': 'ticketCreator',
+  },
+};
+
+// Scopes that can be granted to API keys, and the permissions each one carries.
+// Keys only see parcels they created themselves.
+const apiKeyScopes = {
+  'parcels:create': {
+    'parcel:create': ANY_SCOPE,
+  },
+  'parcels:read': {
+    'parcel:read': 'createdByApiKey',
+  },
+  'parcels:track': {
+    'parcel:track': 'createdByApiKey',
+  },
+};
+
+export { ANY_SCOPE, permissions, rolePermissions, apiKeyScopes };
@@ -0,0 +1,19 @@
+// Service tiers sold to senders, and the delivery promise each one carries.
+//
+// `promiseHours` sets a parcel's promisedBy when it is created without one. Open parcels are
+// flagged at risk when the latest time of their ETA falls after the promise or, without an
+// ETA, once fewer than `atRiskMinutes` remain. SLA status is evaluated in src/services/slaService.js.
+const serviceTiers = {
+  SameDay: { label: 'Same day', promiseHours: 12, atRiskMinutes: 60 },
+  Express: { label: 'Express', promiseHours: 24, atRiskMinutes: 120 },
+  Standard: { label: 'Standard', promiseHours: 72, atRiskMinutes: 240 },
+};
+
+const defaultServiceTier = 'Standard';
+
+const serviceTierNames = Object.keys(serviceTiers);
+
+// SLA statuses: open parcels are on-track, at-risk or breached; delivered ones met or breached
+const slaStatuses = ['on-track', 'at-risk', 'breached', 'met'];
+
+export { serviceTiers, defaultServiceTier, serviceTierNames, slaStatuses };
@@ -0,0 +1,230 @@
+import mongoose from 'mongoose';
+
+import ApiKey from '../models/ApiKey.js';
+import { apiKeyScopes } from '../config/permissions.js';
+import apiKeyService from '../services/apiKeyService.js';
+
+/**
+ * API Key Controller for EcoTrack Logistics System
+ *
+ * Provides Supervisor-only management of integration keys:
+ * - Issuing keys scoped to specific route groups
+ * - Listing keys with their last-used metadata
+ * - Revoking keys
+ */
+
+// Fields returned to clients; the key hash and rate limit counters stay server-side
+const publicApiKeyFields = '-keyHash -rateWindowStartedAt -rateWindowCount';
+
+// @desc    List the scopes that can be granted to API keys
+// @route   GET /api/api-keys/scopes
+// @access  Private (Supervisor only)
+const getApiKeyScopes = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      scopes: Object.entries(apiKeyScopes).map(([scope, grants]) => ({
+        scope,
+        permissions: Object.keys(grants)
+      }))
+    },
+    message: 'API key scopes retrieved successfully.'
+  });
+};
+
+// @desc    Issue a new API key
+// @route   POST /api/api-keys
+// @access  Private (Supervisor only)
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body || {};
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and at least one scope are required.'
+      });
+    }
+
+    const unknownScopes = scopes.filter((scope) => !apiKeyScopes[scope]);
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${unknownScopes.join(', ')}. Must be one of: ${Object.keys(apiKeyScopes).join(', ')}.`
+      });
+    }
+
+    let expiry;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a valid future date.'
+        });
+      }
+    }
+
+    const { key, document } = await apiKeyService.issueKey({
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      expiresAt: expiry,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        apiKey: await ApiKey.findById(document._id).select(publicApiKeyFields),
+        key
+      },
+      message: 'API key created successfully. Store the key now; it cannot be retrieved again.'
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed.',
+        errors: validationErrors
+      });
+    }
+
+    next(error);
+  }
+};
+
+// @desc    List API keys
+// @route   GET /api/api-keys
+// @access  Private (Supervisor only)
+const getApiKeys = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+
+    if (status) {
+      if (!['active', 'revoked'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'status must be either active or revoked.'
+        });
+      }
+      query.revokedAt = status === 'revoked' ? { $ne: null } : null;
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .select(publicApiKeyFields)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys,
+        totalApiKeys: apiKeys.length,
+        filters: { status }
+      },
+      message: 'API keys retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get a single API key
+// @route   GET /api/api-keys/:keyId
+// @access  Private (Supervisor only)
+const getApiKey = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID.'
+      });
+    }
+
+    const apiKey = await ApiKey.findById(keyId)
+      .select(publicApiKeyFields)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: apiKey,
+      message: 'API key retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get API key error:', error);
+    next(error);
+  }
+};
+
+// @desc    Revoke an API key
+// @route   PATCH /api/api-keys/:keyId/revoke
+// @access  Private (Supervisor only)
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID.'
+      });
+    }
+
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found.'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked.'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      data: await ApiKey.findById(apiKey._id).select(publicApiKeyFields),
+      message: 'API key revoked successfully.'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    next(error);
+  }
+};
+
+export {
+  getApiKeyScopes,
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  revokeApiKey
+};
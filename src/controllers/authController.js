@@ -1,31 +1,76 @@
 // Authentication controller implementations and placeholders.
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 
 import User, { roles as availableRoles } from '../models/User.js';
+import Session from '../models/Session.js';
+import tokenService from '../services/tokenService.js';
+import mailService from '../services/mailService.js';
+import invitationService from '../services/invitationService.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import authorizationService from '../services/authorizationService.js';
+import { devPersonas, isDevAuthEnabled } from '../config/devAuth.js';
 
-const signAuthToken = (userId, role) => {
+const signAuthToken = (userId, role, tokenVersion = 0, sessionId, claims = {}) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not configured.');
   }
 
   return jwt.sign(
     {
+      ...claims,
       // Include role so downstream middleware can authorize actions
       role,
+      // Token version lets protect reject tokens issued before a forced sign-out
+      ver: tokenVersion,
+      // Session the token belongs to, so a single device can be signed out remotely
+      sid: String(sessionId),
     },
     process.env.JWT_SECRET,
     {
       subject: String(userId),
-      expiresIn: '1h',
+      jwtid: tokenService.generateTokenId(),
+      expiresIn: tokenService.getAccessTokenTtl(),
     }
   );
 };
 
+// Client details recorded on a new session
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+// Start a session and issue a short-lived access token together with a rotating refresh token
+const issueTokenPair = async (user, req) => {
+  const refreshToken = await tokenService.issueRefreshToken(user.id);
+  const session = await sessionService.createSession(user.id, {
+    ...getClientInfo(req),
+    refreshFamily: refreshToken.document.family,
+  });
+  const token = signAuthToken(user.id, user.role, user.tokenVersion, session.id);
+
+  return {
+    token,
+    refreshToken: refreshToken.token,
+    refreshTokenExpiresAt: refreshToken.expiresAt,
+    expiresIn: tokenService.getAccessTokenTtl(),
+  };
+};
+
+// Role open registration may create without a Supervisor's involvement
+const selfRegistrationRole = 'Customer';
+
+// Register an account. With an invite token the account gets the invited role straight away;
+// without one, customers are active immediately and staff roles wait for Supervisor approval.
 const registerUser = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body || {};
+    const { name, email, password, role, inviteToken } = req.body || {};
 
     if (!name || !email || !password) {
       return res.status(400).json({ message: 'Name, email, and password are required.' });
@@ -46,20 +91,56 @@ const registerUser = async (req, res, next) => {
       return res.status(409).json({ message: 'Email is already registered.' });
     }
 
-    const user = await User.create({
-      name: name.trim(),
-      email: normalizedEmail,
-      password,
-      role: role || 'SupportAgent',
-    });
+    let user;
+
+    if (inviteToken) {
+      const invitation = await invitationService.findPendingInvite(inviteToken);
+      if (!invitation) {
+        return res.status(400).json({ message: 'Invalid or expired invitation.' });
+      }
+
+      if (invitation.email !== normalizedEmail) {
+        return res.status(400).json({ message: 'This invitation was issued for a different email address.' });
+      }
+
+      user = await User.create({
+        name: name.trim(),
+        email: normalizedEmail,
+        password,
+        role: invitation.role,
+        invitedBy: invitation.createdBy,
+      });
+
+      const accepted = await invitationService.acceptInvite(invitation._id, user._id);
+      if (!accepted) {
+        // Another registration used the invitation first
+        await User.deleteOne({ _id: user._id });
+        return res.status(409).json({ message: 'Invitation has already been used.' });
+      }
+    } else {
+      const requestedRole = role || selfRegistrationRole;
+
+      user = await User.create({
+        name: name.trim(),
+        email: normalizedEmail,
+        password,
+        role: requestedRole,
+        approvalStatus: requestedRole === selfRegistrationRole ? 'Approved' : 'Pending',
+      });
+    }
+
+    const isPending = user.approvalStatus === 'Pending';
 
     return res.status(201).json({
-      message: 'User registered successfully.',
+      message: isPending
+        ? 'Registration received. A Supervisor must approve the account before it can sign in.'
+        : 'User registered successfully.',
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
+        approvalStatus: user.approvalStatus,
         createdAt: user.createdAt,
       },
     });
@@ -68,6 +149,64 @@ const registerUser = async (req, res, next) => {
   }
 };
 
+// Respond 429 to an attempt on a locked email or IP
+const rejectLockedAttempt = async (res, client, activeLock) => {
+  await loginProtectionService.recordEvent({
+    ...client,
+    type: 'LoginBlocked',
+    reason: activeLock.scope === 'ip' ? 'IpLocked' : 'EmailLocked',
+  });
+
+  res.set('Retry-After', String(activeLock.retryAfterSeconds));
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Please try again later.',
+    retryAfterSeconds: activeLock.retryAfterSeconds,
+  });
+};
+
+// Count a failed credential towards lockouts and log it, with any lockout it triggers
+const recordFailedAttempt = async (attempt, client, user, reason) => {
+  const newLocks = await loginProtectionService.registerFailure(attempt);
+
+  await loginProtectionService.recordEvent({
+    ...client,
+    type: 'LoginFailed',
+    user: user?._id,
+    reason,
+  });
+
+  for (const lock of newLocks) {
+    await loginProtectionService.recordEvent({
+      ...client,
+      type: lock.scope === 'ip' ? 'IpLocked' : 'AccountLocked',
+      user: user?._id,
+      reason: `Lockout ${lock.lockCount} until ${lock.lockUntil.toISOString()}`,
+    });
+  }
+};
+
+// Finish a successful login: clear failures, log it and hand out a token pair
+const completeLogin = async (req, res, user, client) => {
+  await loginProtectionService.registerSuccess(user.email);
+  await loginProtectionService.recordEvent({ ...client, type: 'LoginSucceeded', user: user._id });
+
+  // Generate signed JWT containing subject (user id) and role, plus a refresh token
+  const tokens = await issueTokenPair(user, req);
+
+  return res.status(200).json({
+    message: 'Login successful.',
+    ...tokens,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    },
+    // Users whose role requires 2FA can only reach the enrolment endpoints until they enable it
+    twoFactorSetupRequired: !user.twoFactor?.enabled && twoFactorService.isRequiredFor(user.role),
+  });
+};
+
 const loginUser = async (req, res, next) => {
   try {
     const { email, password } = req.body || {};
@@ -77,25 +216,226 @@ const loginUser = async (req, res, next) => {
     }
 
     const normalizedEmail = String(email).toLowerCase();
+    const attempt = { email: normalizedEmail, ipAddress: req.ip };
+    const client = { ...attempt, userAgent: req.get('user-agent') };
+
+    // Refuse locked emails and IPs before touching the password at all
+    const activeLock = await loginProtectionService.getActiveLock(attempt);
+    if (activeLock) {
+      return rejectLockedAttempt(res, client, activeLock);
+    }
 
     // Fetch stored user record for credential verification
     const user = await User.findOne({ email: normalizedEmail });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid email or password.' });
-    }
 
     // Compare provided password against hashed password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
+
     if (!isPasswordValid) {
+      await recordFailedAttempt(attempt, client, user, user ? 'InvalidPassword' : 'UnknownEmail');
       return res.status(401).json({ message: 'Invalid email or password.' });
     }
 
-    // Generate signed JWT containing subject (user id) and role
-    const token = signAuthToken(user.id, user.role);
+    if (user.isActive === false) {
+      await loginProtectionService.recordEvent({
+        ...client,
+        type: 'LoginFailed',
+        user: user._id,
+        reason: 'AccountDeactivated',
+      });
+
+      return res.status(403).json({ message: 'User account has been deactivated.' });
+    }
+
+    if (user.approvalStatus === 'Pending' || user.approvalStatus === 'Rejected') {
+      await loginProtectionService.recordEvent({
+        ...client,
+        type: 'LoginFailed',
+        user: user._id,
+        reason: user.approvalStatus === 'Pending' ? 'ApprovalPending' : 'ApprovalRejected',
+      });
+
+      return res.status(403).json({
+        message: user.approvalStatus === 'Pending'
+          ? 'User account is awaiting Supervisor approval.'
+          : 'User account registration was not approved.',
+      });
+    }
+
+    // With 2FA enabled the password only earns a challenge for the second step
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required.',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.issueChallenge(user.id),
+        challengeExpiresIn: twoFactorService.getChallengeTtlSeconds(),
+      });
+    }
+
+    return completeLogin(req, res, user, client);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Second login step for users with 2FA: exchange the challenge and a TOTP or recovery code for tokens
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and a code or recovery code are required.' });
+    }
+
+    const userId = twoFactorService.verifyChallenge(challengeToken);
+    const user = userId
+      ? await User.findById(userId).select('+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep')
+      : null;
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired two-factor challenge.' });
+    }
+
+    const attempt = { email: user.email, ipAddress: req.ip };
+    const client = { ...attempt, userAgent: req.get('user-agent') };
+
+    // Code guessing counts towards the same lockouts as password guessing
+    const activeLock = await loginProtectionService.getActiveLock(attempt);
+    if (activeLock) {
+      return rejectLockedAttempt(res, client, activeLock);
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'User account has been deactivated.' });
+    }
+
+    const result = await twoFactorService.consumeCode(user, { code, recoveryCode });
+    if (!result.accepted) {
+      await recordFailedAttempt(attempt, client, user, 'InvalidTwoFactorCode');
+      return res.status(401).json({ message: 'Invalid two-factor code.' });
+    }
+
+    if (result.usedRecoveryCode) {
+      await loginProtectionService.recordEvent({
+        ...client,
+        type: 'RecoveryCodeUsed',
+        user: user._id,
+        reason: `${result.recoveryCodesRemaining} recovery codes remaining`,
+      });
+    }
+
+    return completeLogin(req, res, user, client);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const refreshAuthToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    // Rotate the refresh token; a replayed or expired token yields nothing
+    const rotated = await tokenService.rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+    }
+
+    const { user } = rotated;
+
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'User account has been deactivated.' });
+    }
+
+    // The new access token stays on the session the refresh token was issued with
+    const session = await sessionService.extendForRefresh(rotated.refreshToken.document.family);
+    if (!session) {
+      await tokenService.revokeFamily(rotated.refreshToken.document.family);
+      return res.status(401).json({ message: 'Session has been signed out.' });
+    }
+
+    return res.status(200).json({
+      message: 'Token refreshed successfully.',
+      token: signAuthToken(user.id, user.role, user.tokenVersion, session.id),
+      refreshToken: rotated.refreshToken.token,
+      refreshTokenExpiresAt: rotated.refreshToken.expiresAt,
+      expiresIn: tokenService.getAccessTokenTtl(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const logoutUser = async (req, res, next) => {
+  try {
+    const { refreshToken, allDevices } = req.body || {};
+
+    // Revoke the access token used for this request so it cannot be replayed
+    await tokenService.revokeAccessToken(req.auth);
+
+    // End the session behind the token, together with its refresh tokens
+    const session = await sessionService.getActiveSession(req.auth.sid, req.user.id);
+    if (session) {
+      await sessionService.revokeSession(session, req.user.id);
+    }
+
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, req.user.id);
+    }
+
+    // Optionally sign the user out everywhere
+    if (allDevices === true) {
+      await tokenService.revokeAllForUser(req.user.id);
+    }
+
+    return res.status(200).json({ message: 'Logout successful.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mint a signed access token for a seeded persona (development mode only)
+const issueDevToken = async (req, res, next) => {
+  try {
+    if (!isDevAuthEnabled()) {
+      // Behave as if the endpoint does not exist outside development mode
+      return res.status(404).json({ message: `Not Found - ${req.originalUrl}` });
+    }
+
+    const { persona } = req.body || {};
+    const personaConfig = devPersonas[persona];
+
+    if (!personaConfig) {
+      return res.status(400).json({
+        message: `Persona must be one of: ${Object.keys(devPersonas).join(', ')}.`,
+      });
+    }
+
+    // Seed the persona on first use so its token resolves to a real user record
+    let user = await User.findOne({ email: personaConfig.email });
+    if (!user) {
+      user = await User.create({
+        ...personaConfig,
+        // Personas only authenticate through this endpoint, never with a password
+        password: crypto.randomBytes(24).toString('hex'),
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'User account has been deactivated.' });
+    }
+
+    // Dev tokens get a session too, so they can be listed and signed out like any login
+    const session = await sessionService.createSession(user.id, getClientInfo(req));
 
     return res.status(200).json({
-      message: 'Login successful.',
-      token,
+      message: 'Development token issued.',
+      // Marked as a dev token so protect rejects it once development mode is switched off
+      token: signAuthToken(user.id, user.role, user.tokenVersion, session.id, { dev: true }),
+      expiresIn: tokenService.getAccessTokenTtl(),
       user: {
         id: user.id,
         name: user.name,
@@ -108,8 +448,237 @@ const loginUser = async (req, res, next) => {
   }
 };
 
-const logoutUser = async (_req, res) => {
-  res.status(501).json({ message: 'Logout endpoint not implemented yet.' });
+// Same response whether or not the email exists, so the endpoint cannot be used to probe accounts
+const forgotPasswordResponse = {
+  message: 'If an account exists for that email, a password reset link has been sent.',
+};
+
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || user.isActive === false) {
+      return res.status(200).json(forgotPasswordResponse);
+    }
+
+    const resetToken = await tokenService.issuePasswordResetToken(user.id);
+    const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const resetLink = `${baseUrl}/reset-password.html?token=${resetToken.token}`;
+
+    try {
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'Reset your EcoTrack password',
+        text: [
+          `Hello ${user.name},`,
+          '',
+          'We received a request to reset the password for your EcoTrack account.',
+          `Open the link below to choose a new password. It expires at ${resetToken.expiresAt.toISOString()} and can be used once.`,
+          '',
+          resetLink,
+          '',
+          'If you did not request this, you can ignore this email.',
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      // Do not reveal delivery problems, which would also reveal that the account exists
+      console.error('Password reset email failed:', mailError.message);
+    }
+
+    return res.status(200).json(forgotPasswordResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Reset token and new password are required.' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters long.' });
+    }
+
+    const userId = await tokenService.consumePasswordResetToken(token);
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid or expired reset token.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.isActive === false) {
+      return res.status(400).json({ message: 'Invalid or expired reset token.' });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    await tokenService.revokeAllForUser(user.id);
+
+    try {
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'Your EcoTrack password was changed',
+        text: `Hello ${user.name},\n\nThe password for your EcoTrack account was just reset. If this was not you, contact your supervisor immediately.`,
+      });
+    } catch (mailError) {
+      console.error('Password change notification failed:', mailError.message);
+    }
+
+    return res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required.' });
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters long.' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Current password is incorrect.' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out other devices, then hand this client a fresh token pair
+    await tokenService.revokeAllForUser(user.id);
+    const refreshedUser = await User.findById(user.id);
+    const tokens = await issueTokenPair(refreshedUser, req);
+
+    return res.status(200).json({
+      message: 'Password changed successfully.',
+      ...tokens,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Public view of a session; "current" marks the session of the requesting token
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent || null,
+  ipAddress: session.ipAddress || null,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  lastSeenIp: session.lastSeenIp || null,
+  expiresAt: session.expiresAt,
+  current: session.id === currentSessionId,
+});
+
+// Only Supervisors may manage another user's sessions
+const canManageSessionsOf = (req, userId) =>
+  String(userId) === req.user.id || authorizationService.can(req.user, 'user:manage');
+
+// List active sessions of the signed-in user, or of ?userId= for Supervisors
+const getSessions = async (req, res, next) => {
+  try {
+    const userId = req.query.userId || req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID.' });
+    }
+
+    if (!canManageSessionsOf(req, userId)) {
+      return res.status(403).json({ message: 'You can only view your own sessions.' });
+    }
+
+    const sessions = await sessionService.listActiveSessions(userId);
+
+    return res.status(200).json({
+      sessions: sessions.map((session) => toSessionResponse(session, req.auth.sid)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out a single session; users may revoke their own, Supervisors anyone's
+const revokeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: 'Invalid session ID.' });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive) {
+      return res.status(404).json({ message: 'Session not found.' });
+    }
+
+    if (!canManageSessionsOf(req, session.user)) {
+      // Other users' sessions are reported as missing rather than revealed
+      return res.status(404).json({ message: 'Session not found.' });
+    }
+
+    await sessionService.revokeSession(session, req.user.id);
+
+    return res.status(200).json({ message: 'Session signed out.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out every other session of the signed-in user, keeping the current one
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.auth.sid,
+      revokedBy: req.user.id,
+    });
+
+    return res.status(200).json({ message: 'Other sessions signed out.', revokedCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Permissions held by the signed-in user or API key, so clients can show or hide actions
+const getMyPermissions = (req, res) => {
+  res.status(200).json({
+    role: req.user.role,
+    permissions: authorizationService.getPermissionsFor(req.user),
+  });
 };
 
-export { registerUser, loginUser, logoutUser };
+export {
+  registerUser,
+  loginUser,
+  verifyTwoFactorLogin,
+  refreshAuthToken,
+  logoutUser,
+  issueDevToken,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getMyPermissions,
+};
@@ -1,12 +1,20 @@
+import slaService from '../services/slaService.js';
+
 // Returns supervisor-oriented operational overview data (accessible to Supervisor role)
-const getSupervisorDashboard = (_req, res) => {
-  res.status(200).json({
-    summary: {
-      totalParcels: 1250,
-      activeDeliveries: 78,
-      openTickets: 11,
-    },
-  });
+const getSupervisorDashboard = async (_req, res, next) => {
+  try {
+    res.status(200).json({
+      summary: {
+        totalParcels: 1250,
+        activeDeliveries: 78,
+        openTickets: 11,
+      },
+      // Open parcels by SLA status, the breached ones longest overdue first, and the recent on-time rate
+      sla: await slaService.dashboardSummary(),
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 // Returns driver-specific workload snapshot (accessible to Driver role and Supervisor override)
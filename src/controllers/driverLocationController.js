@@ -0,0 +1,45 @@
+import driverLocationService, { DriverLocationError } from '../services/driverLocationService.js';
+
+/**
+ * Driver Location Controller for EcoTrack Logistics System
+ *
+ * Receives batched GPS fixes from the driver app. Fixes are stored as breadcrumbs and
+ * move every parcel the driver is carrying; invalid fixes are reported back by index.
+ */
+
+// @desc    Report a batch of GPS fixes for the signed-in driver
+// @route   POST /api/drivers/me/locations
+// @access  Private (Driver only)
+const reportLocations = async (req, res, next) => {
+  try {
+    const result = await driverLocationService.ingest(req.user, req.body?.fixes);
+
+    if (result.accepted === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the fixes could be recorded.',
+        data: result
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `${result.accepted} location fix${result.accepted === 1 ? '' : 'es'} recorded.`
+    });
+
+  } catch (error) {
+    if (error instanceof DriverLocationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Report driver locations error:', error);
+    next(error);
+  }
+};
+
+export {
+  reportLocations
+};
@@ -0,0 +1,467 @@
+import mongoose from 'mongoose';
+
+import DriverProfile, { vehicleTypes } from '../models/DriverProfile.js';
+import User from '../models/User.js';
+import authorizationService from '../services/authorizationService.js';
+import driverAvailabilityService from '../services/driverAvailabilityService.js';
+
+/**
+ * Driver Profile Controller for EcoTrack Logistics System
+ *
+ * Manages the operational profile of Driver accounts:
+ * - Contact phone, driving licence, default vehicle and home depot
+ * - Weekly working hours and time off (the availability calendar)
+ * - Listing drivers by depot, vehicle and availability
+ *
+ * Drivers read their own profile and maintain their own calendar; ":driverId" may be "me".
+ */
+
+// Profile fields Supervisors may set on create and update
+const editableFields = ['phone', 'licence', 'vehicle', 'homeDepot', 'timezone'];
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Resolve the ":driverId" parameter, where "me" is the signed-in driver
+const resolveDriverId = (req) => (req.params.driverId === 'me' ? req.user.id : req.params.driverId);
+
+// Load a profile the caller may act on, or send the error response and return null
+const loadProfile = async (req, res, permission) => {
+  const driverId = resolveDriverId(req);
+
+  if (!mongoose.Types.ObjectId.isValid(driverId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid driver ID.'
+    });
+    return null;
+  }
+
+  const profile = await DriverProfile.findOne({ user: driverId }).populate('user', 'name email role isActive');
+
+  // Other drivers' profiles are reported as missing rather than revealed
+  if (!profile || !authorizationService.can(req.user, permission, profile)) {
+    res.status(404).json({
+      success: false,
+      message: 'Driver profile not found.'
+    });
+    return null;
+  }
+
+  return profile;
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed.',
+  errors: Object.values(error.errors).map(err => err.message)
+});
+
+// Profile with its availability right now, as returned by the profile endpoints
+const toProfileResponse = (profile) => ({
+  ...profile.toObject(),
+  currentAvailability: driverAvailabilityService.getAvailabilityAt(profile)
+});
+
+// @desc    List driver profiles with filtering
+// @route   GET /api/drivers
+// @access  Private (Supervisor, SupportAgent)
+const getDriverProfiles = async (req, res, next) => {
+  try {
+    const { homeDepot, vehicleType, availableAt } = req.query;
+    const query = { ...authorizationService.scopeQuery(req.user, 'driver-profile:read') };
+
+    if (homeDepot) {
+      query.homeDepot = homeDepot;
+    }
+
+    if (vehicleType) {
+      if (!vehicleTypes.includes(vehicleType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid vehicle type. Must be one of: ${vehicleTypes.join(', ')}.`
+        });
+      }
+      query['vehicle.type'] = vehicleType;
+    }
+
+    let at = null;
+    if (availableAt) {
+      at = availableAt === 'now' ? new Date() : new Date(availableAt);
+      if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'availableAt must be "now" or an ISO 8601 date-time.'
+        });
+      }
+    }
+
+    const profiles = await DriverProfile.find(query)
+      .populate('user', 'name email role isActive')
+      .sort({ homeDepot: 1, createdAt: 1 });
+
+    // Availability depends on each driver's timezone and calendar, so it is filtered here
+    const drivers = profiles
+      .filter(profile => !at || driverAvailabilityService.getAvailabilityAt(profile, at).available)
+      .map(toProfileResponse);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        drivers,
+        count: drivers.length
+      },
+      message: 'Driver profiles retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get driver profiles error:', error);
+    next(error);
+  }
+};
+
+// @desc    Create a profile for a Driver account
+// @route   POST /api/drivers/:driverId/profile
+// @access  Private (Supervisor only)
+const createDriverProfile = async (req, res, next) => {
+  try {
+    const driverId = resolveDriverId(req);
+
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid driver ID.'
+      });
+    }
+
+    const driver = await User.findById(driverId);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found.'
+      });
+    }
+
+    if (driver.role !== 'Driver') {
+      return res.status(400).json({
+        success: false,
+        message: 'Profiles can only be created for users with the Driver role.'
+      });
+    }
+
+    const fields = Object.fromEntries(
+      editableFields.filter(field => req.body?.[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    const profile = await DriverProfile.create({
+      ...fields,
+      workingHours: req.body?.workingHours,
+      user: driver._id,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await profile.populate('user', 'name email role isActive');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        profile: toProfileResponse(profile)
+      },
+      message: 'Driver profile created successfully.'
+    });
+
+  } catch (error) {
+    console.error('Create driver profile error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This driver already has a profile.'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    next(error);
+  }
+};
+
+// @desc    Get a driver's profile
+// @route   GET /api/drivers/:driverId/profile
+// @access  Private (Supervisor, SupportAgent, or the driver)
+const getDriverProfile = async (req, res, next) => {
+  try {
+    const profile = await loadProfile(req, res, 'driver-profile:read');
+    if (!profile) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profile: toProfileResponse(profile)
+      },
+      message: 'Driver profile retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get driver profile error:', error);
+    next(error);
+  }
+};
+
+// @desc    Update a driver's phone, licence, vehicle, depot or timezone
+// @route   PATCH /api/drivers/:driverId/profile
+// @access  Private (Supervisor only)
+const updateDriverProfile = async (req, res, next) => {
+  try {
+    const profile = await loadProfile(req, res, 'driver-profile:manage');
+    if (!profile) {
+      return;
+    }
+
+    const updates = editableFields.filter(field => req.body?.[field] !== undefined);
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${editableFields.join(', ')}.`
+      });
+    }
+
+    updates.forEach((field) => {
+      profile.set(field, req.body[field]);
+    });
+    profile.updatedBy = req.user.id;
+    await profile.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profile: toProfileResponse(profile)
+      },
+      message: 'Driver profile updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update driver profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    next(error);
+  }
+};
+
+// @desc    Delete a driver's profile
+// @route   DELETE /api/drivers/:driverId/profile
+// @access  Private (Supervisor only)
+const deleteDriverProfile = async (req, res, next) => {
+  try {
+    const profile = await loadProfile(req, res, 'driver-profile:manage');
+    if (!profile) {
+      return;
+    }
+
+    await DriverProfile.deleteOne({ _id: profile._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver profile deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete driver profile error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get a driver's availability calendar
+// @route   GET /api/drivers/:driverId/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (Supervisor, SupportAgent, or the driver)
+const getDriverAvailability = async (req, res, next) => {
+  try {
+    const profile = await loadProfile(req, res, 'driver-profile:read');
+    if (!profile) {
+      return;
+    }
+
+    // Defaults to two weeks starting today in the driver's timezone
+    const today = driverAvailabilityService.getLocalTime(new Date(), profile.timezone).date;
+    const from = req.query.from || today;
+    const to = req.query.to || new Date(Date.parse(`${from}T00:00:00Z`) + 13 * 86400000).toISOString().slice(0, 10);
+
+    if (!datePattern.test(from) || !datePattern.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format.'
+      });
+    }
+
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    const maxDays = driverAvailabilityService.getMaxCalendarDays();
+    if (days < 1 || days > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `to must be on or after from, covering at most ${maxDays} days.`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        driver: profile.user,
+        timezone: profile.timezone,
+        currentAvailability: driverAvailabilityService.getAvailabilityAt(profile),
+        workingHours: profile.workingHours,
+        calendar: driverAvailabilityService.getCalendar(profile, from, to)
+      },
+      message: 'Driver availability retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get driver availability error:', error);
+    next(error);
+  }
+};
+
+// @desc    Replace a driver's weekly working hours
+// @route   PUT /api/drivers/:driverId/availability/working-hours
+// @access  Private (Supervisor, or the driver)
+const setWorkingHours = async (req, res, next) => {
+  try {
+    const { workingHours } = req.body || {};
+
+    if (!Array.isArray(workingHours)) {
+      return res.status(400).json({
+        success: false,
+        message: 'workingHours must be an array of { dayOfWeek, start, end } shifts.'
+      });
+    }
+
+    const profile = await loadProfile(req, res, 'driver-profile:update-availability');
+    if (!profile) {
+      return;
+    }
+
+    profile.workingHours = workingHours;
+    profile.updatedBy = req.user.id;
+    await profile.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workingHours: profile.workingHours,
+        currentAvailability: driverAvailabilityService.getAvailabilityAt(profile)
+      },
+      message: 'Working hours updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Set working hours error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    next(error);
+  }
+};
+
+// @desc    Add time off to a driver's calendar
+// @route   POST /api/drivers/:driverId/availability/time-off
+// @access  Private (Supervisor, or the driver)
+const addTimeOff = async (req, res, next) => {
+  try {
+    const { startDate, endDate, reason } = req.body || {};
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate is required.'
+      });
+    }
+
+    const profile = await loadProfile(req, res, 'driver-profile:update-availability');
+    if (!profile) {
+      return;
+    }
+
+    // A single day may be given with startDate alone
+    profile.timeOff.push({
+      startDate,
+      endDate: endDate || startDate,
+      reason,
+      createdBy: req.user.id
+    });
+    profile.updatedBy = req.user.id;
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        timeOff: profile.timeOff[profile.timeOff.length - 1]
+      },
+      message: 'Time off added successfully.'
+    });
+
+  } catch (error) {
+    console.error('Add time off error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    next(error);
+  }
+};
+
+// @desc    Remove time off from a driver's calendar
+// @route   DELETE /api/drivers/:driverId/availability/time-off/:entryId
+// @access  Private (Supervisor, or the driver)
+const removeTimeOff = async (req, res, next) => {
+  try {
+    const profile = await loadProfile(req, res, 'driver-profile:update-availability');
+    if (!profile) {
+      return;
+    }
+
+    const entry = mongoose.Types.ObjectId.isValid(req.params.entryId)
+      ? profile.timeOff.id(req.params.entryId)
+      : null;
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time off entry not found.'
+      });
+    }
+
+    entry.deleteOne();
+    profile.updatedBy = req.user.id;
+    await profile.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Time off removed successfully.'
+    });
+
+  } catch (error) {
+    console.error('Remove time off error:', error);
+    next(error);
+  }
+};
+
+export {
+  getDriverProfiles,
+  createDriverProfile,
+  getDriverProfile,
+  updateDriverProfile,
+  deleteDriverProfile,
+  getDriverAvailability,
+  setWorkingHours,
+  addTimeOff,
+  removeTimeOff
+};
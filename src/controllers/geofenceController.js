@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+
+import Geofence from '../models/Geofence.js';
+import GeofenceEvent from '../models/GeofenceEvent.js';
+import Parcel from '../models/Parcel.js';
+import geofenceService from '../services/geofenceService.js';
+
+/**
+ * Geofence Controller for EcoTrack Logistics System
+ *
+ * Manages hub geofences and reports the arrival and departure events drivers' GPS fixes
+ * produce. Fences around pickup and delivery addresses come from the parcels themselves.
+ */
+
+// Fields Supervisors may set on create and update
+const editableFields = ['name', 'latitude', 'longitude', 'radiusMeters', 'isActive'];
+
+// Events returned by one listing
+const MAX_EVENTS = 500;
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed.',
+  errors: Object.values(error.errors).map(err => err.message)
+});
+
+// Load a hub fence by ID, or send the error response and return null
+const loadGeofence = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid geofence ID.'
+    });
+    return null;
+  }
+
+  const geofence = await Geofence.findById(req.params.id);
+  if (!geofence) {
+    res.status(404).json({
+      success: false,
+      message: 'Geofence not found.'
+    });
+    return null;
+  }
+
+  return geofence;
+};
+
+// @desc    List hub geofences with the configured parcel fences and automatic transitions
+// @route   GET /api/geofences
+// @access  Private (Supervisor, SupportAgent)
+const getGeofences = async (req, res, next) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const geofences = await Geofence.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        geofences,
+        count: geofences.length,
+        ...geofenceService.describeRules()
+      },
+      message: 'Geofences retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get geofences error:', error);
+    next(error);
+  }
+};
+
+// @desc    Create a hub geofence
+// @route   POST /api/geofences
+// @access  Private (Supervisor only)
+const createGeofence = async (req, res, next) => {
+  try {
+    const fields = Object.fromEntries(
+      editableFields.filter(field => req.body?.[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    const geofence = await Geofence.create({
+      ...fields,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        geofence
+      },
+      message: 'Geofence created successfully.'
+    });
+
+  } catch (error) {
+    console.error('Create geofence error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A geofence with this name already exists.'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    next(error);
+  }
+};
+
+// @desc    Update a hub geofence's name, centre, radius or active flag
+// @route   PATCH /api/geofences/:id
+// @access  Private (Supervisor only)
+const updateGeofence = async (req, res, next) => {
+  try {
+    const geofence = await loadGeofence(req, res);
+    if (!geofence) {
+      return;
+    }
+
+    const updates = editableFields.filter(field => req.body?.[field] !== undefined);
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${editableFields.join(', ')}.`
+      });
+    }
+
+    updates.forEach((field) => {
+      geofence.set(field, req.body[field]);
+    });
+    geofence.updatedBy = req.user.id;
+    await geofence.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        geofence
+      },
+      message: 'Geofence updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update geofence error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A geofence with this name already exists.'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    next(error);
+  }
+};
+
+// @desc    Delete a hub geofence; its past events are kept
+// @route   DELETE /api/geofences/:id
+// @access  Private (Supervisor only)
+const deleteGeofence = async (req, res, next) => {
+  try {
+    const geofence = await loadGeofence(req, res);
+    if (!geofence) {
+      return;
+    }
+
+    await Geofence.deleteOne({ _id: geofence._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Geofence deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete geofence error:', error);
+    next(error);
+  }
+};
+
+// @desc    List arrival and departure events, oldest first
+// @route   GET /api/geofences/events?driver=&parcelId=&geofence=&from=&to=&limit=
+// @access  Private (Supervisor, SupportAgent)
+const getGeofenceEvents = async (req, res, next) => {
+  try {
+    const { driver, parcelId, geofence, from, to } = req.query;
+    const query = {};
+
+    for (const [field, value] of [['driver', driver], ['geofence', geofence]]) {
+      if (value === undefined) {
+        continue;
+      }
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field} ID.`
+        });
+      }
+      query[field] = value;
+    }
+
+    if (parcelId) {
+      const parcel = await Parcel.findOne({ parcelId }).select('_id');
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parcel not found.'
+        });
+      }
+      query.parcel = parcel._id;
+    }
+
+    if (from || to) {
+      const range = { from: from && new Date(from), to: to && new Date(to) };
+      if ([range.from, range.to].some(date => date && Number.isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be ISO 8601 date-times.'
+        });
+      }
+      query.occurredAt = {};
+      if (range.from) {
+        query.occurredAt.$gte = range.from;
+      }
+      if (range.to) {
+        query.occurredAt.$lte = range.to;
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_EVENTS);
+
+    // Most recent first for the limit, then back into time order
+    const events = (await GeofenceEvent.find(query)
+      .sort({ occurredAt: -1 })
+      .limit(limit)
+      .populate('driver', 'name email')
+      .lean()).reverse();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        count: events.length
+      },
+      message: 'Geofence events retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get geofence events error:', error);
+    next(error);
+  }
+};
+
+export {
+  getGeofences,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence,
+  getGeofenceEvents
+};
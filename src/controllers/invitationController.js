@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+
+import Invitation from '../models/Invitation.js';
+import User, { roles as availableRoles } from '../models/User.js';
+import invitationService from '../services/invitationService.js';
+import mailService from '../services/mailService.js';
+
+/**
+ * Invitation Controller for EcoTrack Logistics System
+ *
+ * Provides Supervisor-only management of registration invites:
+ * - Inviting an email address with a chosen role
+ * - Listing invites by status
+ * - Revoking pending invites
+ */
+
+// Fields returned to clients; the token hash stays server-side
+const publicInvitationFields = '-tokenHash';
+
+const invitationStatuses = ['pending', 'accepted', 'revoked', 'expired'];
+
+// @desc    Invite a user to register with a given role
+// @route   POST /api/users/invites
+// @access  Private (Supervisor only)
+const createInvitation = async (req, res, next) => {
+  try {
+    const { email, role } = req.body || {};
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and role are required.'
+      });
+    }
+
+    if (!availableRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${availableRoles.join(', ')}.`
+      });
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email is already registered.'
+      });
+    }
+
+    const { token, invitation } = await invitationService.issueInvite({
+      email: normalizedEmail,
+      role,
+      createdBy: req.user.id
+    });
+
+    const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const inviteLink = `${baseUrl}/register.html?invite=${token}`;
+
+    let emailSent = true;
+    try {
+      await mailService.sendMail({
+        to: normalizedEmail,
+        subject: 'You have been invited to EcoTrack',
+        text: [
+          'Hello,',
+          '',
+          `${req.user.name || 'A Supervisor'} has invited you to join EcoTrack Logistics as a ${role}.`,
+          `Open the link below to create your account. It expires at ${invitation.expiresAt.toISOString()} and can be used once.`,
+          '',
+          inviteLink,
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      // The invite stays valid; the Supervisor can revoke it and invite again
+      console.error('Invitation email failed:', mailError.message);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        invitation: await Invitation.findById(invitation._id).select(publicInvitationFields),
+        emailSent
+      },
+      message: emailSent
+        ? 'Invitation sent successfully.'
+        : 'Invitation created, but the email could not be sent.'
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed.',
+        errors: validationErrors
+      });
+    }
+
+    next(error);
+  }
+};
+
+// @desc    List invitations
+// @route   GET /api/users/invites
+// @access  Private (Supervisor only)
+const getInvitations = async (req, res, next) => {
+  try {
+    const { status, email } = req.query;
+    const query = {};
+    const now = new Date();
+
+    if (status) {
+      if (!invitationStatuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${invitationStatuses.join(', ')}.`
+        });
+      }
+
+      const open = { acceptedAt: { $exists: false }, revokedAt: { $exists: false } };
+      const statusQueries = {
+        pending: { ...open, expiresAt: { $gt: now } },
+        accepted: { acceptedAt: { $exists: true } },
+        revoked: { revokedAt: { $exists: true } },
+        expired: { ...open, expiresAt: { $lte: now } }
+      };
+      Object.assign(query, statusQueries[status]);
+    }
+
+    if (email) {
+      query.email = String(email).toLowerCase().trim();
+    }
+
+    const invitations = await Invitation.find(query)
+      .select(publicInvitationFields)
+      .populate('createdBy', 'name email')
+      .populate('acceptedBy', 'name email role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations,
+        totalInvitations: invitations.length,
+        filters: { status, email }
+      },
+      message: 'Invitations retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   PATCH /api/users/invites/:inviteId/revoke
+// @access  Private (Supervisor only)
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID.'
+      });
+    }
+
+    const invitation = await Invitation.findById(inviteId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found.'
+      });
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending invitations can be revoked.'
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user.id;
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      data: await Invitation.findById(invitation._id).select(publicInvitationFields),
+      message: 'Invitation revoked successfully.'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    next(error);
+  }
+};
+
+export {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+};
@@ -1,10 +1,62 @@
-import Parcel from '../models/Parcel.js';
+import { once } from 'events';
+import mongoose from 'mongoose';
+
+import Parcel, { parcelStatus, routeAssignmentStatuses, notDeleted } from '../models/Parcel.js';
+import { serviceTierNames, slaStatuses } from '../config/serviceTiers.js';
 import User from '../models/User.js';
-import { simulateLocationUpdate } from '../utils/gpsSimulator.js';
+import authorizationService from '../services/authorizationService.js';
+import driverAvailabilityService from '../services/driverAvailabilityService.js';
+import geocodingService from '../services/geocodingService.js';
+import parcelLifecycleService from '../services/parcelLifecycleService.js';
+import etaService from '../services/etaService.js';
+import slaService from '../services/slaService.js';
+import parcelHistoryService from '../services/parcelHistoryService.js';
+import { ProofOfDeliveryError } from '../services/proofOfDeliveryService.js';
+import { exportFormats, exportHeader, exportRecord, exportFooter } from '../serializers/parcelExportSerializer.js';
+import { generateTrackingCode } from '../utils/trackingCode.js';
+
+// Treat user input as literal text inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields a parcel update may set; everything else is derived or has its own endpoint
+const editableFields = [
+  'senderName',
+  'receiverName',
+  'pickupLocation',
+  'deliveryLocation',
+  'weightKg',
+  'dimensions',
+  'declaredValue',
+  'handling',
+  'serviceTier',
+  'promisedBy',
+  'promisedWindow',
+  'currentLocation',
+];
+
+// Fields changed only through their own endpoint, which enforces the rules that go with them
+const managedFields = {
+  status: 'PATCH /api/parcels/:parcelId/status',
+  proofOfDelivery: 'PATCH /api/parcels/:parcelId/status with the Delivered status',
+  trackingCode: 'POST /api/parcels/:parcelId/tracking-code',
+  assignedDriver: 'PATCH /api/parcels/:parcelId/assign-driver',
+};
+
+// Edits to these fields call for a new delivery estimate
+const etaFields = ['currentLocation', 'deliveryLocation'];
+
+// Edits to these fields change the delivery promise the SLA status is measured against
+const promiseFields = ['serviceTier', 'promisedBy', 'promisedWindow'];
+
+// Parcel fields holding the coordinates of each address
+const coordinateFields = {
+  pickup: { address: 'pickupLocation', coordinates: 'pickupCoordinates' },
+  delivery: { address: 'deliveryLocation', coordinates: 'deliveryCoordinates' },
+};
 
 // @desc    Create a new parcel
 // @route   POST /api/parcels
-// @access  Private (Supervisor only)
+// @access  Private (Supervisor, or API key with parcels:create)
 const createParcel = async (req, res, next) => {
   try {
     const {
@@ -14,6 +66,14 @@ const createParcel = async (req, res, next) => {
       pickupLocation,
       deliveryLocation,
       assignedDriver,
+      customer,
+      weightKg,
+      dimensions,
+      declaredValue,
+      handling,
+      serviceTier,
+      promisedBy,
+      promisedWindow,
     } = req.body;
 
     // Basic validation
@@ -21,33 +81,357 @@ const createParcel = async (req, res, next) => {
       return res.status(400).json({ message: 'Please provide all required parcel details.' });
     }
 
+    // Who the parcel belongs to and who carries it are staff decisions, not an integration's
+    if (req.user.apiKeyId && (customer || assignedDriver)) {
+      return res.status(400).json({ message: 'API keys cannot set the customer or the assigned driver.' });
+    }
+
+    const promiseError = slaService.checkPromise({ serviceTier, promisedBy, promisedWindow });
+    if (promiseError) {
+      return res.status(400).json({ message: promiseError });
+    }
+
+    if (assignedDriver) {
+      const driverUser = await User.findById(assignedDriver);
+      if (!driverUser || driverUser.role !== 'Driver') {
+        return res.status(400).json({ message: 'The assigned driver must be a user with the Driver role.' });
+      }
+
+      const availability = await driverAvailabilityService.checkAssignable(driverUser.id);
+      if (!availability.available) {
+        return res.status(409).json({ message: `Driver is not available: ${availability.reason}.` });
+      }
+    }
+
+    if (customer) {
+      const customerUser = await User.findById(customer);
+      if (!customerUser || customerUser.role !== 'Customer') {
+        return res.status(400).json({ message: 'The customer must be a user with the Customer role.' });
+      }
+    }
+
+    // Addresses the geocoder cannot place are stored without coordinates
+    const [pickupCoordinates, deliveryCoordinates] = await Promise.all([
+      geocodingService.geocodeLocation(pickupLocation),
+      geocodingService.geocodeLocation(deliveryLocation),
+    ]);
+
     const newParcel = await Parcel.create({
       parcelId,
       senderName,
       receiverName,
       pickupLocation,
       deliveryLocation,
+      pickupCoordinates,
+      deliveryCoordinates,
+      weightKg,
+      dimensions,
+      declaredValue,
+      handling,
+      serviceTier,
+      promisedBy,
+      promisedWindow,
       assignedDriver,
+      customer,
+      // Lets an integration read back only the parcels it created
+      createdByApiKey: req.user.apiKeyId,
     });
 
+    // promisedBy defaults from the service tier on validation, so the SLA status follows creation
+    if (slaService.apply(newParcel)) {
+      await newParcel.save();
+    }
+
     res.status(201).json(newParcel);
   } catch (error) {
     // Handle potential duplicate parcelId error
     if (error.code === 11000) {
+      // Deleted parcels keep their ID; callers who may restore them are told where it went
+      const holder = await Parcel.findOne({ parcelId: req.body.parcelId }).select('isDeleted');
+      if (holder?.isDeleted && authorizationService.getGrant(req.user, 'parcel:restore')) {
+        return res.status(409).json({
+          message: `A deleted parcel holds this ID; restore it with PATCH /api/parcels/${req.body.parcelId}/restore instead.`,
+        });
+      }
       return res.status(409).json({ message: 'A parcel with this ID already exists.' });
     }
     next(error);
   }
 };
 
-// @desc    Get all parcels
+/**
+ * Mongo query and sort for the parcel list filters, shared by the list and the export
+ * @param {Object} params - Request query (status, assignedDriver, routeAssignmentStatus,
+ *   sla, serviceTier, startDate, endDate, deliveryLocation, search, deleted, sortBy, sortOrder)
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} { query, projection, sortOptions }, or { error, statusCode? } for invalid filters
+ */
+const buildParcelListQuery = (params, user) => {
+  const {
+    status,
+    assignedDriver,
+    routeAssignmentStatus,
+    sla,
+    serviceTier,
+    startDate,
+    endDate,
+    deliveryLocation,
+    search,
+    deleted,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = params;
+
+  // "deleted=true" lists only deleted parcels, for those who may restore them
+  if (deleted === 'true' && !authorizationService.getGrant(user, 'parcel:restore')) {
+    return { error: 'You are not allowed to list deleted parcels.', statusCode: 403 };
+  }
+
+  const query = deleted === 'true' ? { isDeleted: true } : { ...notDeleted };
+
+  // Apply filters
+  if (status) {
+    if (!parcelStatus.includes(status)) {
+      return { error: `Invalid status. Must be one of: ${parcelStatus.join(', ')}.` };
+    }
+    query.status = status;
+  }
+
+  // "unassigned" lists parcels still waiting for a driver
+  if (assignedDriver) {
+    if (assignedDriver === 'unassigned') {
+      query.assignedDriver = null;
+    } else if (mongoose.Types.ObjectId.isValid(assignedDriver)) {
+      query.assignedDriver = assignedDriver;
+    } else {
+      return { error: 'assignedDriver must be a user ID or "unassigned".' };
+    }
+  }
+
+  if (routeAssignmentStatus) {
+    if (!routeAssignmentStatuses.includes(routeAssignmentStatus)) {
+      return { error: `Invalid route assignment status. Must be one of: ${routeAssignmentStatuses.join(', ')}.` };
+    }
+    query.routeAssignmentStatus = routeAssignmentStatus;
+  }
+
+  // Comma-separated SLA statuses, e.g. "at-risk,breached" for the parcels needing attention
+  if (sla) {
+    const wanted = String(sla).split(',').map((value) => value.trim());
+    if (wanted.some((value) => !slaStatuses.includes(value))) {
+      return { error: `Invalid SLA status. Must be one of: ${slaStatuses.join(', ')}.` };
+    }
+    query['sla.status'] = { $in: wanted };
+  }
+
+  if (serviceTier) {
+    if (!serviceTierNames.includes(serviceTier)) {
+      return { error: `Invalid service tier. Must be one of: ${serviceTierNames.join(', ')}.` };
+    }
+    query.serviceTier = serviceTier;
+  }
+
+  // Date range filtering on creation time
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      if (isNaN(start.getTime())) {
+        return { error: 'Invalid start date format.' };
+      }
+      query.createdAt.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      if (isNaN(end.getTime())) {
+        return { error: 'Invalid end date format.' };
+      }
+      query.createdAt.$lte = end;
+    }
+  }
+
+  if (deliveryLocation) {
+    query.deliveryLocation = { $regex: escapeRegex(deliveryLocation), $options: 'i' };
+  }
+
+  // Full-text search over sender and receiver names
+  if (search) {
+    query.$text = { $search: String(search) };
+  }
+
+  // Limit the listing to parcels the caller may read; applied last so filters cannot widen it
+  Object.assign(query, authorizationService.scopeQuery(user, 'parcel:read'));
+
+  // Build sort options; "relevance" ranks text search matches
+  const validSortFields = ['createdAt', 'updatedAt', 'parcelId', 'status', 'deliveryLocation', 'promisedBy', 'relevance'];
+  const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
+  const sortOptions = sortField === 'relevance' && search
+    ? { score: { $meta: 'textScore' }, createdAt: -1 }
+    : { [sortField === 'relevance' ? 'createdAt' : sortField]: sortOrder === 'asc' ? 1 : -1 };
+
+  return {
+    query,
+    projection: search ? { score: { $meta: 'textScore' } } : {},
+    sortOptions,
+  };
+};
+
+// @desc    Get parcels with filtering, search and pagination
 // @route   GET /api/parcels
 // @access  Private
 const getAllParcels = async (req, res, next) => {
   try {
-    const parcels = await Parcel.find({}).populate('assignedDriver', 'name email');
-    res.status(200).json(parcels);
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      assignedDriver,
+      routeAssignmentStatus,
+      sla,
+      serviceTier,
+      startDate,
+      endDate,
+      deliveryLocation,
+      search,
+      deleted,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Parse pagination parameters
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const { query, projection, sortOptions, error, statusCode } = buildParcelListQuery(req.query, req.user);
+    if (error) {
+      return res.status(statusCode || 400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Text queries fail until the text index exists; init() resolves once index builds finish
+    if (search) {
+      await Parcel.init();
+    }
+
+    // Execute query with pagination
+    const [parcels, total] = await Promise.all([
+      Parcel.find(query, projection)
+        .populate('assignedDriver', 'name email')
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Parcel.countDocuments(query)
+    ]);
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(total / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        parcels,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalParcels: total,
+          limit: limitNum,
+          hasNextPage,
+          hasPrevPage,
+          nextPage: hasNextPage ? pageNum + 1 : null,
+          prevPage: hasPrevPage ? pageNum - 1 : null
+        },
+        filters: {
+          status,
+          assignedDriver,
+          routeAssignmentStatus,
+          sla,
+          serviceTier,
+          startDate,
+          endDate,
+          deliveryLocation,
+          search,
+          deleted,
+          sortBy,
+          sortOrder
+        }
+      },
+      message: 'Parcels retrieved successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stream parcels matching the list filters as CSV, NDJSON or GeoJSON
+// @route   GET /api/parcels/export?format=csv|ndjson|geojson
+// @access  Private
+const exportParcels = async (req, res, next) => {
+  const { format = 'csv', search } = req.query;
+
+  try {
+    if (!exportFormats[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Must be one of: ${Object.keys(exportFormats).join(', ')}.`
+      });
+    }
+
+    const { query, projection, sortOptions, error, statusCode } = buildParcelListQuery(req.query, req.user);
+    if (error) {
+      return res.status(statusCode || 400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (search) {
+      await Parcel.init();
+    }
+
+    // A cursor keeps one batch in memory at a time, however wide the date range
+    const cursor = Parcel.find(query, projection)
+      .populate('assignedDriver', 'name email')
+      .sort(sortOptions)
+      .lean()
+      .cursor();
+
+    const { contentType, extension } = exportFormats[format];
+    res.status(200);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="parcels-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+    res.write(exportHeader(format));
+
+    let index = 0;
+    for await (const parcel of cursor) {
+      // Leaving the loop closes the cursor when the client goes away mid-download
+      if (res.destroyed) {
+        break;
+      }
+      // Respect backpressure so a slow client does not buffer the whole export
+      if (!res.write(exportRecord(parcel, format, index))) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      index += 1;
+    }
+
+    if (res.destroyed) {
+      return;
+    }
+
+    res.end(exportFooter(format));
   } catch (error) {
+    console.error('Export parcels error:', error);
+    // Once streaming has started the status is sent; cut the download short instead
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
     next(error);
   }
 };
@@ -57,12 +441,13 @@ const getAllParcels = async (req, res, next) => {
 // @access  Private
 const getParcelById = async (req, res, next) => {
   try {
-    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId }).populate(
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted }).populate(
       'assignedDriver',
       'name email'
     );
 
-    if (!parcel) {
+    // API keys only see their own parcels; others are reported as missing
+    if (!parcel || !authorizationService.can(req.user, 'parcel:read', parcel)) {
       return res.status(404).json({ message: 'Parcel not found.' });
     }
 
@@ -77,39 +462,159 @@ const getParcelById = async (req, res, next) => {
 // @access  Private (Supervisor only)
 const updateParcel = async (req, res, next) => {
   try {
+    const managed = Object.keys(managedFields).find((field) => req.body[field] !== undefined);
+    if (managed) {
+      return res.status(400).json({ message: `${managed} cannot be changed here; use ${managedFields[managed]}.` });
+    }
+
+    const existing = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted });
+
+    // API keys only see their own parcels; others are reported as missing
+    if (!existing || !authorizationService.can(req.user, 'parcel:read', existing)) {
+      return res.status(404).json({ message: 'Parcel not found.' });
+    }
+    const before = parcelHistoryService.snapshot(existing);
+
+    // Anything outside the editable fields is ignored: coordinates follow the addresses, the SLA status
+    // and ETA are derived, and the status history, deletion and route plans have their own endpoints
+    const updates = Object.fromEntries(
+      editableFields.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+    );
+
+    if (promiseFields.some((field) => updates[field] !== undefined)) {
+      const promiseError = slaService.checkPromise({
+        serviceTier: updates.serviceTier,
+        promisedBy: updates.promisedBy !== undefined ? updates.promisedBy : existing.promisedBy,
+        promisedWindow: updates.promisedWindow !== undefined ? updates.promisedWindow : existing.promisedWindow,
+      });
+      if (promiseError) {
+        return res.status(400).json({ message: promiseError });
+      }
+    }
+
+    // Re-geocode only the addresses that changed, keeping earlier manual corrections otherwise
+    await Promise.all(Object.values(coordinateFields).map(async ({ address, coordinates }) => {
+      if (updates[address] !== undefined && updates[address] !== existing[address]) {
+        const geocoded = await geocodingService.geocodeLocation(updates[address]);
+        if (geocoded) {
+          updates[coordinates] = geocoded;
+        } else {
+          updates.$unset = { ...updates.$unset, [coordinates]: 1 };
+        }
+      }
+    }));
+
     const parcel = await Parcel.findOneAndUpdate(
-      { parcelId: req.params.parcelId },
-      req.body,
+      { _id: existing._id },
+      updates,
       { new: true, runValidators: true }
     );
 
-    if (!parcel) {
-      return res.status(404).json({ message: 'Parcel not found.' });
+    // Keep the delivery estimate in step with edits to where the parcel is and where it goes
+    if (etaFields.some((field) => updates[field] !== undefined)) {
+      await etaService.refresh(parcel);
+      await parcel.save();
+      await etaService.refreshDriverRun(parcel.assignedDriver, { exclude: parcel._id });
+    } else if (promiseFields.some((field) => updates[field] !== undefined) && slaService.apply(parcel)) {
+      await parcel.save();
     }
 
+    await parcelHistoryService.record(parcel, before, req.user, 'Updated');
+
     res.status(200).json(parcel);
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Delete a parcel
+// @desc    Soft delete a parcel; it is hidden everywhere but kept for tickets and its history
 // @route   DELETE /api/parcels/:parcelId
 // @access  Private (Supervisor only)
 const deleteParcel = async (req, res, next) => {
   try {
-    const parcel = await Parcel.findOneAndDelete({ parcelId: req.params.parcelId });
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted });
 
     if (!parcel) {
       return res.status(404).json({ message: 'Parcel not found.' });
     }
 
+    const before = parcelHistoryService.snapshot(parcel);
+    parcel.isDeleted = true;
+    parcel.deletedAt = new Date();
+    parcel.deletedBy = req.user.id;
+    await parcel.save();
+    await parcelHistoryService.record(parcel, before, req.user, 'Deleted');
+
+    // The parcel is no longer a stop on its driver's run
+    if (parcel.status === 'OutForDelivery') {
+      await etaService.refreshDriverRun(parcel.assignedDriver);
+    }
+
     res.status(200).json({ message: 'Parcel deleted successfully.' });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Restore a deleted parcel
+// @route   PATCH /api/parcels/:parcelId/restore
+// @access  Private (Supervisor only)
+const restoreParcel = async (req, res, next) => {
+  try {
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, isDeleted: true });
+
+    if (!parcel) {
+      return res.status(404).json({ message: 'Deleted parcel not found.' });
+    }
+
+    const before = parcelHistoryService.snapshot(parcel);
+    parcel.isDeleted = false;
+    parcel.deletedAt = undefined;
+    parcel.deletedBy = undefined;
+
+    // The estimate and SLA status went stale while the parcel was deleted
+    await etaService.refresh(parcel);
+    await parcel.save();
+    await parcelHistoryService.record(parcel, before, req.user, 'Restored');
+
+    if (parcel.status === 'OutForDelivery') {
+      await etaService.refreshDriverRun(parcel.assignedDriver, { exclude: parcel._id });
+    }
+
+    res.status(200).json(parcel);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Field-level change log of a parcel, oldest first; deleted parcels keep theirs
+// @route   GET /api/parcels/:parcelId/history?field=
+// @access  Private (Supervisor, SupportAgent)
+const getParcelHistory = async (req, res, next) => {
+  try {
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId });
+
+    if (!parcel) {
+      return res.status(404).json({ message: 'Parcel not found.' });
+    }
+
+    const history = await parcelHistoryService.list(parcel, { field: req.query.field });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        parcelId: parcel.parcelId,
+        isDeleted: parcel.isDeleted === true,
+        history,
+        count: history.length,
+      },
+      message: 'Parcel history retrieved successfully.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Assign a driver to a parcel
 // @route   PATCH /api/parcels/:parcelId/assign-driver
 // @access  Private (Supervisor only)
@@ -130,19 +635,50 @@ const assignDriverToParcel = async (req, res, next) => {
       return res.status(400).json({ message: 'The assigned user is not a driver.' });
     }
 
-    const parcel = await Parcel.findOneAndUpdate(
-      { parcelId: req.params.parcelId },
-      {
-        assignedDriver: driverId,
-        status: 'PickedUp',
-      },
-      { new: true, runValidators: true }
-    ).populate('assignedDriver', 'name email');
+    // Deactivated or unapproved drivers, and those on time off, outside their working hours
+    // or with an expired licence, cannot take parcels
+    const availability = await driverAvailabilityService.checkAssignable(driver.id);
+    if (!availability.available) {
+      return res.status(409).json({ message: `Driver is not available: ${availability.reason}.` });
+    }
 
-    if (!parcel) {
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted });
+
+    // API keys only see their own parcels; others are reported as missing
+    if (!parcel || !authorizationService.can(req.user, 'parcel:read', parcel)) {
       return res.status(404).json({ message: 'Parcel not found.' });
     }
 
+    if (parcelLifecycleService.isTerminal(parcel.status)) {
+      return res.status(409).json({ message: `Parcel is ${parcel.status} and can no longer be assigned.` });
+    }
+
+    const before = parcelHistoryService.snapshot(parcel);
+    const previousDriver = parcel.assignedDriver;
+    parcel.assignedDriver = driverId;
+
+    // Assigning a new parcel schedules it for collection; it is PickedUp only once the driver
+    // scans it, and reassignments later in the journey keep the current status
+    if (parcel.status === 'Created') {
+      const check = parcelLifecycleService.checkTransition(parcel.status, 'AwaitingPickup', req.user);
+      if (check.transition) {
+        await parcelLifecycleService.applyTransition(parcel, check.transition, req.user);
+      }
+    }
+
+    await etaService.refresh(parcel);
+    await parcel.save();
+    await parcelHistoryService.record(parcel, before, req.user, 'DriverAssigned');
+
+    // A parcel out for delivery moves from one run to the other
+    if (parcel.status === 'OutForDelivery') {
+      await etaService.refreshDriverRun(driverId, { exclude: parcel._id });
+      if (previousDriver && String(previousDriver) !== String(driverId)) {
+        await etaService.refreshDriverRun(previousDriver);
+      }
+    }
+    await parcel.populate('assignedDriver', 'name email');
+
     res.status(200).json(parcel);
   } catch (error) {
     next(error);
@@ -151,7 +687,7 @@ const assignDriverToParcel = async (req, res, next) => {
 
 // @desc    Update a parcel's status
 // @route   PATCH /api/parcels/:parcelId/status
-// @access  Private (Driver only)
+// @access  Private (assigned Driver or Supervisor, per the lifecycle transition)
 const updateParcelStatus = async (req, res, next) => {
   try {
     const { status } = req.body;
@@ -159,44 +695,58 @@ const updateParcelStatus = async (req, res, next) => {
       return res.status(400).json({ message: 'Status is required.' });
     }
 
-    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId });
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted });
     if (!parcel) {
       return res.status(404).json({ message: 'Parcel not found.' });
     }
 
-    // Check if user is the assigned driver
-    const isAssignedDriver = parcel.assignedDriver && parcel.assignedDriver.equals(req.user.id);
-    if (!isAssignedDriver) {
+    // Drivers may only move parcels assigned to them
+    if (!authorizationService.can(req.user, 'parcel:update-status', parcel)) {
       return res.status(403).json({ message: 'Only the assigned driver can update parcel status.' });
     }
 
-    // Enforce the allowed status transition flow
-    const statusFlow = {
-      PickedUp: 'InTransit',
-      InTransit: 'OutForDelivery',
-      OutForDelivery: 'Delivered',
-    };
-
-    if (statusFlow[parcel.status] !== status) {
-      return res.status(400).json({ message: `Invalid status transition from ${parcel.status} to ${status}.` });
+    // The lifecycle decides which role may make the transition and what it requires
+    const check = parcelLifecycleService.checkTransition(parcel.status, status, req.user, req.body);
+    if (!check.transition) {
+      return res.status(check.statusCode).json({ message: check.message });
     }
 
-    // Update status and log the change
-    parcel.status = status;
-    parcel.statusHistory.push({ status });
-
-    // Simulate GPS location update based on new status
-    const simulatedLocation = simulateLocationUpdate(status, parcel.currentLocation);
-    parcel.currentLocation = {
-      latitude: simulatedLocation.latitude,
-      longitude: simulatedLocation.longitude,
-      timestamp: simulatedLocation.timestamp,
-      accuracy: simulatedLocation.accuracy,
-    };
+    const before = parcelHistoryService.snapshot(parcel);
+    await parcelLifecycleService.applyTransition(parcel, check.transition, req.user, req.body);
 
     await parcel.save();
+    await parcelHistoryService.record(parcel, before, req.user, 'StatusChanged');
+
+    // Deliveries and failed attempts change the stops ahead of the driver's other parcels
+    await etaService.refreshDriverRun(parcel.assignedDriver, { exclude: parcel._id });
 
     res.status(200).json(parcel);
+  } catch (error) {
+    if (error instanceof ProofOfDeliveryError) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+// @desc    Describe the parcel lifecycle and the transitions the caller may make
+// @route   GET /api/parcels/status-transitions?from=
+// @access  Private (any role that can read parcels)
+const getStatusTransitions = async (req, res, next) => {
+  try {
+    const { from } = req.query;
+
+    if (from && !parcelStatus.includes(from)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${parcelStatus.join(', ')}.`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: parcelLifecycleService.describe(req.user, from),
+    });
   } catch (error) {
     next(error);
   }
@@ -204,10 +754,10 @@ const updateParcelStatus = async (req, res, next) => {
 
 // @desc    Track a parcel by its ID
 // @route   GET /api/parcels/track/:parcelId
-// @access  Private (Supervisor, SupportAgent, assigned Driver)
+// @access  Private (Supervisor, SupportAgent, assigned Driver, or API key with parcels:track)
 const trackParcel = async (req, res, next) => {
   try {
-    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId }).populate(
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted }).populate(
       'assignedDriver',
       'name email'
     );
@@ -216,28 +766,26 @@ const trackParcel = async (req, res, next) => {
       return res.status(404).json({ message: 'Parcel not found.' });
     }
 
-    const { user } = req;
+    // Drivers may only track parcels assigned to them
+    if (!authorizationService.can(req.user, 'parcel:track', parcel)) {
+      return res.status(403).json({ message: 'You are not authorized to track this parcel.' });
+    }
 
-    // Custom authorization logic
-    const isSupervisor = user.role === 'Supervisor';
-    const isSupportAgent = user.role === 'SupportAgent';
-    const isAssignedDriver =
-      user.role === 'Driver' && parcel.assignedDriver && 
-      (parcel.assignedDriver._id ? parcel.assignedDriver._id.toString() === user.id : parcel.assignedDriver.toString() === user.id);
+    const { observedSpeedKmh, speedSamples, ...eta } = await etaService.forTracking(parcel);
 
-    if (!isSupervisor && !isSupportAgent && !isAssignedDriver) {
-      return res.status(403).json({ message: 'You are not authorized to track this parcel.' });
+    // Customers and integrations learn the driver's first name, not how to reach them
+    let { assignedDriver } = parcel;
+    if (assignedDriver && (req.user.apiKeyId || req.user.role === 'Customer')) {
+      assignedDriver = { name: assignedDriver.name.split(' ')[0] };
     }
 
-    // Use simulated GPS location for tracking details
     const trackingData = {
       status: parcel.status,
-      assignedDriver: parcel.assignedDriver,
-      currentLocation: parcel.currentLocation || {
-        latitude: 34.0522,
-        longitude: -118.2437,
-      },
-      estimatedDeliveryTime: '2024-08-26T18:00:00Z',
+      assignedDriver,
+      // No position is reported until the parcel has had a GPS fix
+      currentLocation: parcel.currentLocation?.latitude != null ? parcel.currentLocation : null,
+      estimatedDeliveryTime: eta.estimatedDeliveryTime,
+      eta: { ...eta, observedSpeedKmh: observedSpeedKmh ?? null },
     };
 
     res.status(200).json(trackingData);
@@ -246,13 +794,147 @@ const trackParcel = async (req, res, next) => {
   }
 };
 
+// @desc    Issue a new public tracking code for a parcel, replacing any previous one
+// @route   POST /api/parcels/:parcelId/tracking-code
+// @access  Private (Supervisor only)
+const rotateTrackingCode = async (req, res, next) => {
+  try {
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted });
+
+    if (!parcel || !authorizationService.can(req.user, 'parcel:read', parcel)) {
+      return res.status(404).json({ message: 'Parcel not found.' });
+    }
+
+    // Parcels created before tracking codes existed get their first one here; the old code stops working
+    const before = parcelHistoryService.snapshot(parcel);
+    parcel.trackingCode = generateTrackingCode();
+    await parcel.save();
+    await parcelHistoryService.record(parcel, before, req.user, 'TrackingCodeRotated');
+
+    res.status(200).json({ parcelId: parcel.parcelId, trackingCode: parcel.trackingCode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Geocode a free-text address without saving it
+// @route   GET /api/parcels/geocode?address=
+// @access  Private (Supervisor only)
+const lookupAddress = async (req, res, next) => {
+  try {
+    const { address } = req.query;
+
+    if (!address || !String(address).trim()) {
+      return res.status(400).json({ message: 'An address is required.' });
+    }
+
+    const result = await geocodingService.geocode(address);
+    if (!result) {
+      return res.status(404).json({ message: 'No coordinates found for this address.' });
+    }
+
+    res.status(200).json({ address, ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Re-run the geocoder for both of a parcel's addresses
+// @route   POST /api/parcels/:parcelId/geocode
+// @access  Private (Supervisor only)
+const regeocodeParcel = async (req, res, next) => {
+  try {
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted });
+
+    if (!parcel || !authorizationService.can(req.user, 'parcel:read', parcel)) {
+      return res.status(404).json({ message: 'Parcel not found.' });
+    }
+    const before = parcelHistoryService.snapshot(parcel);
+
+    // Manual corrections are kept unless the caller asks to overwrite them
+    const overwriteManual = req.body?.overwriteManual === true;
+
+    const results = await Promise.all(Object.entries(coordinateFields).map(async ([location, { address, coordinates }]) => {
+      if (parcel[coordinates]?.source === 'manual' && !overwriteManual) {
+        return { location, updated: false, reason: 'Manually corrected' };
+      }
+
+      const geocoded = await geocodingService.geocodeLocation(parcel[address]);
+      if (!geocoded) {
+        return { location, updated: false, reason: 'No match' };
+      }
+
+      parcel[coordinates] = geocoded;
+      return { location, updated: true, confidence: geocoded.confidence };
+    }));
+
+    await parcel.save();
+    await parcelHistoryService.record(parcel, before, req.user, 'Geocoded');
+
+    res.status(200).json({ parcel, results });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Correct the coordinates of a parcel's pickup or delivery address by hand
+// @route   PATCH /api/parcels/:parcelId/coordinates
+// @access  Private (Supervisor only)
+const correctParcelCoordinates = async (req, res, next) => {
+  try {
+    const { location, latitude, longitude } = req.body;
+
+    if (!coordinateFields[location]) {
+      return res.status(400).json({ message: 'Location must be either pickup or delivery.' });
+    }
+
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      return res.status(400).json({ message: 'Latitude and longitude must be numbers.' });
+    }
+
+    const parcel = await Parcel.findOne({ parcelId: req.params.parcelId, ...notDeleted });
+
+    if (!parcel || !authorizationService.can(req.user, 'parcel:read', parcel)) {
+      return res.status(404).json({ message: 'Parcel not found.' });
+    }
+
+    const before = parcelHistoryService.snapshot(parcel);
+    const now = new Date();
+    parcel[coordinateFields[location].coordinates] = {
+      latitude,
+      longitude,
+      confidence: 1,
+      source: 'manual',
+      geocodedAt: now,
+      correctedBy: req.user.id,
+      correctedAt: now,
+    };
+
+    // Out-of-range values surface as a validation error from the schema
+    await parcel.save();
+    await parcelHistoryService.record(parcel, before, req.user, 'CoordinatesCorrected');
+
+    res.status(200).json(parcel);
+  } catch (error) {
+    next(error);
+  }
+};
+
 export {
   createParcel,
   getAllParcels,
+  exportParcels,
   getParcelById,
   updateParcel,
   deleteParcel,
+  restoreParcel,
+  getParcelHistory,
   assignDriverToParcel,
   updateParcelStatus,
+  getStatusTransitions,
   trackParcel,
+  rotateTrackingCode,
+  lookupAddress,
+  regeocodeParcel,
+  correctParcelCoordinates,
 };
@@ -0,0 +1,79 @@
+import parcelImportService, { ImportFormatError } from '../services/parcelImportService.js';
+
+/**
+ * Parcel Import Controller for EcoTrack Logistics System
+ *
+ * Handles bulk parcel intake from shipper manifests:
+ * - CSV, NDJSON or JSON bodies, chosen by Content-Type or the `format` query parameter
+ * - Dry runs that only report, and commits that insert the valid rows
+ * - Optional geocoding and driver auto-assignment per import
+ */
+
+const importModes = ['dry-run', 'commit'];
+
+// Import format from an explicit query parameter, otherwise from the Content-Type header
+const resolveFormat = (req) => {
+  if (req.query.format) {
+    return ['csv', 'ndjson', 'json'].includes(req.query.format) ? req.query.format : null;
+  }
+  if (req.is('application/json')) return 'json';
+  if (req.is(['application/x-ndjson', 'application/ndjson'])) return 'ndjson';
+  if (req.is(['text/csv', 'text/plain'])) return 'csv';
+  return null;
+};
+
+// @desc    Validate and import parcels in bulk
+// @route   POST /api/parcels/import?mode=dry-run|commit&geocode=true&autoAssign=true
+// @access  Private (Supervisor only)
+const importParcels = async (req, res, next) => {
+  try {
+    const { mode = 'dry-run' } = req.query;
+
+    if (!importModes.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${importModes.join(', ')}.`
+      });
+    }
+
+    const format = resolveFormat(req);
+    if (!format) {
+      return res.status(415).json({
+        success: false,
+        message: 'Send the import as text/csv, application/x-ndjson or application/json.'
+      });
+    }
+
+    const rows = parcelImportService.parse(req.body, format);
+    const report = await parcelImportService.importRows(rows, {
+      commit: mode === 'commit',
+      geocode: req.query.geocode === 'true',
+      autoAssign: req.query.autoAssign === 'true',
+      apiKeyId: req.user.apiKeyId,
+    });
+
+    const message = mode === 'commit'
+      ? `Imported ${report.summary.inserted} of ${report.summary.totalRows} parcels.`
+      : `${report.summary.validRows} of ${report.summary.totalRows} parcels are ready to import.`;
+
+    res.status(mode === 'commit' && report.summary.inserted > 0 ? 201 : 200).json({
+      success: true,
+      data: { mode, format, ...report },
+      message
+    });
+  } catch (error) {
+    if (error instanceof ImportFormatError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Import parcels error:', error);
+    next(error);
+  }
+};
+
+export {
+  importParcels
+};
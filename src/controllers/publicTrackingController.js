@@ -0,0 +1,78 @@
+import Parcel, { notDeleted } from '../models/Parcel.js';
+import { statuses, terminalStatuses } from '../config/parcelLifecycle.js';
+import etaService from '../services/etaService.js';
+import { hasCoordinates } from '../utils/geo.js';
+import { normalizeTrackingCode } from '../utils/trackingCode.js';
+
+// Two decimal places is roughly a kilometre: enough to follow progress without pinpointing a vehicle
+const COARSE_LOCATION_DECIMALS = 2;
+
+const roundCoordinate = (value) => Number(value.toFixed(COARSE_LOCATION_DECIMALS));
+
+// Last known position, coarsened; hidden once the parcel has left the lifecycle
+const coarseLocation = (parcel) => {
+  if (terminalStatuses.includes(parcel.status) || !hasCoordinates(parcel.currentLocation)) {
+    return null;
+  }
+
+  return {
+    latitude: roundCoordinate(parcel.currentLocation.latitude),
+    longitude: roundCoordinate(parcel.currentLocation.longitude),
+    updatedAt: parcel.currentLocation.timestamp || null,
+  };
+};
+
+// Delivered time, or the ETA service's estimate and window
+const arrival = async (parcel) => {
+  if (parcel.status === 'Delivered') {
+    const delivered = parcel.statusHistory.filter((entry) => entry.status === 'Delivered').pop();
+    return { deliveredAt: delivered?.timestamp || parcel.updatedAt, estimatedDeliveryTime: null, deliveryWindow: null };
+  }
+
+  const eta = await etaService.forTracking(parcel);
+  return {
+    deliveredAt: null,
+    estimatedDeliveryTime: eta.estimatedDeliveryTime,
+    deliveryWindow: eta.estimatedDeliveryTime
+      ? { earliest: eta.earliestDeliveryTime, latest: eta.latestDeliveryTime, confidence: eta.confidence }
+      : null,
+  };
+};
+
+// @desc    Track a parcel by its public tracking code
+// @route   GET /api/public/track/:trackingCode
+// @access  Public (rate limited)
+const trackByCode = async (req, res, next) => {
+  try {
+    const trackingCode = normalizeTrackingCode(req.params.trackingCode);
+    const parcel = trackingCode ? await Parcel.findOne({ trackingCode, ...notDeleted }) : null;
+
+    // Malformed and unknown codes look the same, so codes cannot be probed
+    if (!parcel) {
+      return res.status(404).json({ success: false, message: 'No parcel matches this tracking code.' });
+    }
+
+    // Receivers see progress only: no driver, addresses, reasons or notes
+    res.status(200).json({
+      success: true,
+      data: {
+        trackingCode: parcel.trackingCode,
+        status: parcel.status,
+        statusLabel: statuses[parcel.status]?.label || parcel.status,
+        progress: statuses[parcel.status]?.progress ?? null,
+        timeline: parcel.statusHistory.map((entry) => ({
+          status: entry.status,
+          label: statuses[entry.status]?.label || entry.status,
+          timestamp: entry.timestamp,
+        })),
+        location: coarseLocation(parcel),
+        ...(await arrival(parcel)),
+      },
+    });
+  } catch (error) {
+    console.error('Public tracking error:', error);
+    next(error);
+  }
+};
+
+export { trackByCode };
@@ -1,5 +1,6 @@
 import Route from '../models/Route.js';
-import Parcel from '../models/Parcel.js';
+import Parcel, { notDeleted } from '../models/Parcel.js';
+import parcelHistoryService from '../services/parcelHistoryService.js';
 
 /**
  * Route Assignment Controller for EcoTrack Logistics System
@@ -35,7 +36,7 @@ const assignRouteToParcel = async (req, res, next) => {
     }
 
     // Find the parcel
-    const parcel = await Parcel.findOne({ parcelId });
+    const parcel = await Parcel.findOne({ parcelId, ...notDeleted });
     if (!parcel) {
       return res.status(404).json({ 
         message: 'Parcel not found.' 
@@ -88,6 +89,7 @@ const assignRouteToParcel = async (req, res, next) => {
       },
       { new: true, runValidators: true }
     ).populate('optimizedRoute', 'distanceKm estimatedTimeMinutes carbonFootprintKg routeType');
+    await parcelHistoryService.record(updatedParcel, parcelHistoryService.snapshot(parcel), req.user, 'RouteAssigned');
 
     res.status(200).json({
       success: true,
@@ -136,7 +138,7 @@ const getRouteAssignment = async (req, res, next) => {
     }
 
     // Find the parcel with route assignment
-    const parcel = await Parcel.findOne({ parcelId })
+    const parcel = await Parcel.findOne({ parcelId, ...notDeleted })
       .populate({
         path: 'optimizedRoute',
         select: 'routeType distanceKm estimatedTimeMinutes carbonFootprintKg pickupLocation deliveryLocation isActive assignedAt'
@@ -224,7 +226,7 @@ const updateRouteAssignment = async (req, res, next) => {
     }
 
     // Find the parcel
-    const parcel = await Parcel.findOne({ parcelId });
+    const parcel = await Parcel.findOne({ parcelId, ...notDeleted });
     if (!parcel) {
       return res.status(404).json({ 
         message: 'Parcel not found.' 
@@ -280,15 +282,17 @@ const updateRouteAssignment = async (req, res, next) => {
       );
 
       // Update parcel with new route reference
-      await Parcel.findByIdAndUpdate(
+      const reassignedParcel = await Parcel.findByIdAndUpdate(
         parcel._id,
         {
           optimizedRoute: updatedRoute._id,
           routeAssignmentStatus: 'Reassigned',
           assignedRouteType: routeType,
           lastAssignedAt: new Date()
-        }
+        },
+        { new: true }
       );
+      await parcelHistoryService.record(reassignedParcel, parcelHistoryService.snapshot(parcel), req.user, 'RouteAssigned');
     } else {
       // Just update the assignment notes
       updatedRoute = await Route.findByIdAndUpdate(
@@ -348,7 +352,7 @@ const removeRouteAssignment = async (req, res, next) => {
     }
 
     // Find the parcel
-    const parcel = await Parcel.findOne({ parcelId });
+    const parcel = await Parcel.findOne({ parcelId, ...notDeleted });
     if (!parcel) {
       return res.status(404).json({ 
         message: 'Parcel not found.' 
@@ -378,6 +382,7 @@ const removeRouteAssignment = async (req, res, next) => {
       },
       { new: true }
     );
+    await parcelHistoryService.record(updatedParcel, parcelHistoryService.snapshot(parcel), req.user, 'RouteUnassigned');
 
     res.status(200).json({
       success: true,
@@ -1,12 +1,13 @@
 import Route from '../models/Route.js';
-import Parcel from '../models/Parcel.js';
+import Parcel, { notDeleted } from '../models/Parcel.js';
 import routeOptimizer from '../services/routeOptimizer.js';
+import authorizationService from '../services/authorizationService.js';
 
 /**
  * Route Optimization API Controller for EcoTrack Logistics System
  * 
  * Provides route optimization endpoints with database integration
- * and role-based access control for Supervisors and Drivers.
+ * and permission-based access control for Supervisors and Drivers.
  */
 
 // @desc    Optimize route for a specific parcel
@@ -14,30 +15,16 @@ import routeOptimizer from '../services/routeOptimizer.js';
 // @access  Private (Supervisor and Driver only)
 const optimizeRouteForParcel = async (req, res, next) => {
   try {
-    const {
-      parcelId,
-      pickupLocation,
-      deliveryLocation,
-      options = {}
-    } = req.body;
+    const { parcelId, options = {} } = req.body;
 
-    // Validate required fields
-    if (!parcelId || !pickupLocation || !deliveryLocation) {
+    if (!parcelId) {
       return res.status(400).json({ 
         message: 'Parcel ID, pickup location, and delivery location are required.' 
       });
     }
 
-    // Validate coordinate structure
-    if (!pickupLocation.latitude || !pickupLocation.longitude ||
-        !deliveryLocation.latitude || !deliveryLocation.longitude) {
-      return res.status(400).json({ 
-        message: 'Valid latitude and longitude coordinates are required for both locations.' 
-      });
-    }
-
     // Find the parcel
-    const parcel = await Parcel.findOne({ parcelId });
+    const parcel = await Parcel.findOne({ parcelId, ...notDeleted });
     if (!parcel) {
       return res.status(404).json({ 
         message: 'Parcel not found.' 
@@ -45,24 +32,41 @@ const optimizeRouteForParcel = async (req, res, next) => {
     }
 
     // Check authorization: Supervisor can optimize any parcel, Driver only assigned parcels
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedDriver = req.user.role === 'Driver' && 
-      parcel.assignedDriver && parcel.assignedDriver.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedDriver) {
+    if (!authorizationService.can(req.user, 'route:optimize-parcel', parcel)) {
       return res.status(403).json({ 
         message: 'You can only optimize routes for parcels assigned to you.' 
       });
     }
 
-    // Set default optimization options based on user role and parcel
+    // Coordinates in the request win; otherwise use the ones geocoded from the parcel's addresses
+    const pickupLocation = req.body.pickupLocation || parcel.pickupCoordinates;
+    const deliveryLocation = req.body.deliveryLocation || parcel.deliveryCoordinates;
+
+    if (!pickupLocation || !deliveryLocation) {
+      return res.status(400).json({ 
+        message: 'Pickup and delivery locations are required because the parcel has no geocoded coordinates.' 
+      });
+    }
+
+    // Validate coordinate structure
+    if (!pickupLocation.latitude || !pickupLocation.longitude ||
+        !deliveryLocation.latitude || !deliveryLocation.longitude) {
+      return res.status(400).json({ 
+        message: 'Valid latitude and longitude coordinates are required for both locations.' 
+      });
+    }
+
+    // Set default optimization options; the load always comes from the parcel itself
+    const cargo = routeOptimizer.summarizeCargo([parcel]);
     const optimizationOptions = {
       vehicleType: 'medium',
       fuelType: 'hybrid',
       includeTraffic: true,
       timeOfDay: 'current',
-      cargoWeight: 1000,
-      ...options
+      ...options,
+      vehicleType: cargo.vehicleType,
+      cargoWeight: cargo.cargoWeight,
+      cargoVolumeM3: cargo.cargoVolumeM3
     };
 
     // Perform route optimization
@@ -125,6 +129,7 @@ const optimizeRouteForParcel = async (req, res, next) => {
           senderName: parcel.senderName,
           receiverName: parcel.receiverName
         },
+        cargo,
         optimizedRoutes: {
           shortest: optimizationResult.routes.shortest,
           eco: optimizationResult.routes.eco
@@ -176,7 +181,7 @@ const getOptimizationHistory = async (req, res, next) => {
     }
 
     // Find the parcel
-    const parcel = await Parcel.findOne({ parcelId });
+    const parcel = await Parcel.findOne({ parcelId, ...notDeleted });
     if (!parcel) {
       return res.status(404).json({ 
         message: 'Parcel not found.' 
@@ -184,11 +189,7 @@ const getOptimizationHistory = async (req, res, next) => {
     }
 
     // Check authorization
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedDriver = req.user.role === 'Driver' && 
-      parcel.assignedDriver && parcel.assignedDriver.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedDriver) {
+    if (!authorizationService.can(req.user, 'route:optimize-parcel', parcel)) {
       return res.status(403).json({ 
         message: 'You can only view optimization history for parcels assigned to you.' 
       });
@@ -249,25 +250,24 @@ const updateOptimizedRoute = async (req, res, next) => {
       });
     }
 
-    // Check authorization
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedDriver = req.user.role === 'Driver' && 
-      route.parcel.assignedDriver && route.parcel.assignedDriver.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedDriver) {
+    // Check authorization against the parcel the route belongs to
+    if (!authorizationService.can(req.user, 'route:optimize-parcel', route.parcel)) {
       return res.status(403).json({ 
         message: 'You can only update routes for parcels assigned to you.' 
       });
     }
 
-    // Re-optimize with new options
+    // Re-optimize with new options, reading the load from the parcel as it is now
+    const cargo = routeOptimizer.summarizeCargo([route.parcel]);
     const newOptimizationOptions = {
       vehicleType: 'medium',
       fuelType: 'hybrid',
       includeTraffic: true,
       timeOfDay: 'current',
-      cargoWeight: 1000,
-      ...options
+      ...options,
+      vehicleType: cargo.vehicleType,
+      cargoWeight: cargo.cargoWeight,
+      cargoVolumeM3: cargo.cargoVolumeM3
     };
 
     const optimizationResult = await routeOptimizer.optimizeRoute(
@@ -324,6 +324,7 @@ const updateOptimizedRoute = async (req, res, next) => {
           timeChange: selectedRoute.estimatedTimeMinutes - route.estimatedTimeMinutes,
           carbonChange: selectedRoute.carbonFootprintKg - route.carbonFootprintKg
         },
+        cargo,
         optimization: optimizationResult
       },
       message: 'Route updated with new optimization successfully'
@@ -356,13 +357,6 @@ const deleteOptimizedRoute = async (req, res, next) => {
       });
     }
 
-    // Only supervisors can delete routes
-    if (req.user.role !== 'Supervisor') {
-      return res.status(403).json({ 
-        message: 'Only supervisors can delete optimized routes.' 
-      });
-    }
-
     // Delete the route
     await Route.findByIdAndDelete(routeId);
 
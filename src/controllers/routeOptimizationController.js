@@ -1,4 +1,6 @@
+import Parcel, { notDeleted } from '../models/Parcel.js';
 import routeOptimizer from '../services/routeOptimizer.js';
+import authorizationService from '../services/authorizationService.js';
 
 /**
  * Route Optimization Controller for EcoTrack Logistics System
@@ -15,6 +17,7 @@ const optimizeRoute = async (req, res, next) => {
     const {
       pickup,
       delivery,
+      parcelIds,
       options = {}
     } = req.body;
 
@@ -25,6 +28,12 @@ const optimizeRoute = async (req, res, next) => {
       });
     }
 
+    if (parcelIds !== undefined && (!Array.isArray(parcelIds) || parcelIds.length === 0)) {
+      return res.status(400).json({ 
+        message: 'parcelIds must be a non-empty array of parcel IDs.' 
+      });
+    }
+
     // Set default options
     const optimizationOptions = {
       vehicleType: 'medium',
@@ -35,11 +44,40 @@ const optimizeRoute = async (req, res, next) => {
       ...options
     };
 
+    // When the load is known, its weight and volume replace whatever the client sent
+    let cargo = null;
+    if (parcelIds) {
+      if (!authorizationService.getGrant(req.user, 'parcel:read')) {
+        return res.status(403).json({ 
+          message: 'You do not have permission to view these parcels.' 
+        });
+      }
+
+      const uniqueIds = [...new Set(parcelIds.map(String))];
+      const parcels = await Parcel.find({
+        parcelId: { $in: uniqueIds },
+        ...notDeleted,
+        ...authorizationService.scopeQuery(req.user, 'parcel:read')
+      });
+
+      const missing = uniqueIds.filter((id) => !parcels.some((parcel) => parcel.parcelId === id));
+      if (missing.length > 0) {
+        return res.status(404).json({ 
+          message: `Parcels not found: ${missing.join(', ')}.` 
+        });
+      }
+
+      cargo = routeOptimizer.summarizeCargo(parcels);
+      optimizationOptions.vehicleType = cargo.vehicleType;
+      optimizationOptions.cargoWeight = cargo.cargoWeight;
+      optimizationOptions.cargoVolumeM3 = cargo.cargoVolumeM3;
+    }
+
     const result = await routeOptimizer.optimizeRoute(pickup, delivery, optimizationOptions);
 
     res.status(200).json({
       success: true,
-      data: result,
+      data: cargo ? { ...result, cargo } : result,
       message: 'Route optimization completed successfully'
     });
 
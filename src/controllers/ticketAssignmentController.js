@@ -1,5 +1,6 @@
 import Ticket from '../models/Ticket.js';
 import User from '../models/User.js';
+import authorizationService from '../services/authorizationService.js';
 
 /**
  * Ticket Assignment Controller for EcoTrack Logistics System
@@ -207,14 +208,6 @@ const reassignTicket = async (req, res, next) => {
       });
     }
 
-    // Check supervisor access
-    if (req.user.role !== 'Supervisor') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only supervisors can reassign tickets.'
-      });
-    }
-
     // Validate new support agent role
     const newSupportAgent = await User.findById(assignedTo);
 
@@ -322,14 +315,6 @@ const unassignTicket = async (req, res, next) => {
       });
     }
 
-    // Check supervisor access
-    if (req.user.role !== 'Supervisor') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only supervisors can unassign tickets.'
-      });
-    }
-
     // Check if ticket is assigned
     if (!ticket.assignedTo) {
       return res.status(400).json({
@@ -425,17 +410,13 @@ const getAssignmentHistory = async (req, res, next) => {
       });
     }
 
-    // Role-based access control
-    if (req.user.role === 'SupportAgent') {
-      // Support agents can only see assignment history for their assigned tickets
-      if (!ticket.assignedTo || ticket.assignedTo.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only view assignment history for tickets assigned to you.'
-        });
-      }
+    // Support agents can only see assignment history for their assigned tickets
+    if (!authorizationService.can(req.user, 'ticket:read-internal', ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view assignment history for tickets assigned to you.'
+      });
     }
-    // Supervisors can see any assignment history
 
     // Filter assignment-related activities
     const assignmentActivities = ticket.activityHistory.filter(activity => 
@@ -1,6 +1,7 @@
 import Ticket from '../models/Ticket.js';
-import Parcel from '../models/Parcel.js';
+import Parcel, { notDeleted } from '../models/Parcel.js';
 import User from '../models/User.js';
+import authorizationService from '../services/authorizationService.js';
 
 /**
  * Ticket Controller for EcoTrack Logistics System
@@ -57,7 +58,7 @@ const createTicket = async (req, res, next) => {
     // Validate parcel reference if provided
     let parcelReference = null;
     if (parcelId) {
-      const parcel = await Parcel.findOne({ parcelId });
+      const parcel = await Parcel.findOne({ parcelId, ...notDeleted });
       if (!parcel) {
         return res.status(400).json({
           success: false,
@@ -286,11 +287,7 @@ const updateTicketStatus = async (req, res, next) => {
     }
 
     // Check permissions
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedAgent = req.user.role === 'SupportAgent' && 
-      ticket.assignedTo && ticket.assignedTo.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedAgent) {
+    if (!authorizationService.can(req.user, 'ticket:update-status', ticket)) {
       return res.status(403).json({
         success: false,
         message: 'You can only update tickets assigned to you.'
@@ -1,12 +1,15 @@
 import Ticket from '../models/Ticket.js';
-import Parcel from '../models/Parcel.js';
+import Parcel, { notDeleted } from '../models/Parcel.js';
 import User from '../models/User.js';
+import authorizationService from '../services/authorizationService.js';
+import { serializeTicket } from '../serializers/ticketSerializer.js';
 
 /**
  * Simple Ticket Controller for EcoTrack Logistics System
  * 
  * Simplified implementation focusing on core functionality:
  * - Basic ticket creation
+ * - Customer and staff replies
  * - Role-based access control
  * - Priority auto-assignment
  * - Parcel validation
@@ -14,17 +17,16 @@ import User from '../models/User.js';
 
 // @desc    Create a new ticket
 // @route   POST /api/tickets
-// @access  Private (Supervisor and SupportAgent only)
+// @access  Private (Supervisor, SupportAgent and Customer for their own parcels)
 const createTicket = async (req, res, next) => {
   try {
-    const {
-      parcelId,
-      issueType,
-      priority,
-      description,
-      tags,
-      assignedTo
-    } = req.body;
+    const { parcelId, issueType, description } = req.body;
+
+    // Priority, tags and assignee are set by support staff; customers get the defaults
+    const canTriage = authorizationService.can(req.user, 'ticket:triage');
+    const priority = canTriage ? req.body.priority : undefined;
+    const tags = canTriage ? req.body.tags : undefined;
+    const assignedTo = canTriage ? req.body.assignedTo : undefined;
 
     // Validate required fields
     if (!issueType || !description) {
@@ -55,16 +57,23 @@ const createTicket = async (req, res, next) => {
     }
 
     // Validate parcel reference if provided
-    let parcelReference = null;
+    let parcel = null;
     if (parcelId) {
-      const parcel = await Parcel.findOne({ parcelId });
+      parcel = await Parcel.findOne({ parcelId, ...notDeleted });
       if (!parcel) {
         return res.status(400).json({
           success: false,
           message: 'Parcel not found with the provided parcel ID.'
         });
       }
-      parcelReference = parcel._id;
+    }
+
+    // Customers may only raise tickets against their own parcels
+    if (!authorizationService.can(req.user, 'ticket:create', { parcel })) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only open tickets for your own parcels.'
+      });
     }
 
     // Validate assigned support agent if provided
@@ -98,7 +107,7 @@ const createTicket = async (req, res, next) => {
       priority: calculatedPriority,
       description,
       createdBy: req.user.id,
-      parcel: parcelReference,
+      parcel: parcel ? parcel._id : null,
       assignedTo: assignedAgent,
       status: 'Open', // Set initial status
       tags: tags || []
@@ -113,20 +122,22 @@ const createTicket = async (req, res, next) => {
       { path: 'parcel', select: 'parcelId status' }
     ]);
 
+    const serialized = serializeTicket(ticket, req.user);
+
     res.status(201).json({
       success: true,
       data: {
-        ticketId: ticket.ticketId,
-        issueType: ticket.issueType,
-        priority: ticket.priority,
-        status: ticket.status,
-        description: ticket.description,
-        parcel: ticket.parcel,
-        createdBy: ticket.createdBy,
-        assignedTo: ticket.assignedTo,
-        tags: ticket.tags,
-        createdAt: ticket.createdAt,
-        updatedAt: ticket.updatedAt
+        ticketId: serialized.ticketId,
+        issueType: serialized.issueType,
+        priority: serialized.priority,
+        status: serialized.status,
+        description: serialized.description,
+        parcel: serialized.parcel,
+        createdBy: serialized.createdBy,
+        assignedTo: serialized.assignedTo,
+        tags: serialized.tags,
+        createdAt: serialized.createdAt,
+        updatedAt: serialized.updatedAt
       },
       message: 'Ticket created successfully.'
     });
@@ -156,6 +167,89 @@ const createTicket = async (req, res, next) => {
   }
 };
 
+// @desc    Add a reply to a ticket
+// @route   POST /api/tickets/:ticketId/replies
+// @access  Private (Supervisor, assigned SupportAgent and the Customer who opened the ticket)
+const addTicketReply = async (req, res, next) => {
+  try {
+    const { ticketId } = req.params;
+    const { message, isInternal = false } = req.body;
+
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply message is required.'
+      });
+    }
+
+    const ticket = await Ticket.findOne({ ticketId, isDeleted: false });
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found.'
+      });
+    }
+
+    if (!authorizationService.can(req.user, 'ticket:reply', ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot reply to this ticket.'
+      });
+    }
+
+    // Internal replies are limited to staff who can already see internal notes
+    if (isInternal && !authorizationService.can(req.user, 'ticket:read-internal', ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only support staff can add internal replies.'
+      });
+    }
+
+    ticket.replies.push({
+      author: req.user.id,
+      message,
+      isInternal: Boolean(isInternal)
+    });
+
+    ticket.activityHistory.push({
+      action: 'CommentAdded',
+      performedBy: req.user.id,
+      timestamp: new Date(),
+      details: isInternal ? 'Internal reply added' : 'Reply added'
+    });
+
+    ticket.updatedAt = new Date();
+    await ticket.save();
+
+    await ticket.populate([
+      { path: 'createdBy', select: 'name email role' },
+      { path: 'assignedTo', select: 'name email role' },
+      { path: 'parcel', select: 'parcelId status' },
+      { path: 'replies.author', select: 'name role' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      data: serializeTicket(ticket, req.user),
+      message: 'Reply added successfully.'
+    });
+
+  } catch (error) {
+    console.error('Add ticket reply error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed.',
+        errors: validationErrors
+      });
+    }
+
+    next(error);
+  }
+};
+
 /**
  * Helper function to calculate priority based on issue type
  * @private
@@ -171,4 +265,4 @@ const calculatePriorityByIssueType = (issueType) => {
   return priorityMapping[issueType] || 'Medium';
 };
 
-export { createTicket };
+export { createTicket, addTicketReply };
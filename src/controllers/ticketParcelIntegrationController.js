@@ -1,5 +1,10 @@
 import Ticket from '../models/Ticket.js';
 import Parcel from '../models/Parcel.js';
+import DriverProfile from '../models/DriverProfile.js';
+import authorizationService from '../services/authorizationService.js';
+import proofOfDeliveryService from '../services/proofOfDeliveryService.js';
+import driverLocationService from '../services/driverLocationService.js';
+import { statuses as lifecycleStatuses } from '../config/parcelLifecycle.js';
 
 /**
  * Ticket-Parcel Integration Controller for EcoTrack Logistics System
@@ -37,12 +42,8 @@ const getTicketWithParcel = async (req, res, next) => {
       });
     }
 
-    // Role-based access control
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedAgent = req.user.role === 'SupportAgent' && 
-      ticket.assignedTo && ticket.assignedTo._id.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedAgent) {
+    // Support agents may only view tickets assigned to them
+    if (!authorizationService.can(req.user, 'ticket:read-internal', ticket)) {
       return res.status(403).json({
         success: false,
         message: 'You can only view tickets assigned to you.'
@@ -54,9 +55,8 @@ const getTicketWithParcel = async (req, res, next) => {
     if (ticket.parcel) {
       // Get full parcel details with tracking information
       const fullParcel = await Parcel.findOne({ parcelId: ticket.parcel.parcelId })
-        .populate('currentLocation', 'name address')
         .populate('assignedDriver', 'name email')
-        .populate('route', 'routeType distanceKm estimatedTimeMinutes');
+        .populate('optimizedRoute', 'routeType distanceKm estimatedTimeMinutes');
 
       parcelDetails = {
         parcelId: fullParcel.parcelId,
@@ -67,16 +67,20 @@ const getTicketWithParcel = async (req, res, next) => {
         deliveryLocation: fullParcel.deliveryLocation,
         currentLocation: fullParcel.currentLocation,
         assignedDriver: fullParcel.assignedDriver,
-        route: fullParcel.route,
+        route: fullParcel.optimizedRoute,
         estimatedDelivery: fullParcel.estimatedDelivery,
         actualDelivery: fullParcel.actualDelivery,
-        trackingHistory: fullParcel.trackingHistory || [],
+        trackingHistory: buildTrackingHistory(fullParcel),
         createdAt: fullParcel.createdAt,
         updatedAt: fullParcel.updatedAt,
+        // Deleted parcels stay visible on the tickets that refer to them
+        deletedAt: fullParcel.deletedAt || null,
         // Delivery progress calculation
         deliveryProgress: calculateDeliveryProgress(fullParcel),
         // Status timeline for ticket context
-        statusTimeline: generateParcelStatusTimeline(fullParcel)
+        statusTimeline: generateParcelStatusTimeline(fullParcel),
+        // Evidence for "Lost" claims on parcels marked Delivered
+        proofOfDelivery: proofOfDeliveryService.toSummary(fullParcel, proofOfDeliveryUrl(ticket))
       };
     }
 
@@ -144,10 +148,8 @@ const getTicketsWithParcelSummary = async (req, res, next) => {
     // Build base query
     let query = { isDeleted: false };
 
-    // Apply role-based access control
-    if (req.user.role === 'SupportAgent') {
-      query.assignedTo = req.user.id;
-    }
+    // Limit the listing to tickets the user may read
+    Object.assign(query, authorizationService.scopeQuery(req.user, 'ticket:read-internal'));
 
     // Apply filters
     if (status) {
@@ -279,12 +281,8 @@ const getTicketParcelTracking = async (req, res, next) => {
       });
     }
 
-    // Role-based access control
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedAgent = req.user.role === 'SupportAgent' && 
-      ticket.assignedTo && ticket.assignedTo.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedAgent) {
+    // Support agents may only view tickets assigned to them
+    if (!authorizationService.can(req.user, 'ticket:read-internal', ticket)) {
       return res.status(403).json({
         success: false,
         message: 'You can only view tracking for tickets assigned to you.'
@@ -294,24 +292,26 @@ const getTicketParcelTracking = async (req, res, next) => {
     // Get parcel tracking information
     let trackingInfo = null;
     if (ticket.parcel) {
-      const parcel = await Parcel.findOne({ parcelId: ticket.parcel })
-        .populate('currentLocation', 'name address coordinates')
-        .populate('assignedDriver', 'name email phone')
-        .populate('route', 'routeType waypoints distanceKm');
+      const parcel = await Parcel.findById(ticket.parcel)
+        .populate('assignedDriver', 'name email')
+        .populate('optimizedRoute', 'routeType waypoints distanceKm');
 
       if (parcel) {
         trackingInfo = {
           parcelId: parcel.parcelId,
           currentStatus: parcel.status,
           currentLocation: parcel.currentLocation,
-          assignedDriver: parcel.assignedDriver,
-          route: parcel.route,
-          trackingHistory: parcel.trackingHistory || [],
+          assignedDriver: await withDriverPhone(parcel.assignedDriver),
+          route: parcel.optimizedRoute,
+          trackingHistory: buildTrackingHistory(parcel),
+          // GPS breadcrumbs of the assigned driver while carrying the parcel
+          breadcrumbs: await driverLocationService.breadcrumbsForParcel(parcel),
           estimatedDelivery: parcel.estimatedDelivery,
           actualDelivery: parcel.actualDelivery,
           deliveryProgress: calculateDeliveryProgress(parcel),
           nextMilestone: getNextMilestone(parcel),
           timeInTransit: calculateTimeInTransit(parcel),
+          proofOfDelivery: proofOfDeliveryService.toSummary(parcel, proofOfDeliveryUrl(ticket)),
           createdAt: parcel.createdAt,
           updatedAt: parcel.updatedAt
         };
@@ -337,6 +337,69 @@ const getTicketParcelTracking = async (req, res, next) => {
   }
 };
 
+// @desc    Get a proof of delivery image for the ticket's parcel
+// @route   GET /api/tickets/:ticketId/proof-of-delivery/:file (signature | photo)
+// @access  Private (Supervisor and SupportAgent only)
+const getTicketProofOfDeliveryFile = async (req, res, next) => {
+  try {
+    const { ticketId, file } = req.params;
+
+    const ticket = await Ticket.findOne({ ticketId, isDeleted: false });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found.'
+      });
+    }
+
+    // Support agents may only view tickets assigned to them
+    if (!authorizationService.can(req.user, 'ticket:read-internal', ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view proof of delivery for tickets assigned to you.'
+      });
+    }
+
+    const parcel = ticket.parcel ? await Parcel.findById(ticket.parcel) : null;
+    const image = parcel ? await proofOfDeliveryService.readFile(parcel, file) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proof of delivery not found.'
+      });
+    }
+
+    res.set('Content-Type', image.contentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).send(image.buffer);
+
+  } catch (error) {
+    console.error('Get ticket proof of delivery error:', error);
+    next(error);
+  }
+};
+
+/**
+ * URL the ticket's proof of delivery images are served under
+ * @private
+ */
+function proofOfDeliveryUrl(ticket) {
+  return `/api/tickets/${encodeURIComponent(ticket.ticketId)}/proof-of-delivery`;
+}
+
+/**
+ * Add the phone number from the driver's profile to a populated driver
+ * @private
+ */
+async function withDriverPhone(driver) {
+  if (!driver) return driver;
+
+  const profile = await DriverProfile.findOne({ user: driver._id }).select('phone');
+  return { ...driver.toObject(), phone: profile?.phone || null };
+}
+
 /**
  * Calculate delivery progress percentage
  * @private
@@ -344,17 +407,24 @@ const getTicketParcelTracking = async (req, res, next) => {
 function calculateDeliveryProgress(parcel) {
   if (!parcel) return 0;
 
-  const statusProgress = {
-    'Created': 0,
-    'PickedUp': 25,
-    'InTransit': 50,
-    'OutForDelivery': 75,
-    'Delivered': 100,
-    'Returned': 0,
-    'Lost': 0
-  };
+  return lifecycleStatuses[parcel.status]?.progress || 0;
+}
 
-  return statusProgress[parcel.status] || 0;
+/**
+ * Status changes in the shape the ticket views display
+ * @private
+ */
+function buildTrackingHistory(parcel) {
+  if (!parcel || !parcel.statusHistory) return [];
+
+  return parcel.statusHistory.map(entry => {
+    const label = lifecycleStatuses[entry.status]?.label || entry.status;
+    return {
+      timestamp: entry.timestamp,
+      status: entry.status,
+      description: entry.reason ? `${label}: ${entry.reason}` : label
+    };
+  });
 }
 
 /**
@@ -362,13 +432,8 @@ function calculateDeliveryProgress(parcel) {
  * @private
  */
 function generateParcelStatusTimeline(parcel) {
-  if (!parcel || !parcel.trackingHistory) return [];
-
-  return parcel.trackingHistory.map(event => ({
-    timestamp: event.timestamp,
-    status: event.status,
-    location: event.location,
-    description: event.description,
+  return buildTrackingHistory(parcel).map(event => ({
+    ...event,
     type: 'status_change'
   })).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 }
@@ -381,12 +446,17 @@ function getNextMilestone(parcel) {
   if (!parcel) return null;
 
   const milestones = {
-    'Created': 'Pickup',
+    'Created': 'Pickup Scheduling',
+    'AwaitingPickup': 'Pickup',
     'PickedUp': 'In Transit',
+    'AtHub': 'In Transit',
     'InTransit': 'Out for Delivery',
     'OutForDelivery': 'Delivery',
+    'DeliveryFailed': 'Delivery Reattempt',
     'Delivered': null,
-    'Returned': 'Return Processing',
+    'ReturnToSender': 'Return to Sender',
+    'Returned': null,
+    'Cancelled': null,
     'Lost': 'Investigation Required'
   };
 
@@ -400,7 +470,9 @@ function getNextMilestone(parcel) {
 function calculateTimeInTransit(parcel) {
   if (!parcel || parcel.status !== 'InTransit') return null;
 
-  const pickupTime = parcel.trackingHistory?.find(event => event.status === 'PickedUp')?.timestamp;
+  // Parcels registered after collection are timed from their first history entry
+  const history = parcel.statusHistory || [];
+  const pickupTime = (history.find(event => event.status === 'PickedUp') || history[0])?.timestamp;
   if (!pickupTime) return null;
 
   const now = new Date();
@@ -419,5 +491,6 @@ function calculateTimeInTransit(parcel) {
 export {
   getTicketWithParcel,
   getTicketsWithParcelSummary,
-  getTicketParcelTracking
+  getTicketParcelTracking,
+  getTicketProofOfDeliveryFile
 };
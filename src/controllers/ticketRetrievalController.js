@@ -1,5 +1,7 @@
 import Ticket from '../models/Ticket.js';
 import User from '../models/User.js';
+import authorizationService from '../services/authorizationService.js';
+import { serializeTicket, serializeTickets } from '../serializers/ticketSerializer.js';
 
 /**
  * Ticket Retrieval Controller for EcoTrack Logistics System
@@ -7,13 +9,14 @@ import User from '../models/User.js';
  * Provides role-based ticket retrieval with filtering and pagination:
  * - Supervisor: view all tickets
  * - SupportAgent: view assigned tickets only
+ * - Customer: view own tickets, without internal fields
  * - Filtering by status, priority, issue type
  * - Paginated results with metadata
  */
 
 // @desc    Get tickets with filtering and pagination
 // @route   GET /api/tickets
-// @access  Private (Supervisor and SupportAgent only)
+// @access  Private (Supervisor, SupportAgent and Customer)
 const getTickets = async (req, res, next) => {
   try {
     const {
@@ -39,13 +42,6 @@ const getTickets = async (req, res, next) => {
     // Build base query
     let query = { isDeleted: false };
 
-    // Apply role-based access control
-    if (req.user.role === 'SupportAgent') {
-      // Support agents can only see tickets assigned to them
-      query.assignedTo = req.user.id;
-    }
-    // Supervisors can see all tickets (no additional filtering)
-
     // Apply filters
     if (status) {
       const validStatuses = ['Open', 'InProgress', 'Resolved'];
@@ -124,6 +120,9 @@ const getTickets = async (req, res, next) => {
       ];
     }
 
+    // Limit the listing to tickets the user may read; applied last so filters cannot widen it
+    Object.assign(query, authorizationService.scopeQuery(req.user, 'ticket:read'));
+
     // Build sort options
     const sortOptions = {};
     const validSortFields = ['createdAt', 'updatedAt', 'priority', 'status', 'issueType'];
@@ -152,7 +151,7 @@ const getTickets = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
-        tickets,
+        tickets: serializeTickets(tickets, req.user),
         pagination: {
           currentPage: pageNum,
           totalPages,
@@ -187,7 +186,7 @@ const getTickets = async (req, res, next) => {
 
 // @desc    Get single ticket by ID
 // @route   GET /api/tickets/:ticketId
-// @access  Private (Supervisor and SupportAgent only)
+// @access  Private (Supervisor, SupportAgent and Customer)
 const getTicket = async (req, res, next) => {
   try {
     const { ticketId } = req.params;
@@ -203,6 +202,7 @@ const getTicket = async (req, res, next) => {
       .populate('createdBy', 'name email role')
       .populate('assignedTo', 'name email role')
       .populate('parcel', 'parcelId status deliveryLocation pickupLocation')
+      .populate('replies.author', 'name role')
       .populate('activityHistory.performedBy', 'name email')
       .populate('attachments.uploadedBy', 'name email');
 
@@ -213,21 +213,19 @@ const getTicket = async (req, res, next) => {
       });
     }
 
-    // Role-based access control for single ticket
-    if (req.user.role === 'SupportAgent') {
-      // Support agents can only view tickets assigned to them
-      if (!ticket.assignedTo || ticket.assignedTo._id.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only view tickets assigned to you.'
-        });
-      }
+    // Support agents can only view tickets assigned to them, customers their own
+    if (!authorizationService.can(req.user, 'ticket:read', ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: req.user.role === 'Customer'
+          ? 'You can only view your own tickets.'
+          : 'You can only view tickets assigned to you.'
+      });
     }
-    // Supervisors can view any ticket
 
     res.status(200).json({
       success: true,
-      data: ticket,
+      data: serializeTicket(ticket, req.user),
       message: 'Ticket retrieved successfully.'
     });
 
@@ -252,14 +250,6 @@ const getTicketStatistics = async (req, res, next) => {
       groupBy = 'status' // Default grouping
     } = req.query;
 
-    // Check supervisor access
-    if (req.user.role !== 'Supervisor') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only supervisors can access ticket statistics.'
-      });
-    }
-
     // Build filters
     const filters = { isDeleted: false };
     
@@ -437,7 +427,7 @@ const getTicketStatistics = async (req, res, next) => {
 
 // @desc    Get user's accessible tickets (role-based)
 // @route   GET /api/tickets/my
-// @access  Private (Supervisor and SupportAgent only)
+// @access  Private (Supervisor, SupportAgent and Customer)
 const getMyTickets = async (req, res, next) => {
   try {
     const {
@@ -457,8 +447,8 @@ const getMyTickets = async (req, res, next) => {
     if (req.user.role === 'SupportAgent') {
       // Support agents see only their assigned tickets
       query.assignedTo = req.user.id;
-    } else if (req.user.role === 'Supervisor') {
-      // Supervisors see tickets they created
+    } else if (req.user.role === 'Supervisor' || req.user.role === 'Customer') {
+      // Supervisors and customers see tickets they created
       query.createdBy = req.user.id;
     }
 
@@ -482,7 +472,7 @@ const getMyTickets = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
-        tickets,
+        tickets: serializeTickets(tickets, req.user),
         pagination: {
           currentPage: pageNum,
           totalPages,
@@ -1,10 +1,11 @@
 import Ticket from '../models/Ticket.js';
 import User from '../models/User.js';
+import authorizationService from '../services/authorizationService.js';
 
 /**
  * Ticket Status Update Controller for EcoTrack Logistics System
  * 
- * Provides ticket status update functionality with role-based access control:
+ * Provides ticket status update functionality with permission-based access control:
  * - SupportAgent and Supervisor access
  * - Valid status transitions enforcement
  * - Comprehensive activity logging
@@ -83,12 +84,8 @@ const updateTicketStatus = async (req, res, next) => {
       }
     }
 
-    // Role-based access control
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedAgent = req.user.role === 'SupportAgent' && 
-      ticket.assignedTo && ticket.assignedTo.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedAgent) {
+    // Support agents may only update tickets assigned to them
+    if (!authorizationService.can(req.user, 'ticket:update-status', ticket)) {
       return res.status(403).json({
         success: false,
         message: 'You can only update status for tickets assigned to you.'
@@ -242,12 +239,8 @@ const getStatusHistory = async (req, res, next) => {
       });
     }
 
-    // Role-based access control
-    const isSupervisor = req.user.role === 'Supervisor';
-    const isAssignedAgent = req.user.role === 'SupportAgent' && 
-      ticket.assignedTo && ticket.assignedTo.toString() === req.user.id;
-
-    if (!isSupervisor && !isAssignedAgent) {
+    // Support agents may only view tickets assigned to them
+    if (!authorizationService.can(req.user, 'ticket:read-internal', ticket)) {
       return res.status(403).json({
         success: false,
         message: 'You can only view status history for tickets assigned to you.'
@@ -0,0 +1,239 @@
+import bcrypt from 'bcrypt';
+
+import User from '../models/User.js';
+import twoFactorService from '../services/twoFactorService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+
+/**
+ * Two-Factor Authentication Controller for EcoTrack Logistics System
+ *
+ * Lets signed-in users manage TOTP two-factor authentication:
+ * - Enrolment with a provisioning URI for authenticator apps, confirmed by a first code
+ * - One-time recovery codes, shown once and regenerable
+ * - Disabling 2FA, unless the role policy makes it mandatory
+ */
+
+// Secret fields are select: false and only loaded where codes are checked
+const secretFields = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+const recordTwoFactorEvent = (req, user, type) => loginProtectionService.recordEvent({
+  type,
+  email: user.email,
+  user: user._id,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  performedBy: req.user.id,
+});
+
+// @desc    Two-factor status of the signed-in user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodeHashes');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    return res.status(200).json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: twoFactorService.isRequiredFor(user.role),
+      recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodeHashes.length : 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start enrolment: generate a secret and its provisioning URI for a QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+
+    // Repeating setup replaces the pending secret, so only the latest QR code can be confirmed
+    const secret = twoFactorService.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    return res.status(200).json({
+      message: 'Scan the code with an authenticator app, then confirm with a code to enable two-factor authentication.',
+      secret,
+      otpauthUri: twoFactorService.getProvisioningUri(secret, user.email),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required.' });
+    }
+
+    const user = await User.findById(req.user.id).select(secretFields);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup before enabling it.' });
+    }
+
+    const step = twoFactorService.verifyCode(pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code.' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+    // Conditional on the pending secret, so two concurrent confirmations cannot both succeed
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': pendingSecret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': pendingSecret,
+          'twoFactor.recoveryCodeHashes': hashes,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date(),
+        },
+        $unset: { 'twoFactor.pendingSecret': '' },
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return res.status(409).json({ message: 'Two-factor setup changed while enabling. Please start again.' });
+    }
+
+    await recordTwoFactorEvent(req, user, 'TwoFactorEnabled');
+
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Password and a code or recovery code are required.' });
+    }
+
+    const user = await User.findById(req.user.id).select(secretFields);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+    }
+
+    if (twoFactorService.isRequiredFor(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role.' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Current password is incorrect.' });
+    }
+
+    const { accepted } = await twoFactorService.consumeCode(user, { code, recoveryCode });
+    if (!accepted) {
+      return res.status(401).json({ message: 'Invalid two-factor code.' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodeHashes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': '',
+        },
+      }
+    );
+
+    await recordTwoFactorEvent(req, user, 'TwoFactorDisabled');
+
+    return res.status(200).json({ message: 'Two-factor authentication disabled.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace all recovery codes with a new set
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required.' });
+    }
+
+    const user = await User.findById(req.user.id).select(secretFields);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+    }
+
+    // Only an authenticator code will do; a recovery code cannot mint new ones
+    const { accepted } = await twoFactorService.consumeCode(user, { code });
+    if (!accepted) {
+      return res.status(401).json({ message: 'Invalid two-factor code.' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodeHashes': hashes } });
+
+    return res.status(200).json({
+      message: 'Recovery codes regenerated. Earlier codes no longer work.',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
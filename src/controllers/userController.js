@@ -0,0 +1,687 @@
+import mongoose from 'mongoose';
+
+import User, { roles as availableRoles, approvalStatuses } from '../models/User.js';
+import AuthEvent, { authEventTypes } from '../models/AuthEvent.js';
+import tokenService from '../services/tokenService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+
+/**
+ * User Management Controller for EcoTrack Logistics System
+ *
+ * Provides Supervisor-only user administration:
+ * - Listing with role, status and text filters
+ * - Profile updates including role changes
+ * - Deactivation and reactivation of accounts
+ * - Approving or rejecting self-registered staff accounts
+ * - Lifting login lockouts and reviewing the auth event log
+ * - Resetting two-factor authentication for users who lost their authenticator
+ */
+
+// Fields returned to clients; password and token bookkeeping stay server-side
+const publicUserFields = 'name email role isActive deactivatedAt deactivatedBy approvalStatus approvalReviewedAt approvalReviewedBy invitedBy twoFactor.enabled twoFactor.enabledAt createdAt updatedAt';
+
+// Escape user input before embedding it in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get users with filtering and pagination
+// @route   GET /api/users
+// @access  Private (Supervisor only)
+const getUsers = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      role,
+      isActive,
+      approvalStatus,
+      search,
+      sortBy = 'name',
+      sortOrder = 'asc'
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+
+    if (role) {
+      if (!availableRoles.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${availableRoles.join(', ')}.`
+        });
+      }
+      query.role = role;
+    }
+
+    if (isActive !== undefined) {
+      if (!['true', 'false'].includes(isActive)) {
+        return res.status(400).json({
+          success: false,
+          message: 'isActive must be either true or false.'
+        });
+      }
+      // Accounts created before deactivation existed have no isActive field
+      query.isActive = isActive === 'true' ? { $ne: false } : false;
+    }
+
+    if (approvalStatus) {
+      if (!approvalStatuses.includes(approvalStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid approvalStatus. Must be one of: ${approvalStatuses.join(', ')}.`
+        });
+      }
+      // Accounts created before approvals existed have no approvalStatus field
+      query.approvalStatus = approvalStatus === 'Approved' ? { $in: ['Approved', null] } : approvalStatus;
+    }
+
+    // Text search over name and email
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const sortOptions = {};
+    const validSortFields = ['name', 'email', 'role', 'createdAt', 'updatedAt'];
+    const sortField = validSortFields.includes(sortBy) ? sortBy : 'name';
+    sortOptions[sortField] = sortOrder === 'desc' ? -1 : 1;
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(publicUserFields)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalUsers: total,
+          limit: limitNum,
+          hasNextPage,
+          hasPrevPage,
+          nextPage: hasNextPage ? pageNum + 1 : null,
+          prevPage: hasPrevPage ? pageNum - 1 : null
+        },
+        filters: {
+          role,
+          isActive,
+          approvalStatus,
+          search,
+          sortBy,
+          sortOrder
+        }
+      },
+      message: 'Users retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get a single user
+// @route   GET /api/users/:userId
+// @access  Private (Supervisor only)
+const getUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select(publicUserFields)
+      .populate('deactivatedBy', 'name email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const loginStatus = await loginProtectionService.getEmailStatus(user.email);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...user.toObject(),
+        loginStatus
+      },
+      message: 'User retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    next(error);
+  }
+};
+
+// @desc    Update a user's name, email or role
+// @route   PATCH /api/users/:userId
+// @access  Private (Supervisor only)
+const updateUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { name, email, role } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    if (name === undefined && email === undefined && role === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: name, email, role.'
+      });
+    }
+
+    if (role !== undefined && !availableRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${availableRoles.join(', ')}.`
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    // Supervisors cannot demote themselves and lock everyone out of administration
+    if (role !== undefined && user.id === req.user.id && role !== user.role) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role.'
+      });
+    }
+
+    if (email !== undefined) {
+      const normalizedEmail = String(email).toLowerCase().trim();
+      const existingUser = await User.findOne({ email: normalizedEmail, _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email is already registered.'
+        });
+      }
+      user.email = normalizedEmail;
+    }
+
+    if (name !== undefined) {
+      user.name = String(name).trim();
+    }
+
+    const roleChanged = role !== undefined && role !== user.role;
+    if (roleChanged) {
+      user.role = role;
+    }
+
+    await user.save();
+
+    // Tokens carry the role claim, so a role change must force a fresh login
+    if (roleChanged) {
+      await tokenService.revokeAllForUser(user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await User.findById(user._id).select(publicUserFields),
+      message: 'User updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update user error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed.',
+        errors: validationErrors
+      });
+    }
+
+    next(error);
+  }
+};
+
+// @desc    Deactivate a user account and revoke its tokens
+// @route   PATCH /api/users/:userId/deactivate
+// @access  Private (Supervisor only)
+const deactivateUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account.'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already deactivated.'
+      });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user.id;
+    await user.save();
+
+    // End every session the user holds right away
+    await tokenService.revokeAllForUser(user.id);
+
+    res.status(200).json({
+      success: true,
+      data: await User.findById(user._id).select(publicUserFields),
+      message: 'User deactivated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    next(error);
+  }
+};
+
+// @desc    Reactivate a previously deactivated user account
+// @route   PATCH /api/users/:userId/reactivate
+// @access  Private (Supervisor only)
+const reactivateUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (user.isActive !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active.'
+      });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: await User.findById(user._id).select(publicUserFields),
+      message: 'User reactivated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    next(error);
+  }
+};
+
+// Shared handler for approving or rejecting a pending registration
+const reviewRegistration = (decision) => async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (user.approvalStatus !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'User registration is not awaiting approval.'
+      });
+    }
+
+    user.approvalStatus = decision;
+    user.approvalReviewedAt = new Date();
+    user.approvalReviewedBy = req.user.id;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: await User.findById(user._id).select(publicUserFields),
+      message: decision === 'Approved'
+        ? 'User registration approved successfully.'
+        : 'User registration rejected successfully.'
+    });
+
+  } catch (error) {
+    console.error('Review registration error:', error);
+    next(error);
+  }
+};
+
+// @desc    Approve a pending registration so the user can sign in
+// @route   PATCH /api/users/:userId/approve
+// @access  Private (Supervisor only)
+const approveUser = reviewRegistration('Approved');
+
+// @desc    Reject a pending registration
+// @route   PATCH /api/users/:userId/reject
+// @access  Private (Supervisor only)
+const rejectUser = reviewRegistration('Rejected');
+
+// @desc    Lift a login lockout on a user account
+// @route   PATCH /api/users/:userId/unlock
+// @access  Private (Supervisor only)
+const unlockUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const { isLocked } = await loginProtectionService.getEmailStatus(user.email);
+
+    // Clearing also resets the escalation, so the next lockout starts from the base duration
+    await loginProtectionService.unlockEmail(user.email);
+    await loginProtectionService.recordEvent({
+      type: 'AccountUnlocked',
+      email: user.email,
+      user: user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      performedBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: await User.findById(user._id).select(publicUserFields),
+        wasLocked: isLocked
+      },
+      message: 'User login lockout cleared successfully.'
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    next(error);
+  }
+};
+
+// @desc    Turn off two-factor authentication so the user can log in with a password and enrol again
+// @route   PATCH /api/users/:userId/reset-2fa
+// @access  Private (Supervisor only)
+const resetTwoFactor = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user.'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodeHashes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': ''
+        }
+      }
+    );
+
+    // Existing sessions were opened with the lost factor, so sign them all out
+    await tokenService.revokeAllForUser(user.id);
+
+    await loginProtectionService.recordEvent({
+      type: 'TwoFactorDisabled',
+      email: user.email,
+      user: user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      performedBy: req.user.id,
+      reason: 'Reset by Supervisor'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: await User.findById(user._id).select(publicUserFields)
+      },
+      message: 'Two-factor authentication reset successfully.'
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get the auth event log with filtering and pagination
+// @route   GET /api/users/auth-events
+// @access  Private (Supervisor only)
+const getAuthEvents = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      type,
+      email,
+      userId,
+      ipAddress,
+      dateFrom,
+      dateTo
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+
+    if (type) {
+      if (!authEventTypes.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid event type. Must be one of: ${authEventTypes.join(', ')}.`
+        });
+      }
+      query.type = type;
+    }
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID.'
+        });
+      }
+      query.user = userId;
+    }
+
+    if (email) {
+      query.email = String(email).toLowerCase().trim();
+    }
+
+    if (ipAddress) {
+      query.ipAddress = ipAddress;
+    }
+
+    if (dateFrom || dateTo) {
+      query.timestamp = {};
+      if (dateFrom) {
+        const from = new Date(dateFrom);
+        if (isNaN(from.getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid dateFrom format.'
+          });
+        }
+        query.timestamp.$gte = from;
+      }
+      if (dateTo) {
+        const to = new Date(dateTo);
+        if (isNaN(to.getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid dateTo format.'
+          });
+        }
+        query.timestamp.$lte = to;
+      }
+    }
+
+    const [events, total] = await Promise.all([
+      AuthEvent.find(query)
+        .populate('user', 'name email role')
+        .populate('performedBy', 'name email')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      AuthEvent.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalEvents: total,
+          limit: limitNum,
+          hasNextPage,
+          hasPrevPage,
+          nextPage: hasNextPage ? pageNum + 1 : null,
+          prevPage: hasPrevPage ? pageNum - 1 : null
+        },
+        filters: {
+          type,
+          email,
+          userId,
+          ipAddress,
+          dateFrom,
+          dateTo
+        }
+      },
+      message: 'Auth events retrieved successfully.'
+    });
+
+  } catch (error) {
+    console.error('Get auth events error:', error);
+    next(error);
+  }
+};
+
+export {
+  getUsers,
+  getUser,
+  updateUser,
+  deactivateUser,
+  reactivateUser,
+  approveUser,
+  rejectUser,
+  unlockUser,
+  resetTwoFactor,
+  getAuthEvents
+};
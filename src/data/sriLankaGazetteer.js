@@ -0,0 +1,114 @@
+// Gazetteer of Sri Lankan cities, towns and Colombo postal zones used by the offline geocoder.
+//
+// Coordinates are town centres in decimal degrees (WGS 84); postcodes are Sri Lanka Post codes
+// for the main post office of each place. Aliases cover common alternative spellings and the
+// neighbourhood names used for Colombo's numbered zones.
+
+const sriLankaGazetteer = [
+  // Colombo postal zones
+  { name: 'Colombo 01', aliases: ['colombo 1', 'fort', 'colombo fort'], postcode: '00100', district: 'Colombo', province: 'Western', latitude: 6.9344, longitude: 79.8428 },
+  { name: 'Colombo 02', aliases: ['colombo 2', 'slave island', 'union place'], postcode: '00200', district: 'Colombo', province: 'Western', latitude: 6.9240, longitude: 79.8490 },
+  { name: 'Colombo 03', aliases: ['colombo 3', 'kollupitiya', 'kolpetty'], postcode: '00300', district: 'Colombo', province: 'Western', latitude: 6.9106, longitude: 79.8514 },
+  { name: 'Colombo 04', aliases: ['colombo 4', 'bambalapitiya'], postcode: '00400', district: 'Colombo', province: 'Western', latitude: 6.8887, longitude: 79.8564 },
+  { name: 'Colombo 05', aliases: ['colombo 5', 'havelock town', 'kirulapone', 'narahenpita'], postcode: '00500', district: 'Colombo', province: 'Western', latitude: 6.8800, longitude: 79.8650 },
+  { name: 'Colombo 06', aliases: ['colombo 6', 'wellawatte', 'wellawatta', 'pamankada'], postcode: '00600', district: 'Colombo', province: 'Western', latitude: 6.8747, longitude: 79.8606 },
+  { name: 'Colombo 07', aliases: ['colombo 7', 'cinnamon gardens', 'kurunduwatta'], postcode: '00700', district: 'Colombo', province: 'Western', latitude: 6.9110, longitude: 79.8670 },
+  { name: 'Colombo 08', aliases: ['colombo 8', 'borella'], postcode: '00800', district: 'Colombo', province: 'Western', latitude: 6.9147, longitude: 79.8778 },
+  { name: 'Colombo 09', aliases: ['colombo 9', 'dematagoda'], postcode: '00900', district: 'Colombo', province: 'Western', latitude: 6.9330, longitude: 79.8780 },
+  { name: 'Colombo 10', aliases: ['maradana'], postcode: '01000', district: 'Colombo', province: 'Western', latitude: 6.9290, longitude: 79.8650 },
+  { name: 'Colombo 11', aliases: ['pettah'], postcode: '01100', district: 'Colombo', province: 'Western', latitude: 6.9370, longitude: 79.8500 },
+  { name: 'Colombo 12', aliases: ['hulftsdorp'], postcode: '01200', district: 'Colombo', province: 'Western', latitude: 6.9420, longitude: 79.8580 },
+  { name: 'Colombo 13', aliases: ['kotahena'], postcode: '01300', district: 'Colombo', province: 'Western', latitude: 6.9480, longitude: 79.8600 },
+  { name: 'Colombo 14', aliases: ['grandpass'], postcode: '01400', district: 'Colombo', province: 'Western', latitude: 6.9500, longitude: 79.8720 },
+  { name: 'Colombo 15', aliases: ['mattakkuliya', 'modara', 'mutwal'], postcode: '01500', district: 'Colombo', province: 'Western', latitude: 6.9680, longitude: 79.8700 },
+  // City centre, for addresses that only say "Colombo"
+  { name: 'Colombo', aliases: [], postcode: null, district: 'Colombo', province: 'Western', latitude: 6.9271, longitude: 79.8612 },
+
+  // Western Province
+  { name: 'Sri Jayawardenepura Kotte', aliases: ['kotte'], postcode: '10100', district: 'Colombo', province: 'Western', latitude: 6.8905, longitude: 79.9015 },
+  { name: 'Battaramulla', aliases: [], postcode: '10120', district: 'Colombo', province: 'Western', latitude: 6.9000, longitude: 79.9180 },
+  { name: 'Malabe', aliases: [], postcode: '10115', district: 'Colombo', province: 'Western', latitude: 6.9040, longitude: 79.9580 },
+  { name: 'Kaduwela', aliases: [], postcode: '10640', district: 'Colombo', province: 'Western', latitude: 6.9360, longitude: 79.9840 },
+  { name: 'Dehiwala', aliases: ['dehiwela'], postcode: '10350', district: 'Colombo', province: 'Western', latitude: 6.8510, longitude: 79.8650 },
+  { name: 'Mount Lavinia', aliases: ['mt lavinia'], postcode: '10370', district: 'Colombo', province: 'Western', latitude: 6.8390, longitude: 79.8630 },
+  { name: 'Nugegoda', aliases: [], postcode: '10250', district: 'Colombo', province: 'Western', latitude: 6.8649, longitude: 79.8997 },
+  { name: 'Maharagama', aliases: [], postcode: '10280', district: 'Colombo', province: 'Western', latitude: 6.8480, longitude: 79.9265 },
+  { name: 'Homagama', aliases: [], postcode: '10200', district: 'Colombo', province: 'Western', latitude: 6.8440, longitude: 80.0020 },
+  { name: 'Piliyandala', aliases: [], postcode: '10300', district: 'Colombo', province: 'Western', latitude: 6.8018, longitude: 79.9227 },
+  { name: 'Moratuwa', aliases: [], postcode: '10400', district: 'Colombo', province: 'Western', latitude: 6.7730, longitude: 79.8816 },
+  { name: 'Avissawella', aliases: ['awissawella'], postcode: '10700', district: 'Colombo', province: 'Western', latitude: 6.9550, longitude: 80.2100 },
+  { name: 'Negombo', aliases: ['migamuwa'], postcode: '11500', district: 'Gampaha', province: 'Western', latitude: 7.2083, longitude: 79.8358 },
+  { name: 'Katunayake', aliases: [], postcode: '11450', district: 'Gampaha', province: 'Western', latitude: 7.1700, longitude: 79.8830 },
+  { name: 'Ja-Ela', aliases: ['ja ela', 'jaela'], postcode: '11350', district: 'Gampaha', province: 'Western', latitude: 7.0750, longitude: 79.8910 },
+  { name: 'Wattala', aliases: [], postcode: '11300', district: 'Gampaha', province: 'Western', latitude: 6.9890, longitude: 79.8910 },
+  { name: 'Kelaniya', aliases: [], postcode: '11600', district: 'Gampaha', province: 'Western', latitude: 6.9550, longitude: 79.9220 },
+  { name: 'Kadawatha', aliases: [], postcode: '11850', district: 'Gampaha', province: 'Western', latitude: 7.0010, longitude: 79.9530 },
+  { name: 'Ragama', aliases: [], postcode: '11010', district: 'Gampaha', province: 'Western', latitude: 7.0310, longitude: 79.9220 },
+  { name: 'Gampaha', aliases: [], postcode: '11000', district: 'Gampaha', province: 'Western', latitude: 7.0917, longitude: 79.9997 },
+  { name: 'Minuwangoda', aliases: [], postcode: '11550', district: 'Gampaha', province: 'Western', latitude: 7.1660, longitude: 79.9530 },
+  { name: 'Panadura', aliases: [], postcode: '12500', district: 'Kalutara', province: 'Western', latitude: 6.7132, longitude: 79.9026 },
+  { name: 'Horana', aliases: [], postcode: '12400', district: 'Kalutara', province: 'Western', latitude: 6.7159, longitude: 80.0626 },
+  { name: 'Kalutara', aliases: ['kalutara south'], postcode: '12000', district: 'Kalutara', province: 'Western', latitude: 6.5854, longitude: 79.9607 },
+  { name: 'Beruwala', aliases: ['beruwela'], postcode: '12070', district: 'Kalutara', province: 'Western', latitude: 6.4788, longitude: 79.9828 },
+
+  // Southern Province
+  { name: 'Bentota', aliases: [], postcode: '80500', district: 'Galle', province: 'Southern', latitude: 6.4260, longitude: 80.0000 },
+  { name: 'Ambalangoda', aliases: [], postcode: '80300', district: 'Galle', province: 'Southern', latitude: 6.2350, longitude: 80.0540 },
+  { name: 'Hikkaduwa', aliases: [], postcode: '80240', district: 'Galle', province: 'Southern', latitude: 6.1395, longitude: 80.1063 },
+  { name: 'Galle', aliases: ['galle fort'], postcode: '80000', district: 'Galle', province: 'Southern', latitude: 6.0535, longitude: 80.2210 },
+  { name: 'Weligama', aliases: [], postcode: '81700', district: 'Matara', province: 'Southern', latitude: 5.9749, longitude: 80.4297 },
+  { name: 'Matara', aliases: [], postcode: '81000', district: 'Matara', province: 'Southern', latitude: 5.9549, longitude: 80.5550 },
+  { name: 'Tangalle', aliases: ['tangalla'], postcode: '82200', district: 'Hambantota', province: 'Southern', latitude: 6.0240, longitude: 80.7940 },
+  { name: 'Hambantota', aliases: [], postcode: '82000', district: 'Hambantota', province: 'Southern', latitude: 6.1241, longitude: 81.1185 },
+  { name: 'Tissamaharama', aliases: ['tissa'], postcode: '82600', district: 'Hambantota', province: 'Southern', latitude: 6.2780, longitude: 81.2870 },
+
+  // Central Province
+  { name: 'Kandy', aliases: ['maha nuwara', 'senkadagala'], postcode: '20000', district: 'Kandy', province: 'Central', latitude: 7.2906, longitude: 80.6337 },
+  { name: 'Peradeniya', aliases: [], postcode: '20400', district: 'Kandy', province: 'Central', latitude: 7.2690, longitude: 80.5940 },
+  { name: 'Katugastota', aliases: [], postcode: '20800', district: 'Kandy', province: 'Central', latitude: 7.3170, longitude: 80.6210 },
+  { name: 'Gampola', aliases: [], postcode: '20500', district: 'Kandy', province: 'Central', latitude: 7.1640, longitude: 80.5770 },
+  { name: 'Nuwara Eliya', aliases: ['nuwaraeliya'], postcode: '22200', district: 'Nuwara Eliya', province: 'Central', latitude: 6.9497, longitude: 80.7891 },
+  { name: 'Hatton', aliases: [], postcode: '22000', district: 'Nuwara Eliya', province: 'Central', latitude: 6.8916, longitude: 80.5955 },
+  { name: 'Matale', aliases: [], postcode: '21000', district: 'Matale', province: 'Central', latitude: 7.4675, longitude: 80.6234 },
+  { name: 'Dambulla', aliases: [], postcode: '21100', district: 'Matale', province: 'Central', latitude: 7.8600, longitude: 80.6517 },
+  { name: 'Sigiriya', aliases: [], postcode: '21120', district: 'Matale', province: 'Central', latitude: 7.9570, longitude: 80.7600 },
+
+  // Uva Province
+  { name: 'Badulla', aliases: [], postcode: '90000', district: 'Badulla', province: 'Uva', latitude: 6.9934, longitude: 81.0550 },
+  { name: 'Bandarawela', aliases: [], postcode: '90100', district: 'Badulla', province: 'Uva', latitude: 6.8290, longitude: 80.9870 },
+  { name: 'Ella', aliases: [], postcode: '90090', district: 'Badulla', province: 'Uva', latitude: 6.8667, longitude: 81.0466 },
+  { name: 'Monaragala', aliases: ['moneragala'], postcode: '91000', district: 'Monaragala', province: 'Uva', latitude: 6.8728, longitude: 81.3507 },
+  { name: 'Wellawaya', aliases: [], postcode: '91200', district: 'Monaragala', province: 'Uva', latitude: 6.7370, longitude: 81.1030 },
+
+  // Sabaragamuwa Province
+  { name: 'Ratnapura', aliases: ['rathnapura'], postcode: '70000', district: 'Ratnapura', province: 'Sabaragamuwa', latitude: 6.6828, longitude: 80.3992 },
+  { name: 'Balangoda', aliases: [], postcode: '70100', district: 'Ratnapura', province: 'Sabaragamuwa', latitude: 6.6470, longitude: 80.7000 },
+  { name: 'Embilipitiya', aliases: [], postcode: '70200', district: 'Ratnapura', province: 'Sabaragamuwa', latitude: 6.3430, longitude: 80.8490 },
+  { name: 'Kegalle', aliases: ['kegalla'], postcode: '71000', district: 'Kegalle', province: 'Sabaragamuwa', latitude: 7.2513, longitude: 80.3464 },
+  { name: 'Mawanella', aliases: [], postcode: '71500', district: 'Kegalle', province: 'Sabaragamuwa', latitude: 7.2520, longitude: 80.4460 },
+
+  // North Western Province
+  { name: 'Kurunegala', aliases: ['kurunagala'], postcode: '60000', district: 'Kurunegala', province: 'North Western', latitude: 7.4863, longitude: 80.3623 },
+  { name: 'Kuliyapitiya', aliases: [], postcode: '60200', district: 'Kurunegala', province: 'North Western', latitude: 7.4690, longitude: 80.0410 },
+  { name: 'Chilaw', aliases: ['halawatha'], postcode: '61000', district: 'Puttalam', province: 'North Western', latitude: 7.5758, longitude: 79.7953 },
+  { name: 'Puttalam', aliases: [], postcode: '61300', district: 'Puttalam', province: 'North Western', latitude: 8.0362, longitude: 79.8283 },
+
+  // North Central Province
+  { name: 'Anuradhapura', aliases: [], postcode: '50000', district: 'Anuradhapura', province: 'North Central', latitude: 8.3114, longitude: 80.4037 },
+  { name: 'Polonnaruwa', aliases: [], postcode: '51000', district: 'Polonnaruwa', province: 'North Central', latitude: 7.9403, longitude: 81.0188 },
+
+  // Eastern Province
+  { name: 'Trincomalee', aliases: ['trinco'], postcode: '31000', district: 'Trincomalee', province: 'Eastern', latitude: 8.5874, longitude: 81.2152 },
+  { name: 'Batticaloa', aliases: [], postcode: '30000', district: 'Batticaloa', province: 'Eastern', latitude: 7.7310, longitude: 81.6747 },
+  { name: 'Ampara', aliases: [], postcode: '32000', district: 'Ampara', province: 'Eastern', latitude: 7.2975, longitude: 81.6820 },
+  { name: 'Kalmunai', aliases: [], postcode: '32300', district: 'Ampara', province: 'Eastern', latitude: 7.4167, longitude: 81.8167 },
+
+  // Northern Province
+  { name: 'Jaffna', aliases: ['yalpanam'], postcode: '40000', district: 'Jaffna', province: 'Northern', latitude: 9.6615, longitude: 80.0255 },
+  { name: 'Kilinochchi', aliases: [], postcode: '44000', district: 'Kilinochchi', province: 'Northern', latitude: 9.3803, longitude: 80.3770 },
+  { name: 'Mannar', aliases: [], postcode: '41000', district: 'Mannar', province: 'Northern', latitude: 8.9810, longitude: 79.9044 },
+  { name: 'Vavuniya', aliases: [], postcode: '43000', district: 'Vavuniya', province: 'Northern', latitude: 8.7514, longitude: 80.4971 },
+  { name: 'Mullaitivu', aliases: [], postcode: '42000', district: 'Mullaitivu', province: 'Northern', latitude: 9.2671, longitude: 80.8142 },
+];
+
+export default sriLankaGazetteer;
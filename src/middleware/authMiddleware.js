@@ -1,6 +1,13 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 
 import User from '../models/User.js';
+import tokenService from '../services/tokenService.js';
+import sessionService from '../services/sessionService.js';
+import authorizationService from '../services/authorizationService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import { isDevAuthEnabled } from '../config/devAuth.js';
 
 const extractToken = (authorizationHeader = '') => {
   if (authorizationHeader.startsWith('Bearer ')) {
@@ -9,14 +16,52 @@ const extractToken = (authorizationHeader = '') => {
   return null;
 };
 
+// Authenticate an integration by API key and attach it as the request principal
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const result = await apiKeyService.authenticate(rawKey, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  if (result.apiKey) {
+    res.set('X-RateLimit-Limit', String(result.apiKey.rateLimitPerMinute));
+    res.set('X-RateLimit-Remaining', String(apiKeyService.getRemainingRequests(result.apiKey)));
+  }
+
+  if (result.error) {
+    if (result.retryAfterSeconds) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+    }
+    return res.status(result.status).json({ message: result.error });
+  }
+
+  const { apiKey } = result;
+
+  // Keys have no role; requirePermission resolves their scopes instead
+  req.user = {
+    id: apiKey.id,
+    name: apiKey.name,
+    email: null,
+    role: 'ApiClient',
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+  req.apiKey = apiKey;
+
+  return next();
+};
+
 const protect = async (req, res, next) => {
   try {
     const token = extractToken(req.headers.authorization);
-    console.log('Auth Debug - Token extracted:', !!token);
-    console.log('Auth Debug - Authorization header:', req.headers.authorization);
+    const headerApiKey = req.get('x-api-key');
+
+    // Integrations may send their key as X-API-Key or as a bearer credential
+    if (headerApiKey || apiKeyService.isApiKey(token)) {
+      return await authenticateApiKey(headerApiKey || token, req, res, next);
+    }
 
     if (!token) {
-      console.log('Auth Debug - No token found');
       return res.status(401).json({ message: 'Authentication token missing.' });
     }
 
@@ -24,65 +69,23 @@ const protect = async (req, res, next) => {
       throw new Error('JWT_SECRET is not configured.');
     }
 
-    let decoded;
-    
-    // Check if this is a mock token (single base64 part) or real JWT (3 parts)
-    const tokenParts = token.split('.');
-    console.log('Auth Debug - Token parts:', tokenParts.length);
-    
-    if (tokenParts.length === 1) {
-      // This is a mock token - just decode the base64
-      try {
-        decoded = JSON.parse(Buffer.from(token, 'base64').toString());
-        console.log('Auth Debug - Mock token decoded:', decoded);
-      } catch (error) {
-        console.log('Auth Debug - Failed to decode mock token:', error.message);
-        return res.status(401).json({ message: 'Invalid token format.' });
-      }
-    } else {
-      // This is a real JWT - verify it
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-        console.log('Auth Debug - Real JWT decoded successfully:', decoded);
-      } catch (jwtError) {
-        console.log('Auth Debug - JWT verification failed:', jwtError.message);
-        return res.status(401).json({ message: 'Invalid authentication token.' });
-      }
-    }
-
-    // Handle both standard JWT format (with sub) and nested user object format
-    const userId = decoded.sub || decoded.user?.id;
-    console.log('Auth Debug - User ID extracted:', userId);
-    
-    if (!userId) {
-      console.log('Auth Debug - No user ID found in token');
+    // Only signed JWTs are accepted; verification fails for unsigned or tampered tokens
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+
+    const userId = decoded.sub;
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(401).json({ message: 'Invalid token structure: user ID missing.' });
     }
 
-    // For development/testing with mock tokens that have non-ObjectId IDs
-    console.log('Auth Debug - Checking mock token conditions:');
-    console.log('  - userId === "716":', userId === '716');
-    console.log('  - userId === 716:', userId === 716);
-    console.log('  - userId type:', typeof userId);
-    console.log('  - userId as string:', String(userId));
-    console.log('  - ObjectId regex test:', !String(userId).match(/^[0-9a-fA-F]{24}$/));
-    
-    if (userId === '716' || userId === 716 || (typeof userId === 'string' && !userId.match(/^[0-9a-fA-F]{24}$/))) {
-      console.log('Auth Debug - Using mock user for ID:', userId);
-      // Create a mock user for testing purposes
-      const mockUser = {
-        id: String(userId),
-        name: decoded.user?.name || 'Test User',
-        email: decoded.user?.email || 'test@example.com',
-        role: decoded.user?.role || decoded.role || 'Supervisor'
-      };
-      
-      console.log('Auth Debug - Mock user created:', mockUser);
-      req.user = mockUser;
-      return next();
+    // Tokens minted by the dev-token endpoint stop working once development mode is off
+    if (decoded.dev && !isDevAuthEnabled()) {
+      return res.status(401).json({ message: 'Development tokens are disabled.' });
     }
 
-    console.log('Auth Debug - Proceeding with database lookup for user ID:', userId);
+    // Reject access tokens that were explicitly revoked (e.g. on logout)
+    if (await tokenService.isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({ message: 'Authentication token has been revoked.' });
+    }
 
     // Retrieve the authenticated user so downstream handlers have access to role and profile
     const user = await User.findById(userId).select('-password');
@@ -90,6 +93,30 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'User associated with token no longer exists.' });
     }
 
+    if (user.isActive === false) {
+      return res.status(401).json({ message: 'User account has been deactivated.' });
+    }
+
+    // Tokens issued before the user's last forced sign-out are no longer valid
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Authentication token has been revoked.' });
+    }
+
+    // Every access token belongs to a session that can be signed out remotely
+    const session = await sessionService.getActiveSession(decoded.sid, user.id);
+    if (!session) {
+      return res.status(401).json({ message: 'Session has been signed out.' });
+    }
+    await sessionService.touch(session, req.ip);
+
+    // Roles under the 2FA policy can only reach enrolment (and sign-out) until they enable it
+    if (!user.twoFactor?.enabled && twoFactorService.isRequiredFor(user.role) && !req.allowsTwoFactorSetup) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be enabled for your role.',
+        twoFactorSetupRequired: true,
+      });
+    }
+
     // Attach authenticated user details to request for protected routes
     req.user = {
       id: user.id,
@@ -97,6 +124,8 @@ const protect = async (req, res, next) => {
       email: user.email,
       role: user.role,
     };
+    // Keep the verified token claims for handlers that act on the token itself (logout)
+    req.auth = decoded;
 
     next();
   } catch (error) {
@@ -112,23 +141,18 @@ const protect = async (req, res, next) => {
   }
 };
 
-const authorizeRoles = (...allowedRoles) => {
-  const allowed = new Set(allowedRoles);
+// Allow the request when the caller's role (or API key scopes) holds the permission in src/config/permissions.js.
+// Scoped grants (e.g. "assigned driver only") pass here; controllers check the resource itself.
+const requirePermission = (permission) => {
+  // Resolve once at startup so a typo in a route definition fails immediately
+  authorizationService.getScope(undefined, permission);
 
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required.' });
     }
 
-    const { role } = req.user;
-
-    // Supervisors can access any protected route without extra checks
-    if (role === 'Supervisor') {
-      return next();
-    }
-
-    // Example usage: authorizeRoles('Driver') for delivery specific endpoints
-    if (allowed.size === 0 || allowed.has(role)) {
+    if (authorizationService.getGrant(req.user, permission)) {
       return next();
     }
 
@@ -136,21 +160,18 @@ const authorizeRoles = (...allowedRoles) => {
   };
 };
 
-// A stricter version of authorizeRoles that does not grant automatic access to Supervisors
-const authorizeExactRoles = (...allowedRoles) => {
-  const allowed = new Set(allowedRoles);
-
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ message: 'Authentication required.' });
-    }
-
-    if (allowed.has(req.user.role)) {
-      return next();
-    }
+// Mark a route as reachable by users who still have to enrol in mandatory 2FA; place before protect
+const allowTwoFactorSetup = (req, res, next) => {
+  req.allowsTwoFactorSetup = true;
+  return next();
+};
 
-    return res.status(403).json({ message: 'Access denied for your role.' });
-  };
+// Reject API keys on endpoints that act on a user account (logout, password changes)
+const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ message: 'This endpoint requires a user login.' });
+  }
+  return next();
 };
 
-export { protect, authorizeRoles, authorizeExactRoles };
+export { protect, requirePermission, requireUserSession, allowTwoFactorSetup };
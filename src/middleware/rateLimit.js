@@ -0,0 +1,27 @@
+import rateLimitService from '../services/rateLimitService.js';
+
+/**
+ * Limit how often one client may call a route, for endpoints that have no user or API key to meter
+ * @param {Object} options - { name, limit, windowMs, keyGenerator? }; limit may be a function read per request
+ * @returns {Function} Express middleware responding 429 once the window's limit is spent
+ */
+const rateLimit = ({ name, limit, windowMs = 60 * 1000, keyGenerator = (req) => req.ip }) => async (req, res, next) => {
+  try {
+    const max = typeof limit === 'function' ? limit() : limit;
+    const result = await rateLimitService.consume(`${name}:${keyGenerator(req)}`, { limit: max, windowMs });
+
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({ message: 'Too many requests. Please try again later.' });
+    }
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { rateLimit };
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+import { apiKeyScopes } from '../config/permissions.js';
+
+const { Schema } = mongoose;
+
+const apiKeySchema = new Schema(
+  {
+    // Label shown to Supervisors, e.g. the partner's name
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      maxlength: [100, 'API key name cannot exceed 100 characters'],
+    },
+    // Public part of the key, used to identify it in listings and logs
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // SHA-256 of the full key; the key itself is only shown once at creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: Object.keys(apiKeyScopes),
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    // Requests allowed per one-minute window
+    rateLimitPerMinute: {
+      type: Number,
+      required: true,
+      min: [1, 'Rate limit must be at least 1 request per minute'],
+      max: [10000, 'Rate limit cannot exceed 10000 requests per minute'],
+    },
+    // Fixed-window rate limit counter
+    rateWindowStartedAt: {
+      type: Date,
+    },
+    rateWindowCount: {
+      type: Number,
+      default: 0,
+    },
+    // Optional expiry; keys without one stay valid until revoked
+    expiresAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Last-used metadata for auditing integrations
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    lastUsedUserAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.virtual('isActive').get(function () {
+  if (this.revokedAt) {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Types of authentication events kept for investigation
+const authEventTypes = [
+  'LoginSucceeded',
+  'LoginFailed',
+  'LoginBlocked',
+  'AccountLocked',
+  'IpLocked',
+  'AccountUnlocked',
+  'TwoFactorEnabled',
+  'TwoFactorDisabled',
+  'RecoveryCodeUsed',
+];
+
+const authEventSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: authEventTypes,
+      required: true,
+      index: true,
+    },
+    // Email as submitted (normalized), recorded even when no such user exists
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    // Matching user when the email belongs to an account
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+      index: true,
+    },
+    ipAddress: {
+      type: String,
+      required: false,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      required: false,
+      maxlength: 500,
+    },
+    // Why the attempt failed or was blocked (e.g. InvalidPassword, EmailLocked)
+    reason: {
+      type: String,
+      required: false,
+    },
+    // User who performed an administrative action such as unlocking
+    performedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+authEventSchema.index({ email: 1, timestamp: -1 });
+// Keep 90 days of history
+authEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+export { authEventTypes };
+export default AuthEvent;
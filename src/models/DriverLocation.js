@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Breadcrumbs are kept long enough to investigate delivery claims, then expire
+const retentionDays = Number(process.env.DRIVER_LOCATION_RETENTION_DAYS) || 30;
+
+// One GPS fix reported by a driver's device, stored in a time-series collection
+const driverLocationSchema = new Schema(
+  {
+    // When the device took the fix
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+    driver: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+    // Horizontal accuracy in metres
+    accuracy: { type: Number, required: false, min: 0 },
+    // Ground speed in km/h
+    speed: { type: Number, required: false, min: 0 },
+    // Direction of travel in degrees clockwise from true north
+    heading: { type: Number, required: false, min: 0, max: 360 },
+    // When the server received the batch; fixes buffered offline arrive late
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timeseries: {
+      timeField: 'recordedAt',
+      metaField: 'driver',
+      granularity: 'seconds',
+    },
+    expireAfterSeconds: retentionDays * 24 * 60 * 60,
+    versionKey: false,
+  }
+);
+
+// Latest fixes for a driver first
+driverLocationSchema.index({ driver: 1, recordedAt: -1 });
+
+const DriverLocation = mongoose.model('DriverLocation', driverLocationSchema);
+
+export default DriverLocation;
@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const vehicleTypes = ['Bicycle', 'Motorcycle', 'ThreeWheeler', 'Van', 'ElectricVan', 'Truck'];
+
+// "HH:mm" on a 24-hour clock; "24:00" closes a shift at midnight
+const timeOfDayPattern = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+// Calendar date in the driver's timezone
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Valid IANA timezone names are accepted by Intl
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Weekly working hours; a day may have several shifts
+const workingHoursSchema = new Schema(
+  {
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [timeOfDayPattern, 'Shift start must be in HH:mm format.'],
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [timeOfDayPattern, 'Shift end must be in HH:mm format.'],
+      validate: {
+        validator(end) {
+          return !this.start || end > this.start;
+        },
+        message: 'Shift end must be after its start.',
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Whole days the driver is away (leave, training, sick days), inclusive
+const timeOffSchema = new Schema(
+  {
+    startDate: {
+      type: String,
+      required: true,
+      match: [datePattern, 'Start date must be in YYYY-MM-DD format.'],
+    },
+    endDate: {
+      type: String,
+      required: true,
+      match: [datePattern, 'End date must be in YYYY-MM-DD format.'],
+      validate: {
+        validator(endDate) {
+          return !this.startDate || endDate >= this.startDate;
+        },
+        message: 'End date must not be before the start date.',
+      },
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// Operational details of a Driver account, kept apart from the login identity in User
+const driverProfileSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Contact number shown to dispatch and support
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^\+?[0-9][0-9 -]{6,19}$/, 'Phone must be 7-20 digits, optionally starting with +.'],
+    },
+    licence: {
+      number: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true,
+        maxlength: 30,
+      },
+      // Licence class or vehicle categories, e.g. "B1" or "B, C1"
+      class: {
+        type: String,
+        trim: true,
+        maxlength: 20,
+      },
+      expiresAt: {
+        type: Date,
+        required: true,
+      },
+    },
+    // Vehicle the driver normally uses
+    vehicle: {
+      registration: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: 20,
+      },
+      type: {
+        type: String,
+        enum: vehicleTypes,
+      },
+      capacityKg: {
+        type: Number,
+        min: 0,
+      },
+    },
+    // Depot the driver starts and ends shifts at
+    homeDepot: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      index: true,
+    },
+    // Working hours and time-off dates are read in this timezone
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimezone,
+        message: 'Timezone must be a valid IANA timezone name.',
+      },
+    },
+    workingHours: {
+      type: [workingHoursSchema],
+      default: [],
+    },
+    timeOff: {
+      type: [timeOffSchema],
+      default: [],
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const DriverProfile = mongoose.model('DriverProfile', driverProfileSchema);
+
+export { vehicleTypes };
+export default DriverProfile;
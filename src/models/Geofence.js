@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+import { defaultHubRadiusMeters } from '../config/geofences.js';
+
+const { Schema } = mongoose;
+
+// Circle around a hub or depot. Fences around pickup and delivery addresses are not stored;
+// they are drawn from each parcel's geocoded coordinates (see src/config/geofences.js).
+const geofenceSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Geofence name is required.'],
+      unique: true,
+      trim: true,
+      maxlength: 100,
+    },
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+    radiusMeters: {
+      type: Number,
+      min: [25, 'Radius must be at least 25 metres.'],
+      max: [20000, 'Radius cannot exceed 20000 metres.'],
+      default: defaultHubRadiusMeters,
+    },
+    // Inactive fences are kept for their event history but no longer evaluated
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Geofence = mongoose.model('Geofence', geofenceSchema);
+
+export default Geofence;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+import { fenceKinds } from '../config/geofences.js';
+
+const { Schema } = mongoose;
+
+const eventTypes = ['arrival', 'departure'];
+
+// Status change an event applied to one of the driver's parcels
+const appliedTransitionSchema = new Schema(
+  {
+    parcel: {
+      type: Schema.Types.ObjectId,
+      ref: 'Parcel',
+      required: true,
+    },
+    parcelId: { type: String, required: true },
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// A driver crossing the edge of a geofence, detected from their GPS fixes
+const geofenceEventSchema = new Schema(
+  {
+    driver: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: eventTypes,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: fenceKinds,
+      required: true,
+    },
+    // Identifies the fence across events: "hub:<geofence id>" or "<kind>:<parcel id>"
+    fenceKey: {
+      type: String,
+      required: true,
+    },
+    // Hub fence that was crossed
+    geofence: {
+      type: Schema.Types.ObjectId,
+      ref: 'Geofence',
+    },
+    // Parcel whose pickup or delivery fence was crossed
+    parcel: {
+      type: Schema.Types.ObjectId,
+      ref: 'Parcel',
+    },
+    name: { type: String, required: true },
+    radiusMeters: { type: Number, required: true },
+    // Time of the first fix on the new side of the edge
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+    location: {
+      latitude: { type: Number, required: true },
+      longitude: { type: Number, required: true },
+      accuracy: { type: Number },
+    },
+    transitions: {
+      type: [appliedTransitionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Last event per fence decides whether the driver is inside it
+geofenceEventSchema.index({ driver: 1, fenceKey: 1, occurredAt: -1 });
+geofenceEventSchema.index({ parcel: 1, occurredAt: -1 });
+geofenceEventSchema.index({ geofence: 1, occurredAt: -1 });
+
+const GeofenceEvent = mongoose.model('GeofenceEvent', geofenceEventSchema);
+
+export { eventTypes };
+export default GeofenceEvent;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+import { roles } from './User.js';
+
+const { Schema } = mongoose;
+
+// Invitations issued by Supervisors; the invitee registers with the emailed token
+// and receives the role chosen by the Supervisor
+const invitationSchema = new Schema(
+  {
+    // Only this email address can accept the invitation
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    // Role the invitee's account is created with
+    role: {
+      type: String,
+      enum: roles,
+      required: true,
+    },
+    // SHA-256 hash of the token sent by email (raw value is never stored)
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Set once the invitee has registered so the token cannot be replayed
+    acceptedAt: {
+      type: Date,
+      required: false,
+    },
+    acceptedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    revokedAt: {
+      type: Date,
+      required: false,
+    },
+    revokedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Invitations are kept after expiry as a record of who granted which role
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Failed login counters keyed by email ("email:<address>") or client IP ("ip:<address>")
+const loginThrottleSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Failures within the current window
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Number of lockouts so far; drives the escalating backoff
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      required: false,
+    },
+    // Record is removed once it has been idle long enough to no longer matter
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+import { parcelStatuses, initialStatus } from '../config/parcelLifecycle.js';
+import { serviceTiers, defaultServiceTier, serviceTierNames, slaStatuses } from '../config/serviceTiers.js';
+import { generateTrackingCode } from '../utils/trackingCode.js';
+
 const { Schema } = mongoose;
 
 const statusHistorySchema = new Schema(
@@ -8,6 +12,32 @@ const statusHistorySchema = new Schema(
       type: String,
       required: true,
     },
+    // Status the parcel left; absent on the first entry
+    from: {
+      type: String,
+      required: false,
+    },
+    // Why the transition happened, e.g. the failed delivery reason
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // What made the change: a user request, or the driver crossing a geofence
+    source: {
+      type: String,
+      enum: ['manual', 'geofence'],
+      default: 'manual',
+    },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -16,8 +46,133 @@ const statusHistorySchema = new Schema(
   { _id: false }
 );
 
-// Defines the possible lifecycle states of a parcel
-const parcelStatus = ['PickedUp', 'InTransit', 'OutForDelivery', 'Delivered'];
+// Coordinates resolved from an address, either by the geocoder or corrected by hand
+const coordinatesSchema = new Schema(
+  {
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+    // 0-1; manual corrections are 1
+    confidence: { type: Number, min: 0, max: 1, default: 1 },
+    source: { type: String, enum: ['geocoder', 'manual'], required: true },
+    // Geocoding provider, or the gazetteer entry it matched
+    provider: { type: String, required: false },
+    matchedName: { type: String, required: false },
+    geocodedAt: { type: Date, default: Date.now },
+    correctedBy: { type: Schema.Types.ObjectId, ref: 'User', required: false },
+    correctedAt: { type: Date, required: false },
+  },
+  { _id: false }
+);
+
+// Outer package size in centimetres; all three are needed to work out its volume
+const dimensionsSchema = new Schema(
+  {
+    lengthCm: { type: Number, required: [true, 'Length is required with dimensions.'], min: [0.1, 'Length must be positive.'], max: [1500, 'Length cannot exceed 1500 cm.'] },
+    widthCm: { type: Number, required: [true, 'Width is required with dimensions.'], min: [0.1, 'Width must be positive.'], max: [1500, 'Width cannot exceed 1500 cm.'] },
+    heightCm: { type: Number, required: [true, 'Height is required with dimensions.'], min: [0.1, 'Height must be positive.'], max: [1500, 'Height cannot exceed 1500 cm.'] },
+  },
+  { _id: false }
+);
+
+// Value declared by the shipper for insurance and customs
+const declaredValueSchema = new Schema(
+  {
+    amount: { type: Number, required: true, min: [0, 'Declared value cannot be negative.'] },
+    // ISO 4217 code
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'LKR',
+      match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code.'],
+    },
+  },
+  { _id: false }
+);
+
+// A file kept in file storage; the key is generated by the storage service
+const storedFileSchema = new Schema(
+  {
+    key: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true },
+    storage: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// Evidence recorded by the driver when the parcel is handed over
+const proofOfDeliverySchema = new Schema(
+  {
+    recipientName: { type: String, required: true, trim: true, maxlength: 100 },
+    // e.g. "Self", "Neighbour", "Reception"
+    recipientRelationship: { type: String, required: true, trim: true, maxlength: 50 },
+    signature: { type: storedFileSchema, required: true },
+    photo: { type: storedFileSchema, required: false },
+    // Geotag from the driver's device
+    location: {
+      latitude: { type: Number, required: true, min: -90, max: 90 },
+      longitude: { type: Number, required: true, min: -180, max: 180 },
+      accuracy: { type: Number, required: false },
+    },
+    capturedAt: { type: Date, required: true },
+    recordedAt: { type: Date, default: Date.now },
+    // Distance from the geocoded delivery address; unavailable when the address was never geocoded
+    distanceFromDestinationMeters: { type: Number, required: false },
+    distanceCheck: { type: String, enum: ['passed', 'failed', 'unavailable'], required: true },
+    capturedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: false }
+);
+
+// Estimated delivery time, recomputed by the ETA service when the parcel's location or status changes
+const etaSchema = new Schema(
+  {
+    estimatedDeliveryTime: { type: Date, required: false },
+    // Confidence interval around the estimate
+    earliestDeliveryTime: { type: Date, required: false },
+    latestDeliveryTime: { type: Date, required: false },
+    // null when there is nothing to estimate from, or the parcel has left the lifecycle
+    confidence: { type: String, enum: ['high', 'medium', 'low', null], required: false },
+    remainingKm: { type: Number, required: false },
+    // Drops the driver makes before reaching this parcel's destination
+    stopsBefore: { type: Number, default: 0 },
+    computedAt: { type: Date, required: false },
+    // Running average of the speed between successive GPS fixes
+    observedSpeedKmh: { type: Number, required: false },
+    speedSamples: { type: Number, required: false },
+  },
+  { _id: false }
+);
+
+// Slot the receiver was promised, within the promised-by time
+const promisedWindowSchema = new Schema(
+  {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+// On-time status against the promise, kept current by the SLA service
+const slaSchema = new Schema(
+  {
+    status: { type: String, enum: slaStatuses, required: true },
+    reason: { type: String, required: false },
+    // When the promise was broken: the promised time, or the delivery when it came too early
+    breachedAt: { type: Date, required: false },
+    // When the status or reason last changed
+    changedAt: { type: Date, required: false },
+  },
+  { _id: false }
+);
+
+// Defines the possible lifecycle states of a parcel; transitions live in the lifecycle config
+const parcelStatus = parcelStatuses;
+
+// Whether an optimized route has been assigned to the parcel
+const routeAssignmentStatuses = ['Unassigned', 'Assigned', 'Reassigned'];
 
 const parcelSchema = new Schema(
   {
@@ -29,6 +184,12 @@ const parcelSchema = new Schema(
       trim: true,
       index: true, // Index for fast lookups by parcelId
     },
+    // Unguessable code receivers use to follow the parcel on the public tracking page
+    trackingCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     // The name of the person or entity sending the parcel
     senderName: {
       type: String,
@@ -53,19 +214,87 @@ const parcelSchema = new Schema(
       required: true,
       trim: true,
     },
+    // Coordinates of the pickup and delivery addresses, set on create and when an address changes
+    pickupCoordinates: {
+      type: coordinatesSchema,
+      required: false,
+    },
+    deliveryCoordinates: {
+      type: coordinatesSchema,
+      required: false,
+    },
+    // Gross weight in kilograms; feeds the vehicle class chosen by the route optimizer
+    weightKg: {
+      type: Number,
+      required: false,
+      min: [0.01, 'Weight must be positive.'],
+      max: [30000, 'Weight cannot exceed 30000 kg.'],
+    },
+    dimensions: {
+      type: dimensionsSchema,
+      required: false,
+    },
+    declaredValue: {
+      type: declaredValueSchema,
+      required: false,
+    },
+    // Special handling the driver and vehicle must allow for
+    handling: {
+      fragile: { type: Boolean, default: false },
+      perishable: { type: Boolean, default: false },
+      hazardous: { type: Boolean, default: false },
+    },
+    // Service level sold to the sender; sets the delivery promise when none is given
+    serviceTier: {
+      type: String,
+      enum: serviceTierNames,
+      default: defaultServiceTier,
+    },
+    // Latest time the parcel was promised to be delivered
+    promisedBy: {
+      type: Date,
+      required: false,
+      index: true,
+    },
+    promisedWindow: {
+      type: promisedWindowSchema,
+      required: false,
+    },
+    sla: {
+      type: slaSchema,
+      required: false,
+    },
     // The current stage of the parcel in the delivery lifecycle
     status: {
       type: String,
       enum: parcelStatus,
-      default: 'PickedUp',
+      default: initialStatus,
       index: true, // Index for querying parcels by their status
     },
+    // Failed delivery attempts so far
+    deliveryAttempts: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     // Reference to the Driver user responsible for the delivery
     assignedDriver: {
       type: Schema.Types.ObjectId,
       ref: 'User',
       index: true, // Index for finding all parcels assigned to a specific driver
     },
+    // Customer account the parcel belongs to; customers can only see and raise tickets on their own parcels
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    // API key the parcel was created through, for partner integrations
+    createdByApiKey: {
+      type: Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      index: true,
+    },
     // The last known geographical coordinates// GPS location tracking
     currentLocation: {
       latitude: { type: Number, required: false },
@@ -73,6 +302,10 @@ const parcelSchema = new Schema(
       timestamp: { type: Date, required: false },
       accuracy: { type: Number, required: false } // GPS accuracy in meters
     },
+    eta: {
+      type: etaSchema,
+      required: false,
+    },
     // Route optimization reference
     optimizedRoute: {
       type: mongoose.Schema.Types.ObjectId,
@@ -86,7 +319,7 @@ const parcelSchema = new Schema(
     // Route assignment tracking
     routeAssignmentStatus: {
       type: String,
-      enum: ['Unassigned', 'Assigned', 'Reassigned'],
+      enum: routeAssignmentStatuses,
       default: 'Unassigned',
       comment: 'Current assignment status of the parcel'
     },
@@ -101,11 +334,31 @@ const parcelSchema = new Schema(
       required: false,
       comment: 'When a route was last assigned to this parcel'
     },
+    // Set when the parcel is marked Delivered
+    proofOfDelivery: {
+      type: proofOfDeliverySchema,
+      required: false,
+    },
     // A log of all status changes for this parcel
     statusHistory: {
       type: [statusHistorySchema],
       default: [],
     },
+    // Soft delete: deleted parcels are hidden but kept for the tickets and history that refer to them
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    deletedAt: {
+      type: Date,
+      required: false,
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
   },
   {
     // Automatically adds createdAt and updatedAt timestamps
@@ -113,7 +366,42 @@ const parcelSchema = new Schema(
   }
 );
 
+// New parcels start their history with the status they were created in
+parcelSchema.pre('validate', function recordInitialStatus(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status });
+  }
+  next();
+});
+
+// Every new parcel gets a public tracking code
+parcelSchema.pre('validate', function issueTrackingCode(next) {
+  if (this.isNew && !this.trackingCode) {
+    this.trackingCode = generateTrackingCode();
+  }
+  next();
+});
+
+// Parcels created without a promise get the one their service tier carries
+parcelSchema.pre('validate', function applyServicePromise(next) {
+  if (this.isNew && !this.promisedBy) {
+    const { promiseHours } = serviceTiers[this.serviceTier] || serviceTiers[defaultServiceTier];
+    this.promisedBy = this.promisedWindow?.end || new Date(Date.now() + promiseHours * 60 * 60 * 1000);
+  }
+  next();
+});
+
+// Full-text search over sender and receiver names in the parcel listing
+parcelSchema.index({ senderName: 'text', receiverName: 'text' }, { name: 'parcel_names_text' });
+// Default listing order
+parcelSchema.index({ createdAt: -1 });
+// Late and at-risk parcels, most urgent first
+parcelSchema.index({ 'sla.status': 1, promisedBy: 1 });
+
 const Parcel = mongoose.model('Parcel', parcelSchema);
 
-export { parcelStatus };
+// Filter for parcels that have not been deleted; parcels stored before soft delete have no isDeleted field
+const notDeleted = { isDeleted: { $ne: true } };
+
+export { parcelStatus, routeAssignmentStatuses, notDeleted };
 export default Parcel;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Actions that change a parcel, one log entry each
+const parcelChangeActions = [
+  'Updated',
+  'DriverAssigned',
+  'StatusChanged',
+  'Geocoded',
+  'CoordinatesCorrected',
+  'TrackingCodeRotated',
+  'RouteAssigned',
+  'RouteUnassigned',
+  'Deleted',
+  'Restored',
+];
+
+// One field's value before and after the change
+const fieldChangeSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    oldValue: { type: Schema.Types.Mixed, default: null },
+    newValue: { type: Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+// A change made to a parcel, with the fields it touched
+const parcelChangeSchema = new Schema(
+  {
+    parcel: {
+      type: Schema.Types.ObjectId,
+      ref: 'Parcel',
+      required: true,
+    },
+    // Kept alongside the reference so the log reads without a lookup
+    parcelId: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: parcelChangeActions,
+      required: true,
+    },
+    changes: {
+      type: [fieldChangeSchema],
+      default: [],
+    },
+    // User who made the change, or the API key for integrations
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    changedByApiKey: {
+      type: Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      required: false,
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+parcelChangeSchema.index({ parcel: 1, timestamp: 1 });
+
+const ParcelChange = mongoose.model('ParcelChange', parcelChangeSchema);
+
+export { parcelChangeActions };
+export default ParcelChange;
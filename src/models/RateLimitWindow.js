@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Request counter for one client of a rate-limited endpoint, keyed "<limiter>:<client>"
+const rateLimitWindowSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Start of the fixed window the count belongs to
+    windowStartedAt: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Record is removed once its window has passed
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+rateLimitWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitWindow = mongoose.model('RateLimitWindow', rateLimitWindowSchema);
+
+export default RateLimitWindow;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const refreshTokenSchema = new Schema(
+  {
+    // Owner of the refresh token
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the opaque token handed to the client (raw value is never stored)
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // All tokens produced by rotating the same login share a family so reuse can revoke the chain
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      required: false,
+    },
+    // Hash of the token that replaced this one during rotation
+    replacedBy: {
+      type: String,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function isActive() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Denylist of access tokens (by JWT ID) that were revoked before their natural expiry
+const revokedTokenSchema = new Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    // Matches the access token expiry; the entry is useless after that
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One record per sign-in. Access tokens carry the session ID in their "sid" claim,
+// so revoking the session signs that device out immediately.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Device the session was started from
+    userAgent: {
+      type: String,
+      required: false,
+      maxlength: 500,
+    },
+    ipAddress: {
+      type: String,
+      required: false,
+    },
+    // Refresh token family issued with the session; revoked together with it
+    refreshFamily: {
+      type: String,
+      required: false,
+      index: true,
+    },
+    // Updated as the session is used, at most once per touch interval
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: {
+      type: String,
+      required: false,
+    },
+    // Extended whenever the refresh token is rotated
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      required: false,
+    },
+    revokedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB purge expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function isActive() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -217,6 +217,34 @@ const ticketSchema = new Schema(
       }
     }],
 
+    // Conversation between the customer and the support team
+    // Internal replies are only visible to staff
+    replies: [{
+      author: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        comment: 'User who wrote the reply'
+      },
+      message: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000,
+        comment: 'Reply text'
+      },
+      isInternal: {
+        type: Boolean,
+        default: false,
+        comment: 'Staff-only reply hidden from customers'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+        comment: 'Timestamp when the reply was posted'
+      }
+    }],
+
     // Activity history for audit trail
     // Tracks all status changes and actions
     activityHistory: [{
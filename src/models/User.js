@@ -3,7 +3,10 @@ import bcrypt from 'bcrypt';
 
 const { Schema } = mongoose;
 
-const roles = ['Supervisor', 'Driver', 'SupportAgent'];
+const roles = ['Supervisor', 'Driver', 'SupportAgent', 'Customer'];
+
+// Staff accounts registered without an invitation wait for a Supervisor's approval
+const approvalStatuses = ['Approved', 'Pending', 'Rejected'];
 
 const userSchema = new Schema(
   {
@@ -27,13 +30,86 @@ const userSchema = new Schema(
       required: true,
       minlength: 8,
     },
-    // Role defining system permissions (Supervisor, Driver, SupportAgent)
+    // Role defining system permissions (Supervisor, Driver, SupportAgent, Customer)
     role: {
       type: String,
       enum: roles,
       required: true,
       default: 'SupportAgent',
     },
+    // Deactivated accounts keep their history but can no longer sign in
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    deactivatedAt: {
+      type: Date,
+      required: false,
+    },
+    deactivatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    // Pending and rejected accounts cannot sign in
+    approvalStatus: {
+      type: String,
+      enum: approvalStatuses,
+      default: 'Approved',
+      index: true,
+    },
+    approvalReviewedAt: {
+      type: Date,
+      required: false,
+    },
+    approvalReviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    // Supervisor whose invitation the account was created from
+    invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    // TOTP second factor; secrets and recovery code hashes are only loaded on request
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 TOTP secret, set once enrolment is confirmed with a valid code
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrolment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        required: false,
+      },
+    },
+    // Incremented to invalidate every access token issued before the change
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -57,5 +133,5 @@ userSchema.pre('save', async function hashPassword(next) {
 
 const User = mongoose.model('User', userSchema);
 
-export { roles };
+export { roles, approvalStatuses };
 export default User;
@@ -0,0 +1,55 @@
+// Ownership policies referenced by scoped grants in src/config/permissions.js.
+//
+// Each policy answers two questions for a user:
+// - check(user, resource): may the user act on this particular resource?
+// - query(user): MongoDB filter limiting a listing to the resources the user may see
+//   (optional for policies that never back a listing)
+
+// Compare a reference that may or may not be populated with the user's ID
+const refersToUser = (ref, user) => {
+  if (!ref || !user) {
+    return false;
+  }
+
+  const id = ref._id ? ref._id : ref;
+  return id.toString() === String(user.id);
+};
+
+const ownershipPolicies = {
+  // Parcels assigned to the requesting driver
+  assignedDriver: {
+    check: (user, parcel) => refersToUser(parcel?.assignedDriver, user),
+    query: (user) => ({ assignedDriver: user.id }),
+  },
+  // Parcels created through the requesting API key
+  createdByApiKey: {
+    check: (user, parcel) => Boolean(user?.apiKeyId) && refersToUser(parcel?.createdByApiKey, { id: user.apiKeyId }),
+    query: (user) => ({ createdByApiKey: user.apiKeyId }),
+  },
+  // Tickets assigned to the requesting support agent
+  assignedAgent: {
+    check: (user, ticket) => refersToUser(ticket?.assignedTo, user),
+    query: (user) => ({ assignedTo: user.id }),
+  },
+  // The requesting driver's own profile
+  profileOwner: {
+    check: (user, profile) => refersToUser(profile?.user, user),
+    query: (user) => ({ user: user.id }),
+  },
+  // Parcels belonging to the requesting customer
+  parcelCustomer: {
+    check: (user, parcel) => refersToUser(parcel?.customer, user),
+    query: (user) => ({ customer: user.id }),
+  },
+  // Tickets opened by the requesting user
+  ticketCreator: {
+    check: (user, ticket) => refersToUser(ticket?.createdBy, user),
+    query: (user) => ({ createdBy: user.id }),
+  },
+  // New tickets raised against one of the requesting customer's parcels; expects a loaded parcel
+  ticketParcelCustomer: {
+    check: (user, ticket) => refersToUser(ticket?.parcel?.customer, user),
+  },
+};
+
+export { ownershipPolicies, refersToUser };
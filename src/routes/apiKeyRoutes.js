@@ -0,0 +1,41 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  getApiKeyScopes,
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+
+const router = express.Router();
+
+// No API key scope grants api-key:manage, so keys cannot manage other keys
+router.use(protect, requirePermission('api-key:manage'));
+
+// @desc    List grantable API key scopes
+// @route   GET /api/api-keys/scopes
+// @access  Private (Supervisor only)
+router.get('/scopes', getApiKeyScopes);
+
+// @desc    Issue a new API key
+// @route   POST /api/api-keys
+// @access  Private (Supervisor only)
+router.post('/', createApiKey);
+
+// @desc    List API keys
+// @route   GET /api/api-keys
+// @access  Private (Supervisor only)
+router.get('/', getApiKeys);
+
+// @desc    Get a single API key
+// @route   GET /api/api-keys/:keyId
+// @access  Private (Supervisor only)
+router.get('/:keyId', getApiKey);
+
+// @desc    Revoke an API key
+// @route   PATCH /api/api-keys/:keyId/revoke
+// @access  Private (Supervisor only)
+router.patch('/:keyId/revoke', revokeApiKey);
+
+export default router;
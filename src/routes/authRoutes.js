@@ -1,13 +1,67 @@
 import { Router } from 'express';
 
-import { registerUser, loginUser, logoutUser } from '../controllers/authController.js';
+import {
+  registerUser,
+  loginUser,
+  verifyTwoFactorLogin,
+  refreshAuthToken,
+  logoutUser,
+  issueDevToken,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getMyPermissions,
+} from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
+import { protect, requireUserSession, allowTwoFactorSetup } from '../middleware/authMiddleware.js';
 
 const router = Router();
 
 router.post('/register', registerUser);
 
-// Placeholders for future increments
 router.post('/login', loginUser);
-router.post('/logout', logoutUser);
+
+// Second login step for users with 2FA: challenge token plus a TOTP or recovery code
+router.post('/login/2fa', verifyTwoFactorLogin);
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', refreshAuthToken);
+
+// Revoke the current access token and, optionally, the refresh token or all sessions
+router.post('/logout', allowTwoFactorSetup, protect, requireUserSession, logoutUser);
+
+// Password recovery by emailed one-time token
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+
+// Change password for the signed-in user
+router.patch('/password', protect, requireUserSession, changePassword);
+
+// Active sessions; users manage their own, Supervisors may pass ?userId= or revoke anyone's
+router.get('/sessions', protect, requireUserSession, getSessions);
+router.delete('/sessions', protect, requireUserSession, revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, requireUserSession, revokeSession);
+
+// TOTP two-factor authentication; status, setup and enable stay reachable while enrolment is mandatory
+router.get('/2fa', allowTwoFactorSetup, protect, requireUserSession, getTwoFactorStatus);
+router.post('/2fa/setup', allowTwoFactorSetup, protect, requireUserSession, setupTwoFactor);
+router.post('/2fa/enable', allowTwoFactorSetup, protect, requireUserSession, enableTwoFactor);
+router.post('/2fa/disable', protect, requireUserSession, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, requireUserSession, regenerateRecoveryCodes);
+
+// Permissions granted to the signed-in user's role
+router.get('/permissions', allowTwoFactorSetup, protect, getMyPermissions);
+
+// Signed tokens for seeded test personas; responds 404 unless AUTH_DEV_MODE=true
+router.post('/dev-token', issueDevToken);
 
 export default router;
@@ -1,6 +1,6 @@
 import { Router } from 'express';
 
-import { protect, authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   getSupervisorDashboard,
   getDriverDashboard,
@@ -10,12 +10,12 @@ import {
 const router = Router();
 
 // Supervisor dashboard: only Supervisor role should access summary overview
-router.get('/supervisor', protect, authorizeRoles('Supervisor'), getSupervisorDashboard);
+router.get('/supervisor', protect, requirePermission('dashboard:supervisor'), getSupervisorDashboard);
 
-// Driver dashboard: Driver role (and Supervisor via override) can view delivery assignments
-router.get('/driver', protect, authorizeRoles('Driver'), getDriverDashboard);
+// Driver dashboard: Drivers and Supervisors can view delivery assignments
+router.get('/driver', protect, requirePermission('dashboard:driver'), getDriverDashboard);
 
-// Support dashboard: SupportAgent role (and Supervisor via override) can view ticket status
-router.get('/support', protect, authorizeRoles('SupportAgent'), getSupportDashboard);
+// Support dashboard: SupportAgents and Supervisors can view ticket status
+router.get('/support', protect, requirePermission('dashboard:support'), getSupportDashboard);
 
 export default router;
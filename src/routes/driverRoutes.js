@@ -0,0 +1,68 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  getDriverProfiles,
+  createDriverProfile,
+  getDriverProfile,
+  updateDriverProfile,
+  deleteDriverProfile,
+  getDriverAvailability,
+  setWorkingHours,
+  addTimeOff,
+  removeTimeOff
+} from '../controllers/driverProfileController.js';
+import { reportLocations } from '../controllers/driverLocationController.js';
+
+const router = express.Router();
+
+// @desc    List driver profiles (filters: homeDepot, vehicleType, availableAt)
+// @route   GET /api/drivers
+// @access  Private (Supervisor, SupportAgent; drivers see their own)
+router.get('/', protect, requirePermission('driver-profile:read'), getDriverProfiles);
+
+// @desc    Report a batch of GPS fixes from the driver app
+// @route   POST /api/drivers/me/locations
+// @access  Private (Driver only)
+router.post('/me/locations', protect, requirePermission('driver-location:report'), reportLocations);
+
+// @desc    Create a driver profile
+// @route   POST /api/drivers/:driverId/profile
+// @access  Private (Supervisor only)
+router.post('/:driverId/profile', protect, requirePermission('driver-profile:manage'), createDriverProfile);
+
+// @desc    Get a driver profile
+// @route   GET /api/drivers/:driverId/profile
+// @access  Private (Supervisor, SupportAgent, or the driver)
+router.get('/:driverId/profile', protect, requirePermission('driver-profile:read'), getDriverProfile);
+
+// @desc    Update a driver profile
+// @route   PATCH /api/drivers/:driverId/profile
+// @access  Private (Supervisor only)
+router.patch('/:driverId/profile', protect, requirePermission('driver-profile:manage'), updateDriverProfile);
+
+// @desc    Delete a driver profile
+// @route   DELETE /api/drivers/:driverId/profile
+// @access  Private (Supervisor only)
+router.delete('/:driverId/profile', protect, requirePermission('driver-profile:manage'), deleteDriverProfile);
+
+// @desc    Get a driver's availability calendar
+// @route   GET /api/drivers/:driverId/availability
+// @access  Private (Supervisor, SupportAgent, or the driver)
+router.get('/:driverId/availability', protect, requirePermission('driver-profile:read'), getDriverAvailability);
+
+// @desc    Replace weekly working hours
+// @route   PUT /api/drivers/:driverId/availability/working-hours
+// @access  Private (Supervisor, or the driver)
+router.put('/:driverId/availability/working-hours', protect, requirePermission('driver-profile:update-availability'), setWorkingHours);
+
+// @desc    Add time off
+// @route   POST /api/drivers/:driverId/availability/time-off
+// @access  Private (Supervisor, or the driver)
+router.post('/:driverId/availability/time-off', protect, requirePermission('driver-profile:update-availability'), addTimeOff);
+
+// @desc    Remove time off
+// @route   DELETE /api/drivers/:driverId/availability/time-off/:entryId
+// @access  Private (Supervisor, or the driver)
+router.delete('/:driverId/availability/time-off/:entryId', protect, requirePermission('driver-profile:update-availability'), removeTimeOff);
+
+export default router;
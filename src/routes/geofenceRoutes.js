@@ -0,0 +1,38 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  getGeofences,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence,
+  getGeofenceEvents
+} from '../controllers/geofenceController.js';
+
+const router = express.Router();
+
+// @desc    List hub geofences, parcel fence radii and automatic transitions
+// @route   GET /api/geofences
+// @access  Private (Supervisor, SupportAgent)
+router.get('/', protect, requirePermission('geofence:read'), getGeofences);
+
+// @desc    Create a hub geofence
+// @route   POST /api/geofences
+// @access  Private (Supervisor only)
+router.post('/', protect, requirePermission('geofence:manage'), createGeofence);
+
+// @desc    List arrival and departure events (filters: driver, parcelId, geofence, from, to)
+// @route   GET /api/geofences/events
+// @access  Private (Supervisor, SupportAgent)
+router.get('/events', protect, requirePermission('geofence:read'), getGeofenceEvents);
+
+// @desc    Update a hub geofence
+// @route   PATCH /api/geofences/:id
+// @access  Private (Supervisor only)
+router.patch('/:id', protect, requirePermission('geofence:manage'), updateGeofence);
+
+// @desc    Delete a hub geofence
+// @route   DELETE /api/geofences/:id
+// @access  Private (Supervisor only)
+router.delete('/:id', protect, requirePermission('geofence:manage'), deleteGeofence);
+
+export default router;
@@ -1,16 +1,25 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 
 import {
   createParcel,
   getAllParcels,
+  exportParcels,
   getParcelById,
   updateParcel,
   deleteParcel,
+  restoreParcel,
+  getParcelHistory,
   assignDriverToParcel,
   updateParcelStatus,
+  getStatusTransitions,
   trackParcel,
+  rotateTrackingCode,
+  lookupAddress,
+  regeocodeParcel,
+  correctParcelCoordinates,
 } from '../controllers/parcelController.js';
-import { protect, authorizeRoles, authorizeExactRoles } from '../middleware/authMiddleware.js';
+import { importParcels } from '../controllers/parcelImportController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = Router();
 
@@ -20,23 +29,49 @@ router.use(protect);
 router
   .route('/')
   // All authenticated users can view parcels
-  .get(getAllParcels)
+  .get(requirePermission('parcel:read'), getAllParcels)
   // Only Supervisors can create parcels
-  .post(authorizeRoles('Supervisor'), createParcel);
+  .post(requirePermission('parcel:create'), createParcel);
+
+// Manifests arrive as raw CSV or NDJSON text; JSON bodies are already parsed by the app
+router
+  .route('/import')
+  .post(
+    requirePermission('parcel:import'),
+    express.text({ type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/ndjson'], limit: '5mb' }),
+    importParcels
+  );
+
+// Registered before /:parcelId so "export", "status-transitions" and "geocode" are not read as parcel IDs
+router.route('/export').get(requirePermission('parcel:read'), exportParcels);
+
+router.route('/status-transitions').get(requirePermission('parcel:read'), getStatusTransitions);
+
+router.route('/geocode').get(requirePermission('parcel:geocode'), lookupAddress);
 
 router
   .route('/:parcelId')
   // All authenticated users can view a single parcel
-  .get(getParcelById)
+  .get(requirePermission('parcel:read'), getParcelById)
   // Only Supervisors can update parcels
-  .put(authorizeRoles('Supervisor'), updateParcel)
+  .put(requirePermission('parcel:update'), updateParcel)
   // Only Supervisors can delete parcels
-  .delete(authorizeRoles('Supervisor'), deleteParcel);
+  .delete(requirePermission('parcel:delete'), deleteParcel);
+
+router.route('/:parcelId/restore').patch(requirePermission('parcel:restore'), restoreParcel);
+
+router.route('/:parcelId/history').get(requirePermission('parcel:read-history'), getParcelHistory);
+
+router.route('/:parcelId/assign-driver').patch(requirePermission('parcel:assign-driver'), assignDriverToParcel);
+
+router.route('/:parcelId/geocode').post(requirePermission('parcel:geocode'), regeocodeParcel);
+
+router.route('/:parcelId/coordinates').patch(requirePermission('parcel:geocode'), correctParcelCoordinates);
 
-router.route('/:parcelId/assign-driver').patch(authorizeRoles('Supervisor'), assignDriverToParcel);
+router.route('/:parcelId/status').patch(requirePermission('parcel:update-status'), updateParcelStatus);
 
-router.route('/:parcelId/status').patch(authorizeExactRoles('Driver'), updateParcelStatus);
+router.route('/:parcelId/tracking-code').post(requirePermission('parcel:update'), rotateTrackingCode);
 
-router.route('/track/:parcelId').get(trackParcel);
+router.route('/track/:parcelId').get(requirePermission('parcel:track'), trackParcel);
 
 export default router;
@@ -1,6 +1,6 @@
 import { Router } from 'express';
 
-import { protect, authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = Router();
 
@@ -11,11 +11,11 @@ router.get('/profile', protect, (req, res) => {
   });
 });
 
-router.get('/deliveries', protect, authorizeRoles('Driver'), (_req, res) => {
+router.get('/deliveries', protect, requirePermission('dashboard:driver'), (_req, res) => {
   res.status(200).json({ message: 'Driver resource access granted.' });
 });
 
-router.get('/tickets', protect, authorizeRoles('SupportAgent'), (_req, res) => {
+router.get('/tickets', protect, requirePermission('dashboard:support'), (_req, res) => {
   res.status(200).json({ message: 'Support agent resource access granted.' });
 });
 
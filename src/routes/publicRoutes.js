@@ -0,0 +1,17 @@
+import { Router } from 'express';
+
+import { trackByCode } from '../controllers/publicTrackingController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = Router();
+
+// No authentication: receivers only have their tracking code, so requests are limited per IP
+const trackingRateLimit = rateLimit({
+  name: 'public-track',
+  limit: () => Number(process.env.PUBLIC_TRACKING_RATE_LIMIT_PER_MINUTE) || 30,
+  windowMs: 60 * 1000,
+});
+
+router.route('/track/:trackingCode').get(trackingRateLimit, trackByCode);
+
+export default router;
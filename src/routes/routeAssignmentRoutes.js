@@ -1,6 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeExactRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   assignRouteToParcel,
   getRouteAssignment,
@@ -14,26 +13,26 @@ const router = express.Router();
 // @desc    Assign optimized route to parcel
 // @route   POST /api/routes/assign
 // @access  Private (Supervisor only)
-router.post('/assign', protect, authorizeExactRoles('Supervisor'), assignRouteToParcel);
+router.post('/assign', protect, requirePermission('route:assign'), assignRouteToParcel);
 
 // @desc    Get route assignment for a parcel
 // @route   GET /api/routes/assign/:parcelId
 // @access  Private (Supervisor only)
-router.get('/assign/:parcelId', protect, authorizeExactRoles('Supervisor'), getRouteAssignment);
+router.get('/assign/:parcelId', protect, requirePermission('route:assign'), getRouteAssignment);
 
 // @desc    Update route assignment
 // @route   PATCH /api/routes/assign/:parcelId
 // @access  Private (Supervisor only)
-router.patch('/assign/:parcelId', protect, authorizeExactRoles('Supervisor'), updateRouteAssignment);
+router.patch('/assign/:parcelId', protect, requirePermission('route:assign'), updateRouteAssignment);
 
 // @desc    Remove route assignment from parcel
 // @route   DELETE /api/routes/assign/:parcelId
 // @access  Private (Supervisor only)
-router.delete('/assign/:parcelId', protect, authorizeExactRoles('Supervisor'), removeRouteAssignment);
+router.delete('/assign/:parcelId', protect, requirePermission('route:assign'), removeRouteAssignment);
 
 // @desc    Get all route assignments
 // @route   GET /api/routes/assignments
 // @access  Private (Supervisor only)
-router.get('/assignments', protect, authorizeExactRoles('Supervisor'), getAllRouteAssignments);
+router.get('/assignments', protect, requirePermission('route:assign'), getAllRouteAssignments);
 
 export default router;
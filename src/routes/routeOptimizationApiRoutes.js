@@ -1,6 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeRoles, authorizeExactRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   optimizeRouteForParcel,
   getOptimizationHistory,
@@ -13,21 +12,21 @@ const router = express.Router();
 // @desc    Optimize route for a specific parcel
 // @route   POST /api/routes/optimize
 // @access  Private (Supervisor and Driver only)
-router.post('/optimize', protect, authorizeRoles('Supervisor', 'Driver'), optimizeRouteForParcel);
+router.post('/optimize', protect, requirePermission('route:optimize-parcel'), optimizeRouteForParcel);
 
 // @desc    Get optimization history for a parcel
 // @route   GET /api/routes/optimize/:parcelId/history
 // @access  Private (Supervisor and Driver only)
-router.get('/optimize/:parcelId/history', protect, authorizeRoles('Supervisor', 'Driver'), getOptimizationHistory);
+router.get('/optimize/:parcelId/history', protect, requirePermission('route:optimize-parcel'), getOptimizationHistory);
 
 // @desc    Update optimized route
 // @route   PATCH /api/routes/optimize/:routeId
 // @access  Private (Supervisor and assigned Driver only)
-router.patch('/optimize/:routeId', protect, updateOptimizedRoute);
+router.patch('/optimize/:routeId', protect, requirePermission('route:optimize-parcel'), updateOptimizedRoute);
 
 // @desc    Delete optimized route
 // @route   DELETE /api/routes/optimize/:routeId
 // @access  Private (Supervisor only)
-router.delete('/optimize/:routeId', protect, authorizeExactRoles('Supervisor'), deleteOptimizedRoute);
+router.delete('/optimize/:routeId', protect, requirePermission('route:delete-optimized'), deleteOptimizedRoute);
 
 export default router;
@@ -1,6 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   createRoute,
   getAllRoutes,
@@ -15,31 +14,31 @@ const router = express.Router();
 // @desc    Create a new route
 // @route   POST /api/routes
 // @access  Private (Supervisor only)
-router.post('/', protect, authorizeRoles('Supervisor'), createRoute);
+router.post('/', protect, requirePermission('route:create'), createRoute);
 
 // @desc    Get all routes
 // @route   GET /api/routes
 // @access  Private
-router.get('/', protect, getAllRoutes);
+router.get('/', protect, requirePermission('route:read'), getAllRoutes);
 
 // @desc    Get environmental impact summary
 // @route   GET /api/routes/environmental-summary
 // @access  Private
-router.get('/environmental-summary', protect, getEnvironmentalSummary);
+router.get('/environmental-summary', protect, requirePermission('route:read'), getEnvironmentalSummary);
 
 // @desc    Get single route
 // @route   GET /api/routes/:id
 // @access  Private
-router.get('/:id', protect, getRouteById);
+router.get('/:id', protect, requirePermission('route:read'), getRouteById);
 
 // @desc    Optimize route
 // @route   PATCH /api/routes/:id/optimize
 // @access  Private (Supervisor only)
-router.patch('/:id/optimize', protect, authorizeRoles('Supervisor'), optimizeRoute);
+router.patch('/:id/optimize', protect, requirePermission('route:manage'), optimizeRoute);
 
 // @desc    Delete route
 // @route   DELETE /api/routes/:id
 // @access  Private (Supervisor only)
-router.delete('/:id', protect, authorizeRoles('Supervisor'), deleteRoute);
+router.delete('/:id', protect, requirePermission('route:manage'), deleteRoute);
 
 export default router;
@@ -1,6 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   assignTicket,
   reassignTicket,
@@ -13,21 +12,21 @@ const router = express.Router();
 // @desc    Assign ticket to support agent
 // @route   PATCH /api/tickets/:ticketId/assign
 // @access  Private (Supervisor only)
-router.patch('/:ticketId/assign', protect, authorizeRoles('Supervisor'), assignTicket);
+router.patch('/:ticketId/assign', protect, requirePermission('ticket:assign'), assignTicket);
 
 // @desc    Reassign ticket to different support agent
 // @route   PATCH /api/tickets/:ticketId/reassign
 // @access  Private (Supervisor only)
-router.patch('/:ticketId/reassign', protect, authorizeRoles('Supervisor'), reassignTicket);
+router.patch('/:ticketId/reassign', protect, requirePermission('ticket:assign'), reassignTicket);
 
 // @desc    Unassign ticket from support agent
 // @route   PATCH /api/tickets/:ticketId/unassign
 // @access  Private (Supervisor only)
-router.patch('/:ticketId/unassign', protect, authorizeRoles('Supervisor'), unassignTicket);
+router.patch('/:ticketId/unassign', protect, requirePermission('ticket:assign'), unassignTicket);
 
 // @desc    Get assignment history for a ticket
 // @route   GET /api/tickets/:ticketId/assignments
 // @access  Private (Supervisor and assigned SupportAgent only)
-router.get('/:ticketId/assignments', protect, authorizeRoles('Supervisor', 'SupportAgent'), getAssignmentHistory);
+router.get('/:ticketId/assignments', protect, requirePermission('ticket:read-internal'), getAssignmentHistory);
 
 export default router;
@@ -1,10 +1,10 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   getTicketWithParcel,
   getTicketsWithParcelSummary,
-  getTicketParcelTracking
+  getTicketParcelTracking,
+  getTicketProofOfDeliveryFile
 } from '../controllers/ticketParcelIntegrationController.js';
 
 const router = express.Router();
@@ -12,16 +12,21 @@ const router = express.Router();
 // @desc    Get ticket with integrated parcel information
 // @route   GET /api/tickets/:ticketId/with-parcel
 // @access  Private (Supervisor and SupportAgent only)
-router.get('/:ticketId/with-parcel', protect, authorizeRoles('Supervisor', 'SupportAgent'), getTicketWithParcel);
+router.get('/:ticketId/with-parcel', protect, requirePermission('ticket:read-internal'), getTicketWithParcel);
 
 // @desc    Get tickets with parcel summary
 // @route   GET /api/tickets/with-parcel-summary
 // @access  Private (Supervisor and SupportAgent only)
-router.get('/with-parcel-summary', protect, authorizeRoles('Supervisor', 'SupportAgent'), getTicketsWithParcelSummary);
+router.get('/with-parcel-summary', protect, requirePermission('ticket:read-internal'), getTicketsWithParcelSummary);
 
 // @desc    Get parcel tracking information for ticket
 // @route   GET /api/tickets/:ticketId/parcel-tracking
 // @access  Private (Supervisor and SupportAgent only)
-router.get('/:ticketId/parcel-tracking', protect, authorizeRoles('Supervisor', 'SupportAgent'), getTicketParcelTracking);
+router.get('/:ticketId/parcel-tracking', protect, requirePermission('ticket:read-internal'), getTicketParcelTracking);
+
+// @desc    Get a proof of delivery image for the ticket's parcel
+// @route   GET /api/tickets/:ticketId/proof-of-delivery/:file (signature | photo)
+// @access  Private (Supervisor and SupportAgent only)
+router.get('/:ticketId/proof-of-delivery/:file(signature|photo)', protect, requirePermission('ticket:read-internal'), getTicketProofOfDeliveryFile);
 
 export default router;
@@ -1,6 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   getTickets,
   getTicket,
@@ -12,22 +11,24 @@ const router = express.Router();
 
 // @desc    Get all tickets with filtering and pagination
 // @route   GET /api/tickets
-// @access  Private (Supervisor and SupportAgent only)
-router.get('/', protect, authorizeRoles('Supervisor', 'SupportAgent'), getTickets);
+// @access  Private (Supervisor, SupportAgent and Customer)
+router.get('/', protect, requirePermission('ticket:read'), getTickets);
 
-// @desc    Get single ticket by ID
-// @route   GET /api/tickets/:ticketId
-// @access  Private (Supervisor and SupportAgent only)
-router.get('/:ticketId', protect, authorizeRoles('Supervisor', 'SupportAgent'), getTicket);
+// Fixed paths are registered before /:ticketId so they are not treated as ticket IDs
 
 // @desc    Get ticket statistics and analytics
 // @route   GET /api/tickets/statistics
 // @access  Private (Supervisor only)
-router.get('/statistics', protect, authorizeRoles('Supervisor'), getTicketStatistics);
+router.get('/statistics', protect, requirePermission('ticket:view-statistics'), getTicketStatistics);
 
 // @desc    Get user's accessible tickets (role-based)
 // @route   GET /api/tickets/my
-// @access  Private (Supervisor and SupportAgent only)
-router.get('/my', protect, authorizeRoles('Supervisor', 'SupportAgent'), getMyTickets);
+// @access  Private (Supervisor, SupportAgent and Customer)
+router.get('/my', protect, requirePermission('ticket:read'), getMyTickets);
+
+// @desc    Get single ticket by ID
+// @route   GET /api/tickets/:ticketId
+// @access  Private (Supervisor, SupportAgent and Customer)
+router.get('/:ticketId', protect, requirePermission('ticket:read'), getTicket);
 
 export default router;
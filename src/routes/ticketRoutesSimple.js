@@ -1,13 +1,17 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeRoles } from '../middleware/authMiddleware.js';
-import { createTicket } from '../controllers/ticketControllerSimple.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { createTicket, addTicketReply } from '../controllers/ticketControllerSimple.js';
 
 const router = express.Router();
 
 // @desc    Create a new ticket
 // @route   POST /api/tickets
-// @access  Private (Supervisor and SupportAgent only)
-router.post('/', protect, authorizeRoles('Supervisor', 'SupportAgent'), createTicket);
+// @access  Private (Supervisor, SupportAgent and Customer for their own parcels)
+router.post('/', protect, requirePermission('ticket:create'), createTicket);
+
+// @desc    Add a reply to a ticket
+// @route   POST /api/tickets/:ticketId/replies
+// @access  Private (Supervisor, assigned SupportAgent and the Customer who opened the ticket)
+router.post('/:ticketId/replies', protect, requirePermission('ticket:reply'), addTicketReply);
 
 export default router;
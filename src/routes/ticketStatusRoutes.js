@@ -1,6 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   updateTicketStatus,
   getStatusHistory,
@@ -12,16 +11,16 @@ const router = express.Router();
 // @desc    Update ticket status
 // @route   PATCH /api/tickets/:ticketId/status
 // @access  Private (SupportAgent and Supervisor only)
-router.patch('/:ticketId/status', protect, authorizeRoles('Supervisor', 'SupportAgent'), updateTicketStatus);
+router.patch('/:ticketId/status', protect, requirePermission('ticket:update-status'), updateTicketStatus);
 
 // @desc    Get status transition history for a ticket
 // @route   GET /api/tickets/:ticketId/status-history
 // @access  Private (SupportAgent and Supervisor only)
-router.get('/:ticketId/status-history', protect, authorizeRoles('Supervisor', 'SupportAgent'), getStatusHistory);
+router.get('/:ticketId/status-history', protect, requirePermission('ticket:read-internal'), getStatusHistory);
 
 // @desc    Get available status transitions
 // @route   GET /api/tickets/status-transitions
 // @access  Private (SupportAgent and Supervisor only)
-router.get('/status-transitions', protect, authorizeRoles('Supervisor', 'SupportAgent'), getStatusTransitions);
+router.get('/status-transitions', protect, requirePermission('ticket:read'), getStatusTransitions);
 
 export default router;
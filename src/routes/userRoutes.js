@@ -0,0 +1,88 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  getUsers,
+  getUser,
+  updateUser,
+  deactivateUser,
+  reactivateUser,
+  approveUser,
+  rejectUser,
+  unlockUser,
+  resetTwoFactor,
+  getAuthEvents
+} from '../controllers/userController.js';
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+} from '../controllers/invitationController.js';
+
+const router = express.Router();
+
+// @desc    Get users with filtering and pagination
+// @route   GET /api/users
+// @access  Private (Supervisor only)
+router.get('/', protect, requirePermission('user:manage'), getUsers);
+
+// @desc    Get the auth event log
+// @route   GET /api/users/auth-events
+// @access  Private (Supervisor only)
+router.get('/auth-events', protect, requirePermission('user:manage'), getAuthEvents);
+
+// @desc    Invite a user to register with a given role
+// @route   POST /api/users/invites
+// @access  Private (Supervisor only)
+router.post('/invites', protect, requirePermission('user:manage'), createInvitation);
+
+// @desc    List invitations
+// @route   GET /api/users/invites
+// @access  Private (Supervisor only)
+router.get('/invites', protect, requirePermission('user:manage'), getInvitations);
+
+// @desc    Revoke a pending invitation
+// @route   PATCH /api/users/invites/:inviteId/revoke
+// @access  Private (Supervisor only)
+router.patch('/invites/:inviteId/revoke', protect, requirePermission('user:manage'), revokeInvitation);
+
+// @desc    Get a single user
+// @route   GET /api/users/:userId
+// @access  Private (Supervisor only)
+router.get('/:userId', protect, requirePermission('user:manage'), getUser);
+
+// @desc    Update a user's name, email or role
+// @route   PATCH /api/users/:userId
+// @access  Private (Supervisor only)
+router.patch('/:userId', protect, requirePermission('user:manage'), updateUser);
+
+// @desc    Deactivate a user account
+// @route   PATCH /api/users/:userId/deactivate
+// @access  Private (Supervisor only)
+router.patch('/:userId/deactivate', protect, requirePermission('user:manage'), deactivateUser);
+
+// @desc    Reactivate a user account
+// @route   PATCH /api/users/:userId/reactivate
+// @access  Private (Supervisor only)
+router.patch('/:userId/reactivate', protect, requirePermission('user:manage'), reactivateUser);
+
+// @desc    Approve a pending registration
+// @route   PATCH /api/users/:userId/approve
+// @access  Private (Supervisor only)
+router.patch('/:userId/approve', protect, requirePermission('user:manage'), approveUser);
+
+// @desc    Reject a pending registration
+// @route   PATCH /api/users/:userId/reject
+// @access  Private (Supervisor only)
+router.patch('/:userId/reject', protect, requirePermission('user:manage'), rejectUser);
+
+// @desc    Clear a login lockout
+// @route   PATCH /api/users/:userId/unlock
+// @access  Private (Supervisor only)
+router.patch('/:userId/unlock', protect, requirePermission('user:manage'), unlockUser);
+
+// @desc    Turn off two-factor authentication for a user who lost their authenticator
+// @route   PATCH /api/users/:userId/reset-2fa
+// @access  Private (Supervisor only)
+router.patch('/:userId/reset-2fa', protect, requirePermission('user:manage'), resetTwoFactor);
+
+export default router;
@@ -0,0 +1,127 @@
+// Parcel export serializer used by the streaming export endpoint.
+//
+// Each format is written one parcel at a time so the controller can stream from a cursor:
+// CSV rows and NDJSON lines share a fixed list of fields, so no format carries tracking codes,
+// proof of delivery or other internals, and GeoJSON features place the parcel at its last GPS fix or its delivery address.
+
+// Media type and file extension per export format
+const exportFormats = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+};
+
+const hasPoint = (location) => Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Flat view of a parcel shared by CSV rows, NDJSON lines and GeoJSON properties
+ * @param {Object} parcel - Lean parcel with assignedDriver populated
+ * @returns {Object}
+ */
+const toFlatRecord = (parcel) => ({
+  parcelId: parcel.parcelId,
+  status: parcel.status,
+  senderName: parcel.senderName,
+  receiverName: parcel.receiverName,
+  pickupLocation: parcel.pickupLocation,
+  deliveryLocation: parcel.deliveryLocation,
+  pickupLatitude: parcel.pickupCoordinates?.latitude ?? null,
+  pickupLongitude: parcel.pickupCoordinates?.longitude ?? null,
+  deliveryLatitude: parcel.deliveryCoordinates?.latitude ?? null,
+  deliveryLongitude: parcel.deliveryCoordinates?.longitude ?? null,
+  weightKg: parcel.weightKg ?? null,
+  lengthCm: parcel.dimensions?.lengthCm ?? null,
+  widthCm: parcel.dimensions?.widthCm ?? null,
+  heightCm: parcel.dimensions?.heightCm ?? null,
+  fragile: parcel.handling?.fragile ?? null,
+  perishable: parcel.handling?.perishable ?? null,
+  hazardous: parcel.handling?.hazardous ?? null,
+  assignedDriverName: parcel.assignedDriver?.name ?? null,
+  assignedDriverEmail: parcel.assignedDriver?.email ?? null,
+  routeAssignmentStatus: parcel.routeAssignmentStatus ?? null,
+  currentLatitude: parcel.currentLocation?.latitude ?? null,
+  currentLongitude: parcel.currentLocation?.longitude ?? null,
+  currentLocationAt: toIso(parcel.currentLocation?.timestamp),
+  createdAt: toIso(parcel.createdAt),
+  updatedAt: toIso(parcel.updatedAt),
+});
+
+const csvColumns = Object.keys(toFlatRecord({}));
+
+// Quote values containing separators, and defuse values a spreadsheet would run as a formula
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+
+/**
+ * Opening bytes of an export
+ * @param {string} format - Export format
+ * @returns {string}
+ */
+const exportHeader = (format) => {
+  if (format === 'csv') {
+    return toCsvLine(csvColumns);
+  }
+  if (format === 'geojson') {
+    return '{"type":"FeatureCollection","features":[\n';
+  }
+  return '';
+};
+
+/**
+ * A single parcel in the export format
+ * @param {Object} parcel - Lean parcel with assignedDriver populated
+ * @param {string} format - Export format
+ * @param {number} index - Position in the export, used to separate GeoJSON features
+ * @returns {string}
+ */
+const exportRecord = (parcel, format, index) => {
+  if (format === 'csv') {
+    const record = toFlatRecord(parcel);
+    return toCsvLine(csvColumns.map((column) => record[column]));
+  }
+
+  if (format === 'geojson') {
+    // The last GPS fix is where the parcel is now; undelivered parcels without one sit at their destination
+    let geometrySource = null;
+    if (hasPoint(parcel.currentLocation)) {
+      geometrySource = 'currentLocation';
+    } else if (hasPoint(parcel.deliveryCoordinates)) {
+      geometrySource = 'deliveryCoordinates';
+    }
+
+    const point = geometrySource ? parcel[geometrySource] : null;
+    const feature = {
+      type: 'Feature',
+      id: parcel.parcelId,
+      geometry: point ? { type: 'Point', coordinates: [point.longitude, point.latitude] } : null,
+      properties: { ...toFlatRecord(parcel), geometrySource },
+    };
+
+    return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+  }
+
+  return `${JSON.stringify(toFlatRecord(parcel))}\n`;
+};
+
+/**
+ * Closing bytes of an export
+ * @param {string} format - Export format
+ * @returns {string}
+ */
+const exportFooter = (format) => (format === 'geojson' ? '\n]}\n' : '');
+
+export { exportFormats, exportHeader, exportRecord, exportFooter };
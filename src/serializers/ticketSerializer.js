@@ -0,0 +1,41 @@
+import authorizationService from '../services/authorizationService.js';
+
+// Role-aware ticket serializer shared by the ticket controllers.
+//
+// Callers holding ticket:read-internal for a ticket see it as stored. Everyone else
+// (customers) gets the ticket without internal notes, escalation details, the staff
+// audit history or internal replies.
+
+// Fields that never leave the support team
+const internalFields = ['internalNotes', 'escalationLevel', 'activityHistory', 'isDeleted', 'deletedAt', 'deletedBy'];
+
+/**
+ * Shape a ticket for the requesting user
+ * @param {Object} ticket - Ticket document or lean object
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} Plain ticket object safe to send to the user
+ */
+const serializeTicket = (ticket, user) => {
+  const data = typeof ticket.toObject === 'function' ? ticket.toObject() : { ...ticket };
+
+  if (authorizationService.can(user, 'ticket:read-internal', ticket)) {
+    return data;
+  }
+
+  internalFields.forEach((field) => {
+    delete data[field];
+  });
+  data.replies = (data.replies || []).filter((reply) => !reply.isInternal);
+
+  return data;
+};
+
+/**
+ * Shape a list of tickets for the requesting user
+ * @param {Array<Object>} tickets - Ticket documents or lean objects
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Array<Object>}
+ */
+const serializeTickets = (tickets, user) => tickets.map((ticket) => serializeTicket(ticket, user));
+
+export { serializeTicket, serializeTickets };
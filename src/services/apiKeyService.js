@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+
+import ApiKey from '../models/ApiKey.js';
+
+/**
+ * API Key Service for EcoTrack Logistics System
+ *
+ * Machine-to-machine credentials for partner integrations:
+ * - Issuing keys (shown once, stored as a SHA-256 hash)
+ * - Authenticating keys presented to protect
+ * - Per-key fixed-window rate limiting
+ * - Last-used metadata for auditing
+ */
+
+// Every key starts with this marker so protect can tell keys apart from JWTs
+const API_KEY_MARKER = 'etk_';
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Default requests per minute for keys issued without an explicit limit
+   * @returns {number}
+   */
+  getDefaultRateLimit() {
+    return Number(process.env.API_KEY_DEFAULT_RATE_LIMIT_PER_MINUTE) || 60;
+  }
+
+  /**
+   * Whether a bearer credential looks like an API key rather than a JWT
+   * @param {string} credential - Raw credential
+   * @returns {boolean}
+   */
+  isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(API_KEY_MARKER);
+  }
+
+  /**
+   * Hash a raw key for storage and lookup
+   * @private
+   */
+  hashKey(rawKey) {
+    return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+  }
+
+  /**
+   * Issue a new API key
+   * @param {Object} details - { name, scopes, rateLimitPerMinute, expiresAt, createdBy }
+   * @returns {Promise<Object>} { key, document } - the raw key is not retrievable later
+   */
+  async issueKey({ name, scopes, rateLimitPerMinute, expiresAt, createdBy }) {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    const key = `${API_KEY_MARKER}${prefix}_${secret}`;
+
+    const document = await ApiKey.create({
+      name,
+      prefix,
+      keyHash: this.hashKey(key),
+      scopes,
+      rateLimitPerMinute: rateLimitPerMinute ?? this.getDefaultRateLimit(),
+      expiresAt,
+      createdBy,
+    });
+
+    return { key, document };
+  }
+
+  /**
+   * Authenticate a presented key and count the request against its rate limit
+   * @param {string} rawKey - Key from the request
+   * @param {Object} client - { ipAddress, userAgent } recorded as last-used metadata
+   * @returns {Promise<Object>} { apiKey } on success, otherwise { error, status, retryAfterSeconds }
+   */
+  async authenticate(rawKey, client = {}) {
+    const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(rawKey) });
+
+    if (!apiKey) {
+      return { status: 401, error: 'Invalid API key.' };
+    }
+    if (apiKey.revokedAt) {
+      return { status: 401, error: 'API key has been revoked.' };
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return { status: 401, error: 'API key has expired.' };
+    }
+
+    const now = new Date();
+    const windowStart = new Date(Math.floor(now.getTime() / RATE_WINDOW_MS) * RATE_WINDOW_MS);
+    const usage = {
+      $set: {
+        lastUsedAt: now,
+        lastUsedIp: client.ipAddress,
+        lastUsedUserAgent: client.userAgent ? String(client.userAgent).slice(0, 500) : undefined,
+      },
+    };
+
+    // Count within the current window while under the limit...
+    let updated = await ApiKey.findOneAndUpdate(
+      {
+        _id: apiKey._id,
+        rateWindowStartedAt: windowStart,
+        rateWindowCount: { $lt: apiKey.rateLimitPerMinute },
+      },
+      { ...usage, $inc: { rateWindowCount: 1, usageCount: 1 } },
+      { new: true }
+    );
+
+    // ...or open a new window if the stored one has passed
+    if (!updated) {
+      updated = await ApiKey.findOneAndUpdate(
+        { _id: apiKey._id, rateWindowStartedAt: { $ne: windowStart } },
+        {
+          $set: { ...usage.$set, rateWindowStartedAt: windowStart, rateWindowCount: 1 },
+          $inc: { usageCount: 1 },
+        },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      return {
+        status: 429,
+        error: 'API key rate limit exceeded.',
+        retryAfterSeconds: Math.ceil((windowStart.getTime() + RATE_WINDOW_MS - now.getTime()) / 1000),
+        apiKey,
+      };
+    }
+
+    return { apiKey: updated };
+  }
+
+  /**
+   * Requests left in the key's current window
+   * @param {Object} apiKey - ApiKey document returned by authenticate
+   * @returns {number}
+   */
+  getRemainingRequests(apiKey) {
+    return Math.max(apiKey.rateLimitPerMinute - (apiKey.rateWindowCount || 0), 0);
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -0,0 +1,154 @@
+import { ANY_SCOPE, apiKeyScopes, permissions, rolePermissions } from '../config/permissions.js';
+import { ownershipPolicies } from '../policies/ownershipPolicies.js';
+
+/**
+ * Authorization Service for EcoTrack Logistics System
+ *
+ * Resolves the permission registry for route middleware and controllers:
+ * - Whether a role holds a permission at all
+ * - Whether a user may act on a specific resource (ownership policies)
+ * - Query filters that limit listings to what a user may see
+ *
+ * Callers are either users (granted by role) or API keys (granted by scope).
+ */
+
+class AuthorizationService {
+  constructor() {
+    this.validateRegistry();
+  }
+
+  /**
+   * Fail fast on grants that reference unknown permissions or policies
+   * @private
+   */
+  validateRegistry() {
+    const grantSets = [
+      ...Object.entries(rolePermissions).map(([role, grants]) => [`role ${role}`, grants]),
+      ...Object.entries(apiKeyScopes).map(([scope, grants]) => [`API key scope ${scope}`, grants]),
+    ];
+
+    grantSets.forEach(([holder, grants]) => {
+      Object.entries(grants).forEach(([permission, scope]) => {
+        if (!permissions[permission]) {
+          throw new Error(`Unknown permission "${permission}" granted to ${holder}.`);
+        }
+        if (scope !== ANY_SCOPE && !ownershipPolicies[scope]) {
+          throw new Error(`Unknown ownership policy "${scope}" for ${permission} on ${holder}.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Scope of a role's grant for a permission
+   * @param {string} role - User role
+   * @param {string} permission - Permission name
+   * @returns {string|null} ANY_SCOPE, a policy name, or null when not granted
+   */
+  getScope(role, permission) {
+    if (!permissions[permission]) {
+      throw new Error(`Unknown permission "${permission}".`);
+    }
+
+    return rolePermissions[role]?.[permission] || null;
+  }
+
+  /**
+   * Whether a role holds a permission for at least some resources
+   * @param {string} role - User role
+   * @param {string} permission - Permission name
+   * @returns {boolean}
+   */
+  hasPermission(role, permission) {
+    return this.getScope(role, permission) !== null;
+  }
+
+  /**
+   * Scope of a caller's grant for a permission, resolving API key scopes or the user's role
+   * @param {Object} user - Authenticated caller (req.user)
+   * @param {string} permission - Permission name
+   * @returns {string|null} ANY_SCOPE, a policy name, or null when not granted
+   */
+  getGrant(user, permission) {
+    if (user?.apiKeyId) {
+      if (!permissions[permission]) {
+        throw new Error(`Unknown permission "${permission}".`);
+      }
+
+      const grantingScope = (user.scopes || []).find((scope) => apiKeyScopes[scope]?.[permission]);
+      return grantingScope ? apiKeyScopes[grantingScope][permission] : null;
+    }
+
+    return this.getScope(user?.role, permission);
+  }
+
+  /**
+   * Whether a user may perform an action on a specific resource
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @param {string} permission - Permission name
+   * @param {Object} resource - Document the action targets
+   * @returns {boolean}
+   */
+  can(user, permission, resource) {
+    const scope = this.getGrant(user, permission);
+
+    if (!scope) {
+      return false;
+    }
+    if (scope === ANY_SCOPE) {
+      return true;
+    }
+
+    return ownershipPolicies[scope].check(user, resource);
+  }
+
+  /**
+   * MongoDB filter restricting a listing to resources the user may access.
+   * Callers must have passed requirePermission first; an empty filter means no restriction.
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @param {string} permission - Permission name
+   * @returns {Object} Query filter
+   */
+  scopeQuery(user, permission) {
+    const scope = this.getGrant(user, permission);
+
+    if (!scope || scope === ANY_SCOPE) {
+      return {};
+    }
+
+    const policy = ownershipPolicies[scope];
+    if (!policy.query) {
+      throw new Error(`Ownership policy "${scope}" cannot filter listings for ${permission}.`);
+    }
+
+    return policy.query(user);
+  }
+
+  /**
+   * Permissions granted to a role, with their scopes
+   * @param {string} role - User role
+   * @returns {Object} Permission name -> scope
+   */
+  getPermissionsForRole(role) {
+    return { ...(rolePermissions[role] || {}) };
+  }
+
+  /**
+   * Permissions held by a caller, with their scopes
+   * @param {Object} user - Authenticated caller (req.user)
+   * @returns {Object} Permission name -> scope
+   */
+  getPermissionsFor(user) {
+    if (user?.apiKeyId) {
+      return (user.scopes || []).reduce(
+        (granted, scope) => ({ ...granted, ...(apiKeyScopes[scope] || {}) }),
+        {}
+      );
+    }
+
+    return this.getPermissionsForRole(user?.role);
+  }
+}
+
+const authorizationService = new AuthorizationService();
+export default authorizationService;
@@ -0,0 +1,166 @@
+import DriverProfile from '../models/DriverProfile.js';
+import User from '../models/User.js';
+
+/**
+ * Driver Availability Service for EcoTrack Logistics System
+ *
+ * Reads a driver's availability calendar from their profile:
+ * - Weekly working hours, interpreted in the driver's timezone
+ * - Whole-day time off that overrides working hours
+ * - Whether a driver can take an assignment at a given moment
+ */
+
+const MAX_CALENDAR_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DriverAvailabilityService {
+  /**
+   * Longest range the calendar endpoint returns in one request
+   * @returns {number} Days
+   */
+  getMaxCalendarDays() {
+    return MAX_CALENDAR_DAYS;
+  }
+
+  /**
+   * Local calendar date, weekday and time of a moment in a timezone
+   * @param {Date} date - Moment to convert
+   * @param {string} timezone - IANA timezone name
+   * @returns {Object} { date: 'YYYY-MM-DD', dayOfWeek: 0-6, time: 'HH:mm' }
+   */
+  getLocalTime(date, timezone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23',
+      })
+        .formatToParts(date)
+        .map(({ type, value }) => [type, value])
+    );
+
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      dayOfWeek: weekdays.indexOf(parts.weekday),
+      time: `${parts.hour}:${parts.minute}`,
+    };
+  }
+
+  /**
+   * Time-off entry covering a local date, if any
+   * @private
+   */
+  findTimeOff(profile, date) {
+    return (profile.timeOff || []).find((entry) => entry.startDate <= date && entry.endDate >= date) || null;
+  }
+
+  /**
+   * Shifts worked on a weekday, earliest first
+   * @private
+   */
+  getShifts(profile, dayOfWeek) {
+    return (profile.workingHours || [])
+      .filter((shift) => shift.dayOfWeek === dayOfWeek)
+      .map(({ start, end }) => ({ start, end }))
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /**
+   * Whether a driver is working at a moment
+   * @param {Object} profile - Driver profile
+   * @param {Date} at - Moment to check, defaults to now
+   * @returns {Object} { available, reason }
+   */
+  getAvailabilityAt(profile, at = new Date()) {
+    if (profile.licence?.expiresAt && profile.licence.expiresAt <= at) {
+      return { available: false, reason: 'Driving licence has expired' };
+    }
+
+    const local = this.getLocalTime(at, profile.timezone);
+
+    const timeOff = this.findTimeOff(profile, local.date);
+    if (timeOff) {
+      return { available: false, reason: timeOff.reason ? `Time off: ${timeOff.reason}` : 'Time off' };
+    }
+
+    const onShift = this.getShifts(profile, local.dayOfWeek)
+      .some((shift) => shift.start <= local.time && local.time < shift.end);
+
+    return onShift
+      ? { available: true, reason: null }
+      : { available: false, reason: 'Outside working hours' };
+  }
+
+  /**
+   * Day-by-day calendar between two dates, inclusive
+   * @param {Object} profile - Driver profile
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Array<Object>} { date, dayOfWeek, shifts, timeOff, available }
+   */
+  getCalendar(profile, from, to) {
+    const days = [];
+    const last = Date.parse(`${to}T00:00:00Z`);
+
+    // Walk calendar dates in UTC so every date appears once regardless of timezone
+    for (let cursor = Date.parse(`${from}T00:00:00Z`); cursor <= last; cursor += DAY_MS) {
+      const day = new Date(cursor);
+      const date = day.toISOString().slice(0, 10);
+      const dayOfWeek = day.getUTCDay();
+      const timeOff = this.findTimeOff(profile, date);
+      const shifts = timeOff ? [] : this.getShifts(profile, dayOfWeek);
+
+      days.push({
+        date,
+        dayOfWeek,
+        shifts,
+        timeOff: timeOff ? { id: timeOff._id, reason: timeOff.reason || null } : null,
+        available: shifts.length > 0,
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Whether a driver can take an assignment now. Only active, approved drivers qualify;
+   * those without a profile have no calendar to check against and are treated as available.
+   * @param {string} driverId - Driver user ID
+   * @param {Date} at - Moment of the assignment, defaults to now
+   * @returns {Promise<Object>} { available, reason }
+   */
+  async checkAssignable(driverId, at = new Date()) {
+    const [driver, profile] = await Promise.all([
+      User.findById(driverId).select('role isActive approvalStatus'),
+      DriverProfile.findOne({ user: driverId }),
+    ]);
+
+    if (!driver || driver.role !== 'Driver') {
+      return { available: false, reason: 'Not a driver' };
+    }
+    if (!driver.isActive) {
+      return { available: false, reason: 'Account is deactivated' };
+    }
+    if (driver.approvalStatus !== 'Approved') {
+      return { available: false, reason: 'Account is not approved' };
+    }
+
+    if (!profile) {
+      return { available: true, reason: null };
+    }
+
+    return this.getAvailabilityAt(profile, at);
+  }
+}
+
+// Export singleton instance
+const driverAvailabilityService = new DriverAvailabilityService();
+
+export default driverAvailabilityService;
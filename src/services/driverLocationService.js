@@ -0,0 +1,231 @@
+import DriverLocation from '../models/DriverLocation.js';
+import Parcel, { notDeleted } from '../models/Parcel.js';
+import { carriedStatuses, terminalStatuses } from '../config/parcelLifecycle.js';
+import etaService from './etaService.js';
+import geofenceService from './geofenceService.js';
+
+/**
+ * Driver Location Service for EcoTrack Logistics System
+ *
+ * Ingests the GPS fixes reported by drivers' devices:
+ * - Batches of fixes are validated and stored as breadcrumbs in a time-series collection
+ * - The latest position is copied to every parcel the driver is carrying, refreshing its ETA
+ * - Geofences are checked against the fixes, which may move parcels along their lifecycle
+ * - Breadcrumbs are read back for a parcel's journey, e.g. when investigating a ticket
+ */
+
+// Devices buffer fixes while offline and send them in batches
+const MAX_BATCH_SIZE = 500;
+
+// Device clocks drift; fixes further ahead than this are refused
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// A status change only picks up the driver's position if the last fix is this recent
+const MAX_STATUS_FIX_AGE_MS = 15 * 60 * 1000;
+
+// Breadcrumbs returned for one parcel's journey
+const MAX_JOURNEY_BREADCRUMBS = 500;
+
+class DriverLocationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DriverLocationError';
+  }
+}
+
+// Reference that may or may not be populated
+const refId = (ref) => ref?._id || ref;
+
+class DriverLocationService {
+  /**
+   * Store a batch of GPS fixes from a driver's device and move the driver's parcels with them
+   * @param {Object} driver - Driver reporting the fixes (req.user)
+   * @param {Array} fixes - [{ latitude, longitude, timestamp, accuracy?, speed?, heading? }]; speed in km/h, heading in degrees
+   * @returns {Promise<Object>} { accepted, rejected: [{ index, reason }], parcelsUpdated, geofenceEvents, statusChanges }
+   */
+  async ingest(driver, fixes) {
+    if (!Array.isArray(fixes) || fixes.length === 0) {
+      throw new DriverLocationError('fixes must be a non-empty array of GPS fixes.');
+    }
+    if (fixes.length > MAX_BATCH_SIZE) {
+      throw new DriverLocationError(`A batch can hold at most ${MAX_BATCH_SIZE} fixes.`);
+    }
+
+    const accepted = [];
+    const rejected = [];
+    fixes.forEach((fix, index) => {
+      const { location, reason } = this.parseFix(fix);
+      if (location) {
+        accepted.push({ ...location, driver: driver.id });
+      } else {
+        rejected.push({ index, reason });
+      }
+    });
+
+    if (accepted.length === 0) {
+      return { accepted: 0, rejected, parcelsUpdated: 0, geofenceEvents: 0, statusChanges: [] };
+    }
+
+    await DriverLocation.insertMany(accepted);
+    const parcelsUpdated = await this.moveCarriedParcels(driver.id, accepted);
+    const geofences = await geofenceService.evaluate(driver, accepted);
+
+    return {
+      accepted: accepted.length,
+      rejected,
+      parcelsUpdated,
+      geofenceEvents: geofences.events,
+      statusChanges: geofences.statusChanges,
+    };
+  }
+
+  /**
+   * The driver's most recent fix, if it is recent enough to say where the driver is now
+   * @param {string|ObjectId} driverId - Driver user ID
+   * @returns {Promise<Object|null>} { latitude, longitude, accuracy, speed, heading, recordedAt }
+   */
+  async latestFix(driverId) {
+    if (!driverId) {
+      return null;
+    }
+
+    return DriverLocation.findOne({
+      driver: driverId,
+      recordedAt: { $gte: new Date(Date.now() - MAX_STATUS_FIX_AGE_MS) },
+    })
+      .sort({ recordedAt: -1 })
+      .select('-_id latitude longitude accuracy speed heading recordedAt')
+      .lean();
+  }
+
+  /**
+   * Breadcrumbs of the assigned driver while they were carrying the parcel, oldest first
+   * @param {Object} parcel - Parcel document
+   * @returns {Promise<Array>} [{ latitude, longitude, accuracy, speed, heading, recordedAt }]
+   */
+  async breadcrumbsForParcel(parcel) {
+    const driverId = refId(parcel.assignedDriver);
+    const history = parcel.statusHistory || [];
+    const collected = history.find((entry) => carriedStatuses.includes(entry.status));
+
+    if (!driverId || !collected) {
+      return [];
+    }
+
+    const recordedAt = { $gte: collected.timestamp };
+    const last = history[history.length - 1];
+    if (terminalStatuses.includes(last.status)) {
+      recordedAt.$lte = last.timestamp;
+    }
+
+    // Most recent first for the limit, then back into journey order
+    const breadcrumbs = await DriverLocation.find({ driver: driverId, recordedAt })
+      .sort({ recordedAt: -1 })
+      .limit(MAX_JOURNEY_BREADCRUMBS)
+      .select('-_id latitude longitude accuracy speed heading recordedAt')
+      .lean();
+
+    return breadcrumbs.reverse();
+  }
+
+  /**
+   * Copy new fixes onto the parcels in the driver's vehicle and refresh their ETAs
+   * @private
+   */
+  async moveCarriedParcels(driverId, fixes) {
+    const ordered = [...fixes].sort((a, b) => a.recordedAt - b.recordedAt);
+    const parcels = await Parcel.find({ assignedDriver: driverId, status: { $in: carriedStatuses }, ...notDeleted });
+    const run = parcels.filter((parcel) => parcel.status === 'OutForDelivery');
+
+    let updated = 0;
+    for (const parcel of parcels) {
+      // Late batches must not move a parcel back to an older position
+      const since = parcel.currentLocation?.timestamp;
+      const newer = ordered.filter((fix) => !since || fix.recordedAt > since);
+      if (newer.length === 0) {
+        continue;
+      }
+
+      newer.forEach((fix) => etaService.observeLocation(parcel, this.toLocation(fix)));
+      await etaService.refresh(parcel, { run });
+      await parcel.save();
+      updated += 1;
+    }
+    return updated;
+  }
+
+  /**
+   * Fix in the shape of a parcel's currentLocation
+   * @param {Object} fix - Stored breadcrumb
+   * @returns {Object} { latitude, longitude, timestamp, accuracy, speed }
+   */
+  toLocation(fix) {
+    return {
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      timestamp: fix.recordedAt,
+      accuracy: fix.accuracy,
+      speed: fix.speed,
+    };
+  }
+
+  /**
+   * Validate one fix, returning { location } or the { reason } it was rejected
+   * @private
+   */
+  parseFix(fix) {
+    if (!fix || typeof fix !== 'object') {
+      return { reason: 'Fix must be an object.' };
+    }
+
+    const latitude = this.toNumber(fix.latitude);
+    const longitude = this.toNumber(fix.longitude);
+    if (latitude === null || longitude === null || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return { reason: 'A valid latitude and longitude are required.' };
+    }
+
+    const recordedAt = new Date(fix.timestamp);
+    if (fix.timestamp === undefined || fix.timestamp === null || Number.isNaN(recordedAt.getTime())) {
+      return { reason: 'timestamp must be a valid date.' };
+    }
+    if (recordedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      return { reason: 'timestamp cannot be in the future.' };
+    }
+
+    const location = { latitude, longitude, recordedAt };
+    const optional = {
+      accuracy: (value) => value >= 0,
+      speed: (value) => value >= 0,
+      heading: (value) => value >= 0 && value <= 360,
+    };
+    for (const [field, isValid] of Object.entries(optional)) {
+      if (fix[field] === undefined || fix[field] === null) {
+        continue;
+      }
+      const value = this.toNumber(fix[field]);
+      if (value === null || !isValid(value)) {
+        return { reason: `${field} is out of range.` };
+      }
+      location[field] = value;
+    }
+
+    return { location };
+  }
+
+  /**
+   * @private
+   */
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+// Export singleton instance
+const driverLocationService = new DriverLocationService();
+
+export { DriverLocationError };
+export default driverLocationService;
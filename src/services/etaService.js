@@ -0,0 +1,320 @@
+import Parcel, { notDeleted } from '../models/Parcel.js';
+import Route from '../models/Route.js';
+import { terminalStatuses } from '../config/parcelLifecycle.js';
+import { hasCoordinates, distanceMeters } from '../utils/geo.js';
+import slaService from './slaService.js';
+
+/**
+ * ETA Service for EcoTrack Logistics System
+ *
+ * Estimates when a parcel will be delivered, with a confidence interval, from:
+ * - The parcel's active Route: planned speed (distanceKm over estimatedTimeMinutes) and road winding
+ * - Its latest GPS position
+ * - The stops remaining before it on the driver's run
+ * - Speeds observed from GPS fixes, as reported by the device or between successive fixes
+ *
+ * Estimates are stored on the parcel (parcel.eta) and recomputed when its location or status changes.
+ * The parcel's SLA status follows each new estimate.
+ */
+
+// Used when the parcel has no active route
+const DEFAULT_SPEED_KMH = 40;
+// Roads are longer than the straight line between two points
+const DEFAULT_ROAD_FACTOR = 1.3;
+
+// Observed speeds outside these bounds come from GPS jumps or stationary fixes, not driving
+const MIN_SAMPLE_MINUTES = 1;
+const MAX_SAMPLE_MINUTES = 120;
+const MAX_PLAUSIBLE_SPEED_KMH = 130;
+// Reported speeds below this are a vehicle standing at a stop; stop time is counted separately
+const MIN_MOVING_SPEED_KMH = 5;
+// Samples after which observed and planned speeds count equally
+const OBSERVED_SPEED_WEIGHT_SAMPLES = 3;
+const MAX_SPEED_SAMPLES = 20;
+
+// A GPS fix older than this no longer says much about where the vehicle is
+const STALE_FIX_MINUTES = 30;
+// Smallest half-width of the confidence interval
+const MIN_MARGIN_MINUTES = 5;
+
+class EtaService {
+  /**
+   * Minutes spent handing over each parcel on the run
+   * @returns {number}
+   */
+  getStopMinutes() {
+    const configured = Number(process.env.ETA_STOP_MINUTES);
+    return Number.isFinite(configured) && configured >= 0 ? configured : 5;
+  }
+
+  /**
+   * Record a new GPS fix for the parcel, folding its speed into the parcel's observed average
+   * @param {Object} parcel - Parcel document; the caller saves it
+   * @param {Object} location - { latitude, longitude, timestamp?, accuracy?, speed? }; speed in km/h as reported by the device
+   */
+  observeLocation(parcel, location) {
+    const previous = parcel.currentLocation;
+    const timestamp = location.timestamp ? new Date(location.timestamp) : new Date();
+
+    // Prefer the device's own speed; otherwise work it out from the distance since the previous fix
+    let speedKmh = null;
+    if (Number.isFinite(location.speed)) {
+      speedKmh = location.speed >= MIN_MOVING_SPEED_KMH ? location.speed : null;
+    } else if (hasCoordinates(previous) && previous.timestamp) {
+      const minutes = (timestamp - new Date(previous.timestamp)) / 60000;
+      if (minutes >= MIN_SAMPLE_MINUTES && minutes <= MAX_SAMPLE_MINUTES) {
+        speedKmh = (distanceMeters(previous, location) / 1000) / (minutes / 60);
+      }
+    }
+
+    if (speedKmh !== null && speedKmh <= MAX_PLAUSIBLE_SPEED_KMH) {
+      const samples = Math.min((parcel.eta?.speedSamples || 0) + 1, MAX_SPEED_SAMPLES);
+      const average = parcel.eta?.observedSpeedKmh ?? speedKmh;
+      parcel.eta = {
+        ...this.toPlain(parcel.eta),
+        observedSpeedKmh: Math.round((average + (speedKmh - average) / samples) * 10) / 10,
+        speedSamples: samples,
+      };
+    }
+
+    parcel.currentLocation = {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timestamp,
+      accuracy: location.accuracy,
+    };
+  }
+
+  /**
+   * Recompute the parcel's ETA and SLA status and store them on the parcel; the caller saves it
+   * @param {Object} parcel - Parcel document
+   * @param {Object} options - { run } preloaded parcels on the driver's run
+   * @returns {Promise<Object>} The stored ETA
+   */
+  async refresh(parcel, options = {}) {
+    const estimate = await this.estimate(parcel, options);
+    const { observedSpeedKmh, speedSamples } = parcel.eta || {};
+
+    parcel.eta = { ...estimate, observedSpeedKmh, speedSamples };
+    slaService.apply(parcel);
+    return parcel.eta;
+  }
+
+  /**
+   * Recompute and save the ETAs of a driver's open parcels, whose stops ahead change as the run progresses
+   * @param {string|ObjectId} driverId - Driver whose run changed
+   * @param {Object} options - { exclude } parcel _id already refreshed by the caller
+   * @returns {Promise<number>} Number of parcels updated
+   */
+  async refreshDriverRun(driverId, { exclude } = {}) {
+    if (!driverId) {
+      return 0;
+    }
+
+    const parcels = await Parcel.find({ assignedDriver: driverId, status: { $nin: terminalStatuses }, ...notDeleted });
+    const run = parcels.filter((parcel) => parcel.status === 'OutForDelivery');
+
+    let updated = 0;
+    for (const parcel of parcels) {
+      if (exclude && String(parcel._id) === String(exclude)) {
+        continue;
+      }
+      await this.refresh(parcel, { run });
+      await parcel.save();
+      updated += 1;
+    }
+    return updated;
+  }
+
+  /**
+   * The parcel's stored ETA, computed on the spot for parcels that have never had one
+   * @param {Object} parcel - Parcel document
+   * @returns {Promise<Object>}
+   */
+  async forTracking(parcel) {
+    if (parcel.eta?.computedAt) {
+      return this.toPlain(parcel.eta);
+    }
+    return { ...this.toPlain(parcel.eta), ...(await this.estimate(parcel)) };
+  }
+
+  /**
+   * Estimate the delivery time of a parcel without changing it
+   * @param {Object} parcel - Parcel document
+   * @param {Object} options - { run, now }
+   * @returns {Promise<Object>} { estimatedDeliveryTime, earliestDeliveryTime, latestDeliveryTime, confidence, remainingKm, stopsBefore, computedAt }
+   */
+  async estimate(parcel, { run, now = new Date() } = {}) {
+    const unknown = {
+      estimatedDeliveryTime: null,
+      earliestDeliveryTime: null,
+      latestDeliveryTime: null,
+      confidence: null,
+      remainingKm: null,
+      stopsBefore: 0,
+      computedAt: now,
+    };
+
+    if (terminalStatuses.includes(parcel.status)) {
+      return unknown;
+    }
+
+    const route = await this.findActiveRoute(parcel);
+    const roadFactor = this.roadFactor(route);
+    const outForDelivery = parcel.status === 'OutForDelivery';
+    const gps = hasCoordinates(parcel.currentLocation);
+    let uncertainty = 0.1;
+
+    // Remaining distance: from the last fix through the stops ahead, else the planned route or straight line
+    let remainingKm = null;
+    let stops = [];
+    if (gps && hasCoordinates(parcel.deliveryCoordinates)) {
+      if (outForDelivery) {
+        stops = this.stopsBefore(parcel, run || await this.loadRun(parcel));
+      }
+      const path = [parcel.currentLocation, ...stops.map((stop) => stop.deliveryCoordinates), parcel.deliveryCoordinates];
+      remainingKm = path.slice(1).reduce((total, point, index) => total + distanceMeters(path[index], point), 0) / 1000 * roadFactor;
+
+      const fixAgeMinutes = parcel.currentLocation.timestamp ? (now - new Date(parcel.currentLocation.timestamp)) / 60000 : Infinity;
+      if (fixAgeMinutes > STALE_FIX_MINUTES) {
+        uncertainty += 0.1;
+      }
+    } else if (route) {
+      remainingKm = route.distanceKm;
+      uncertainty += 0.2;
+    } else if (hasCoordinates(parcel.pickupCoordinates) && hasCoordinates(parcel.deliveryCoordinates)) {
+      remainingKm = distanceMeters(parcel.pickupCoordinates, parcel.deliveryCoordinates) / 1000 * roadFactor;
+      uncertainty += 0.2;
+    } else {
+      return unknown;
+    }
+
+    const speedKmh = this.blendedSpeed(route, parcel.eta);
+    const minutes = (remainingKm / speedKmh) * 60 + stops.length * this.getStopMinutes();
+
+    if (!route) {
+      uncertainty += 0.1;
+    }
+    if (!parcel.eta?.speedSamples) {
+      uncertainty += 0.1;
+    }
+    // Hub dwell and waiting for the run are not modelled before the parcel is out for delivery
+    if (!outForDelivery) {
+      uncertainty += 0.25;
+    }
+    uncertainty += Math.min(stops.length * 0.03, 0.15);
+    uncertainty = Math.min(uncertainty, 0.9);
+
+    const margin = Math.max(minutes * uncertainty, MIN_MARGIN_MINUTES);
+    const at = (offsetMinutes) => new Date(now.getTime() + Math.max(offsetMinutes, 0) * 60000);
+
+    return {
+      estimatedDeliveryTime: at(minutes),
+      earliestDeliveryTime: at(minutes - margin),
+      latestDeliveryTime: at(minutes + margin),
+      confidence: uncertainty <= 0.2 ? 'high' : uncertainty <= 0.45 ? 'medium' : 'low',
+      remainingKm: Math.round(remainingKm * 10) / 10,
+      stopsBefore: stops.length,
+      computedAt: now,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async findActiveRoute(parcel) {
+    const routeId = parcel.optimizedRoute?._id || parcel.optimizedRoute;
+    if (!routeId) {
+      return null;
+    }
+    return Route.findOne({ _id: routeId, isActive: true }).select('distanceKm estimatedTimeMinutes pickupLocation deliveryLocation');
+  }
+
+  /**
+   * Parcels the driver has out for delivery
+   * @private
+   */
+  async loadRun(parcel) {
+    const driverId = parcel.assignedDriver?._id || parcel.assignedDriver;
+    if (!driverId) {
+      return [];
+    }
+    return Parcel.find({ assignedDriver: driverId, status: 'OutForDelivery', ...notDeleted })
+      .select('deliveryCoordinates')
+      .lean();
+  }
+
+  /**
+   * Stops the driver reaches before this parcel, visiting the nearest remaining drop each time
+   * @private
+   */
+  stopsBefore(parcel, run) {
+    let remaining = run.filter((stop) => String(stop._id) !== String(parcel._id) && hasCoordinates(stop.deliveryCoordinates));
+    let position = parcel.currentLocation;
+    const before = [];
+
+    for (;;) {
+      const target = distanceMeters(position, parcel.deliveryCoordinates);
+      let nearest = null;
+      remaining.forEach((stop) => {
+        const distance = distanceMeters(position, stop.deliveryCoordinates);
+        if (distance < target && (!nearest || distance < nearest.distance)) {
+          nearest = { stop, distance };
+        }
+      });
+      if (!nearest) {
+        return before;
+      }
+
+      before.push(nearest.stop);
+      position = nearest.stop.deliveryCoordinates;
+      remaining = remaining.filter((stop) => stop !== nearest.stop);
+    }
+  }
+
+  /**
+   * How much longer the planned road is than the straight line between its ends
+   * @private
+   */
+  roadFactor(route) {
+    if (!route || !hasCoordinates(route.pickupLocation) || !hasCoordinates(route.deliveryLocation)) {
+      return DEFAULT_ROAD_FACTOR;
+    }
+
+    const straightKm = distanceMeters(route.pickupLocation, route.deliveryLocation) / 1000;
+    if (straightKm < 1) {
+      return DEFAULT_ROAD_FACTOR;
+    }
+    return Math.min(Math.max(route.distanceKm / straightKm, 1), 3);
+  }
+
+  /**
+   * Planned route speed, giving way to the observed speed as samples come in
+   * @private
+   */
+  blendedSpeed(route, eta) {
+    const plannedKmh = route?.estimatedTimeMinutes > 0
+      ? route.distanceKm / (route.estimatedTimeMinutes / 60)
+      : DEFAULT_SPEED_KMH;
+
+    const samples = eta?.speedSamples || 0;
+    if (!samples || !(eta.observedSpeedKmh > 0)) {
+      return plannedKmh;
+    }
+
+    const weight = samples / (samples + OBSERVED_SPEED_WEIGHT_SAMPLES);
+    return weight * eta.observedSpeedKmh + (1 - weight) * plannedKmh;
+  }
+
+  /**
+   * @private
+   */
+  toPlain(eta) {
+    return eta?.toObject ? eta.toObject() : { ...eta };
+  }
+}
+
+// Export singleton instance
+const etaService = new EtaService();
+
+export default etaService;
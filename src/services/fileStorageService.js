@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * File Storage Service for EcoTrack Logistics System
+ *
+ * Stores uploaded files through a pluggable storage backend:
+ * - Default local storage writes files under a directory on disk
+ * - Any object exposing `name`, `async save(key, buffer)` and `async read(key)` can replace it
+ * - Files are addressed by generated keys, never by names taken from the request
+ */
+
+/**
+ * Storage that keeps files on the local disk
+ */
+class LocalFileStorage {
+  constructor(directory) {
+    this.name = 'local';
+    this.directory = directory;
+  }
+
+  /**
+   * Resolve the storage directory (evaluated lazily so .env values apply)
+   * @private
+   */
+  getDirectory() {
+    return this.directory || process.env.FILE_STORAGE_DIR || path.join(process.cwd(), 'uploads');
+  }
+
+  /**
+   * Absolute path for a key, refusing keys that escape the storage directory
+   * @private
+   */
+  resolve(key) {
+    const directory = path.resolve(this.getDirectory());
+    const filePath = path.resolve(directory, key);
+
+    if (!filePath.startsWith(`${directory}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - Storage key, e.g. "proof-of-delivery/PCL-1/abc.png"
+   * @param {Buffer} buffer - File contents
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Contents, or null when the file is missing
+   */
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+class FileStorageService {
+  constructor() {
+    this.storage = new LocalFileStorage();
+  }
+
+  /**
+   * Replace the active storage (e.g. an object store adapter or a test double)
+   * @param {Object} storage - Object with `name`, `async save(key, buffer)` and `async read(key)`
+   */
+  setStorage(storage) {
+    if (!storage || typeof storage.save !== 'function' || typeof storage.read !== 'function') {
+      throw new Error('File storage must implement save(key, buffer) and read(key)');
+    }
+    this.storage = storage;
+  }
+
+  /**
+   * Get information about the active storage
+   * @returns {Object} Storage details
+   */
+  getStorageInfo() {
+    return { storage: this.storage.name || 'custom' };
+  }
+
+  /**
+   * Store a file under a generated key
+   * @param {Object} file - { buffer, contentType, extension, folder }
+   * @returns {Promise<Object>} { key, contentType, size, sha256, storage }
+   */
+  async saveFile({ buffer, contentType, extension, folder }) {
+    const key = `${folder}/${crypto.randomUUID()}.${extension}`;
+
+    await this.storage.save(key, buffer);
+
+    return {
+      key,
+      contentType,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      storage: this.storage.name || 'custom',
+    };
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key - Storage key returned by saveFile()
+   * @returns {Promise<Buffer|null>} Contents, or null when the file is missing
+   */
+  async readFile(key) {
+    return this.storage.read(key);
+  }
+}
+
+// Export singleton instance
+const fileStorageService = new FileStorageService();
+
+export { LocalFileStorage };
+export default fileStorageService;
@@ -0,0 +1,237 @@
+import sriLankaGazetteer from '../data/sriLankaGazetteer.js';
+
+/**
+ * Geocoding Service for EcoTrack Logistics System
+ *
+ * Turns free-text parcel addresses into coordinates through a pluggable provider:
+ * - Default gazetteer provider works offline from bundled Sri Lankan places and postcodes
+ * - Any object exposing `name` and `async geocode(address)` can replace it
+ * - Every result carries a confidence score between 0 and 1
+ */
+
+// Confidence by how the address was matched
+const CONFIDENCE = {
+  postcodeAndName: 1,
+  postcode: 0.9,
+  name: 0.8,
+  // Several places named in one address, e.g. "Galle Road, Colombo 03"
+  ambiguousName: 0.7,
+  // City-wide entries without a postcode, e.g. "Colombo"
+  cityOnly: 0.6,
+  fuzzyName: 0.5,
+};
+
+// Lowercase, strip punctuation and write Colombo zones with two digits ("colombo 7" -> "colombo 07")
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/\bcolombo 0?(\d)\b/g, 'colombo 0$1')
+  .trim();
+
+// Edit distance between two short strings
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Provider that matches addresses against a bundled gazetteer without network access
+ */
+class GazetteerProvider {
+  constructor(entries = sriLankaGazetteer) {
+    this.name = 'gazetteer';
+    this.entries = entries.map((entry) => ({
+      ...entry,
+      terms: [entry.name, ...(entry.aliases || [])].map(normalize),
+    }));
+  }
+
+  /**
+   * Geocode an address
+   * @param {string} address - Free-text address
+   * @returns {Promise<Object|null>} { latitude, longitude, confidence, matchedName, matchedOn }
+   */
+  async geocode(address) {
+    const text = normalize(address);
+    if (!text) {
+      return null;
+    }
+
+    const postcodes = text.match(/\b\d{5}\b/g) || [];
+    const postcodeEntry = this.entries.find((entry) => entry.postcode && postcodes.includes(entry.postcode));
+    const nameMatches = this.findNameMatches(text);
+    const best = nameMatches[0];
+
+    if (postcodeEntry) {
+      const nameAgrees = nameMatches.some((match) => match.entry === postcodeEntry);
+      return this.toResult(postcodeEntry, nameAgrees ? CONFIDENCE.postcodeAndName : CONFIDENCE.postcode, 'postcode');
+    }
+
+    if (best) {
+      let confidence = CONFIDENCE.name;
+      if (!best.entry.postcode) {
+        confidence = CONFIDENCE.cityOnly;
+      } else if (nameMatches.some((match) => match.entry !== best.entry && !best.term.includes(match.term))) {
+        confidence = CONFIDENCE.ambiguousName;
+      }
+      return this.toResult(best.entry, confidence, 'name');
+    }
+
+    const fuzzy = this.findFuzzyMatch(text);
+    return fuzzy ? this.toResult(fuzzy, CONFIDENCE.fuzzyName, 'fuzzy') : null;
+  }
+
+  /**
+   * Places named in the address, best first. Addresses end with the town, so the match
+   * ending latest wins, and the longer name wins a tie ("colombo 03" over "colombo").
+   * @private
+   */
+  findNameMatches(text) {
+    const padded = ` ${text} `;
+    const matches = [];
+
+    this.entries.forEach((entry) => {
+      entry.terms.forEach((term) => {
+        const position = padded.lastIndexOf(` ${term} `);
+        if (position !== -1) {
+          matches.push({ entry, term, end: position + term.length });
+        }
+      });
+    });
+
+    return matches.sort((a, b) => (b.end - a.end) || (b.term.length - a.term.length));
+  }
+
+  /**
+   * Closest place name within a small edit distance, for misspellings such as "Kurunagela"
+   * @private
+   */
+  findFuzzyMatch(text) {
+    const words = text.split(' ');
+    // Single words and adjacent pairs, so two-word names like "nuwara eliya" can match
+    const candidates = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+    let best = null;
+
+    this.entries.forEach((entry) => {
+      entry.terms.forEach((term) => {
+        if (term.length < 5) {
+          return;
+        }
+
+        const allowed = term.length >= 8 ? 2 : 1;
+        candidates.forEach((candidate) => {
+          const distance = levenshtein(candidate, term);
+          if (distance <= allowed && (!best || distance < best.distance)) {
+            best = { entry, distance };
+          }
+        });
+      });
+    });
+
+    return best ? best.entry : null;
+  }
+
+  /**
+   * Shape a gazetteer entry as a geocoding result
+   * @private
+   */
+  toResult(entry, confidence, matchedOn) {
+    return {
+      latitude: entry.latitude,
+      longitude: entry.longitude,
+      confidence,
+      matchedName: entry.name,
+      matchedOn,
+      district: entry.district,
+      postcode: entry.postcode,
+    };
+  }
+}
+
+class GeocodingService {
+  constructor() {
+    this.provider = new GazetteerProvider();
+  }
+
+  /**
+   * Replace the active provider (e.g. an online geocoder or a test double)
+   * @param {Object} provider - Object with `name` and `async geocode(address)`
+   */
+  setProvider(provider) {
+    if (!provider || typeof provider.geocode !== 'function') {
+      throw new Error('Geocoding provider must implement geocode(address)');
+    }
+    this.provider = provider;
+  }
+
+  /**
+   * Geocode an address with the active provider
+   * @param {string} address - Free-text address
+   * @returns {Promise<Object|null>} Result with provider name, or null when nothing matched
+   */
+  async geocode(address) {
+    if (!address || !String(address).trim()) {
+      return null;
+    }
+
+    try {
+      const result = await this.provider.geocode(String(address));
+      if (!result || !Number.isFinite(result.latitude) || !Number.isFinite(result.longitude)) {
+        return null;
+      }
+
+      return {
+        ...result,
+        confidence: Math.min(Math.max(Number(result.confidence) || 0, 0), 1),
+        provider: this.provider.name,
+      };
+    } catch (error) {
+      // Geocoding is best effort; a failing provider must not block parcel intake
+      console.error(`Geocoding error (${this.provider.name}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Coordinates for a parcel location, in the shape stored on Parcel
+   * @param {string} address - Pickup or delivery address
+   * @returns {Promise<Object|undefined>} Stored coordinates, or undefined when nothing matched
+   */
+  async geocodeLocation(address) {
+    const result = await this.geocode(address);
+    if (!result) {
+      return undefined;
+    }
+
+    return {
+      latitude: result.latitude,
+      longitude: result.longitude,
+      confidence: result.confidence,
+      source: 'geocoder',
+      provider: result.provider,
+      matchedName: result.matchedName,
+      geocodedAt: new Date(),
+    };
+  }
+}
+
+// Export singleton instance
+const geocodingService = new GeocodingService();
+
+export { GazetteerProvider };
+export default geocodingService;
@@ -0,0 +1,212 @@
+import mongoose from 'mongoose';
+
+import Geofence from '../models/Geofence.js';
+import GeofenceEvent, { eventTypes } from '../models/GeofenceEvent.js';
+import Parcel, { notDeleted } from '../models/Parcel.js';
+import { parcelFences, fenceKinds, automaticTransitions } from '../config/geofences.js';
+import { transitions, terminalStatuses } from '../config/parcelLifecycle.js';
+import { hasCoordinates, distanceMeters } from '../utils/geo.js';
+import parcelLifecycleService from './parcelLifecycleService.js';
+import etaService from './etaService.js';
+import parcelHistoryService from './parcelHistoryService.js';
+
+/**
+ * Geofence Service for EcoTrack Logistics System
+ *
+ * Checks drivers' GPS fixes against geofences:
+ * - Hub fences, plus fences around the pickup and delivery addresses of the driver's parcels
+ * - Arrival and departure events whenever a fix lands on the other side of a fence's edge
+ * - Automatic status transitions configured in src/config/geofences.js, applied through the
+ *   parcel lifecycle and recorded with source "geofence"
+ */
+
+// Leaving needs this much distance beyond the radius, so GPS jitter at the edge does not flap
+const DEPARTURE_MARGIN_METERS = 50;
+
+class GeofenceService {
+  constructor() {
+    this.validateRules();
+  }
+
+  /**
+   * Fail fast on automatic transitions the lifecycle cannot apply unattended
+   * @private
+   */
+  validateRules() {
+    automaticTransitions.forEach(({ fence, event, from, to }) => {
+      if (!fenceKinds.includes(fence)) {
+        throw new Error(`Unknown geofence "${fence}" in automatic transition ${from} -> ${to}.`);
+      }
+      if (!eventTypes.includes(event)) {
+        throw new Error(`Unknown geofence event "${event}" in automatic transition ${from} -> ${to}.`);
+      }
+
+      const transition = transitions.find((candidate) => candidate.from === from && candidate.to === to);
+      if (!transition) {
+        throw new Error(`Automatic transition ${from} -> ${to} is not in the parcel lifecycle.`);
+      }
+      if (transition.requiredFields?.length) {
+        throw new Error(`Automatic transition ${from} -> ${to} needs ${transition.requiredFields.join(', ')} and cannot be applied by a geofence.`);
+      }
+    });
+  }
+
+  /**
+   * Detect fence crossings in a batch of fixes and apply the configured status transitions
+   * @param {Object} driver - Driver who reported the fixes (req.user)
+   * @param {Array} fixes - Stored fixes [{ latitude, longitude, accuracy?, recordedAt }]
+   * @returns {Promise<Object>} { events, statusChanges: [{ parcelId, from, to }] }
+   */
+  async evaluate(driver, fixes) {
+    // Aggregations do not cast IDs, and req.user only carries the string id
+    const driverId = new mongoose.Types.ObjectId(driver.id);
+
+    const [hubs, parcels] = await Promise.all([
+      Geofence.find({ isActive: true }).lean(),
+      Parcel.find({ assignedDriver: driverId, status: { $nin: terminalStatuses }, ...notDeleted }),
+    ]);
+
+    const fences = [
+      ...hubs.map((hub) => ({
+        kind: 'hub',
+        key: `hub:${hub._id}`,
+        geofence: hub._id,
+        name: hub.name,
+        center: hub,
+        radiusMeters: hub.radiusMeters,
+      })),
+      ...parcels.flatMap((parcel) => this.fencesForParcel(parcel)),
+    ];
+    if (fences.length === 0) {
+      return { events: 0, statusChanges: [] };
+    }
+
+    const events = await this.detectCrossings(driverId, fences, fixes);
+    if (events.length === 0) {
+      return { events: 0, statusChanges: [] };
+    }
+
+    const statusChanges = [];
+    // Changed parcels, with their state before the first transition for the change log
+    const changed = new Map();
+    for (const event of events) {
+      const rules = automaticTransitions.filter((rule) => rule.fence === event.kind && rule.event === event.type);
+      // Parcel fences only move their own parcel; hubs move everything the driver has
+      const targets = event.parcel ? parcels.filter((parcel) => parcel._id.equals(event.parcel)) : parcels;
+
+      for (const rule of rules) {
+        for (const parcel of targets.filter((target) => target.status === rule.from)) {
+          if (!changed.has(parcel)) {
+            changed.set(parcel, parcelHistoryService.snapshot(parcel));
+          }
+          const transition = parcelLifecycleService.getTransition(rule.from, rule.to);
+          await parcelLifecycleService.applyTransition(parcel, transition, driver, {
+            note: `${event.type === 'arrival' ? 'Arrived at' : 'Departed from'} ${event.name}`,
+          }, { source: 'geofence' });
+
+          event.transitions.push({ parcel: parcel._id, parcelId: parcel.parcelId, from: rule.from, to: rule.to });
+          statusChanges.push({ parcelId: parcel.parcelId, from: rule.from, to: rule.to });
+        }
+      }
+    }
+
+    for (const [parcel, before] of changed) {
+      await parcel.save();
+      await parcelHistoryService.record(parcel, before, driver, 'StatusChanged');
+    }
+    await GeofenceEvent.insertMany(events);
+
+    // Parcels going out for delivery or leaving the run change the stops ahead of the others
+    if (changed.size > 0) {
+      await etaService.refreshDriverRun(driverId);
+    }
+
+    return { events: events.length, statusChanges };
+  }
+
+  /**
+   * The configured parcel fences and automatic transitions
+   * @returns {Object} { parcelFences: [{ kind, label, radiusMeters }], automaticTransitions }
+   */
+  describeRules() {
+    return {
+      parcelFences: Object.entries(parcelFences).map(([kind, { label, radiusMeters }]) => ({ kind, label, radiusMeters })),
+      automaticTransitions,
+    };
+  }
+
+  /**
+   * Fences around a parcel's geocoded addresses
+   * @private
+   */
+  fencesForParcel(parcel) {
+    return Object.entries(parcelFences)
+      .filter(([, fence]) => hasCoordinates(parcel[fence.coordinates]))
+      .map(([kind, fence]) => ({
+        kind,
+        key: `${kind}:${parcel._id}`,
+        parcel: parcel._id,
+        name: `${fence.label} of ${parcel.parcelId}`,
+        center: parcel[fence.coordinates],
+        radiusMeters: fence.radiusMeters,
+      }));
+  }
+
+  /**
+   * Walk the fixes in time order and record every edge crossing, continuing from the last
+   * stored event of each fence. Fixes older than that event, or too coarse for the fence, are skipped.
+   * @private
+   */
+  async detectCrossings(driverId, fences, fixes) {
+    const lastEvents = await GeofenceEvent.aggregate([
+      { $match: { driver: driverId, fenceKey: { $in: fences.map((fence) => fence.key) } } },
+      { $sort: { occurredAt: -1 } },
+      { $group: { _id: '$fenceKey', type: { $first: '$type' }, occurredAt: { $first: '$occurredAt' } } },
+    ]);
+
+    const state = new Map(fences.map((fence) => [fence.key, { inside: false, since: null }]));
+    lastEvents.forEach((event) => {
+      state.set(event._id, { inside: event.type === 'arrival', since: event.occurredAt });
+    });
+
+    const events = [];
+    const ordered = [...fixes].sort((a, b) => a.recordedAt - b.recordedAt);
+    for (const fix of ordered) {
+      for (const fence of fences) {
+        const current = state.get(fence.key);
+        if ((current.since && fix.recordedAt <= current.since) || fix.accuracy > fence.radiusMeters) {
+          continue;
+        }
+
+        const distance = distanceMeters(fix, fence.center);
+        const inside = current.inside
+          ? distance <= fence.radiusMeters + DEPARTURE_MARGIN_METERS
+          : distance <= fence.radiusMeters;
+        if (inside === current.inside) {
+          continue;
+        }
+
+        state.set(fence.key, { inside, since: fix.recordedAt });
+        events.push({
+          driver: driverId,
+          type: inside ? 'arrival' : 'departure',
+          kind: fence.kind,
+          fenceKey: fence.key,
+          geofence: fence.geofence,
+          parcel: fence.parcel,
+          name: fence.name,
+          radiusMeters: fence.radiusMeters,
+          occurredAt: fix.recordedAt,
+          location: { latitude: fix.latitude, longitude: fix.longitude, accuracy: fix.accuracy },
+          transitions: [],
+        });
+      }
+    }
+    return events;
+  }
+}
+
+// Export singleton instance
+const geofenceService = new GeofenceService();
+
+export default geofenceService;
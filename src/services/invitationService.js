@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+import Invitation from '../models/Invitation.js';
+
+/**
+ * Invitation Service for EcoTrack Logistics System
+ *
+ * Manages Supervisor-issued registration invites:
+ * - Issuing one-time tokens bound to an email and role
+ * - Accepting a token during registration
+ * - Revoking pending invites
+ */
+
+class InvitationService {
+  /**
+   * Lifetime of invitation tokens in hours
+   * @returns {number}
+   */
+  getInviteTtlHours() {
+    return Number(process.env.INVITE_TTL_HOURS) || 72;
+  }
+
+  /**
+   * Hash a raw invitation token for storage and lookup
+   * @private
+   */
+  hashToken(rawToken) {
+    return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+  }
+
+  /**
+   * MongoDB filter for invites that can still be accepted
+   * @private
+   */
+  pendingQuery() {
+    return {
+      acceptedAt: { $exists: false },
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    };
+  }
+
+  /**
+   * Issue an invitation, revoking earlier pending invites for the same email
+   * @param {Object} invite - { email, role, createdBy }
+   * @returns {Promise<Object>} { token, invitation }
+   */
+  async issueInvite({ email, role, createdBy }) {
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    await Invitation.updateMany(
+      { email: normalizedEmail, ...this.pendingQuery() },
+      { revokedAt: new Date(), revokedBy: createdBy }
+    );
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      role,
+      tokenHash: this.hashToken(rawToken),
+      expiresAt: new Date(Date.now() + this.getInviteTtlHours() * 60 * 60 * 1000),
+      createdBy,
+    });
+
+    return { token: rawToken, invitation };
+  }
+
+  /**
+   * Find the pending invitation for a token without accepting it
+   * @param {string} rawToken - Token from the invitation email
+   * @returns {Promise<Object|null>} Invitation, or null when unusable
+   */
+  async findPendingInvite(rawToken) {
+    return Invitation.findOne({ tokenHash: this.hashToken(rawToken), ...this.pendingQuery() });
+  }
+
+  /**
+   * Mark an invitation as accepted by a newly registered user
+   * @param {string} invitationId - Invitation being accepted
+   * @param {string} userId - User created from the invitation
+   * @returns {Promise<Object|null>} Accepted invitation, or null when it was used concurrently
+   */
+  async acceptInvite(invitationId, userId) {
+    // Atomic update so two concurrent registrations cannot both use the invite
+    return Invitation.findOneAndUpdate(
+      { _id: invitationId, ...this.pendingQuery() },
+      { acceptedAt: new Date(), acceptedBy: userId },
+      { new: true }
+    );
+  }
+}
+
+// Export singleton instance
+const invitationService = new InvitationService();
+
+export default invitationService;
@@ -0,0 +1,201 @@
+import AuthEvent from '../models/AuthEvent.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+
+/**
+ * Login Protection Service for EcoTrack Logistics System
+ *
+ * Slows down password guessing against the login endpoint:
+ * - Counts failed attempts per email and per client IP
+ * - Locks an email or IP once its threshold is reached, with a lockout that doubles each time
+ * - Records every login attempt in the auth event log
+ *
+ * Emails are throttled whether or not an account exists, so lockouts do not reveal which
+ * addresses are registered.
+ */
+
+class LoginProtectionService {
+  /**
+   * Thresholds and lockout durations, read from the environment on each call
+   * @returns {Object} Active configuration
+   */
+  getConfig() {
+    return {
+      maxAttemptsPerEmail: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_EMAIL) || 5,
+      maxAttemptsPerIp: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+      attemptWindowMinutes: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+      lockoutBaseMinutes: Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5,
+      lockoutMaxMinutes: Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+    };
+  }
+
+  /**
+   * Throttle keys for a login attempt
+   * @private
+   */
+  getKeys({ email, ipAddress }) {
+    const keys = [];
+    if (email) {
+      keys.push({ scope: 'email', key: `email:${email}` });
+    }
+    if (ipAddress) {
+      keys.push({ scope: 'ip', key: `ip:${ipAddress}` });
+    }
+    return keys;
+  }
+
+  /**
+   * Lockout length for the nth lockout: base, 2x base, 4x base, ... up to the maximum
+   * @param {number} lockCount - Lockouts so far including this one
+   * @returns {number} Minutes
+   */
+  getLockoutMinutes(lockCount) {
+    const { lockoutBaseMinutes, lockoutMaxMinutes } = this.getConfig();
+    const minutes = lockoutBaseMinutes * 2 ** Math.max(lockCount - 1, 0);
+    return Math.min(minutes, lockoutMaxMinutes);
+  }
+
+  /**
+   * Check whether the email or IP of an attempt is currently locked
+   * @param {Object} attempt - { email, ipAddress }
+   * @returns {Promise<Object|null>} { scope, lockUntil, retryAfterSeconds } or null when allowed
+   */
+  async getActiveLock(attempt) {
+    const keys = this.getKeys(attempt);
+    const now = new Date();
+
+    const locked = await LoginThrottle.find({
+      key: { $in: keys.map((entry) => entry.key) },
+      lockUntil: { $gt: now },
+    }).sort({ lockUntil: -1 });
+
+    if (locked.length === 0) {
+      return null;
+    }
+
+    const [longest] = locked;
+    return {
+      scope: longest.key.startsWith('ip:') ? 'ip' : 'email',
+      lockUntil: longest.lockUntil,
+      retryAfterSeconds: Math.ceil((longest.lockUntil.getTime() - now.getTime()) / 1000),
+    };
+  }
+
+  /**
+   * Count a failed attempt against the email and IP, locking whichever reaches its threshold
+   * @param {Object} attempt - { email, ipAddress }
+   * @returns {Promise<Array>} Lockouts started by this failure: [{ scope, lockUntil, lockCount }]
+   */
+  async registerFailure(attempt) {
+    const config = this.getConfig();
+    const now = new Date();
+    const windowMs = config.attemptWindowMinutes * 60 * 1000;
+    const newLocks = [];
+
+    // Keep a record a day past its last activity so repeat offenders keep escalating
+    const keepUntil = (time) => new Date(time + 24 * 60 * 60 * 1000);
+
+    // Concurrent failures for the same key each update the record in place rather than
+    // reading and saving it, so none is lost and the first failure cannot be inserted twice
+    for (const { scope, key } of this.getKeys(attempt)) {
+      const threshold = scope === 'ip' ? config.maxAttemptsPerIp : config.maxAttemptsPerEmail;
+
+      // Start a fresh counting window once the previous one has lapsed
+      await LoginThrottle.updateOne(
+        { key, windowStartedAt: { $lt: new Date(now.getTime() - windowMs) } },
+        { $set: { failedAttempts: 0, windowStartedAt: now } }
+      );
+
+      const throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failedAttempts: 1 },
+          $setOnInsert: { windowStartedAt: now },
+          $max: { expiresAt: keepUntil(now.getTime() + windowMs) },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      if (throttle.failedAttempts < threshold) {
+        continue;
+      }
+
+      // Only the failure that finds the count still at the threshold starts the lockout
+      const locked = await LoginThrottle.findOneAndUpdate(
+        { key, failedAttempts: { $gte: threshold } },
+        { $inc: { lockCount: 1 }, $set: { failedAttempts: 0, windowStartedAt: now } },
+        { new: true }
+      );
+      if (!locked) {
+        continue;
+      }
+
+      const lockUntil = new Date(now.getTime() + this.getLockoutMinutes(locked.lockCount) * 60 * 1000);
+      await LoginThrottle.updateOne(
+        { key },
+        { $set: { lockUntil }, $max: { expiresAt: keepUntil(lockUntil.getTime()) } }
+      );
+      newLocks.push({ scope, lockUntil, lockCount: locked.lockCount });
+    }
+
+    return newLocks;
+  }
+
+  /**
+   * Clear the failure count for an email after a successful login. The lockout count is kept
+   * and expires with the record, so one successful login does not reset the escalation.
+   * IP counters are left alone so one valid account cannot mask guessing from the same address.
+   * @param {string} email - Normalized email
+   */
+  async registerSuccess(email) {
+    await LoginThrottle.updateOne(
+      { key: `email:${email}` },
+      { $set: { failedAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  /**
+   * Lift a lockout on an email and reset its escalation
+   * @param {string} email - Normalized email
+   * @returns {Promise<boolean>} Whether the email had a throttle record
+   */
+  async unlockEmail(email) {
+    const result = await LoginThrottle.deleteOne({ key: `email:${email}` });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Current lock state of an email, for display to Supervisors
+   * @param {string} email - Normalized email
+   * @returns {Promise<Object>} { isLocked, lockUntil, failedAttempts, lockCount }
+   */
+  async getEmailStatus(email) {
+    const throttle = await LoginThrottle.findOne({ key: `email:${email}` });
+    const isLocked = Boolean(throttle?.lockUntil && throttle.lockUntil > new Date());
+
+    return {
+      isLocked,
+      lockUntil: isLocked ? throttle.lockUntil : null,
+      failedAttempts: throttle?.failedAttempts || 0,
+      lockCount: throttle?.lockCount || 0,
+    };
+  }
+
+  /**
+   * Append an entry to the auth event log. Failures are logged, never thrown,
+   * so an audit problem cannot block a login.
+   * @param {Object} event - { type, email, user, ipAddress, userAgent, reason, performedBy }
+   */
+  async recordEvent(event) {
+    try {
+      await AuthEvent.create({
+        ...event,
+        userAgent: event.userAgent ? String(event.userAgent).slice(0, 500) : undefined,
+      });
+    } catch (error) {
+      console.error('Auth event logging error:', error.message);
+    }
+  }
+}
+
+const loginProtectionService = new LoginProtectionService();
+export default loginProtectionService;
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Mail Service for EcoTrack Logistics System
+ *
+ * Sends transactional email through a pluggable transport:
+ * - Default outbox transport writes RFC 822 .eml files to a local directory
+ * - Any object exposing `name` and `async send(message)` can replace it
+ * - No SMTP server is needed for development or tests
+ */
+
+/**
+ * Transport that stores each message as an .eml file instead of delivering it
+ */
+class OutboxTransport {
+  constructor(directory) {
+    this.name = 'outbox';
+    this.directory = directory;
+  }
+
+  /**
+   * Resolve the outbox directory (evaluated lazily so .env values apply)
+   * @private
+   */
+  getDirectory() {
+    return this.directory || process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+  }
+
+  /**
+   * Write a message to the outbox
+   * @param {Object} message - { from, to, subject, text, messageId, date }
+   * @returns {Promise<Object>} { messageId, path }
+   */
+  async send(message) {
+    const directory = this.getDirectory();
+    await fs.mkdir(directory, { recursive: true });
+
+    const timestamp = message.date.toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(directory, `${timestamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+
+    await fs.writeFile(filePath, this.toEml(message), 'utf8');
+
+    return { messageId: message.messageId, path: filePath };
+  }
+
+  /**
+   * Serialize a message in .eml format
+   * @private
+   */
+  toEml({ from, to, subject, text, messageId, date }) {
+    return [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${date.toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      text,
+      '',
+    ].join('\r\n');
+  }
+}
+
+class MailService {
+  constructor() {
+    this.transport = new OutboxTransport();
+  }
+
+  /**
+   * Replace the active transport (e.g. SMTP adapter or a test double)
+   * @param {Object} transport - Object with `name` and `async send(message)`
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Get information about the active transport
+   * @returns {Object} Transport details
+   */
+  getTransportInfo() {
+    return {
+      transport: this.transport.name || 'custom',
+      from: this.getDefaultSender(),
+    };
+  }
+
+  /**
+   * Sender address used when a message does not specify one
+   * @private
+   */
+  getDefaultSender() {
+    return process.env.MAIL_FROM || 'EcoTrack Logistics <no-reply@ecotrack.local>';
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {Object} options - { to, subject, text, from }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendMail({ to, subject, text, from }) {
+    if (!to || !subject || !text) {
+      throw new Error('Mail requires to, subject and text');
+    }
+
+    const message = {
+      from: from || this.getDefaultSender(),
+      to,
+      subject,
+      text,
+      date: new Date(),
+      messageId: `<${crypto.randomUUID()}@ecotrack.local>`,
+    };
+
+    return this.transport.send(message);
+  }
+}
+
+// Export singleton instance
+const mailService = new MailService();
+
+export { OutboxTransport };
+export default mailService;
@@ -0,0 +1,91 @@
+import ParcelChange from '../models/ParcelChange.js';
+
+/**
+ * Parcel History Service for EcoTrack Logistics System
+ *
+ * Keeps a field-level change log for parcels:
+ * - Callers take a snapshot before changing a parcel and record the action once it is saved
+ * - Each entry lists the fields that differ, with their old and new values, the actor and the time
+ * - Derived fields (ETA, SLA status) and the status history, which logs itself, are left out
+ */
+
+// Fields that are not logged: identifiers, timestamps and values recomputed from other fields
+const untrackedFields = ['_id', '__v', 'createdAt', 'updatedAt', 'eta', 'sla', 'statusHistory'];
+
+class ParcelHistoryService {
+  /**
+   * Plain copy of a parcel's fields to compare against after a change
+   * @param {Object} parcel - Parcel document
+   * @returns {Object}
+   */
+  snapshot(parcel) {
+    return parcel.toObject({ depopulate: true });
+  }
+
+  /**
+   * Fields whose values differ between two snapshots
+   * @param {Object} before - Snapshot taken before the change
+   * @param {Object} after - Snapshot taken after the change
+   * @returns {Array} [{ field, oldValue, newValue }]
+   */
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+      .filter((field) => !untrackedFields.includes(field))
+      .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map((field) => ({
+        field,
+        oldValue: before[field] ?? null,
+        newValue: after[field] ?? null,
+      }));
+  }
+
+  /**
+   * Log the fields a saved change touched; nothing is logged when no tracked field changed
+   * @param {Object} parcel - Parcel document after the change
+   * @param {Object} before - Snapshot taken before the change
+   * @param {Object} user - Authenticated caller (req.user)
+   * @param {string} action - One of parcelChangeActions
+   * @returns {Promise<Object|null>} The log entry, or null
+   */
+  async record(parcel, before, user, action) {
+    const changes = this.diff(before, this.snapshot(parcel));
+    if (changes.length === 0) {
+      return null;
+    }
+
+    return ParcelChange.create({
+      parcel: parcel._id,
+      parcelId: parcel.parcelId,
+      action,
+      changes,
+      // API keys act on their own behalf and have no user account
+      ...(user.apiKeyId ? { changedByApiKey: user.apiKeyId } : { changedBy: user.id }),
+    });
+  }
+
+  /**
+   * A parcel's change log, oldest first
+   * @param {Object} parcel - Parcel document
+   * @param {Object} options - { field } to keep only the entries that changed that field
+   * @returns {Promise<Array>}
+   */
+  async list(parcel, { field } = {}) {
+    const query = { parcel: parcel._id };
+    if (field) {
+      query['changes.field'] = field;
+    }
+
+    return ParcelChange.find(query)
+      .sort({ timestamp: 1 })
+      .populate('changedBy', 'name email role')
+      .populate('changedByApiKey', 'name')
+      .lean();
+  }
+}
+
+// Export singleton instance
+const parcelHistoryService = new ParcelHistoryService();
+
+export default parcelHistoryService;
@@ -0,0 +1,483 @@
+import mongoose from 'mongoose';
+
+import Parcel, { notDeleted } from '../models/Parcel.js';
+import User from '../models/User.js';
+import DriverProfile from '../models/DriverProfile.js';
+import driverAvailabilityService from './driverAvailabilityService.js';
+import geocodingService from './geocodingService.js';
+import { terminalStatuses } from '../config/parcelLifecycle.js';
+
+/**
+ * Parcel Import Service for EcoTrack Logistics System
+ *
+ * Validates and inserts shipper manifests in bulk:
+ * - CSV with a header row, NDJSON (one parcel per line) or a JSON array
+ * - Per-row report of missing fields, duplicate parcel IDs and unknown drivers
+ * - Optional geocoding of addresses and assignment of the least busy available driver
+ */
+
+const MAX_ROWS = 1000;
+
+// Columns read from each row; anything else is ignored
+const IMPORT_FIELDS = [
+  'parcelId',
+  'senderName',
+  'receiverName',
+  'pickupLocation',
+  'deliveryLocation',
+  'assignedDriver',
+  'customer',
+  'weightKg',
+  'lengthCm',
+  'widthCm',
+  'heightCm',
+  'declaredValue',
+  'currency',
+  'fragile',
+  'perishable',
+  'hazardous',
+];
+
+// Spreadsheet spellings of the handling flags
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const REQUIRED_FIELDS = ['parcelId', 'senderName', 'receiverName', 'pickupLocation', 'deliveryLocation'];
+
+// Error raised for manifests that cannot be read at all, as opposed to invalid rows
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+class ParcelImportService {
+  /**
+   * Largest number of rows accepted in one import
+   * @returns {number} Rows
+   */
+  getMaxRows() {
+    return MAX_ROWS;
+  }
+
+  /**
+   * Read a manifest into rows
+   * @param {string|Array|Object} body - Raw CSV or NDJSON text, or an already parsed JSON body
+   * @param {string} format - 'csv', 'ndjson' or 'json'
+   * @returns {Array<Object>} { rowNumber, data }; rowNumber is the line in the file
+   */
+  parse(body, format) {
+    let rows;
+
+    if (format === 'json') {
+      const items = Array.isArray(body) ? body : body?.parcels;
+      if (!Array.isArray(items)) {
+        throw new ImportFormatError('JSON imports must be an array of parcels or { "parcels": [...] }.');
+      }
+      rows = items.map((data, index) => ({ rowNumber: index + 1, data }));
+    } else if (typeof body !== 'string' || !body.trim()) {
+      throw new ImportFormatError('The import file is empty.');
+    } else {
+      rows = format === 'ndjson' ? this.parseNdjson(body) : this.parseCsv(body);
+    }
+
+    if (rows.length === 0) {
+      throw new ImportFormatError('The import file has no parcel rows.');
+    }
+
+    if (rows.length > MAX_ROWS) {
+      throw new ImportFormatError(`Imports are limited to ${MAX_ROWS} rows; split the file and try again.`);
+    }
+
+    return rows.map(({ rowNumber, data }) => ({ rowNumber, data: this.pickFields(data) }));
+  }
+
+  /**
+   * Split CSV text into records, honouring quoted fields with commas, quotes and line breaks
+   * @private
+   */
+  splitCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line += 1;
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i += 1;
+        record.push(field);
+        records.push({ line: recordLine, values: record });
+        record = [];
+        field = '';
+        line += 1;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new ImportFormatError(`Unterminated quoted field starting on line ${recordLine}.`);
+    }
+
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+
+    // Blank lines carry no parcel
+    return records.filter(({ values }) => values.some((value) => value.trim() !== ''));
+  }
+
+  /**
+   * CSV rows keyed by the header row
+   * @private
+   */
+  parseCsv(text) {
+    const [header, ...records] = this.splitCsv(text.replace(/^\uFEFF/, ''));
+    const columns = header.values.map((name) => this.matchField(name));
+
+    const missing = REQUIRED_FIELDS.filter((field) => !columns.includes(field));
+    if (missing.length > 0) {
+      throw new ImportFormatError(`The CSV header is missing required columns: ${missing.join(', ')}.`);
+    }
+
+    return records.map(({ line, values }) => ({
+      rowNumber: line,
+      data: Object.fromEntries(
+        columns
+          .map((field, index) => [field, values[index]])
+          .filter(([field]) => field)
+      ),
+    }));
+  }
+
+  /**
+   * NDJSON rows; a line that is not valid JSON becomes a row with a parse error
+   * @private
+   */
+  parseNdjson(text) {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), rowNumber: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, rowNumber }) => {
+        try {
+          const data = JSON.parse(line);
+          return { rowNumber, data: data && typeof data === 'object' && !Array.isArray(data) ? data : { parseError: true } };
+        } catch (error) {
+          return { rowNumber, data: { parseError: true } };
+        }
+      });
+  }
+
+  /**
+   * Import field for a CSV header, ignoring case, spaces and underscores ("Parcel ID" -> parcelId)
+   * @private
+   */
+  matchField(name) {
+    const key = String(name).toLowerCase().replace(/[\s_-]+/g, '');
+    return IMPORT_FIELDS.find((field) => field.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Trimmed string values of the import fields
+   * @private
+   */
+  pickFields(data) {
+    if (!data || typeof data !== 'object' || data.parseError) {
+      return { parseError: true };
+    }
+
+    return Object.fromEntries(
+      IMPORT_FIELDS
+        .filter((field) => data[field] !== undefined && data[field] !== null)
+        .map((field) => [field, String(data[field]).trim()])
+        .filter(([, value]) => value !== '')
+    );
+  }
+
+  /**
+   * Users referenced by ID or email, keyed by both
+   * @private
+   */
+  async loadUsers(references) {
+    const ids = references.filter((reference) => mongoose.isObjectIdOrHexString(reference));
+    const emails = references.filter((reference) => reference.includes('@')).map((email) => email.toLowerCase());
+
+    const users = await User.find({
+      $or: [{ _id: { $in: ids } }, { email: { $in: emails } }],
+    });
+
+    const byReference = new Map();
+    users.forEach((user) => {
+      byReference.set(user.id, user);
+      byReference.set(user.email.toLowerCase(), user);
+    });
+    return byReference;
+  }
+
+  /**
+   * Active drivers with their open parcel counts, for auto-assignment
+   * @private
+   */
+  async loadDriverPool(at) {
+    const drivers = await User.find({ role: 'Driver', isActive: true, approvalStatus: 'Approved' });
+    const profiles = await DriverProfile.find({ user: { $in: drivers.map((driver) => driver._id) } });
+    const openCounts = await Parcel.aggregate([
+      { $match: { assignedDriver: { $in: drivers.map((driver) => driver._id) }, status: { $nin: terminalStatuses }, ...notDeleted } },
+      { $group: { _id: '$assignedDriver', count: { $sum: 1 } } },
+    ]);
+
+    const profileByUser = new Map(profiles.map((profile) => [profile.user.toString(), profile]));
+    const countByUser = new Map(openCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    // Same rule as single assignments: drivers without a profile count as available
+    return drivers
+      .filter((driver) => {
+        const profile = profileByUser.get(driver.id);
+        return !profile || driverAvailabilityService.getAvailabilityAt(profile, at).available;
+      })
+      .map((driver) => ({ driver, openParcels: countByUser.get(driver.id) || 0 }));
+  }
+
+  /**
+   * Validate rows and, in commit mode, insert the valid ones
+   * @param {Array<Object>} rows - Output of parse()
+   * @param {Object} options - { commit, geocode, autoAssign, apiKeyId }
+   * @returns {Promise<Object>} { summary, rows } report
+   */
+  async importRows(rows, { commit = false, geocode = false, autoAssign = false, apiKeyId } = {}) {
+    const now = new Date();
+    const report = rows.map(({ rowNumber, data }) => ({
+      row: rowNumber,
+      parcelId: data.parcelId || null,
+      status: 'valid',
+      errors: data.parseError ? ['Row is not a valid JSON object'] : [],
+      warnings: [],
+      data,
+    }));
+
+    // Required fields
+    report.forEach((entry) => {
+      if (entry.data.parseError) return;
+      REQUIRED_FIELDS
+        .filter((field) => !entry.data[field])
+        .forEach((field) => entry.errors.push(`Missing ${field}`));
+    });
+
+    // Duplicate parcel IDs, within the file and against existing parcels
+    const firstRowById = new Map();
+    report.forEach((entry) => {
+      if (!entry.parcelId) return;
+      if (firstRowById.has(entry.parcelId)) {
+        entry.errors.push(`Duplicate parcelId; first used on row ${firstRowById.get(entry.parcelId)}`);
+      } else {
+        firstRowById.set(entry.parcelId, entry.row);
+      }
+    });
+
+    // Deleted parcels are included, as they still hold their parcelId
+    const existing = await Parcel.find({ parcelId: { $in: [...firstRowById.keys()] } }).select('parcelId').lean();
+    const existingIds = new Set(existing.map(({ parcelId }) => parcelId));
+    report
+      .filter((entry) => existingIds.has(entry.parcelId))
+      .forEach((entry) => entry.errors.push('A parcel with this parcelId already exists'));
+
+    // Drivers and customers, by user ID or email
+    const references = [...new Set(report.flatMap(({ data }) => [data.assignedDriver, data.customer]).filter(Boolean))];
+    const users = references.length > 0 ? await this.loadUsers(references) : new Map();
+
+    await Promise.all(report.map(async (entry) => {
+      const { assignedDriver, customer } = entry.data;
+
+      if (assignedDriver) {
+        const driver = users.get(assignedDriver.toLowerCase());
+        if (!driver || driver.role !== 'Driver') {
+          entry.errors.push(`Unknown driver: ${assignedDriver}`);
+        } else {
+          entry.driver = driver;
+          const availability = await driverAvailabilityService.checkAssignable(driver.id, now);
+          if (!availability.available) {
+            entry.errors.push(`Driver is not available: ${availability.reason}`);
+          }
+        }
+      }
+
+      if (customer) {
+        const customerUser = users.get(customer.toLowerCase());
+        if (!customerUser || customerUser.role !== 'Customer') {
+          entry.errors.push(`Unknown customer: ${customer}`);
+        } else {
+          entry.customer = customerUser;
+        }
+      }
+    }));
+
+    // Handling flags must be readable as yes or no
+    report.forEach((entry) => {
+      ['fragile', 'perishable', 'hazardous']
+        .filter((field) => entry.data[field] !== undefined)
+        .filter((field) => ![...TRUE_VALUES, ...FALSE_VALUES].includes(entry.data[field].toLowerCase()))
+        .forEach((field) => entry.errors.push(`${field} must be yes or no`));
+    });
+
+    // Schema rules such as weight and dimension limits, checked without touching the database
+    report
+      .filter((entry) => entry.errors.length === 0)
+      .forEach((entry) => {
+        const validationError = new Parcel(this.toDocument(entry, apiKeyId)).validateSync();
+        Object.values(validationError?.errors || {}).forEach(({ message }) => entry.errors.push(message));
+      });
+
+    const valid = report.filter((entry) => entry.errors.length === 0);
+
+    if (autoAssign) {
+      const pool = await this.loadDriverPool(now);
+      valid
+        .filter((entry) => !entry.driver)
+        .forEach((entry) => {
+          if (pool.length === 0) {
+            entry.warnings.push('No available driver to assign');
+            return;
+          }
+          // Least busy driver first, counting parcels assigned earlier in this import
+          const pick = pool.reduce((best, candidate) => (candidate.openParcels < best.openParcels ? candidate : best));
+          pick.openParcels += 1;
+          entry.driver = pick.driver;
+          entry.autoAssigned = true;
+        });
+    }
+
+    if (geocode) {
+      // Sequential so an online provider is not flooded by a large manifest
+      for (const entry of valid) {
+        entry.pickupCoordinates = await geocodingService.geocodeLocation(entry.data.pickupLocation);
+        entry.deliveryCoordinates = await geocodingService.geocodeLocation(entry.data.deliveryLocation);
+        if (!entry.pickupCoordinates) entry.warnings.push('Pickup location could not be geocoded');
+        if (!entry.deliveryCoordinates) entry.warnings.push('Delivery location could not be geocoded');
+      }
+    }
+
+    report
+      .filter((entry) => entry.errors.length > 0)
+      .forEach((entry) => { entry.status = 'invalid'; });
+
+    let inserted = 0;
+    if (commit && valid.length > 0) {
+      inserted = await this.insertValid(valid.map((entry) => this.toDocument(entry, apiKeyId)), valid);
+    }
+
+    return {
+      summary: {
+        totalRows: report.length,
+        validRows: valid.length,
+        invalidRows: report.length - valid.length,
+        inserted,
+        autoAssigned: valid.filter((entry) => entry.autoAssigned).length,
+      },
+      rows: report.map((entry) => ({
+        row: entry.row,
+        parcelId: entry.parcelId,
+        status: entry.status,
+        errors: entry.errors,
+        warnings: entry.warnings,
+        assignedDriver: entry.driver ? { id: entry.driver.id, name: entry.driver.name, email: entry.driver.email } : null,
+        autoAssigned: Boolean(entry.autoAssigned),
+        pickupCoordinates: entry.pickupCoordinates,
+        deliveryCoordinates: entry.deliveryCoordinates,
+      })),
+    };
+  }
+
+  /**
+   * Parcel document for a validated row
+   * @private
+   */
+  toDocument(entry, apiKeyId) {
+    const { data } = entry;
+    const hasDimensions = data.lengthCm || data.widthCm || data.heightCm;
+    const flag = (value) => (value === undefined ? undefined : TRUE_VALUES.includes(value.toLowerCase()));
+
+    return {
+      parcelId: entry.data.parcelId,
+      senderName: entry.data.senderName,
+      receiverName: entry.data.receiverName,
+      pickupLocation: entry.data.pickupLocation,
+      deliveryLocation: entry.data.deliveryLocation,
+      pickupCoordinates: entry.pickupCoordinates,
+      deliveryCoordinates: entry.deliveryCoordinates,
+      weightKg: data.weightKg,
+      // Partial dimensions are left to the schema, which requires all three
+      dimensions: hasDimensions
+        ? { lengthCm: data.lengthCm, widthCm: data.widthCm, heightCm: data.heightCm }
+        : undefined,
+      declaredValue: data.declaredValue ? { amount: data.declaredValue, currency: data.currency } : undefined,
+      handling: {
+        fragile: flag(data.fragile),
+        perishable: flag(data.perishable),
+        hazardous: flag(data.hazardous),
+      },
+      assignedDriver: entry.driver?._id,
+      customer: entry.customer?._id,
+      // Lets an integration read back only the parcels it created
+      createdByApiKey: apiKeyId,
+    };
+  }
+
+  /**
+   * Insert validated rows in one batch, marking each row inserted or failed
+   * @private
+   */
+  async insertValid(documents, entries) {
+    // Unordered, so a parcel created since validation only fails its own row
+    const failures = new Map();
+    try {
+      await Parcel.insertMany(documents, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      error.writeErrors.forEach((writeError) => {
+        failures.set(writeError.index, writeError.code === 11000
+          ? 'A parcel with this parcelId already exists'
+          : writeError.errmsg);
+      });
+    }
+
+    entries.forEach((entry, index) => {
+      if (failures.has(index)) {
+        entry.status = 'failed';
+        entry.errors.push(failures.get(index));
+      } else {
+        entry.status = 'inserted';
+      }
+    });
+
+    return entries.length - failures.size;
+  }
+}
+
+// Export singleton instance
+const parcelImportService = new ParcelImportService();
+
+export { ImportFormatError };
+export default parcelImportService;
@@ -0,0 +1,198 @@
+import { statuses, initialStatus, transitions, parcelStatuses, terminalStatuses } from '../config/parcelLifecycle.js';
+import { rolePermissions } from '../config/permissions.js';
+import proofOfDeliveryService from './proofOfDeliveryService.js';
+import etaService from './etaService.js';
+import driverLocationService from './driverLocationService.js';
+
+/**
+ * Parcel Lifecycle Service for EcoTrack Logistics System
+ *
+ * Runs the declarative parcel state machine from src/config/parcelLifecycle.js:
+ * - Whether a status change is a known transition
+ * - Whether the caller's role may make it, with the fields it requires
+ * - Applying it: status history entry plus the transition's side effects, then a fresh ETA
+ */
+
+// Optional request fields stored on the status history entry
+const transitionFields = ['reason', 'note'];
+
+class ParcelLifecycleService {
+  constructor() {
+    // Side effects a transition can name, applied in order to the parcel document before it is saved
+    this.sideEffects = {
+      // Stamp the carrying driver's latest GPS fix, when it is newer than the parcel's position
+      recordLocation: async (parcel) => {
+        const fix = await driverLocationService.latestFix(parcel.assignedDriver?._id || parcel.assignedDriver);
+        if (fix && !(parcel.currentLocation?.timestamp >= fix.recordedAt)) {
+          etaService.observeLocation(parcel, driverLocationService.toLocation(fix));
+        }
+      },
+      countDeliveryAttempt: (parcel) => {
+        parcel.deliveryAttempts = (parcel.deliveryAttempts || 0) + 1;
+      },
+      // Cancelled parcels no longer occupy a driver
+      releaseDriver: (parcel) => {
+        parcel.assignedDriver = undefined;
+      },
+      // Signature, photo and geotag; throws ProofOfDeliveryError when the evidence is unusable
+      captureProofOfDelivery: (parcel, { user, fields }) => proofOfDeliveryService.capture(parcel, fields.proofOfDelivery, user),
+    };
+
+    this.validateLifecycle();
+  }
+
+  /**
+   * Fail fast on transitions that reference unknown statuses, roles or side effects
+   * @private
+   */
+  validateLifecycle() {
+    if (!statuses[initialStatus]) {
+      throw new Error(`Unknown initial parcel status "${initialStatus}".`);
+    }
+
+    const seen = new Set();
+    transitions.forEach(({ from, to, roles, sideEffects = [] }) => {
+      [from, to].forEach((status) => {
+        if (!statuses[status]) {
+          throw new Error(`Unknown parcel status "${status}" in transition ${from} -> ${to}.`);
+        }
+      });
+      if (statuses[from].terminal) {
+        throw new Error(`Terminal parcel status "${from}" cannot have outgoing transitions.`);
+      }
+      if (seen.has(`${from}->${to}`)) {
+        throw new Error(`Duplicate parcel transition ${from} -> ${to}.`);
+      }
+      seen.add(`${from}->${to}`);
+
+      if (!roles?.length || roles.some((role) => !rolePermissions[role])) {
+        throw new Error(`Transition ${from} -> ${to} must name known roles.`);
+      }
+      sideEffects.forEach((effect) => {
+        if (!this.sideEffects[effect]) {
+          throw new Error(`Unknown side effect "${effect}" in transition ${from} -> ${to}.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Status given to new parcels
+   * @returns {string}
+   */
+  getInitialStatus() {
+    return initialStatus;
+  }
+
+  /**
+   * Whether a status ends the lifecycle
+   * @param {string} status - Parcel status
+   * @returns {boolean}
+   */
+  isTerminal(status) {
+    return terminalStatuses.includes(status);
+  }
+
+  /**
+   * Transition between two statuses
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {Object|null} Transition definition, or null when the move is not allowed
+   */
+  getTransition(from, to) {
+    return transitions.find((transition) => transition.from === from && transition.to === to) || null;
+  }
+
+  /**
+   * The whole lifecycle, marking the transitions the caller's role may make
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} from - Only include transitions out of this status
+   * @returns {Object} { initialStatus, terminalStatuses, statuses, transitions }
+   */
+  describe(user, from) {
+    return {
+      initialStatus,
+      terminalStatuses,
+      statuses: parcelStatuses.map((name) => ({
+        name,
+        ...statuses[name],
+        terminal: Boolean(statuses[name].terminal),
+        carried: Boolean(statuses[name].carried),
+      })),
+      transitions: transitions
+        .filter((transition) => !from || transition.from === from)
+        .map(({ from: source, to, roles, requiredFields = [], sideEffects = [] }) => ({
+          from: source,
+          to,
+          roles,
+          requiredFields,
+          sideEffects,
+          allowed: roles.includes(user?.role),
+        })),
+    };
+  }
+
+  /**
+   * Check a requested status change against the lifecycle
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} fields - Request body holding transition fields such as `reason`
+   * @returns {Object} { transition } when allowed, otherwise { statusCode, message }
+   */
+  checkTransition(from, to, user, fields = {}) {
+    if (!statuses[to]) {
+      return { statusCode: 400, message: `Invalid status. Must be one of: ${parcelStatuses.join(', ')}.` };
+    }
+
+    const transition = this.getTransition(from, to);
+    if (!transition) {
+      return { statusCode: 400, message: `Invalid status transition from ${from} to ${to}.` };
+    }
+
+    if (!transition.roles.includes(user?.role)) {
+      return {
+        statusCode: 403,
+        message: `Only ${transition.roles.join(' or ')} users can move a parcel from ${from} to ${to}.`,
+      };
+    }
+
+    const missing = (transition.requiredFields || []).filter((field) => !String(fields[field] ?? '').trim());
+    if (missing.length > 0) {
+      return { statusCode: 400, message: `${missing.join(', ')} is required to move a parcel to ${to}.` };
+    }
+
+    return { transition };
+  }
+
+  /**
+   * Apply a checked transition to a parcel document; the caller saves it
+   * @param {Object} parcel - Parcel document
+   * @param {Object} transition - Transition returned by checkTransition()
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} fields - Request body holding transition fields
+   * @param {Object} options - { source: 'manual' | 'geofence' } recorded on the history entry
+   * @returns {Promise<void>}
+   */
+  async applyTransition(parcel, transition, user, fields = {}, { source = 'manual' } = {}) {
+    const entry = { status: transition.to, from: transition.from, changedBy: user?.id, source };
+    transitionFields
+      .filter((field) => fields[field] !== undefined && String(fields[field]).trim())
+      .forEach((field) => { entry[field] = String(fields[field]).trim(); });
+
+    parcel.status = transition.to;
+    parcel.statusHistory.push(entry);
+
+    for (const effect of transition.sideEffects || []) {
+      await this.sideEffects[effect](parcel, { status: transition.to, user, fields });
+    }
+
+    // Every status change moves the delivery estimate
+    await etaService.refresh(parcel);
+  }
+}
+
+// Export singleton instance
+const parcelLifecycleService = new ParcelLifecycleService();
+
+export default parcelLifecycleService;
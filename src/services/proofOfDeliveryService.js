@@ -0,0 +1,218 @@
+import fileStorageService from './fileStorageService.js';
+import { hasCoordinates, distanceMeters } from '../utils/geo.js';
+
+/**
+ * Proof of Delivery Service for EcoTrack Logistics System
+ *
+ * Captures the evidence a driver records when marking a parcel Delivered:
+ * - Recipient name and their relationship to the receiver
+ * - Signature image and an optional photo, kept in file storage
+ * - Geotagged timestamp, checked against the parcel's delivery coordinates
+ */
+
+// Images accepted as data URLs, with the leading bytes that identify them
+const imageTypes = {
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46] },
+};
+
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Device clocks drift; timestamps further ahead than this are refused
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class ProofOfDeliveryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProofOfDeliveryError';
+  }
+}
+
+class ProofOfDeliveryService {
+  /**
+   * Furthest a delivery may be recorded from the destination before it is flagged
+   * @returns {number} Metres
+   */
+  getMaxDistanceMeters() {
+    const configured = Number(process.env.POD_MAX_DISTANCE_METERS);
+    return Number.isFinite(configured) && configured > 0 ? configured : 300;
+  }
+
+  /**
+   * Validate the proof, store its images and attach it to the parcel; the caller saves the parcel
+   * @param {Object} parcel - Parcel document being marked Delivered
+   * @param {Object} input - { recipientName, recipientRelationship, signature, photo?, location, capturedAt? }
+   * @param {Object} user - Driver recording the delivery (req.user)
+   * @returns {Promise<Object>} The stored proof of delivery
+   */
+  async capture(parcel, input, user) {
+    if (!input || typeof input !== 'object') {
+      throw new ProofOfDeliveryError('Proof of delivery is required to mark a parcel Delivered.');
+    }
+
+    const recipientName = this.requireText(input.recipientName, 'recipientName', 100);
+    const recipientRelationship = this.requireText(input.recipientRelationship, 'recipientRelationship', 50);
+    const signature = this.decodeImage(input.signature, 'signature');
+    const photo = input.photo ? this.decodeImage(input.photo, 'photo') : null;
+    const location = this.parseLocation(input.location);
+    const capturedAt = this.parseCapturedAt(input.capturedAt);
+
+    // Geocoded destinations are approximate, so a far-off delivery is flagged rather than refused
+    let distanceFromDestinationMeters = null;
+    let distanceCheck = 'unavailable';
+    if (hasCoordinates(parcel.deliveryCoordinates)) {
+      distanceFromDestinationMeters = Math.round(distanceMeters(location, parcel.deliveryCoordinates));
+      distanceCheck = distanceFromDestinationMeters <= this.getMaxDistanceMeters() ? 'passed' : 'failed';
+    }
+
+    const folder = `proof-of-delivery/${parcel.parcelId}`;
+    const storedSignature = await fileStorageService.saveFile({ ...signature, folder });
+    const storedPhoto = photo ? await fileStorageService.saveFile({ ...photo, folder }) : undefined;
+
+    parcel.proofOfDelivery = {
+      recipientName,
+      recipientRelationship,
+      signature: storedSignature,
+      photo: storedPhoto,
+      location,
+      capturedAt,
+      distanceFromDestinationMeters,
+      distanceCheck,
+      capturedBy: user?.id,
+    };
+
+    // The geotag is the best fix we have for where the parcel ended up
+    parcel.currentLocation = { ...location, timestamp: capturedAt };
+
+    return parcel.proofOfDelivery;
+  }
+
+  /**
+   * Read one of the stored images of a parcel's proof of delivery
+   * @param {Object} parcel - Parcel document
+   * @param {string} file - "signature" or "photo"
+   * @returns {Promise<Object|null>} { buffer, contentType }, or null when there is no such image
+   */
+  async readFile(parcel, file) {
+    const stored = parcel.proofOfDelivery?.[file];
+    if (!['signature', 'photo'].includes(file) || !stored?.key) {
+      return null;
+    }
+
+    const buffer = await fileStorageService.readFile(stored.key);
+    return buffer ? { buffer, contentType: stored.contentType } : null;
+  }
+
+  /**
+   * Proof of delivery details for API responses, with image URLs in place of storage keys
+   * @param {Object} parcel - Parcel document
+   * @param {string} baseUrl - URL the images are served under, e.g. "/api/tickets/TK-1/proof-of-delivery"
+   * @returns {Object|null}
+   */
+  toSummary(parcel, baseUrl) {
+    const proof = parcel?.proofOfDelivery;
+    if (!proof?.signature) {
+      return null;
+    }
+
+    return {
+      recipientName: proof.recipientName,
+      recipientRelationship: proof.recipientRelationship,
+      location: proof.location,
+      capturedAt: proof.capturedAt,
+      recordedAt: proof.recordedAt,
+      distanceFromDestinationMeters: proof.distanceFromDestinationMeters,
+      distanceCheck: proof.distanceCheck,
+      capturedBy: proof.capturedBy,
+      signatureUrl: `${baseUrl}/signature`,
+      photoUrl: proof.photo?.key ? `${baseUrl}/photo` : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  requireText(value, field, maxLength) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+      throw new ProofOfDeliveryError(`Proof of delivery ${field} is required.`);
+    }
+    if (text.length > maxLength) {
+      throw new ProofOfDeliveryError(`Proof of delivery ${field} must be at most ${maxLength} characters.`);
+    }
+    return text;
+  }
+
+  /**
+   * Decode a base64 image data URL, checking its type, size and contents
+   * @private
+   */
+  decodeImage(value, field) {
+    const match = typeof value === 'string' && value.match(/^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/);
+    if (!match) {
+      throw new ProofOfDeliveryError(`Proof of delivery ${field} must be a base64 image data URL.`);
+    }
+
+    const contentType = match[1].toLowerCase();
+    const type = imageTypes[contentType];
+    if (!type) {
+      throw new ProofOfDeliveryError(`Proof of delivery ${field} must be one of: ${Object.keys(imageTypes).join(', ')}.`);
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length === 0 || buffer.length > MAX_IMAGE_BYTES) {
+      throw new ProofOfDeliveryError(`Proof of delivery ${field} must be between 1 byte and ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`);
+    }
+    if (!type.signature.every((byte, index) => buffer[index] === byte)) {
+      throw new ProofOfDeliveryError(`Proof of delivery ${field} is not a valid ${contentType} image.`);
+    }
+
+    return { buffer, contentType, extension: type.extension };
+  }
+
+  /**
+   * @private
+   */
+  parseLocation(location) {
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+
+    if (location?.latitude == null || location?.longitude == null ||
+      !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      throw new ProofOfDeliveryError('Proof of delivery location needs a valid latitude and longitude.');
+    }
+
+    const accuracy = Number(location.accuracy);
+    return {
+      latitude,
+      longitude,
+      ...(Number.isFinite(accuracy) && accuracy >= 0 ? { accuracy } : {}),
+    };
+  }
+
+  /**
+   * @private
+   */
+  parseCapturedAt(value) {
+    if (value === undefined || value === null || value === '') {
+      return new Date();
+    }
+
+    const capturedAt = new Date(value);
+    if (Number.isNaN(capturedAt.getTime())) {
+      throw new ProofOfDeliveryError('Proof of delivery capturedAt must be a valid date.');
+    }
+    if (capturedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      throw new ProofOfDeliveryError('Proof of delivery capturedAt cannot be in the future.');
+    }
+    return capturedAt;
+  }
+}
+
+// Export singleton instance
+const proofOfDeliveryService = new ProofOfDeliveryService();
+
+export { ProofOfDeliveryError };
+export default proofOfDeliveryService;
@@ -0,0 +1,62 @@
+import RateLimitWindow from '../models/RateLimitWindow.js';
+
+/**
+ * Rate Limit Service for EcoTrack Logistics System
+ *
+ * Fixed-window request counting for endpoints without an authenticated principal:
+ * - Counters live in MongoDB so every app instance shares them
+ * - Each window is counted atomically; records expire once their window has passed
+ */
+
+class RateLimitService {
+  /**
+   * Count a request against a key's current window
+   * @param {string} key - Limiter and client, e.g. "public-track:203.0.113.7"
+   * @param {Object} options - { limit, windowMs }
+   * @returns {Promise<Object>} { allowed, limit, remaining, retryAfterSeconds }
+   */
+  async consume(key, { limit, windowMs }) {
+    const now = Date.now();
+    const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+    const windowEnd = windowStart.getTime() + windowMs;
+
+    // Count within the current window while under the limit...
+    let counter = await RateLimitWindow.findOneAndUpdate(
+      { key, windowStartedAt: windowStart, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    // ...or open a new window if the stored one has passed (or none exists yet)
+    if (!counter) {
+      try {
+        counter = await RateLimitWindow.findOneAndUpdate(
+          { key, windowStartedAt: { $ne: windowStart } },
+          { $set: { windowStartedAt: windowStart, count: 1, expiresAt: new Date(windowEnd) } },
+          { new: true, upsert: true }
+        );
+      } catch (error) {
+        // The upsert collides with the current, exhausted window
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    if (!counter) {
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((windowEnd - now) / 1000),
+      };
+    }
+
+    return { allowed: true, limit, remaining: Math.max(limit - counter.count, 0) };
+  }
+}
+
+// Export singleton instance
+const rateLimitService = new RateLimitService();
+
+export default rateLimitService;
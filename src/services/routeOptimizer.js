@@ -38,10 +38,19 @@ class RouteOptimizer {
 
     // Vehicle categories based on delivery characteristics
     this.vehicleCategories = {
-      light: { type: 'small', weight: '< 1 ton' },
-      medium: { type: 'medium', weight: '1-3 tons' },
-      heavy: { type: 'large', weight: '> 3 tons' }
+      light: { type: 'small', weight: '< 1 ton', volume: '<= 8 m³' },
+      medium: { type: 'medium', weight: '1-3 tons', volume: '<= 30 m³' },
+      heavy: { type: 'large', weight: '> 3 tons', volume: '> 30 m³' }
     };
+
+    // Cargo volume each category can carry (m³); bulky but light loads need a bigger vehicle
+    this.volumeLimits = {
+      light: 8,
+      medium: 30
+    };
+
+    // Assumed weight for parcels that were never weighed, matching the old default load
+    this.defaultCargoWeight = 1000;
   }
 
   /**
@@ -185,7 +194,7 @@ class RouteOptimizer {
     // For shortest route, we use the direct route from Map API
     // Assumption: Map API provides the shortest driving route by default
     
-    const vehicleCategory = this.getVehicleCategory(options.cargoWeight);
+    const vehicleCategory = this.getVehicleCategory(options.cargoWeight, options.cargoVolumeM3);
     const emissionFactor = this.emissionFactors[options.fuelType][vehicleCategory.type];
 
     return {
@@ -223,7 +232,7 @@ class RouteOptimizer {
     // For eco-friendly route, we optimize for minimal emissions
     // Strategy: Use electric/hybrid vehicle routing when available
     
-    const vehicleCategory = this.getVehicleCategory(options.cargoWeight);
+    const vehicleCategory = this.getVehicleCategory(options.cargoWeight, options.cargoVolumeM3);
     
     // Eco-friendly adjustments
     const ecoAdjustments = {
@@ -387,15 +396,51 @@ class RouteOptimizer {
   }
 
   /**
-   * Determine vehicle category based on cargo weight
+   * Determine vehicle category based on cargo weight and, when known, volume
    * @private
    */
-  getVehicleCategory(cargoWeight) {
-    if (cargoWeight < 1000) return this.vehicleCategories.light;
-    if (cargoWeight <= 3000) return this.vehicleCategories.medium;
+  getVehicleCategory(cargoWeight, cargoVolumeM3 = 0) {
+    const volume = cargoVolumeM3 || 0;
+    if (cargoWeight < 1000 && volume <= this.volumeLimits.light) return this.vehicleCategories.light;
+    if (cargoWeight <= 3000 && volume <= this.volumeLimits.medium) return this.vehicleCategories.medium;
     return this.vehicleCategories.heavy;
   }
 
+  /**
+   * Total load of the parcels being routed, used in place of client-supplied cargo options
+   * @param {Array<Object>} parcels - Parcels with weightKg, dimensions and handling
+   * @returns {Object} { cargoWeight, cargoVolumeM3, vehicleType, parcelCount, unweighedParcels, handling }
+   */
+  summarizeCargo(parcels) {
+    const weighed = parcels.filter((parcel) => Number.isFinite(parcel.weightKg));
+    const unweighedParcels = parcels.length - weighed.length;
+
+    const weight = weighed.reduce((total, parcel) => total + parcel.weightKg, 0);
+    const volume = parcels.reduce((total, parcel) => {
+      const { lengthCm, widthCm, heightCm } = parcel.dimensions || {};
+      return lengthCm && widthCm && heightCm ? total + (lengthCm * widthCm * heightCm) / 1e6 : total;
+    }, 0);
+
+    // Without any weights on record, fall back to the default load rather than an empty vehicle
+    const cargoWeight = weighed.length > 0 ? Math.round(weight * 100) / 100 : this.defaultCargoWeight;
+    const cargoVolumeM3 = Math.round(volume * 1000) / 1000;
+    const category = this.getVehicleCategory(cargoWeight, cargoVolumeM3);
+
+    return {
+      cargoWeight,
+      cargoVolumeM3,
+      // Category key (light, medium, heavy), also read by the offline fallback router
+      vehicleType: Object.keys(this.vehicleCategories).find((key) => this.vehicleCategories[key] === category),
+      parcelCount: parcels.length,
+      unweighedParcels,
+      handling: {
+        fragile: parcels.some((parcel) => parcel.handling?.fragile),
+        perishable: parcels.some((parcel) => parcel.handling?.perishable),
+        hazardous: parcels.some((parcel) => parcel.handling?.hazardous)
+      }
+    };
+  }
+
   /**
    * Validate coordinate inputs
    * @private
@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+
+import Session from '../models/Session.js';
+import tokenService from './tokenService.js';
+
+/**
+ * Session Service for EcoTrack Logistics System
+ *
+ * Tracks where each account is signed in:
+ * - One session per login, referenced by the "sid" claim of access tokens
+ * - Last-seen device, IP and time for each session
+ * - Revoking single sessions or every session of a user
+ */
+
+// Minimum time between last-seen updates, so busy sessions do not write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class SessionService {
+  /**
+   * Lifetime of a session without activity; matches the refresh token lifetime
+   * @returns {number} Milliseconds
+   */
+  getSessionTtlMs() {
+    return tokenService.getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * MongoDB filter for sessions that can still be used
+   * @private
+   */
+  activeQuery() {
+    return {
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    };
+  }
+
+  /**
+   * Start a session for a user
+   * @param {string} userId - User signing in
+   * @param {Object} client - { ipAddress, userAgent, refreshFamily }
+   * @returns {Promise<Object>} Session document
+   */
+  async createSession(userId, { ipAddress, userAgent, refreshFamily } = {}) {
+    return Session.create({
+      user: userId,
+      ipAddress,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+      refreshFamily,
+      lastSeenAt: new Date(),
+      lastSeenIp: ipAddress,
+      expiresAt: new Date(Date.now() + this.getSessionTtlMs()),
+    });
+  }
+
+  /**
+   * Find an active session belonging to a user
+   * @param {string} sessionId - Session ID from the token's sid claim
+   * @param {string} userId - Token subject
+   * @returns {Promise<Object|null>} Session, or null when revoked, expired or unknown
+   */
+  async getActiveSession(sessionId, userId) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    return Session.findOne({ _id: sessionId, user: userId, ...this.activeQuery() });
+  }
+
+  /**
+   * Record that a session was used
+   * @param {Object} session - Active session
+   * @param {string} ipAddress - Client IP of the current request
+   */
+  async touch(session, ipAddress) {
+    const isStale = !session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() >= TOUCH_INTERVAL_MS;
+    if (!isStale && session.lastSeenIp === ipAddress) {
+      return;
+    }
+
+    await Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: new Date(), lastSeenIp: ipAddress }
+    );
+  }
+
+  /**
+   * Keep the session behind a refresh token family alive after rotation
+   * @param {string} refreshFamily - Family of the rotated refresh token
+   * @returns {Promise<Object|null>} Session, or null when it was signed out
+   */
+  async extendForRefresh(refreshFamily) {
+    return Session.findOneAndUpdate(
+      { refreshFamily, ...this.activeQuery() },
+      { expiresAt: new Date(Date.now() + this.getSessionTtlMs()) },
+      { new: true }
+    );
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - Session owner
+   * @returns {Promise<Array>}
+   */
+  async listActiveSessions(userId) {
+    return Session.find({ user: userId, ...this.activeQuery() }).sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * Sign a session out, together with its refresh tokens
+   * @param {Object} session - Session to revoke
+   * @param {string} revokedBy - User performing the revocation
+   */
+  async revokeSession(session, revokedBy) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedBy }
+    );
+
+    if (session.refreshFamily) {
+      await tokenService.revokeFamily(session.refreshFamily);
+    }
+  }
+
+  /**
+   * Sign out every active session of a user, optionally keeping one
+   * @param {string} userId - Session owner
+   * @param {Object} options - { exceptSessionId, revokedBy }
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, { exceptSessionId, revokedBy } = {}) {
+    const query = { user: userId, ...this.activeQuery() };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(query);
+    for (const session of sessions) {
+      await this.revokeSession(session, revokedBy);
+    }
+
+    return sessions.length;
+  }
+}
+
+// Export singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
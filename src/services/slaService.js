@@ -0,0 +1,260 @@
+import Parcel, { notDeleted } from '../models/Parcel.js';
+import { serviceTiers, defaultServiceTier, serviceTierNames } from '../config/serviceTiers.js';
+import { terminalStatuses } from '../config/parcelLifecycle.js';
+
+/**
+ * SLA Service for EcoTrack Logistics System
+ *
+ * Tracks parcels against their delivery promise (promisedBy and the optional promisedWindow):
+ * - Open parcels are on-track, at-risk (the ETA runs past the promise) or breached
+ * - Delivered parcels met the promise or breached it by arriving late or before the window
+ * - A background evaluator re-checks open parcels, as promises lapse without any event
+ *
+ * Status is stored on the parcel (parcel.sla) and also re-evaluated whenever its ETA changes.
+ */
+
+// How often the background evaluator runs, unless SLA_EVALUATION_INTERVAL_MINUTES says otherwise
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Breached parcels listed on the supervisor dashboard
+const MAX_DASHBOARD_BREACHES = 20;
+
+// Days of deliveries the on-time rate covers
+const ON_TIME_RATE_DAYS = 30;
+
+class SlaService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Minutes between background evaluations
+   * @returns {number}
+   */
+  getIntervalMinutes() {
+    const configured = Number(process.env.SLA_EVALUATION_INTERVAL_MINUTES);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_INTERVAL_MINUTES;
+  }
+
+  /**
+   * Check the service tier and promise given on create or update
+   * @param {Object} promise - { serviceTier, promisedBy, promisedWindow: { start, end } }, any may be missing
+   * @returns {string|null} What is wrong with it, or null when it is usable
+   */
+  checkPromise({ serviceTier, promisedBy, promisedWindow }) {
+    if (serviceTier !== undefined && !serviceTierNames.includes(serviceTier)) {
+      return `Invalid service tier. Must be one of: ${serviceTierNames.join(', ')}.`;
+    }
+
+    if (promisedBy !== undefined && promisedBy !== null && Number.isNaN(new Date(promisedBy).getTime())) {
+      return 'promisedBy must be an ISO 8601 date-time.';
+    }
+
+    if (promisedWindow === undefined || promisedWindow === null) {
+      return null;
+    }
+
+    const start = new Date(promisedWindow.start);
+    const end = new Date(promisedWindow.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return 'promisedWindow needs start and end as ISO 8601 date-times.';
+    }
+    if (start >= end) {
+      return 'promisedWindow must start before it ends.';
+    }
+    if (promisedBy && end > new Date(promisedBy)) {
+      return 'promisedWindow must end by promisedBy.';
+    }
+    return null;
+  }
+
+  /**
+   * Time the parcel must be delivered by: the end of its window, or promisedBy
+   * @param {Object} parcel - Parcel document or plain object
+   * @returns {Date|null}
+   */
+  deadline(parcel) {
+    const deadline = parcel.promisedWindow?.end || parcel.promisedBy;
+    return deadline ? new Date(deadline) : null;
+  }
+
+  /**
+   * SLA status of a parcel at a point in time
+   * @param {Object} parcel - Parcel document or plain object
+   * @param {Date} now - Evaluation time
+   * @returns {Object|null} { status, reason, breachedAt? }, or null when no promise applies
+   */
+  evaluate(parcel, now = new Date()) {
+    const deadline = this.deadline(parcel);
+    if (!deadline) {
+      return null;
+    }
+
+    if (parcel.status === 'Delivered') {
+      const delivered = (parcel.statusHistory || []).filter((entry) => entry.status === 'Delivered').pop();
+      const deliveredAt = delivered?.timestamp ? new Date(delivered.timestamp) : now;
+      const windowStart = parcel.promisedWindow?.start ? new Date(parcel.promisedWindow.start) : null;
+
+      if (windowStart && deliveredAt < windowStart) {
+        return { status: 'breached', reason: 'Delivered before the promised window.', breachedAt: deliveredAt };
+      }
+      if (deliveredAt > deadline) {
+        return { status: 'breached', reason: 'Delivered after the promised time.', breachedAt: deadline };
+      }
+      return { status: 'met', reason: 'Delivered on time.' };
+    }
+
+    // Returned and cancelled parcels are no longer being delivered
+    if (terminalStatuses.includes(parcel.status)) {
+      return null;
+    }
+
+    if (now > deadline) {
+      return { status: 'breached', reason: 'The promised time has passed.', breachedAt: deadline };
+    }
+
+    const latest = parcel.eta?.latestDeliveryTime || parcel.eta?.estimatedDeliveryTime;
+    if (latest) {
+      return new Date(latest) > deadline
+        ? { status: 'at-risk', reason: 'The estimated delivery runs past the promised time.' }
+        : { status: 'on-track', reason: 'The estimated delivery is within the promised time.' };
+    }
+
+    const { atRiskMinutes } = serviceTiers[parcel.serviceTier] || serviceTiers[defaultServiceTier];
+    if (deadline - now < atRiskMinutes * 60000) {
+      return { status: 'at-risk', reason: `Less than ${atRiskMinutes} minutes remain and there is no delivery estimate.` };
+    }
+    return { status: 'on-track', reason: 'The promised time is not near yet.' };
+  }
+
+  /**
+   * Store the parcel's current SLA status on it; the caller saves it
+   * @param {Object} parcel - Parcel document
+   * @param {Date} now - Evaluation time
+   * @returns {boolean} Whether parcel.sla changed
+   */
+  apply(parcel, now = new Date()) {
+    const next = this.evaluate(parcel, now);
+    const current = parcel.sla?.status ? parcel.sla : null;
+
+    if (!next) {
+      if (!current) {
+        return false;
+      }
+      parcel.sla = undefined;
+      return true;
+    }
+
+    if (current && current.status === next.status && current.reason === next.reason) {
+      return false;
+    }
+
+    parcel.sla = { ...next, changedAt: now };
+    return true;
+  }
+
+  /**
+   * Re-check every open parcel with a promise, saving those whose status changed
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<number>} Number of parcels updated
+   */
+  async evaluateOpenParcels(now = new Date()) {
+    const cursor = Parcel.find({ status: { $nin: terminalStatuses }, promisedBy: { $ne: null }, ...notDeleted }).cursor();
+
+    let updated = 0;
+    for await (const parcel of cursor) {
+      if (this.apply(parcel, now)) {
+        await parcel.save();
+        updated += 1;
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Run the evaluator now and then every getIntervalMinutes(); does nothing if already running
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => this.evaluateOpenParcels().catch((error) => {
+      console.error('SLA evaluation error:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, this.getIntervalMinutes() * 60000);
+    // The evaluator alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the background evaluator
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * SLA overview for the supervisor dashboard
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Object>} { open: { onTrack, atRisk, breached }, breaches, delivered: { days, met, breached, onTimeRate } }
+   */
+  async dashboardSummary(now = new Date()) {
+    const since = new Date(now.getTime() - ON_TIME_RATE_DAYS * 24 * 60 * 60 * 1000);
+
+    const [openCounts, breaches, deliveredCounts] = await Promise.all([
+      Parcel.aggregate([
+        { $match: { status: { $nin: terminalStatuses }, 'sla.status': { $exists: true }, ...notDeleted } },
+        { $group: { _id: '$sla.status', count: { $sum: 1 } } },
+      ]),
+      Parcel.find({ status: { $nin: terminalStatuses }, 'sla.status': 'breached', ...notDeleted })
+        .sort({ promisedBy: 1 })
+        .limit(MAX_DASHBOARD_BREACHES)
+        .select('parcelId status serviceTier promisedBy promisedWindow sla eta.estimatedDeliveryTime deliveryLocation assignedDriver')
+        .populate('assignedDriver', 'name email')
+        .lean(),
+      Parcel.aggregate([
+        {
+          $match: {
+            status: 'Delivered',
+            'sla.status': { $in: ['met', 'breached'] },
+            statusHistory: { $elemMatch: { status: 'Delivered', timestamp: { $gte: since } } },
+            ...notDeleted,
+          },
+        },
+        { $group: { _id: '$sla.status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const count = (counts, status) => counts.find((entry) => entry._id === status)?.count || 0;
+    const met = count(deliveredCounts, 'met');
+    const late = count(deliveredCounts, 'breached');
+
+    return {
+      open: {
+        onTrack: count(openCounts, 'on-track'),
+        atRisk: count(openCounts, 'at-risk'),
+        breached: count(openCounts, 'breached'),
+      },
+      // Longest overdue first
+      breaches: breaches.map((parcel) => ({
+        ...parcel,
+        overdueMinutes: Math.round((now - this.deadline(parcel)) / 60000),
+      })),
+      delivered: {
+        days: ON_TIME_RATE_DAYS,
+        met,
+        breached: late,
+        onTimeRate: met + late > 0 ? Math.round((met / (met + late)) * 1000) / 10 : null,
+      },
+    };
+  }
+}
+
+// Export singleton instance
+const slaService = new SlaService();
+
+export default slaService;
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+/**
+ * Token Service for EcoTrack Logistics System
+ *
+ * Manages the server-side state behind JWT authentication:
+ * - Opaque refresh tokens with rotation and reuse detection
+ * - Access token revocation (denylist by JWT ID)
+ * - Revoking every token a user holds
+ * - One-time password reset tokens
+ */
+
+class TokenService {
+  /**
+   * Lifetime of access tokens (jsonwebtoken expiresIn format)
+   * @returns {string|number}
+   */
+  getAccessTokenTtl() {
+    return process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+  }
+
+  /**
+   * Lifetime of refresh tokens in days
+   * @returns {number}
+   */
+  getRefreshTokenTtlDays() {
+    return Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+  }
+
+  /**
+   * Lifetime of password reset tokens in minutes
+   * @returns {number}
+   */
+  getPasswordResetTtlMinutes() {
+    return Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+  }
+
+  /**
+   * Hash a raw refresh token for storage and lookup
+   * @private
+   */
+  hashToken(rawToken) {
+    return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+  }
+
+  /**
+   * Generate a unique identifier for an access token (jti claim)
+   * @returns {string} Random token ID
+   */
+  generateTokenId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Issue a new refresh token for a user
+   * @param {string} userId - Owner of the token
+   * @param {Object} options - { family } to continue an existing rotation chain
+   * @returns {Promise<Object>} { token, expiresAt, document }
+   */
+  async issueRefreshToken(userId, { family } = {}) {
+    const rawToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + this.getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+
+    const document = await RefreshToken.create({
+      user: userId,
+      tokenHash: this.hashToken(rawToken),
+      family: family || crypto.randomUUID(),
+      expiresAt,
+    });
+
+    return { token: rawToken, expiresAt, document };
+  }
+
+  /**
+   * Exchange a refresh token for a new one, revoking the old token.
+   * Presenting an already rotated token revokes the whole family.
+   * @param {string} rawToken - Refresh token supplied by the client
+   * @returns {Promise<Object|null>} { user, refreshToken } or null when the token is not usable
+   */
+  async rotateRefreshToken(rawToken) {
+    const tokenHash = this.hashToken(rawToken);
+    const now = new Date();
+
+    // Revoke before issuing, in one step, so two refreshes racing with the same token cannot both win
+    const existing = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now } }
+    );
+
+    if (!existing) {
+      const rotated = await RefreshToken.findOne({ tokenHash });
+      if (rotated) {
+        // A rotated token was replayed: assume it leaked and end the whole chain
+        await this.revokeFamily(rotated.family);
+      }
+      return null;
+    }
+
+    if (existing.expiresAt <= now) {
+      return null;
+    }
+
+    const user = await User.findById(existing.user).select('-password');
+    if (!user) {
+      return null;
+    }
+
+    const refreshToken = await this.issueRefreshToken(user.id, { family: existing.family });
+    await RefreshToken.updateOne({ _id: existing._id }, { $set: { replacedBy: refreshToken.document.tokenHash } });
+
+    return { user, refreshToken };
+  }
+
+  /**
+   * Revoke a single refresh token and the rest of its rotation chain
+   * @param {string} rawToken - Refresh token supplied by the client
+   * @param {string} userId - Only revoke when the token belongs to this user
+   * @returns {Promise<boolean>} Whether a matching token was found
+   */
+  async revokeRefreshToken(rawToken, userId) {
+    const existing = await RefreshToken.findOne({ tokenHash: this.hashToken(rawToken) });
+    if (!existing || (userId && existing.user.toString() !== String(userId))) {
+      return false;
+    }
+
+    await this.revokeFamily(existing.family);
+    return true;
+  }
+
+  /**
+   * Revoke every token in a refresh token family
+   * @param {string} family - Family shared by a login's rotated tokens
+   */
+  async revokeFamily(family) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: { $exists: false } },
+      { revokedAt: new Date() }
+    );
+  }
+
+  /**
+   * Add an access token to the denylist until it expires
+   * @param {Object} decoded - Verified JWT payload
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded?.jti) {
+      return;
+    }
+
+    const expiresAt = decoded.exp ? new Date(decoded.exp * 1000) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    await RevokedToken.updateOne(
+      { jti: decoded.jti },
+      { $setOnInsert: { jti: decoded.jti, user: decoded.sub, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {string} jti - JWT ID claim
+   * @returns {Promise<boolean>}
+   */
+  async isAccessTokenRevoked(jti) {
+    if (!jti) {
+      return false;
+    }
+
+    const revoked = await RevokedToken.exists({ jti });
+    return !!revoked;
+  }
+
+  /**
+   * Invalidate every access and refresh token a user currently holds, ending all sessions
+   * @param {string} userId - User whose tokens should be revoked
+   */
+  async revokeAllForUser(userId) {
+    await Promise.all([
+      User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }),
+      RefreshToken.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+      ),
+      Session.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+      ),
+    ]);
+  }
+
+  /**
+   * Issue a one-time password reset token, invalidating earlier unused ones
+   * @param {string} userId - User requesting the reset
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  async issuePasswordResetToken(userId) {
+    await PasswordResetToken.updateMany(
+      { user: userId, usedAt: { $exists: false } },
+      { usedAt: new Date() }
+    );
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.getPasswordResetTtlMinutes() * 60 * 1000);
+
+    await PasswordResetToken.create({
+      user: userId,
+      tokenHash: this.hashToken(rawToken),
+      expiresAt,
+    });
+
+    return { token: rawToken, expiresAt };
+  }
+
+  /**
+   * Mark a password reset token as used
+   * @param {string} rawToken - Token from the reset email
+   * @returns {Promise<string|null>} ID of the user the token belongs to, or null when unusable
+   */
+  async consumePasswordResetToken(rawToken) {
+    // Atomic update so two concurrent requests cannot both use the token
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: this.hashToken(rawToken),
+        usedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    return resetToken ? resetToken.user.toString() : null;
+  }
+}
+
+// Export singleton instance
+const tokenService = new TokenService();
+
+export default tokenService;
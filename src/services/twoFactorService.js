@@ -0,0 +1,311 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+import User from '../models/User.js';
+
+/**
+ * Two-Factor Service for EcoTrack Logistics System
+ *
+ * Implements TOTP (RFC 6238) second factors without external dependencies:
+ * - Secret generation and otpauth:// provisioning URIs for authenticator apps
+ * - Code verification with clock drift tolerance and replay protection
+ * - One-time recovery codes
+ * - Short-lived challenge tokens bridging the two login steps
+ * - The policy of which roles must use two-factor authentication
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ISSUER = 'EcoTrack Logistics';
+const PERIOD_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Accept codes from one period before or after the current one
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = 'two-factor-login';
+
+class TwoFactorService {
+  /**
+   * Roles that must enable two-factor authentication
+   * @returns {Array<string>}
+   */
+  getRequiredRoles() {
+    return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether the policy makes two-factor authentication mandatory for a role
+   * @param {string} role - User role
+   * @returns {boolean}
+   */
+  isRequiredFor(role) {
+    return this.getRequiredRoles().includes(role);
+  }
+
+  /**
+   * Lifetime of the challenge token issued after a correct password
+   * @returns {number} Seconds
+   */
+  getChallengeTtlSeconds() {
+    return Number(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300;
+  }
+
+  /**
+   * Encode bytes as RFC 4648 base32 without padding
+   * @private
+   */
+  encodeBase32(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   * @private
+   */
+  decodeBase32(encoded) {
+    const clean = String(encoded).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret.');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new random TOTP secret
+   * @returns {string} Base32 secret
+   */
+  generateSecret() {
+    return this.encodeBase32(crypto.randomBytes(20));
+  }
+
+  /**
+   * otpauth:// URI that authenticator apps read from a QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Account label, usually the user's email
+   * @returns {string}
+   */
+  getProvisioningUri(secret, accountName) {
+    const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(accountName)}`;
+    // Spaces are encoded as %20 rather than "+", which some authenticator apps show literally
+    const params = Object.entries({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: CODE_DIGITS,
+      period: PERIOD_SECONDS,
+    }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+
+    return `otpauth://totp/${label}?${params.join('&')}`;
+  }
+
+  /**
+   * Time step for a moment in time
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {number}
+   */
+  getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+  }
+
+  /**
+   * TOTP code for a secret at a time step (HOTP with the step as counter)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step, defaults to the current one
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step = this.getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+  }
+
+  /**
+   * Verify a code within the allowed drift, refusing steps that were already used
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} lastUsedStep - Step of the last accepted code, if any
+   * @returns {number|null} Matched time step, or null when the code is invalid
+   */
+  verifyCode(secret, code, lastUsedStep) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep();
+    for (let step = currentStep - ALLOWED_DRIFT_STEPS; step <= currentStep + ALLOWED_DRIFT_STEPS; step += 1) {
+      if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup
+   * @private
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {Object} { codes, hashes } - codes are shown once, hashes are stored
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map((code) => this.hashRecoveryCode(code)) };
+  }
+
+  /**
+   * Find the stored hash matching a recovery code
+   * @param {Array<string>} hashes - Remaining recovery code hashes
+   * @param {string} code - Code entered by the user
+   * @returns {string|null} Matching hash to remove, or null
+   */
+  matchRecoveryCode(hashes, code) {
+    if (!code) {
+      return null;
+    }
+
+    const hash = this.hashRecoveryCode(code);
+    return (hashes || []).includes(hash) ? hash : null;
+  }
+
+  /**
+   * Check a TOTP or recovery code for a user and mark it as used.
+   * Both updates are conditional, so a code cannot be accepted twice even by concurrent requests.
+   * @param {Object} user - User loaded with the secret, recovery hashes and last used step
+   * @param {Object} input - { code, recoveryCode }
+   * @returns {Promise<Object>} { accepted, usedRecoveryCode, recoveryCodesRemaining }
+   */
+  async consumeCode(user, { code, recoveryCode } = {}) {
+    const hashes = user.twoFactor?.recoveryCodeHashes || [];
+    const rejected = { accepted: false, usedRecoveryCode: false, recoveryCodesRemaining: hashes.length };
+
+    if (code) {
+      const step = this.verifyCode(user.twoFactor?.secret, code, user.twoFactor?.lastUsedStep);
+      if (step === null) {
+        return rejected;
+      }
+
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': null },
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+          ],
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+      return result.modifiedCount === 1
+        ? { accepted: true, usedRecoveryCode: false, recoveryCodesRemaining: hashes.length }
+        : rejected;
+    }
+
+    const hash = this.matchRecoveryCode(hashes, recoveryCode);
+    if (!hash) {
+      return rejected;
+    }
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+      { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+    );
+
+    return result.modifiedCount === 1
+      ? { accepted: true, usedRecoveryCode: true, recoveryCodesRemaining: hashes.length - 1 }
+      : rejected;
+  }
+
+  /**
+   * Sign the challenge token handed out after a correct password
+   * @param {string} userId - User completing the login
+   * @returns {string}
+   */
+  issueChallenge(userId) {
+    return jwt.sign({}, process.env.JWT_SECRET, {
+      subject: String(userId),
+      audience: CHALLENGE_AUDIENCE,
+      expiresIn: this.getChallengeTtlSeconds(),
+    });
+  }
+
+  /**
+   * Resolve a challenge token to its user
+   * @param {string} challengeToken - Token from the first login step
+   * @returns {string|null} User ID, or null when invalid or expired
+   */
+  verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, {
+        algorithms: ['HS256'],
+        audience: CHALLENGE_AUDIENCE,
+      });
+      return decoded.sub || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const twoFactorService = new TwoFactorService();
+
+export default twoFactorService;
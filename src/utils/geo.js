@@ -0,0 +1,34 @@
+// Great-circle helpers for comparing GPS fixes with addresses and each other
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Whether a value holds usable latitude/longitude numbers
+ * @param {Object} point - { latitude, longitude }
+ * @returns {boolean}
+ */
+function hasCoordinates(point) {
+  return Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+}
+
+/**
+ * Haversine distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in metres
+ */
+function distanceMeters(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+export { hasCoordinates, distanceMeters };
@@ -0,0 +1,58 @@
+// Public tracking codes: unguessable, separate from parcelId, easy to read out over the phone
+
+import crypto from 'crypto';
+
+// Crockford base32 leaves out I, L, O and U so codes cannot be misread
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 16; // 80 random bits
+const GROUP_LENGTH = 4;
+
+const formatCode = (characters) => characters.match(new RegExp(`.{${GROUP_LENGTH}}`, 'g')).join('-');
+
+/**
+ * Generate a new random tracking code, e.g. "7K3M-Q9XD-2HPA-W4RT"
+ * @returns {string}
+ */
+function generateTrackingCode() {
+  const bytes = crypto.randomBytes((CODE_LENGTH * 5) / 8);
+
+  let bits = 0;
+  let value = 0;
+  let characters = '';
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      characters += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  return formatCode(characters);
+}
+
+/**
+ * Canonical form of a code as typed by a receiver: case, spacing and dashes are ignored,
+ * and the letters Crockford base32 leaves out are read as the digits they resemble
+ * @param {string} input - Code as entered
+ * @returns {string|null} Formatted code, or null when the input cannot be a tracking code
+ */
+function normalizeTrackingCode(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const characters = input
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+  if (characters.length !== CODE_LENGTH || [...characters].some((character) => !ALPHABET.includes(character))) {
+    return null;
+  }
+
+  return formatCode(characters);
+}
+
+export { generateTrackingCode, normalizeTrackingCode };
@@ -0,0 +1,230 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import ApiKey from '../src/models/ApiKey.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-api-keys';
+process.env.NODE_ENV = 'test';
+
+describe('API Key Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let supervisorToken, driverToken;
+
+  const parcelPayload = (parcelId) => ({
+    parcelId,
+    senderName: 'Partner Shop',
+    receiverName: 'Nimal Silva',
+    pickupLocation: 'Colombo 03',
+    deliveryLocation: 'Kandy',
+  });
+
+  // Issue a key through the API as the Supervisor
+  const issueKey = async (body) => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send(body);
+    return res;
+  };
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Parcel.deleteMany({});
+    await ApiKey.deleteMany({});
+
+    await User.create({
+      name: 'Test Supervisor',
+      email: 'supervisor@test.com',
+      password: 'password123',
+      role: 'Supervisor',
+    });
+
+    await User.create({
+      name: 'Test Driver',
+      email: 'driver@test.com',
+      password: 'password123',
+      role: 'Driver',
+    });
+
+    const supervisorLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'supervisor@test.com', password: 'password123' });
+    supervisorToken = supervisorLogin.body.token;
+
+    const driverLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'driver@test.com', password: 'password123' });
+    driverToken = driverLogin.body.token;
+  });
+
+  describe('Key management', () => {
+    it('should issue a key once and never return its hash', async () => {
+      const res = await issueKey({ name: 'Partner Shop', scopes: ['parcels:create'] });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data.key).to.match(/^etk_/);
+      expect(res.body.data.apiKey).to.not.have.property('keyHash');
+      expect(res.body.data.apiKey.rateLimitPerMinute).to.equal(60);
+
+      const listRes = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(listRes.status).to.equal(200);
+      expect(listRes.body.data.apiKeys).to.have.length(1);
+      expect(listRes.body.data.apiKeys[0]).to.not.have.property('key');
+    });
+
+    it('should reject unknown scopes', async () => {
+      const res = await issueKey({ name: 'Partner Shop', scopes: ['parcels:delete'] });
+      expect(res.status).to.equal(400);
+    });
+
+    it('should deny non-Supervisors', async () => {
+      const res = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ name: 'Driver Key', scopes: ['parcels:track'] });
+
+      expect(res.status).to.equal(403);
+    });
+  });
+
+  describe('Authenticating with a key', () => {
+    it('should create parcels and track only its own', async () => {
+      const { body } = await issueKey({ name: 'Partner Shop', scopes: ['parcels:create', 'parcels:track'] });
+      const { key } = body.data;
+
+      const createRes = await request(app)
+        .post('/api/parcels')
+        .set('X-API-Key', key)
+        .send(parcelPayload('PARTNER-001'));
+
+      expect(createRes.status).to.equal(201);
+
+      const trackRes = await request(app)
+        .get('/api/parcels/track/PARTNER-001')
+        .set('Authorization', `Bearer ${key}`);
+
+      expect(trackRes.status).to.equal(200);
+
+      // Integrations see who is carrying the parcel, but not the driver's contact details
+      const driver = await User.findOne({ email: 'driver@test.com' });
+      await Parcel.updateOne({ parcelId: 'PARTNER-001' }, { assignedDriver: driver._id });
+      const assignedRes = await request(app)
+        .get('/api/parcels/track/PARTNER-001')
+        .set('X-API-Key', key);
+      expect(assignedRes.body.assignedDriver).to.deep.equal({ name: 'Test' });
+
+      await Parcel.create(parcelPayload('INTERNAL-001'));
+      const otherRes = await request(app)
+        .get('/api/parcels/track/INTERNAL-001')
+        .set('X-API-Key', key);
+
+      expect(otherRes.status).to.equal(403);
+    });
+
+    it('should not let a key choose the customer or the driver', async () => {
+      const { body } = await issueKey({ name: 'Partner Shop', scopes: ['parcels:create'] });
+      const driver = await User.findOne({ email: 'driver@test.com' });
+      const customer = await User.create({
+        name: 'Test Customer',
+        email: 'customer@test.com',
+        password: 'password123',
+        role: 'Customer',
+      });
+
+      for (const extra of [{ customer: customer.id }, { assignedDriver: driver.id }]) {
+        const res = await request(app)
+          .post('/api/parcels')
+          .set('X-API-Key', body.data.key)
+          .send({ ...parcelPayload('PARTNER-004'), ...extra });
+
+        expect(res.status).to.equal(400);
+        expect(res.body.message).to.equal('API keys cannot set the customer or the assigned driver.');
+      }
+      expect(await Parcel.countDocuments({ parcelId: 'PARTNER-004' })).to.equal(0);
+    });
+
+    it('should refuse routes outside the key\'s scopes', async () => {
+      const { body } = await issueKey({ name: 'Tracking Only', scopes: ['parcels:track'] });
+
+      const res = await request(app)
+        .post('/api/parcels')
+        .set('X-API-Key', body.data.key)
+        .send(parcelPayload('PARTNER-002'));
+
+      expect(res.status).to.equal(403);
+    });
+
+    it('should record last-used metadata', async () => {
+      const { body } = await issueKey({ name: 'Partner Shop', scopes: ['parcels:create'] });
+
+      await request(app)
+        .post('/api/parcels')
+        .set('X-API-Key', body.data.key)
+        .set('User-Agent', 'partner-integration/1.0')
+        .send(parcelPayload('PARTNER-003'));
+
+      const stored = await ApiKey.findById(body.data.apiKey._id);
+      expect(stored.lastUsedAt).to.be.an.instanceOf(Date);
+      expect(stored.lastUsedUserAgent).to.equal('partner-integration/1.0');
+      expect(stored.usageCount).to.equal(1);
+    });
+
+    it('should reject revoked keys', async () => {
+      const { body } = await issueKey({ name: 'Partner Shop', scopes: ['parcels:create'] });
+
+      await request(app)
+        .patch(`/api/api-keys/${body.data.apiKey._id}/revoke`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const res = await request(app)
+        .post('/api/parcels')
+        .set('X-API-Key', body.data.key)
+        .send(parcelPayload('PARTNER-004'));
+
+      expect(res.status).to.equal(401);
+      expect(res.body.message).to.equal('API key has been revoked.');
+    });
+
+    it('should enforce the per-key rate limit', async () => {
+      const { body } = await issueKey({ name: 'Partner Shop', scopes: ['parcels:track'], rateLimitPerMinute: 2 });
+      const { key } = body.data;
+
+      await request(app).get('/api/parcels/track/NONE').set('X-API-Key', key);
+      await request(app).get('/api/parcels/track/NONE').set('X-API-Key', key);
+      const limited = await request(app).get('/api/parcels/track/NONE').set('X-API-Key', key);
+
+      expect(limited.status).to.equal(429);
+      expect(limited.headers['retry-after']).to.exist;
+    });
+
+    it('should not allow keys on user-only endpoints', async () => {
+      const { body } = await issueKey({ name: 'Partner Shop', scopes: ['parcels:create'] });
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .set('X-API-Key', body.data.key);
+
+      expect(res.status).to.equal(403);
+    });
+  });
+});
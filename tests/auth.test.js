@@ -0,0 +1,159 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-auth';
+process.env.NODE_ENV = 'test';
+
+describe('Authentication Session Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  const credentials = { email: 'driver.auth@test.com', password: 'password123' };
+
+  const login = () => request(app).post('/api/auth/login').send(credentials);
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await RevokedToken.deleteMany({});
+
+    await User.create({
+      name: 'Auth Driver',
+      role: 'Driver',
+      ...credentials,
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return an access token and a refresh token', async () => {
+      const res = await login();
+
+      expect(res.status).to.equal(200);
+      expect(res.body).to.have.property('token');
+      expect(res.body).to.have.property('refreshToken');
+      expect(res.body).to.have.property('expiresIn');
+      expect(await RefreshToken.countDocuments()).to.equal(1);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const loginRes = await login();
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginRes.body.refreshToken });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.token).to.be.a('string');
+      expect(res.body.refreshToken).to.not.equal(loginRes.body.refreshToken);
+    });
+
+    it('should reject a refresh token that was already rotated and revoke its family', async () => {
+      const loginRes = await login();
+
+      const firstRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginRes.body.refreshToken });
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginRes.body.refreshToken });
+
+      expect(replay.status).to.equal(401);
+
+      // The legitimately rotated token is revoked as well
+      const followUp = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: firstRefresh.body.refreshToken });
+
+      expect(followUp.status).to.equal(401);
+    });
+
+    it('should let only one of two simultaneous refreshes with the same token succeed', async () => {
+      const loginRes = await login();
+
+      const results = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginRes.body.refreshToken })));
+
+      expect(results.map((res) => res.status).sort()).to.deep.equal([200, 401]);
+      expect(await RefreshToken.countDocuments()).to.equal(2);
+    });
+
+    it('should require a refresh token', async () => {
+      const res = await request(app).post('/api/auth/refresh').send({});
+
+      expect(res.status).to.equal(400);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the access token used to log out', async () => {
+      const loginRes = await login();
+      const { token, refreshToken } = loginRes.body;
+
+      const logoutRes = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken });
+
+      expect(logoutRes.status).to.equal(200);
+
+      const profileRes = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(profileRes.status).to.equal(401);
+      expect(profileRes.body.message).to.equal('Authentication token has been revoked.');
+
+      const refreshRes = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(refreshRes.status).to.equal(401);
+    });
+
+    it('should revoke tokens on every device when allDevices is set', async () => {
+      const firstDevice = await login();
+      const secondDevice = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${firstDevice.body.token}`)
+        .send({ allDevices: true });
+
+      const profileRes = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${secondDevice.body.token}`);
+
+      expect(profileRes.status).to.equal(401);
+
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: secondDevice.body.refreshToken });
+
+      expect(refreshRes.status).to.equal(401);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).post('/api/auth/logout');
+
+      expect(res.status).to.equal(401);
+    });
+  });
+});
@@ -0,0 +1,301 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import Ticket from '../src/models/Ticket.js';
+import { serializeTicket } from '../src/serializers/ticketSerializer.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-customer-tickets';
+process.env.NODE_ENV = 'test';
+
+describe('Customer Ticket Portal Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let customer, otherCustomer, supervisorToken, customerToken, otherCustomerToken;
+
+  const login = async (email) => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return res.body.token;
+  };
+
+  const openTicket = (token, body) => request(app)
+    .post('/api/tickets')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Parcel.deleteMany({});
+    await Ticket.deleteMany({});
+
+    await User.create({
+      name: 'Test Supervisor',
+      email: 'supervisor@test.com',
+      password: 'password123',
+      role: 'Supervisor',
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Kamala Perera', email: 'customer@test.com', password: 'password123', role: 'Customer' });
+    expect(registerRes.status).to.equal(201);
+    customer = await User.findOne({ email: 'customer@test.com' });
+
+    otherCustomer = await User.create({
+      name: 'Other Customer',
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'Customer',
+    });
+
+    await Parcel.create({
+      parcelId: 'CUST-001',
+      senderName: 'Online Store',
+      receiverName: 'Kamala Perera',
+      pickupLocation: 'Colombo 03',
+      deliveryLocation: 'Kandy',
+      customer: customer._id,
+    });
+
+    await Parcel.create({
+      parcelId: 'OTHER-001',
+      senderName: 'Online Store',
+      receiverName: 'Someone Else',
+      pickupLocation: 'Colombo 03',
+      deliveryLocation: 'Galle',
+      customer: otherCustomer._id,
+    });
+
+    supervisorToken = await login('supervisor@test.com');
+    customerToken = await login('customer@test.com');
+    otherCustomerToken = await login('other@test.com');
+  });
+
+  describe('Opening tickets', () => {
+    it('should let customers open tickets for their own parcels', async () => {
+      const res = await openTicket(customerToken, {
+        parcelId: 'CUST-001',
+        issueType: 'Delayed',
+        description: 'My parcel has not arrived yet.',
+      });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data.createdBy.email).to.equal('customer@test.com');
+    });
+
+    it('should refuse tickets for other customers\' parcels or without a parcel', async () => {
+      const otherRes = await openTicket(customerToken, {
+        parcelId: 'OTHER-001',
+        issueType: 'Lost',
+        description: 'Where is this parcel?',
+      });
+      expect(otherRes.status).to.equal(403);
+
+      const noParcelRes = await openTicket(customerToken, {
+        issueType: 'General',
+        description: 'General question.',
+      });
+      expect(noParcelRes.status).to.equal(403);
+    });
+
+    it('should ignore triage fields sent by customers', async () => {
+      const res = await openTicket(customerToken, {
+        parcelId: 'CUST-001',
+        issueType: 'General',
+        priority: 'High',
+        tags: ['vip'],
+        description: 'Please prioritise me.',
+      });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data.priority).to.equal('Low');
+      expect(res.body.data.tags).to.deep.equal([]);
+    });
+  });
+
+  describe('Viewing tickets', () => {
+    let ticketId;
+
+    beforeEach(async () => {
+      const res = await openTicket(customerToken, {
+        parcelId: 'CUST-001',
+        issueType: 'Damaged',
+        description: 'The box was crushed.',
+      });
+      ticketId = res.body.data.ticketId;
+
+      await Ticket.updateOne({ ticketId }, { internalNotes: 'Customer has complained before.' });
+    });
+
+    it('should list only the customer\'s own tickets without internal fields', async () => {
+      const res = await request(app)
+        .get('/api/tickets')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.tickets).to.have.length(1);
+      expect(res.body.data.tickets[0]).to.not.have.property('internalNotes');
+      expect(res.body.data.tickets[0]).to.not.have.property('activityHistory');
+
+      const otherRes = await request(app)
+        .get('/api/tickets')
+        .set('Authorization', `Bearer ${otherCustomerToken}`);
+      expect(otherRes.body.data.tickets).to.have.length(0);
+    });
+
+    it('should not let a createdBy filter widen a customer\'s listing', async () => {
+      const res = await request(app)
+        .get(`/api/tickets?createdBy=${customer._id}`)
+        .set('Authorization', `Bearer ${otherCustomerToken}`);
+
+      expect(res.body.data.tickets).to.have.length(0);
+    });
+
+    it('should keep internal fields for staff', async () => {
+      const res = await request(app)
+        .get(`/api/tickets/${ticketId}`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.internalNotes).to.equal('Customer has complained before.');
+    });
+
+    it('should refuse other customers\' tickets', async () => {
+      const res = await request(app)
+        .get(`/api/tickets/${ticketId}`)
+        .set('Authorization', `Bearer ${otherCustomerToken}`);
+
+      expect(res.status).to.equal(403);
+    });
+
+    it('should keep staff-only endpoints closed to customers', async () => {
+      const res = await request(app)
+        .get(`/api/tickets/${ticketId}/status-history`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(res.status).to.equal(403);
+    });
+  });
+
+  describe('Replies', () => {
+    let ticketId;
+
+    beforeEach(async () => {
+      const res = await openTicket(customerToken, {
+        parcelId: 'CUST-001',
+        issueType: 'Delayed',
+        description: 'Still waiting.',
+      });
+      ticketId = res.body.data.ticketId;
+    });
+
+    it('should let customers and staff exchange replies', async () => {
+      const customerReply = await request(app)
+        .post(`/api/tickets/${ticketId}/replies`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ message: 'Any update?' });
+      expect(customerReply.status).to.equal(201);
+
+      await request(app)
+        .post(`/api/tickets/${ticketId}/replies`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ message: 'Escalating with the depot.', isInternal: true });
+
+      await request(app)
+        .post(`/api/tickets/${ticketId}/replies`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ message: 'Your parcel will arrive tomorrow.' });
+
+      const res = await request(app)
+        .get(`/api/tickets/${ticketId}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(res.body.data.replies.map((reply) => reply.message)).to.deep.equal([
+        'Any update?',
+        'Your parcel will arrive tomorrow.',
+      ]);
+    });
+
+    it('should refuse internal replies from customers', async () => {
+      const res = await request(app)
+        .post(`/api/tickets/${ticketId}/replies`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ message: 'Sneaky', isInternal: true });
+
+      expect(res.status).to.equal(403);
+    });
+
+    it('should refuse replies on other customers\' tickets', async () => {
+      const res = await request(app)
+        .post(`/api/tickets/${ticketId}/replies`)
+        .set('Authorization', `Bearer ${otherCustomerToken}`)
+        .send({ message: 'Hello?' });
+
+      expect(res.status).to.equal(403);
+    });
+  });
+
+  describe('Tracking', () => {
+    it('should show customers the driver\'s first name only', async () => {
+      const driver = await User.create({
+        name: 'Sunil Fernando',
+        email: 'driver@test.com',
+        password: 'password123',
+        role: 'Driver',
+      });
+      await Parcel.updateOne({ parcelId: 'CUST-001' }, { assignedDriver: driver._id, status: 'InTransit' });
+
+      const res = await request(app)
+        .get('/api/parcels/track/CUST-001')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.assignedDriver).to.deep.equal({ name: 'Sunil' });
+
+      const staff = await request(app)
+        .get('/api/parcels/track/CUST-001')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(staff.body.assignedDriver.email).to.equal('driver@test.com');
+    });
+  });
+
+  describe('Ticket serializer', () => {
+    it('should strip internal fields and replies for customers', () => {
+      const owner = { id: new mongoose.Types.ObjectId().toString(), role: 'Customer' };
+      const ticket = {
+        ticketId: 'TK-20240101-0001',
+        createdBy: new mongoose.Types.ObjectId(owner.id),
+        internalNotes: 'Internal only',
+        escalationLevel: 1,
+        activityHistory: [{ action: 'Created' }],
+        replies: [
+          { message: 'Public', isInternal: false },
+          { message: 'Private', isInternal: true },
+        ],
+      };
+
+      const serialized = serializeTicket(ticket, owner);
+
+      expect(serialized).to.not.have.any.keys('internalNotes', 'escalationLevel', 'activityHistory');
+      expect(serialized.replies).to.have.length(1);
+      expect(serialized.replies[0].message).to.equal('Public');
+    });
+  });
+});
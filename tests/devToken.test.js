@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-dev-token';
+process.env.NODE_ENV = 'test';
+
+/**
+ * Obtain a signed token for a seeded persona.
+ * Other suites can use the same endpoint with AUTH_DEV_MODE=true
+ * instead of registering and logging in users for each role.
+ */
+const getDevToken = async (persona) => {
+  const res = await request(app).post('/api/auth/dev-token').send({ persona });
+  return res.body.token;
+};
+
+describe('Development Token Mode Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  const originalDevMode = process.env.AUTH_DEV_MODE;
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    process.env.AUTH_DEV_MODE = originalDevMode;
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    process.env.AUTH_DEV_MODE = 'true';
+    await User.deleteMany({});
+  });
+
+  describe('With AUTH_DEV_MODE enabled', () => {
+    it('should issue working tokens for each persona role', async () => {
+      const expectations = {
+        supervisor: 'Supervisor',
+        driver: 'Driver',
+        support: 'SupportAgent',
+      };
+
+      for (const [persona, role] of Object.entries(expectations)) {
+        const token = await getDevToken(persona);
+        expect(token, `token for ${persona}`).to.be.a('string');
+
+        const profileRes = await request(app)
+          .get('/api/protected/profile')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(profileRes.status).to.equal(200);
+        expect(profileRes.body.user.role).to.equal(role);
+      }
+    });
+
+    it('should seed each persona only once', async () => {
+      await getDevToken('driver');
+      await getDevToken('driver');
+
+      expect(await User.countDocuments({ role: 'Driver' })).to.equal(1);
+    });
+
+    it('should reject unknown personas', async () => {
+      const res = await request(app).post('/api/auth/dev-token').send({ persona: 'admin' });
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should still reject unsigned base64 tokens', async () => {
+      const unsignedToken = Buffer.from(JSON.stringify({
+        user: { id: '716', role: 'Supervisor' },
+      })).toString('base64');
+
+      const res = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${unsignedToken}`);
+
+      expect(res.status).to.equal(401);
+    });
+  });
+
+  describe('With AUTH_DEV_MODE disabled', () => {
+    it('should hide the dev-token endpoint', async () => {
+      process.env.AUTH_DEV_MODE = 'false';
+
+      const res = await request(app).post('/api/auth/dev-token').send({ persona: 'supervisor' });
+
+      expect(res.status).to.equal(404);
+    });
+
+    it('should reject previously issued dev tokens', async () => {
+      const token = await getDevToken('supervisor');
+      process.env.AUTH_DEV_MODE = 'false';
+
+      const res = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).to.equal(401);
+      expect(res.body.message).to.equal('Development tokens are disabled.');
+    });
+
+    it('should reject unsigned JWTs', async () => {
+      const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify({
+        sub: new mongoose.Types.ObjectId().toString(),
+        role: 'Supervisor',
+      })).toString('base64url');
+      process.env.AUTH_DEV_MODE = 'false';
+
+      const res = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${header}.${payload}.`);
+
+      expect(res.status).to.equal(401);
+    });
+  });
+});
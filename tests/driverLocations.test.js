@@ -0,0 +1,195 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import Ticket from '../src/models/Ticket.js';
+import DriverLocation from '../src/models/DriverLocation.js';
+import driverLocationService from '../src/services/driverLocationService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-driver-locations';
+process.env.NODE_ENV = 'test';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+describe('Driver Location Tests', function() {
+  this.timeout(15000);
+
+  describe('Fix validation', () => {
+    it('should accept fixes with optional accuracy, speed and heading', () => {
+      const { location } = driverLocationService.parseFix({
+        latitude: '6.9271', longitude: 79.8612, accuracy: 8, speed: 42.5, heading: 270, timestamp: minutesAgo(1),
+      });
+
+      expect(location).to.include({ latitude: 6.9271, longitude: 79.8612, accuracy: 8, speed: 42.5, heading: 270 });
+      expect(location.recordedAt).to.be.instanceOf(Date);
+    });
+
+    it('should give a reason for each unusable fix', () => {
+      const reason = (fix) => driverLocationService.parseFix(fix).reason;
+
+      expect(reason(null)).to.include('object');
+      expect(reason({ latitude: 95, longitude: 80, timestamp: minutesAgo(1) })).to.include('latitude');
+      expect(reason({ latitude: 7, longitude: 80 })).to.include('timestamp');
+      expect(reason({ latitude: 7, longitude: 80, timestamp: new Date(Date.now() + 60 * 60000).toISOString() })).to.include('future');
+      expect(reason({ latitude: 7, longitude: 80, timestamp: minutesAgo(1), heading: 400 })).to.equal('heading is out of range.');
+      expect(reason({ latitude: 7, longitude: 80, timestamp: minutesAgo(1), speed: -3 })).to.equal('speed is out of range.');
+    });
+  });
+
+  describe('Location API', () => {
+    let mongoServer;
+    let driverToken, supervisorToken;
+    let driver, supervisor;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const report = (fixes, token = driverToken) => request(app)
+      .post('/api/drivers/me/locations')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ fixes });
+
+    const createParcel = (parcelId, overrides = {}) => Parcel.create({
+      parcelId,
+      senderName: 'Sender',
+      receiverName: 'Receiver',
+      pickupLocation: 'Colombo',
+      deliveryLocation: 'Kandy',
+      deliveryCoordinates: { latitude: 7.2906, longitude: 80.6337, source: 'geocoder' },
+      assignedDriver: driver._id,
+      ...overrides,
+    });
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+      await DriverLocation.init();
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+      await Ticket.deleteMany({});
+      await DriverLocation.deleteMany({});
+
+      supervisor = await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      driverToken = await login('driver@test.com');
+      supervisorToken = await login('supervisor@test.com');
+    });
+
+    it('should store a batch as breadcrumbs and report rejected fixes by index', async () => {
+      const res = await report([
+        { latitude: 6.9271, longitude: 79.8612, accuracy: 12, speed: 0, timestamp: minutesAgo(3) },
+        { latitude: 'north', longitude: 79.9, timestamp: minutesAgo(2) },
+        { latitude: 6.9400, longitude: 79.8800, accuracy: 9, speed: 38, heading: 45, timestamp: minutesAgo(1) },
+      ]);
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data).to.deep.equal({
+        accepted: 2,
+        rejected: [{ index: 1, reason: 'A valid latitude and longitude are required.' }],
+        parcelsUpdated: 0,
+        geofenceEvents: 0,
+        statusChanges: [],
+      });
+
+      const breadcrumbs = await DriverLocation.find({ driver: driver._id }).sort({ recordedAt: 1 });
+      expect(breadcrumbs.map((fix) => fix.speed)).to.deep.equal([0, 38]);
+      expect(breadcrumbs[1].heading).to.equal(45);
+    });
+
+    it('should refuse empty, oversized and wholly invalid batches, and non-drivers', async () => {
+      expect((await report([])).status).to.equal(400);
+      expect((await report(Array.from({ length: 501 }, () => ({ latitude: 7, longitude: 80, timestamp: minutesAgo(1) })))).status).to.equal(400);
+
+      const invalid = await report([{ latitude: 7 }]);
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.data.rejected).to.have.length(1);
+
+      expect((await report([{ latitude: 7, longitude: 80, timestamp: minutesAgo(1) }], supervisorToken)).status).to.equal(403);
+      expect(await DriverLocation.countDocuments()).to.equal(0);
+    });
+
+    it('should move only the parcels the driver is carrying, and never backwards', async () => {
+      await createParcel('PCL-GPS-CARRIED', { status: 'OutForDelivery' });
+      await createParcel('PCL-GPS-HUB', { status: 'AtHub' });
+      await createParcel('PCL-GPS-DONE', { status: 'Delivered' });
+
+      const res = await report([
+        { latitude: 7.2000, longitude: 80.5000, speed: 50, timestamp: minutesAgo(2) },
+        { latitude: 7.2500, longitude: 80.5500, speed: 45, timestamp: minutesAgo(1) },
+      ]);
+      expect(res.body.data.parcelsUpdated).to.equal(1);
+
+      const carried = await Parcel.findOne({ parcelId: 'PCL-GPS-CARRIED' });
+      expect(carried.currentLocation).to.include({ latitude: 7.25, longitude: 80.55 });
+      expect(carried.eta.observedSpeedKmh).to.equal(47.5);
+      expect(carried.eta.estimatedDeliveryTime).to.be.instanceOf(Date);
+
+      expect((await Parcel.findOne({ parcelId: 'PCL-GPS-HUB' })).currentLocation?.latitude).to.equal(undefined);
+      expect((await Parcel.findOne({ parcelId: 'PCL-GPS-DONE' })).currentLocation?.latitude).to.equal(undefined);
+
+      // A batch buffered offline arrives after newer fixes
+      const late = await report([{ latitude: 7.1000, longitude: 80.4000, timestamp: minutesAgo(5) }]);
+      expect(late.body.data).to.include({ accepted: 1, parcelsUpdated: 0 });
+      expect((await Parcel.findOne({ parcelId: 'PCL-GPS-CARRIED' })).currentLocation.latitude).to.equal(7.25);
+    });
+
+    it('should stamp the driver\'s latest fix on status changes and show the journey on tickets', async () => {
+      await report([{ latitude: 6.9271, longitude: 79.8612, timestamp: minutesAgo(30) }]);
+
+      const parcel = await createParcel('PCL-GPS-TICKET', {
+        status: 'PickedUp',
+        statusHistory: [{ status: 'PickedUp', timestamp: minutesAgo(10) }],
+      });
+      await report([
+        { latitude: 7.0012, longitude: 79.9533, speed: 55, timestamp: minutesAgo(2) },
+        { latitude: 7.0500, longitude: 80.0100, speed: 60, timestamp: minutesAgo(1) },
+      ]);
+
+      const moved = await request(app)
+        .patch('/api/parcels/PCL-GPS-TICKET/status')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'InTransit' });
+      expect(moved.status).to.equal(200);
+      expect(moved.body.currentLocation).to.include({ latitude: 7.05, longitude: 80.01 });
+
+      await Ticket.create({
+        ticketId: 'TK-20260101-0001',
+        issueType: 'Delayed',
+        priority: 'Medium',
+        status: 'Open',
+        description: 'Where is my parcel?',
+        createdBy: supervisor._id,
+        parcel: parcel._id,
+      });
+
+      const tracking = await request(app)
+        .get('/api/tickets/TK-20260101-0001/parcel-tracking')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(tracking.status).to.equal(200);
+
+      const { trackingInfo } = tracking.body.data;
+      expect(trackingInfo.trackingHistory.map((event) => event.status)).to.deep.equal(['PickedUp', 'InTransit']);
+      expect(trackingInfo.trackingHistory[1].description).to.equal('In transit');
+      // The fix from before the parcel was collected is not part of its journey
+      expect(trackingInfo.breadcrumbs.map((fix) => fix.latitude)).to.deep.equal([7.0012, 7.05]);
+      expect(trackingInfo.timeInTransit).to.have.property('formatted');
+    });
+  });
+});
@@ -0,0 +1,345 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import DriverProfile from '../src/models/DriverProfile.js';
+import driverAvailabilityService from '../src/services/driverAvailabilityService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-driver-profiles';
+process.env.NODE_ENV = 'test';
+
+describe('Driver Profile Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let supervisorToken, driverToken, otherDriverToken;
+  let driverId, otherDriverId;
+
+  // Every day of the week, around the clock
+  const allWeek = Array.from({ length: 7 }, (_, dayOfWeek) => ({ dayOfWeek, start: '00:00', end: '24:00' }));
+  const today = new Date().toISOString().slice(0, 10);
+
+  const profileBody = (overrides = {}) => ({
+    phone: '+94 77 123 4567',
+    licence: { number: 'b1234567', class: 'B', expiresAt: '2099-01-01' },
+    vehicle: { registration: 'wp cab-1234', type: 'Van', capacityKg: 800 },
+    homeDepot: 'Colombo North',
+    workingHours: allWeek,
+    ...overrides,
+  });
+
+  const createProfile = (userId, body = profileBody()) => request(app)
+    .post(`/api/drivers/${userId}/profile`)
+    .set('Authorization', `Bearer ${supervisorToken}`)
+    .send(body);
+
+  const login = async (email) => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return res.body.token;
+  };
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Parcel.deleteMany({});
+    await DriverProfile.deleteMany({});
+
+    await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+    const driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+    const otherDriver = await User.create({ name: 'Other Driver', email: 'other@test.com', password: 'password123', role: 'Driver' });
+
+    driverId = driver.id;
+    otherDriverId = otherDriver.id;
+
+    supervisorToken = await login('supervisor@test.com');
+    driverToken = await login('driver@test.com');
+    otherDriverToken = await login('other@test.com');
+  });
+
+  describe('Profile CRUD', () => {
+    it('should create a profile for a driver', async () => {
+      const res = await createProfile(driverId);
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data.profile.licence.number).to.equal('B1234567');
+      expect(res.body.data.profile.vehicle.registration).to.equal('WP CAB-1234');
+      expect(res.body.data.profile.currentAvailability.available).to.equal(true);
+    });
+
+    it('should reject invalid profiles and non-drivers', async () => {
+      const invalid = await createProfile(driverId, profileBody({ phone: 'call me' }));
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.message).to.equal('Validation failed.');
+
+      const badShift = await createProfile(driverId, profileBody({
+        workingHours: [{ dayOfWeek: 1, start: '17:00', end: '09:00' }],
+      }));
+      expect(badShift.status).to.equal(400);
+
+      const supervisor = await User.findOne({ email: 'supervisor@test.com' });
+      const nonDriver = await createProfile(supervisor.id);
+      expect(nonDriver.status).to.equal(400);
+    });
+
+    it('should refuse a second profile for the same driver', async () => {
+      await createProfile(driverId);
+      const res = await createProfile(driverId);
+
+      expect(res.status).to.equal(409);
+    });
+
+    it('should update and delete profiles', async () => {
+      await createProfile(driverId);
+
+      const updateRes = await request(app)
+        .patch(`/api/drivers/${driverId}/profile`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ homeDepot: 'Kandy', vehicle: { registration: 'CP XY-9999', type: 'Truck', capacityKg: 3000 } });
+
+      expect(updateRes.status).to.equal(200);
+      expect(updateRes.body.data.profile.homeDepot).to.equal('Kandy');
+      expect(updateRes.body.data.profile.vehicle.type).to.equal('Truck');
+
+      const deleteRes = await request(app)
+        .delete(`/api/drivers/${driverId}/profile`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(deleteRes.status).to.equal(200);
+      expect(await DriverProfile.findOne({ user: driverId })).to.equal(null);
+    });
+
+    it('should let drivers read only their own profile', async () => {
+      await createProfile(driverId);
+      await createProfile(otherDriverId);
+
+      const ownRes = await request(app)
+        .get('/api/drivers/me/profile')
+        .set('Authorization', `Bearer ${driverToken}`);
+      expect(ownRes.status).to.equal(200);
+      expect(ownRes.body.data.profile.user.email).to.equal('driver@test.com');
+
+      const otherRes = await request(app)
+        .get(`/api/drivers/${otherDriverId}/profile`)
+        .set('Authorization', `Bearer ${driverToken}`);
+      expect(otherRes.status).to.equal(404);
+
+      const editRes = await request(app)
+        .patch('/api/drivers/me/profile')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ homeDepot: 'Galle' });
+      expect(editRes.status).to.equal(403);
+    });
+  });
+
+  describe('Availability calendar', () => {
+    it('should return working days and time off', async () => {
+      await createProfile(driverId, profileBody({
+        workingHours: [{ dayOfWeek: 1, start: '08:00', end: '17:00' }],
+      }));
+
+      await request(app)
+        .post('/api/drivers/me/availability/time-off')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ startDate: '2030-01-07', reason: 'Training' });
+
+      // 2030-01-07 and 2030-01-14 are Mondays
+      const res = await request(app)
+        .get('/api/drivers/me/availability?from=2030-01-06&to=2030-01-14')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.status).to.equal(200);
+      const { calendar } = res.body.data;
+      expect(calendar).to.have.length(9);
+      expect(calendar[0].available).to.equal(false);
+      expect(calendar[1].timeOff.reason).to.equal('Training');
+      expect(calendar[1].available).to.equal(false);
+      expect(calendar[8].available).to.equal(true);
+      expect(calendar[8].shifts).to.deep.equal([{ start: '08:00', end: '17:00' }]);
+    });
+
+    it('should let drivers manage their own calendar but not others\'', async () => {
+      await createProfile(driverId);
+      await createProfile(otherDriverId);
+
+      const ownRes = await request(app)
+        .put('/api/drivers/me/availability/working-hours')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ workingHours: [{ dayOfWeek: 2, start: '06:00', end: '14:00' }] });
+      expect(ownRes.status).to.equal(200);
+
+      const otherRes = await request(app)
+        .post(`/api/drivers/${otherDriverId}/availability/time-off`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ startDate: '2030-01-07' });
+      expect(otherRes.status).to.equal(404);
+    });
+
+    it('should remove time off', async () => {
+      await createProfile(driverId);
+
+      const addRes = await request(app)
+        .post(`/api/drivers/${driverId}/availability/time-off`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ startDate: '2030-03-01', endDate: '2030-03-05', reason: 'Annual leave' });
+      expect(addRes.status).to.equal(201);
+
+      const removeRes = await request(app)
+        .delete(`/api/drivers/${driverId}/availability/time-off/${addRes.body.data.timeOff._id}`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(removeRes.status).to.equal(200);
+
+      const profile = await DriverProfile.findOne({ user: driverId });
+      expect(profile.timeOff).to.have.length(0);
+    });
+
+    it('should read working hours in the driver\'s timezone', () => {
+      const profile = {
+        timezone: 'Asia/Colombo',
+        workingHours: [{ dayOfWeek: 1, start: '08:00', end: '17:00' }],
+        timeOff: [],
+      };
+
+      // 03:00 UTC on Monday 2030-01-07 is 08:30 in Colombo
+      const inside = driverAvailabilityService.getAvailabilityAt(profile, new Date('2030-01-07T03:00:00Z'));
+      const before = driverAvailabilityService.getAvailabilityAt(profile, new Date('2030-01-07T02:00:00Z'));
+
+      expect(inside.available).to.equal(true);
+      expect(before.available).to.equal(false);
+      expect(before.reason).to.equal('Outside working hours');
+    });
+  });
+
+  describe('Driver assignment', () => {
+    const createParcel = () => Parcel.create({
+      parcelId: 'PCL-PROFILE-1',
+      senderName: 'Sender',
+      receiverName: 'Receiver',
+      pickupLocation: 'Colombo',
+      deliveryLocation: 'Kandy',
+    });
+
+    const assign = (id) => request(app)
+      .patch('/api/parcels/PCL-PROFILE-1/assign-driver')
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send({ driverId: id });
+
+    it('should assign drivers who are working now', async () => {
+      await createParcel();
+      await createProfile(driverId);
+
+      const res = await assign(driverId);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.assignedDriver.email).to.equal('driver@test.com');
+    });
+
+    it('should refuse drivers on time off', async () => {
+      await createParcel();
+      await createProfile(driverId);
+      await DriverProfile.updateOne({ user: driverId }, { timeOff: [{ startDate: today, endDate: today, reason: 'Sick' }] });
+
+      const res = await assign(driverId);
+
+      expect(res.status).to.equal(409);
+      expect(res.body.message).to.equal('Driver is not available: Time off: Sick.');
+      expect((await Parcel.findOne({ parcelId: 'PCL-PROFILE-1' })).assignedDriver).to.equal(undefined);
+    });
+
+    it('should refuse drivers outside working hours or with an expired licence', async () => {
+      await createParcel();
+      await createProfile(driverId, profileBody({ workingHours: [] }));
+      await createProfile(otherDriverId, profileBody({
+        licence: { number: 'B7654321', expiresAt: '2020-01-01' },
+      }));
+
+      const offShift = await assign(driverId);
+      expect(offShift.status).to.equal(409);
+      expect(offShift.body.message).to.equal('Driver is not available: Outside working hours.');
+
+      const expired = await assign(otherDriverId);
+      expect(expired.status).to.equal(409);
+      expect(expired.body.message).to.equal('Driver is not available: Driving licence has expired.');
+    });
+
+    it('should refuse deactivated and unapproved drivers, with or without a profile', async () => {
+      await createParcel();
+      await createProfile(driverId);
+      await User.updateOne({ _id: driverId }, { isActive: false });
+      await User.updateOne({ _id: otherDriverId }, { approvalStatus: 'Pending' });
+
+      const inactive = await assign(driverId);
+      expect(inactive.status).to.equal(409);
+      expect(inactive.body.message).to.equal('Driver is not available: Account is deactivated.');
+
+      const pending = await assign(otherDriverId);
+      expect(pending.status).to.equal(409);
+      expect(pending.body.message).to.equal('Driver is not available: Account is not approved.');
+      expect((await Parcel.findOne({ parcelId: 'PCL-PROFILE-1' })).assignedDriver).to.equal(undefined);
+    });
+
+    it('should only treat users with the Driver role as assignable', async () => {
+      const supervisor = await User.findOne({ email: 'supervisor@test.com' });
+
+      expect(await driverAvailabilityService.checkAssignable(supervisor.id))
+        .to.deep.equal({ available: false, reason: 'Not a driver' });
+      expect(await driverAvailabilityService.checkAssignable(new mongoose.Types.ObjectId().toString()))
+        .to.deep.equal({ available: false, reason: 'Not a driver' });
+      expect(await driverAvailabilityService.checkAssignable(driverId))
+        .to.deep.equal({ available: true, reason: null });
+    });
+
+    it('should only assign drivers through the assignment endpoint', async () => {
+      await createParcel();
+      await createProfile(driverId, profileBody({ workingHours: [] }));
+
+      const res = await request(app)
+        .put('/api/parcels/PCL-PROFILE-1')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ assignedDriver: driverId });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.include('/assign-driver');
+      expect((await Parcel.findOne({ parcelId: 'PCL-PROFILE-1' })).assignedDriver).to.equal(undefined);
+    });
+  });
+
+  describe('Listing', () => {
+    it('should filter drivers by depot and availability', async () => {
+      await createProfile(driverId);
+      await createProfile(otherDriverId, profileBody({ homeDepot: 'Galle', workingHours: [] }));
+
+      const depotRes = await request(app)
+        .get('/api/drivers?homeDepot=Galle')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(depotRes.body.data.drivers).to.have.length(1);
+      expect(depotRes.body.data.drivers[0].user.email).to.equal('other@test.com');
+
+      const availableRes = await request(app)
+        .get('/api/drivers?availableAt=now')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(availableRes.body.data.drivers).to.have.length(1);
+      expect(availableRes.body.data.drivers[0].user.email).to.equal('driver@test.com');
+
+      const driverRes = await request(app)
+        .get('/api/drivers')
+        .set('Authorization', `Bearer ${otherDriverToken}`);
+      expect(driverRes.body.data.drivers).to.have.length(1);
+      expect(driverRes.body.data.drivers[0].user.email).to.equal('other@test.com');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import Route from '../src/models/Route.js';
+import etaService from '../src/services/etaService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-eta';
+process.env.NODE_ENV = 'test';
+
+// Points along the Colombo - Kandy road
+const colombo = { latitude: 6.9271, longitude: 79.8612 };
+const kadawatha = { latitude: 7.0012, longitude: 79.9533 };
+const peradeniya = { latitude: 7.2690, longitude: 80.5950 };
+const kandy = { latitude: 7.2906, longitude: 80.6337 };
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+describe('ETA Tests', function() {
+  this.timeout(15000);
+
+  describe('ETA service', () => {
+    const parcel = (overrides = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      status: 'OutForDelivery',
+      deliveryCoordinates: kandy,
+      currentLocation: { ...peradeniya, timestamp: new Date() },
+      ...overrides,
+    });
+
+    it('should estimate from the latest GPS position with a confidence interval', async () => {
+      const eta = await etaService.estimate(parcel(), { run: [] });
+      const minutes = (eta.estimatedDeliveryTime - eta.computedAt) / 60000;
+
+      expect(eta.remainingKm).to.be.within(5, 7);
+      expect(minutes).to.be.within(5, 15);
+      expect(eta.earliestDeliveryTime.getTime()).to.be.below(eta.estimatedDeliveryTime.getTime());
+      expect(eta.latestDeliveryTime.getTime()).to.be.above(eta.estimatedDeliveryTime.getTime());
+      expect(eta.confidence).to.equal('medium');
+    });
+
+    it('should add the stops the driver makes before the parcel', async () => {
+      const target = parcel({ currentLocation: { ...colombo, timestamp: new Date() } });
+      const run = [
+        { _id: new mongoose.Types.ObjectId(), deliveryCoordinates: kadawatha },
+        { _id: new mongoose.Types.ObjectId(), deliveryCoordinates: peradeniya },
+        // Further away than the parcel's own destination, so delivered after it
+        { _id: new mongoose.Types.ObjectId(), deliveryCoordinates: { latitude: 7.9403, longitude: 81.0188 } },
+      ];
+
+      const direct = await etaService.estimate(target, { run: [] });
+      const withStops = await etaService.estimate(target, { run });
+
+      expect(withStops.stopsBefore).to.equal(2);
+      expect(withStops.estimatedDeliveryTime - direct.estimatedDeliveryTime).to.be.at.least(2 * etaService.getStopMinutes() * 60000);
+      expect(withStops.latestDeliveryTime - withStops.earliestDeliveryTime).to.be.above(direct.latestDeliveryTime - direct.earliestDeliveryTime);
+    });
+
+    it('should learn the observed speed from successive fixes and ignore GPS jumps', () => {
+      const moving = parcel({ currentLocation: { ...colombo, timestamp: minutesAgo(10) } });
+
+      etaService.observeLocation(moving, { ...kadawatha, timestamp: new Date() });
+      expect(moving.eta.speedSamples).to.equal(1);
+      expect(moving.eta.observedSpeedKmh).to.be.within(70, 90);
+      expect(moving.currentLocation).to.include(kadawatha);
+
+      etaService.observeLocation(moving, { ...kandy, timestamp: new Date(Date.now() + 2 * 60000) });
+      expect(moving.eta.speedSamples).to.equal(1);
+      expect(moving.currentLocation).to.include(kandy);
+    });
+
+    it('should give the observed speed more weight as samples come in', async () => {
+      const planned = await etaService.estimate(parcel(), { run: [] });
+      const slow = await etaService.estimate(parcel({ eta: { observedSpeedKmh: 10, speedSamples: 6 } }), { run: [] });
+
+      expect(slow.estimatedDeliveryTime.getTime()).to.be.above(planned.estimatedDeliveryTime.getTime());
+      expect(slow.confidence).to.equal('high');
+    });
+
+    it('should widen the interval before the parcel is out for delivery and stop estimating once it is done', async () => {
+      const inTransit = await etaService.estimate(parcel({ status: 'InTransit' }), { run: [] });
+      expect(inTransit.confidence).to.equal('low');
+
+      const delivered = await etaService.estimate(parcel({ status: 'Delivered' }));
+      expect(delivered).to.include({ estimatedDeliveryTime: null, confidence: null });
+
+      const nowhere = await etaService.estimate(parcel({ currentLocation: undefined, deliveryCoordinates: undefined }));
+      expect(nowhere.estimatedDeliveryTime).to.equal(null);
+    });
+  });
+
+  describe('Tracking API', () => {
+    let mongoServer;
+    let supervisorToken, driverToken;
+    let driver;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const createParcel = (parcelId, overrides = {}) => Parcel.create({
+      parcelId,
+      senderName: 'Sender',
+      receiverName: 'Receiver',
+      pickupLocation: 'Colombo',
+      deliveryLocation: 'Kandy',
+      pickupCoordinates: { ...colombo, source: 'geocoder' },
+      deliveryCoordinates: { ...kandy, source: 'geocoder' },
+      assignedDriver: driver._id,
+      ...overrides,
+    });
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+      await Route.deleteMany({});
+
+      await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      supervisorToken = await login('supervisor@test.com');
+      driverToken = await login('driver@test.com');
+    });
+
+    it('should return the planned-route ETA with its interval instead of a fixed time', async () => {
+      const parcel = await createParcel('PCL-ETA-1', { status: 'InTransit' });
+      const route = await Route.create({
+        parcel: parcel._id,
+        pickupLocation: colombo,
+        deliveryLocation: kandy,
+        distanceKm: 115,
+        estimatedTimeMinutes: 180,
+        carbonFootprintKg: 28.75,
+      });
+      await Parcel.updateOne({ _id: parcel._id }, { optimizedRoute: route._id });
+
+      const res = await request(app)
+        .get('/api/parcels/track/PCL-ETA-1')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.currentLocation).to.equal(null);
+      expect(res.body.eta.remainingKm).to.equal(115);
+      expect(res.body.estimatedDeliveryTime).to.equal(res.body.eta.estimatedDeliveryTime);
+
+      const minutes = (new Date(res.body.estimatedDeliveryTime) - Date.now()) / 60000;
+      expect(minutes).to.be.within(170, 185);
+      expect(new Date(res.body.eta.earliestDeliveryTime)).to.be.below(new Date(res.body.estimatedDeliveryTime));
+      expect(new Date(res.body.eta.latestDeliveryTime)).to.be.above(new Date(res.body.estimatedDeliveryTime));
+    });
+
+    it('should recompute ETAs along the run when a status changes', async () => {
+      const near = await createParcel('PCL-ETA-NEAR', {
+        status: 'OutForDelivery',
+        deliveryCoordinates: { ...peradeniya, source: 'geocoder' },
+        currentLocation: { ...colombo, timestamp: new Date() },
+      });
+      await createParcel('PCL-ETA-FAR', { status: 'OutForDelivery', currentLocation: { ...colombo, timestamp: new Date() } });
+
+      await Promise.all(['PCL-ETA-NEAR', 'PCL-ETA-FAR'].map(async (parcelId) => {
+        const parcel = await Parcel.findOne({ parcelId });
+        await etaService.refresh(parcel);
+        await parcel.save();
+      }));
+      expect((await Parcel.findOne({ parcelId: 'PCL-ETA-FAR' })).eta.stopsBefore).to.equal(1);
+
+      const failed = await request(app)
+        .patch('/api/parcels/PCL-ETA-NEAR/status')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'DeliveryFailed', reason: 'Receiver not home' });
+      expect(failed.status).to.equal(200);
+      expect(failed.body.eta.computedAt).to.not.equal(undefined);
+
+      const far = await Parcel.findOne({ parcelId: 'PCL-ETA-FAR' });
+      expect(far.eta.stopsBefore).to.equal(0);
+      expect(far.eta.computedAt.getTime()).to.be.above(near.createdAt.getTime());
+    });
+  });
+});
@@ -0,0 +1,213 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import geocodingService, { GazetteerProvider } from '../src/services/geocodingService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-geocoding';
+process.env.NODE_ENV = 'test';
+
+describe('Geocoding Tests', function() {
+  this.timeout(15000);
+
+  describe('Gazetteer provider', () => {
+    const provider = new GazetteerProvider();
+
+    it('should match a town and its postcode with full confidence', async () => {
+      const result = await provider.geocode('No. 12, Temple Street, Kandy 20000');
+
+      expect(result.matchedName).to.equal('Kandy');
+      expect(result.confidence).to.equal(1);
+      expect(result.latitude).to.be.closeTo(7.29, 0.05);
+      expect(result.longitude).to.be.closeTo(80.63, 0.05);
+    });
+
+    it('should resolve Colombo zones written with or without a leading zero', async () => {
+      const withZero = await provider.geocode('45 Ward Place, Colombo 07');
+      const withoutZero = await provider.geocode('45 Ward Place, Colombo 7');
+
+      expect(withZero.matchedName).to.equal(withoutZero.matchedName);
+      expect(withZero.postcode).to.equal('00700');
+    });
+
+    it('should score city-only and misspelt addresses lower', async () => {
+      const cityOnly = await provider.geocode('Somewhere in Colombo');
+      const misspelt = await provider.geocode('Main Street, Kurunegalla');
+
+      expect(cityOnly.confidence).to.be.lessThan(0.8);
+      expect(misspelt.matchedName).to.equal('Kurunegala');
+      expect(misspelt.confidence).to.equal(0.5);
+    });
+
+    it('should return null for unknown places', async () => {
+      expect(await provider.geocode('1 Olympus Mons, Mars')).to.equal(null);
+    });
+  });
+
+  describe('Provider selection', () => {
+    afterEach(() => {
+      geocodingService.setProvider(new GazetteerProvider());
+    });
+
+    it('should use a custom provider and clamp its confidence', async () => {
+      geocodingService.setProvider({
+        name: 'test',
+        geocode: async () => ({ latitude: 1, longitude: 2, confidence: 3 }),
+      });
+
+      const result = await geocodingService.geocode('Anywhere');
+
+      expect(result.provider).to.equal('test');
+      expect(result.confidence).to.equal(1);
+    });
+
+    it('should treat a failing provider as no match', async () => {
+      geocodingService.setProvider({
+        name: 'broken',
+        geocode: async () => { throw new Error('offline'); },
+      });
+
+      expect(await geocodingService.geocodeLocation('Kandy')).to.equal(undefined);
+    });
+
+    it('should reject providers without a geocode function', () => {
+      expect(() => geocodingService.setProvider({ name: 'empty' })).to.throw('must implement geocode');
+    });
+  });
+
+  describe('Parcel coordinates', () => {
+    let mongoServer;
+    let supervisorToken, driverToken;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const createParcel = (overrides = {}) => request(app)
+      .post('/api/parcels')
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send({
+        parcelId: 'PCL-GEO-1',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: '10 Galle Road, Colombo 03',
+        deliveryLocation: 'Peradeniya Road, Kandy 20000',
+        ...overrides,
+      });
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+
+      await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      supervisorToken = await login('supervisor@test.com');
+      driverToken = await login('driver@test.com');
+    });
+
+    it('should geocode both addresses when a parcel is created', async () => {
+      const res = await createParcel();
+
+      expect(res.status).to.equal(201);
+      expect(res.body.pickupCoordinates.matchedName).to.equal('Colombo 03');
+      expect(res.body.pickupCoordinates.source).to.equal('geocoder');
+      expect(res.body.deliveryCoordinates.matchedName).to.equal('Kandy');
+      expect(res.body.deliveryCoordinates.confidence).to.equal(1);
+    });
+
+    it('should store parcels whose addresses cannot be geocoded', async () => {
+      const res = await createParcel({ deliveryLocation: 'Unknown village' });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.deliveryCoordinates).to.equal(undefined);
+    });
+
+    it('should re-geocode an address when it changes', async () => {
+      await createParcel();
+
+      const res = await request(app)
+        .put('/api/parcels/PCL-GEO-1')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ deliveryLocation: 'Fort, Galle 80000', deliveryCoordinates: { latitude: 0, longitude: 0 } });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.deliveryCoordinates.matchedName).to.equal('Galle');
+      expect(res.body.pickupCoordinates.matchedName).to.equal('Colombo 03');
+    });
+
+    it('should let Supervisors correct coordinates by hand', async () => {
+      await createParcel();
+
+      const res = await request(app)
+        .patch('/api/parcels/PCL-GEO-1/coordinates')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ location: 'delivery', latitude: 7.2906, longitude: 80.6337 });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.deliveryCoordinates.source).to.equal('manual');
+      expect(res.body.deliveryCoordinates.confidence).to.equal(1);
+
+      const invalid = await request(app)
+        .patch('/api/parcels/PCL-GEO-1/coordinates')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ location: 'delivery', latitude: 95, longitude: 80 });
+      expect(invalid.status).to.equal(400);
+
+      const forbidden = await request(app)
+        .patch('/api/parcels/PCL-GEO-1/coordinates')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ location: 'delivery', latitude: 7, longitude: 80 });
+      expect(forbidden.status).to.equal(403);
+    });
+
+    it('should keep manual corrections when re-geocoding', async () => {
+      await createParcel();
+      await request(app)
+        .patch('/api/parcels/PCL-GEO-1/coordinates')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ location: 'pickup', latitude: 6.9, longitude: 79.85 });
+
+      const res = await request(app)
+        .post('/api/parcels/PCL-GEO-1/geocode')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.parcel.pickupCoordinates.source).to.equal('manual');
+      expect(res.body.results.find((result) => result.location === 'pickup').updated).to.equal(false);
+      expect(res.body.results.find((result) => result.location === 'delivery').updated).to.equal(true);
+    });
+
+    it('should look up an address without a parcel', async () => {
+      const res = await request(app)
+        .get('/api/parcels/geocode?address=Negombo')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.matchedName).to.equal('Negombo');
+      expect(res.body.provider).to.equal('gazetteer');
+
+      const missing = await request(app)
+        .get('/api/parcels/geocode?address=Atlantis')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(missing.status).to.equal(404);
+    });
+  });
+});
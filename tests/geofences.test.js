@@ -0,0 +1,235 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import DriverLocation from '../src/models/DriverLocation.js';
+import Geofence from '../src/models/Geofence.js';
+import GeofenceEvent from '../src/models/GeofenceEvent.js';
+import geofenceService from '../src/services/geofenceService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-geofences';
+process.env.NODE_ENV = 'test';
+
+// Points along the Colombo - Kandy road
+const colombo = { latitude: 6.9271, longitude: 79.8612 };
+const kadawatha = { latitude: 7.0012, longitude: 79.9533 };
+const peradeniya = { latitude: 7.2690, longitude: 80.5950 };
+const kandy = { latitude: 7.2906, longitude: 80.6337 };
+
+// About 1.5 km south of the Kandy delivery address
+const kandyOutskirts = { latitude: 7.2771, longitude: 80.6337 };
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+describe('Geofence Tests', function() {
+  this.timeout(15000);
+
+  describe('Geofence service', () => {
+    it('should draw pickup, delivery and delivery-area fences around geocoded addresses', () => {
+      const parcel = {
+        _id: new mongoose.Types.ObjectId(),
+        parcelId: 'PCL-FENCE',
+        pickupCoordinates: colombo,
+        deliveryCoordinates: kandy,
+      };
+
+      const fences = geofenceService.fencesForParcel(parcel);
+      expect(fences.map((fence) => fence.kind)).to.deep.equal(['pickup', 'delivery', 'deliveryArea']);
+      expect(fences[2]).to.include({ key: `deliveryArea:${parcel._id}`, radiusMeters: 2000, name: 'Delivery area of PCL-FENCE' });
+
+      expect(geofenceService.fencesForParcel({ ...parcel, pickupCoordinates: undefined })).to.have.length(2);
+    });
+
+    it('should describe the automatic transitions', () => {
+      const { automaticTransitions } = geofenceService.describeRules();
+      expect(automaticTransitions).to.deep.include({ fence: 'deliveryArea', event: 'arrival', from: 'InTransit', to: 'OutForDelivery' });
+    });
+  });
+
+  describe('Geofence API', () => {
+    let mongoServer;
+    let supervisorToken, driverToken;
+    let driver;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const report = (fixes) => request(app)
+      .post('/api/drivers/me/locations')
+      .set('Authorization', `Bearer ${driverToken}`)
+      .send({ fixes });
+
+    const createParcel = (parcelId, overrides = {}) => Parcel.create({
+      parcelId,
+      senderName: 'Sender',
+      receiverName: 'Receiver',
+      pickupLocation: 'Colombo',
+      deliveryLocation: 'Kandy',
+      pickupCoordinates: { ...colombo, source: 'geocoder' },
+      deliveryCoordinates: { ...kandy, source: 'geocoder' },
+      assignedDriver: driver._id,
+      ...overrides,
+    });
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+      await DriverLocation.init();
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+      await DriverLocation.deleteMany({});
+      await Geofence.deleteMany({});
+      await GeofenceEvent.deleteMany({});
+
+      await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      supervisorToken = await login('supervisor@test.com');
+      driverToken = await login('driver@test.com');
+    });
+
+    it('should let supervisors manage hub geofences', async () => {
+      const created = await request(app)
+        .post('/api/geofences')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ name: 'Kadawatha Hub', ...kadawatha });
+      expect(created.status).to.equal(201);
+      expect(created.body.data.geofence.radiusMeters).to.equal(300);
+
+      const tooSmall = await request(app)
+        .post('/api/geofences')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ name: 'Kiosk', ...colombo, radiusMeters: 5 });
+      expect(tooSmall.status).to.equal(400);
+
+      const duplicate = await request(app)
+        .post('/api/geofences')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ name: 'Kadawatha Hub', ...colombo });
+      expect(duplicate.status).to.equal(409);
+
+      const forbidden = await request(app)
+        .post('/api/geofences')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ name: 'Driver Hub', ...colombo });
+      expect(forbidden.status).to.equal(403);
+
+      const updated = await request(app)
+        .patch(`/api/geofences/${created.body.data.geofence._id}`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ radiusMeters: 500 });
+      expect(updated.body.data.geofence.radiusMeters).to.equal(500);
+
+      const list = await request(app)
+        .get('/api/geofences')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(list.status).to.equal(200);
+      expect(list.body.data.count).to.equal(1);
+      expect(list.body.data.parcelFences.map((fence) => fence.kind)).to.deep.equal(['pickup', 'delivery', 'deliveryArea']);
+    });
+
+    it('should move a parcel out for delivery when the driver enters the delivery area', async () => {
+      await createParcel('PCL-FENCE-1', { status: 'InTransit' });
+
+      const approaching = await report([
+        { ...peradeniya, accuracy: 10, timestamp: minutesAgo(8) },
+        { ...kandyOutskirts, accuracy: 10, timestamp: minutesAgo(2) },
+      ]);
+      expect(approaching.status).to.equal(201);
+      expect(approaching.body.data.statusChanges).to.deep.equal([{ parcelId: 'PCL-FENCE-1', from: 'InTransit', to: 'OutForDelivery' }]);
+
+      const parcel = await Parcel.findOne({ parcelId: 'PCL-FENCE-1' });
+      const entry = parcel.statusHistory[parcel.statusHistory.length - 1];
+      expect(parcel.status).to.equal('OutForDelivery');
+      expect(entry).to.include({ status: 'OutForDelivery', from: 'InTransit', source: 'geofence', note: 'Arrived at Delivery area of PCL-FENCE-1' });
+      expect(String(entry.changedBy)).to.equal(String(driver._id));
+      expect(parcel.statusHistory[0].source).to.equal('manual');
+
+      const events = await request(app)
+        .get('/api/geofences/events?parcelId=PCL-FENCE-1')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(events.status).to.equal(200);
+      expect(events.body.data.events).to.have.length(1);
+      expect(events.body.data.events[0]).to.include({ type: 'arrival', kind: 'deliveryArea' });
+      expect(events.body.data.events[0].transitions[0]).to.include({ from: 'InTransit', to: 'OutForDelivery' });
+
+      // Staying inside the area does not fire again
+      const staying = await report([{ ...kandyOutskirts, accuracy: 10, timestamp: minutesAgo(1) }]);
+      expect(staying.body.data).to.include({ geofenceEvents: 0 });
+    });
+
+    it('should chain transitions from leaving the pickup address to reaching the delivery area', async () => {
+      await createParcel('PCL-FENCE-2', { status: 'PickedUp' });
+
+      const res = await report([
+        { ...colombo, accuracy: 10, timestamp: minutesAgo(120) },
+        { ...kadawatha, accuracy: 10, timestamp: minutesAgo(100) },
+        { ...kandyOutskirts, accuracy: 10, timestamp: minutesAgo(5) },
+      ]);
+
+      expect(res.body.data.statusChanges.map(({ from, to }) => `${from}->${to}`)).to.deep.equal([
+        'PickedUp->InTransit',
+        'InTransit->OutForDelivery',
+      ]);
+      expect(res.body.data.geofenceEvents).to.equal(3);
+
+      const parcel = await Parcel.findOne({ parcelId: 'PCL-FENCE-2' });
+      expect(parcel.status).to.equal('OutForDelivery');
+      expect(parcel.statusHistory.map((entry) => entry.source)).to.deep.equal(['manual', 'geofence', 'geofence']);
+    });
+
+    it('should record hub arrivals and departures, ignoring edge jitter and coarse fixes', async () => {
+      const hub = await Geofence.create({ name: 'Kadawatha Hub', ...kadawatha, radiusMeters: 300 });
+      await createParcel('PCL-FENCE-3', { status: 'InTransit' });
+      const arrivedAt = minutesAgo(20);
+
+      await report([
+        // Coarser than the fence itself
+        { ...kadawatha, accuracy: 800, timestamp: minutesAgo(30) },
+        { ...kadawatha, accuracy: 10, timestamp: arrivedAt },
+        // About 330 m out: beyond the radius but within the departure margin
+        { latitude: 7.0042, longitude: kadawatha.longitude, accuracy: 10, timestamp: minutesAgo(15) },
+        { latitude: 7.0112, longitude: kadawatha.longitude, accuracy: 10, timestamp: minutesAgo(10) },
+      ]);
+
+      const events = await request(app)
+        .get(`/api/geofences/events?geofence=${hub._id}`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(events.body.data.events.map((event) => event.type)).to.deep.equal(['arrival', 'departure']);
+      expect(events.body.data.events[0].occurredAt).to.equal(arrivedAt);
+      expect(events.body.data.events[0].driver.name).to.equal('Test Driver');
+      expect(events.body.data.events[1].transitions).to.deep.equal([]);
+
+      // No automatic transition is configured for hubs
+      expect((await Parcel.findOne({ parcelId: 'PCL-FENCE-3' })).status).to.equal('InTransit');
+    });
+
+    it('should keep status changes made through the API marked as manual', async () => {
+      await createParcel('PCL-FENCE-4', { status: 'InTransit' });
+
+      const res = await request(app)
+        .patch('/api/parcels/PCL-FENCE-4/status')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'OutForDelivery' });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.statusHistory[1]).to.include({ status: 'OutForDelivery', source: 'manual' });
+    });
+  });
+});
@@ -162,7 +162,7 @@ describe('Increment 3: Parcel Management Tests', function() {
         .expect(200);
 
       expect(response.body.assignedDriver._id).to.equal(driverId.toString());
-      expect(response.body.status).to.equal('PickedUp');
+      expect(response.body.status).to.equal('AwaitingPickup');
     });
 
     it('should reject driver assignment by non-supervisor', async () => {
@@ -206,6 +206,13 @@ describe('Increment 3: Parcel Management Tests', function() {
     });
 
     it('should allow valid status transition from PickedUp to InTransit', async () => {
+      // The driver app reports a fix before the status change
+      await request(app)
+        .post('/api/drivers/me/locations')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ fixes: [{ latitude: 6.9271, longitude: 79.8612, accuracy: 10, timestamp: new Date().toISOString() }] })
+        .expect(201);
+
       const response = await request(app)
         .patch(`/api/parcels/${testParcel.parcelId}/status`)
         .set('Authorization', `Bearer ${driverToken}`)
@@ -214,8 +221,8 @@ describe('Increment 3: Parcel Management Tests', function() {
 
       expect(response.body.status).to.equal('InTransit');
       expect(response.body.statusHistory).to.have.length(2);
-      expect(response.body.currentLocation).to.have.property('latitude');
-      expect(response.body.currentLocation).to.have.property('longitude');
+      expect(response.body.currentLocation).to.have.property('latitude', 6.9271);
+      expect(response.body.currentLocation).to.have.property('longitude', 79.8612);
     });
 
     it('should allow valid status transition from InTransit to OutForDelivery', async () => {
@@ -237,7 +244,15 @@ describe('Increment 3: Parcel Management Tests', function() {
       const response = await request(app)
         .patch(`/api/parcels/${testParcel.parcelId}/status`)
         .set('Authorization', `Bearer ${driverToken}`)
-        .send({ status: 'Delivered' })
+        .send({
+          status: 'Delivered',
+          proofOfDelivery: {
+            recipientName: 'Test Receiver',
+            recipientRelationship: 'Self',
+            signature: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+            location: { latitude: 40.7128, longitude: -74.006 },
+          },
+        })
         .expect(200);
 
       expect(response.body.status).to.equal('Delivered');
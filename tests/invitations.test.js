@@ -0,0 +1,203 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Invitation from '../src/models/Invitation.js';
+import mailService from '../src/services/mailService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-invitations';
+process.env.NODE_ENV = 'test';
+
+describe('Invitation and Registration Approval Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let originalTransport;
+  let sentMail;
+  let supervisorToken;
+
+  // Pull the invitation token out of the link in the most recent email
+  const extractInviteToken = () => {
+    const match = sentMail[sentMail.length - 1].text.match(/invite=([a-f0-9]+)/);
+    return match ? match[1] : null;
+  };
+
+  const invite = (body) => request(app)
+    .post('/api/users/invites')
+    .set('Authorization', `Bearer ${supervisorToken}`)
+    .send(body);
+
+  const register = (body) => request(app)
+    .post('/api/auth/register')
+    .send({ name: 'New User', password: 'password123', ...body });
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    originalTransport = mailService.transport;
+  });
+
+  after(async () => {
+    mailService.setTransport(originalTransport);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Invitation.deleteMany({});
+
+    sentMail = [];
+    mailService.setTransport({ name: 'memory', send: async (message) => { sentMail.push(message); } });
+
+    await User.create({
+      name: 'Test Supervisor',
+      email: 'supervisor@test.com',
+      password: 'password123',
+      role: 'Supervisor',
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'supervisor@test.com', password: 'password123' });
+    supervisorToken = loginRes.body.token;
+  });
+
+  describe('Open registration', () => {
+    it('should hold staff roles for approval and refuse their login', async () => {
+      const res = await register({ email: 'wannabe@test.com', role: 'Supervisor' });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.user.approvalStatus).to.equal('Pending');
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'wannabe@test.com', password: 'password123' });
+
+      expect(loginRes.status).to.equal(403);
+      expect(loginRes.body.message).to.equal('User account is awaiting Supervisor approval.');
+    });
+
+    it('should activate customers immediately', async () => {
+      const res = await register({ email: 'customer@test.com' });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.user.role).to.equal('Customer');
+      expect(res.body.user.approvalStatus).to.equal('Approved');
+    });
+
+    it('should let a Supervisor approve or reject pending accounts', async () => {
+      const approved = await register({ email: 'driver@test.com', role: 'Driver' });
+      const rejected = await register({ email: 'agent@test.com', role: 'SupportAgent' });
+
+      const approveRes = await request(app)
+        .patch(`/api/users/${approved.body.user.id}/approve`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(approveRes.status).to.equal(200);
+
+      const rejectRes = await request(app)
+        .patch(`/api/users/${rejected.body.user.id}/reject`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(rejectRes.status).to.equal(200);
+
+      const driverLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'driver@test.com', password: 'password123' });
+      expect(driverLogin.status).to.equal(200);
+
+      const agentLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'agent@test.com', password: 'password123' });
+      expect(agentLogin.status).to.equal(403);
+
+      const repeat = await request(app)
+        .patch(`/api/users/${approved.body.user.id}/approve`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(repeat.status).to.equal(400);
+    });
+  });
+
+  describe('Invitations', () => {
+    it('should register invitees with the invited role, ignoring a requested role', async () => {
+      const inviteRes = await invite({ email: 'new.driver@test.com', role: 'Driver' });
+      expect(inviteRes.status).to.equal(201);
+      expect(inviteRes.body.data.invitation).to.not.have.property('tokenHash');
+
+      const res = await register({
+        email: 'new.driver@test.com',
+        role: 'Supervisor',
+        inviteToken: extractInviteToken(),
+      });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.user.role).to.equal('Driver');
+      expect(res.body.user.approvalStatus).to.equal('Approved');
+
+      const stored = await Invitation.findById(inviteRes.body.data.invitation._id);
+      expect(stored.acceptedAt).to.be.an.instanceOf(Date);
+    });
+
+    it('should reject invitations used with another email or twice', async () => {
+      await invite({ email: 'invitee@test.com', role: 'SupportAgent' });
+      const token = extractInviteToken();
+
+      const wrongEmail = await register({ email: 'someone.else@test.com', inviteToken: token });
+      expect(wrongEmail.status).to.equal(400);
+
+      await register({ email: 'invitee@test.com', inviteToken: token });
+      await User.deleteOne({ email: 'invitee@test.com' });
+
+      const replay = await register({ email: 'invitee@test.com', inviteToken: token });
+      expect(replay.status).to.equal(400);
+    });
+
+    it('should reject revoked and expired invitations', async () => {
+      const inviteRes = await invite({ email: 'revoked@test.com', role: 'Driver' });
+      const revokedToken = extractInviteToken();
+
+      await request(app)
+        .patch(`/api/users/invites/${inviteRes.body.data.invitation._id}/revoke`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const revoked = await register({ email: 'revoked@test.com', inviteToken: revokedToken });
+      expect(revoked.status).to.equal(400);
+
+      await invite({ email: 'expired@test.com', role: 'Driver' });
+      await Invitation.updateOne({ email: 'expired@test.com' }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const expired = await register({ email: 'expired@test.com', inviteToken: extractInviteToken() });
+      expect(expired.status).to.equal(400);
+    });
+
+    it('should list invitations by status', async () => {
+      await invite({ email: 'one@test.com', role: 'Driver' });
+      await invite({ email: 'two@test.com', role: 'Driver' });
+      await register({ email: 'two@test.com', inviteToken: extractInviteToken() });
+
+      const res = await request(app)
+        .get('/api/users/invites?status=pending')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.invitations).to.have.length(1);
+      expect(res.body.data.invitations[0].email).to.equal('one@test.com');
+    });
+
+    it('should only let Supervisors invite', async () => {
+      await register({ email: 'customer@test.com' });
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'customer@test.com', password: 'password123' });
+
+      const res = await request(app)
+        .post('/api/users/invites')
+        .set('Authorization', `Bearer ${loginRes.body.token}`)
+        .send({ email: 'friend@test.com', role: 'Supervisor' });
+
+      expect(res.status).to.equal(403);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import AuthEvent from '../src/models/AuthEvent.js';
+import LoginThrottle from '../src/models/LoginThrottle.js';
+import loginProtectionService from '../src/services/loginProtectionService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-lockout';
+process.env.NODE_ENV = 'test';
+process.env.LOGIN_MAX_ATTEMPTS_PER_EMAIL = '3';
+process.env.LOGIN_MAX_ATTEMPTS_PER_IP = '6';
+process.env.LOGIN_LOCKOUT_BASE_MINUTES = '5';
+process.env.LOGIN_LOCKOUT_MAX_MINUTES = '60';
+
+describe('Login Lockout Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let supervisorToken;
+  let driverId;
+
+  const driverCredentials = { email: 'driver@test.com', password: 'password123' };
+
+  const failLogin = (email = driverCredentials.email) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', 'lockout-test-agent')
+    .send({ email, password: 'wrongpassword' });
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await AuthEvent.deleteMany({});
+    await LoginThrottle.deleteMany({});
+
+    await User.create({
+      name: 'Test Supervisor',
+      email: 'supervisor@test.com',
+      password: 'password123',
+      role: 'Supervisor',
+    });
+
+    const driver = await User.create({ name: 'Test Driver', role: 'Driver', ...driverCredentials });
+    driverId = driver._id.toString();
+
+    const supervisorLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'supervisor@test.com', password: 'password123' });
+    supervisorToken = supervisorLogin.body.token;
+  });
+
+  describe('Per-email lockout', () => {
+    it('should lock the email after the configured number of failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        const res = await failLogin();
+        expect(res.status).to.equal(401);
+      }
+
+      // Correct password is refused while locked
+      const res = await request(app).post('/api/auth/login').send(driverCredentials);
+
+      expect(res.status).to.equal(429);
+      expect(res.headers['retry-after']).to.exist;
+      expect(res.body.retryAfterSeconds).to.be.within(1, 5 * 60);
+    });
+
+    it('should lock unknown emails the same way as registered ones', async () => {
+      for (let i = 0; i < 3; i++) {
+        await failLogin('nobody@test.com');
+      }
+
+      const res = await failLogin('nobody@test.com');
+      expect(res.status).to.equal(429);
+    });
+
+    it('should reset the failure count after a successful login', async () => {
+      await failLogin();
+      await failLogin();
+      await request(app).post('/api/auth/login').send(driverCredentials);
+      await failLogin();
+
+      const res = await request(app).post('/api/auth/login').send(driverCredentials);
+      expect(res.status).to.equal(200);
+    });
+
+    it('should count simultaneous failures once each and lock only once', async () => {
+      const attempt = { email: 'burst@test.com' };
+      const results = await Promise.all(
+        Array.from({ length: 4 }, () => loginProtectionService.registerFailure(attempt))
+      );
+
+      const locks = results.flat();
+      expect(locks).to.have.length(1);
+      expect(locks[0]).to.include({ scope: 'email', lockCount: 1 });
+
+      const throttle = await LoginThrottle.findOne({ key: 'email:burst@test.com' });
+      expect(throttle.lockCount).to.equal(1);
+      expect(await LoginThrottle.countDocuments({ key: 'email:burst@test.com' })).to.equal(1);
+    });
+
+    it('should double the lockout on each repeat', () => {
+      expect(loginProtectionService.getLockoutMinutes(1)).to.equal(5);
+      expect(loginProtectionService.getLockoutMinutes(2)).to.equal(10);
+      expect(loginProtectionService.getLockoutMinutes(3)).to.equal(20);
+      expect(loginProtectionService.getLockoutMinutes(10)).to.equal(60);
+    });
+
+    it('should escalate the stored lockout after it expires and the email fails again', async () => {
+      for (let i = 0; i < 3; i++) {
+        await failLogin();
+      }
+      await LoginThrottle.updateOne({ key: `email:${driverCredentials.email}` }, { lockUntil: new Date(Date.now() - 1000) });
+
+      for (let i = 0; i < 3; i++) {
+        await failLogin();
+      }
+
+      const throttle = await LoginThrottle.findOne({ key: `email:${driverCredentials.email}` });
+      expect(throttle.lockCount).to.equal(2);
+      expect(throttle.lockUntil.getTime() - Date.now()).to.be.greaterThan(9 * 60 * 1000);
+    });
+
+    it('should keep escalating after a successful login in between', async () => {
+      for (let i = 0; i < 3; i++) {
+        await failLogin();
+      }
+      await LoginThrottle.updateOne({ key: `email:${driverCredentials.email}` }, { lockUntil: new Date(Date.now() - 1000) });
+
+      const success = await request(app).post('/api/auth/login').send(driverCredentials);
+      expect(success.status).to.equal(200);
+
+      for (let i = 0; i < 3; i++) {
+        await failLogin();
+      }
+
+      const throttle = await LoginThrottle.findOne({ key: `email:${driverCredentials.email}` });
+      expect(throttle.lockCount).to.equal(2);
+      expect(throttle.lockUntil.getTime() - Date.now()).to.be.greaterThan(9 * 60 * 1000);
+    });
+  });
+
+  describe('Per-IP lockout', () => {
+    it('should block the IP after failures spread across many emails', async () => {
+      for (let i = 0; i < 6; i++) {
+        await failLogin(`user${i}@test.com`);
+      }
+
+      const res = await request(app).post('/api/auth/login').send(driverCredentials);
+      expect(res.status).to.equal(429);
+
+      const blocked = await AuthEvent.findOne({ type: 'LoginBlocked', reason: 'IpLocked' });
+      expect(blocked).to.exist;
+    });
+  });
+
+  describe('PATCH /api/users/:userId/unlock', () => {
+    it('should let a Supervisor clear a lockout', async () => {
+      for (let i = 0; i < 3; i++) {
+        await failLogin();
+      }
+
+      const unlockRes = await request(app)
+        .patch(`/api/users/${driverId}/unlock`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(unlockRes.status).to.equal(200);
+      expect(unlockRes.body.data.wasLocked).to.equal(true);
+
+      const loginRes = await request(app).post('/api/auth/login').send(driverCredentials);
+      expect(loginRes.status).to.equal(200);
+    });
+
+    it('should show lockout state in the user details', async () => {
+      for (let i = 0; i < 3; i++) {
+        await failLogin();
+      }
+
+      const res = await request(app)
+        .get(`/api/users/${driverId}`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.loginStatus.isLocked).to.equal(true);
+    });
+
+    it('should deny non-Supervisors', async () => {
+      const driverLogin = await request(app).post('/api/auth/login').send(driverCredentials);
+
+      const res = await request(app)
+        .patch(`/api/users/${driverId}/unlock`)
+        .set('Authorization', `Bearer ${driverLogin.body.token}`);
+
+      expect(res.status).to.equal(403);
+    });
+  });
+
+  describe('Auth event log', () => {
+    it('should record every attempt with IP and user agent', async () => {
+      await failLogin();
+      await request(app).post('/api/auth/login').send(driverCredentials);
+
+      const res = await request(app)
+        .get('/api/users/auth-events')
+        .query({ email: driverCredentials.email })
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+
+      const types = res.body.data.events.map((event) => event.type);
+      expect(types).to.include.members(['LoginFailed', 'LoginSucceeded']);
+
+      const failed = res.body.data.events.find((event) => event.type === 'LoginFailed');
+      expect(failed.reason).to.equal('InvalidPassword');
+      expect(failed.ipAddress).to.be.a('string');
+      expect(failed.userAgent).to.equal('lockout-test-agent');
+    });
+
+    it('should record lockouts and unlocks', async () => {
+      for (let i = 0; i < 3; i++) {
+        await failLogin();
+      }
+      await request(app)
+        .patch(`/api/users/${driverId}/unlock`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(await AuthEvent.countDocuments({ type: 'AccountLocked', email: driverCredentials.email })).to.equal(1);
+      expect(await AuthEvent.countDocuments({ type: 'AccountUnlocked', user: driverId })).to.equal(1);
+    });
+
+    it('should reject unknown event types', async () => {
+      const res = await request(app)
+        .get('/api/users/auth-events')
+        .query({ type: 'Bogus' })
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should reject dates that cannot be parsed', async () => {
+      for (const query of [{ dateFrom: 'yesterday' }, { dateTo: '2026-13-45' }]) {
+        const res = await request(app)
+          .get('/api/users/auth-events')
+          .query(query)
+          .set('Authorization', `Bearer ${supervisorToken}`);
+
+        expect(res.status).to.equal(400);
+      }
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import mailService, { OutboxTransport } from '../src/services/mailService.js';
+
+describe('Mail Service Tests', () => {
+  let outboxDir;
+  let originalTransport;
+
+  beforeEach(async () => {
+    outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ecotrack-outbox-'));
+    originalTransport = mailService.transport;
+  });
+
+  afterEach(async () => {
+    mailService.setTransport(originalTransport);
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  });
+
+  describe('Outbox transport', () => {
+    it('should write each message as an .eml file', async () => {
+      mailService.setTransport(new OutboxTransport(outboxDir));
+
+      const result = await mailService.sendMail({
+        to: 'driver@test.com',
+        subject: 'Hello',
+        text: 'Body text',
+      });
+
+      const files = await fs.readdir(outboxDir);
+      expect(files).to.have.length(1);
+      expect(files[0]).to.match(/\.eml$/);
+      expect(result.path).to.equal(path.join(outboxDir, files[0]));
+
+      const contents = await fs.readFile(result.path, 'utf8');
+      expect(contents).to.include('To: driver@test.com');
+      expect(contents).to.include('Subject: Hello');
+      expect(contents).to.include('Content-Type: text/plain; charset=utf-8');
+      expect(contents).to.include('\r\n\r\nBody text');
+    });
+  });
+
+  describe('Pluggable transports', () => {
+    it('should deliver through a custom transport', async () => {
+      const sent = [];
+      mailService.setTransport({ name: 'memory', send: async (message) => { sent.push(message); } });
+
+      await mailService.sendMail({ to: 'a@test.com', subject: 'S', text: 'T' });
+
+      expect(sent).to.have.length(1);
+      expect(sent[0].from).to.be.a('string');
+      expect(sent[0].messageId).to.match(/^<.+@ecotrack\.local>$/);
+      expect(mailService.getTransportInfo().transport).to.equal('memory');
+    });
+
+    it('should reject transports without a send method', () => {
+      expect(() => mailService.setTransport({ name: 'broken' })).to.throw('send(message)');
+    });
+
+    it('should require recipient, subject and text', async () => {
+      try {
+        await mailService.sendMail({ to: 'a@test.com' });
+        expect.fail('Should have thrown an error for missing fields');
+      } catch (error) {
+        expect(error.message).to.include('Mail requires');
+      }
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-parcel-export';
+process.env.NODE_ENV = 'test';
+
+describe('Parcel Export Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let supervisorToken;
+  let driver;
+
+  const login = async (email) => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return res.body.token;
+  };
+
+  // Collect the body as text whatever the media type
+  const textParser = (res, callback) => {
+    res.setEncoding('utf8');
+    res.text = '';
+    res.on('data', (chunk) => { res.text += chunk; });
+    res.on('end', () => callback(null, res.text));
+  };
+
+  const download = (query) => request(app)
+    .get(`/api/parcels/export${query}`)
+    .set('Authorization', `Bearer ${supervisorToken}`)
+    .buffer(true)
+    .parse(textParser);
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Parcel.deleteMany({});
+
+    await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+    driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+    await Parcel.create([
+      {
+        parcelId: 'PCL-EXP-1',
+        senderName: 'Perera, A',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Kandy',
+        deliveryCoordinates: { latitude: 7.2906, longitude: 80.6337, source: 'geocoder' },
+        assignedDriver: driver._id,
+        status: 'InTransit',
+        currentLocation: { latitude: 7.1, longitude: 80.2, timestamp: new Date() },
+      },
+      {
+        parcelId: 'PCL-EXP-2',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Galle',
+        deliveryCoordinates: { latitude: 6.0535, longitude: 80.221, source: 'geocoder' },
+      },
+      {
+        parcelId: 'PCL-EXP-3',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Unknown village',
+      },
+    ]);
+
+    supervisorToken = await login('supervisor@test.com');
+  });
+
+  it('should export CSV with a header row and quoted values', async () => {
+    const res = await download('?format=csv&sortBy=parcelId&sortOrder=asc');
+
+    expect(res.status).to.equal(200);
+    expect(res.headers['content-type']).to.include('text/csv');
+    expect(res.headers['content-disposition']).to.match(/attachment; filename="parcels-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines).to.have.length(4);
+    expect(lines[0].split(',')).to.include.members(['parcelId', 'status', 'deliveryLatitude', 'assignedDriverEmail']);
+    expect(lines[1]).to.include('"Perera, A"');
+    expect(lines[1]).to.include('driver@test.com');
+  });
+
+  it('should export one JSON parcel per NDJSON line', async () => {
+    const res = await download('?format=ndjson');
+
+    expect(res.status).to.equal(200);
+    const parcels = res.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(parcels.map((parcel) => parcel.parcelId)).to.have.members(['PCL-EXP-1', 'PCL-EXP-2', 'PCL-EXP-3']);
+
+    // Lines hold the same fields as the CSV columns, never the whole stored document
+    const csvColumns = (await download('?format=csv')).text.split('\r\n')[0].split(',');
+    expect(csvColumns).to.include.members(Object.keys(parcels[0]));
+    expect(parcels[0]).to.not.have.any.keys('trackingCode', 'proofOfDelivery', 'statusHistory', 'eta', 'isDeleted');
+  });
+
+  it('should place GeoJSON features at the current location, then the delivery coordinates', async () => {
+    const res = await download('?format=geojson&sortBy=parcelId&sortOrder=asc');
+
+    expect(res.status).to.equal(200);
+    expect(res.headers['content-type']).to.include('application/geo+json');
+
+    const collection = JSON.parse(res.text);
+    expect(collection.type).to.equal('FeatureCollection');
+
+    const [inTransit, geocoded, unplaced] = collection.features;
+    expect(inTransit.geometry.coordinates).to.deep.equal([80.2, 7.1]);
+    expect(inTransit.properties.geometrySource).to.equal('currentLocation');
+    expect(geocoded.geometry.coordinates).to.deep.equal([80.221, 6.0535]);
+    expect(unplaced.geometry).to.equal(null);
+  });
+
+  it('should apply the parcel list filters', async () => {
+    const filtered = await download('?format=ndjson&status=InTransit');
+    expect(filtered.text.trim().split('\n')).to.have.length(1);
+
+    const unassigned = await download('?format=ndjson&assignedDriver=unassigned');
+    expect(unassigned.text.trim().split('\n')).to.have.length(2);
+
+    const invalid = await download('?format=csv&status=Lost');
+    expect(invalid.status).to.equal(400);
+
+    const badFormat = await download('?format=xlsx');
+    expect(badFormat.status).to.equal(400);
+  });
+
+  it('should return an empty export rather than an error when nothing matches', async () => {
+    const res = await download('?format=geojson&deliveryLocation=Jaffna');
+
+    expect(res.status).to.equal(200);
+    expect(JSON.parse(res.text).features).to.deep.equal([]);
+  });
+});
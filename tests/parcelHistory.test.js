@@ -0,0 +1,259 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import ParcelChange from '../src/models/ParcelChange.js';
+import Ticket from '../src/models/Ticket.js';
+import parcelHistoryService from '../src/services/parcelHistoryService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-parcel-history';
+process.env.NODE_ENV = 'test';
+
+describe('Parcel History Tests', function() {
+  this.timeout(15000);
+
+  describe('Parcel history service', () => {
+    it('should list the fields that changed and leave derived ones out', () => {
+      const parcel = new Parcel({
+        parcelId: 'PCL-DIFF',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Kandy',
+      });
+      const before = parcelHistoryService.snapshot(parcel);
+
+      parcel.deliveryLocation = 'Galle';
+      parcel.weightKg = 2.5;
+      parcel.eta = { estimatedDeliveryTime: new Date() };
+      parcel.sla = { status: 'on-track' };
+
+      expect(parcelHistoryService.diff(before, parcelHistoryService.snapshot(parcel))).to.deep.equal([
+        { field: 'deliveryLocation', oldValue: 'Kandy', newValue: 'Galle' },
+        { field: 'weightKg', oldValue: null, newValue: 2.5 },
+      ]);
+      expect(parcelHistoryService.diff(before, before)).to.deep.equal([]);
+    });
+  });
+
+  describe('Parcel history API', () => {
+    let mongoServer;
+    let supervisor;
+    let supervisorToken, supportToken, driverToken;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const createParcel = (parcelId) => request(app)
+      .post('/api/parcels')
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send({
+        parcelId,
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Kandy',
+      });
+
+    const history = (parcelId, token = supervisorToken, query = '') => request(app)
+      .get(`/api/parcels/${parcelId}/history${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+      await ParcelChange.deleteMany({});
+      await Ticket.deleteMany({});
+
+      supervisor = await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      await User.create({ name: 'Test Agent', email: 'agent@test.com', password: 'password123', role: 'SupportAgent' });
+      await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      supervisorToken = await login('supervisor@test.com');
+      supportToken = await login('agent@test.com');
+      driverToken = await login('driver@test.com');
+    });
+
+    it('should hide deleted parcels and bring them back on restore', async () => {
+      await createParcel('PCL-DEL-1');
+      await createParcel('PCL-DEL-2');
+
+      const deleted = await request(app)
+        .delete('/api/parcels/PCL-DEL-1')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(deleted.status).to.equal(200);
+
+      // The document is kept, marked deleted
+      const stored = await Parcel.findOne({ parcelId: 'PCL-DEL-1' });
+      expect(stored.isDeleted).to.equal(true);
+      expect(String(stored.deletedBy)).to.equal(String(supervisor._id));
+
+      const hidden = await request(app)
+        .get('/api/parcels/PCL-DEL-1')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(hidden.status).to.equal(404);
+
+      const again = await request(app)
+        .delete('/api/parcels/PCL-DEL-1')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(again.status).to.equal(404);
+
+      const list = await request(app)
+        .get('/api/parcels')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(list.body.data.parcels.map((parcel) => parcel.parcelId)).to.deep.equal(['PCL-DEL-2']);
+
+      const trash = await request(app)
+        .get('/api/parcels?deleted=true')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(trash.body.data.parcels.map((parcel) => parcel.parcelId)).to.deep.equal(['PCL-DEL-1']);
+
+      const agentTrash = await request(app)
+        .get('/api/parcels?deleted=true')
+        .set('Authorization', `Bearer ${supportToken}`);
+      expect(agentTrash.status).to.equal(403);
+
+      // The parcelId stays taken while the parcel is deleted
+      const duplicate = await createParcel('PCL-DEL-1');
+      expect(duplicate.status).to.equal(409);
+      expect(duplicate.body.message).to.include('PATCH /api/parcels/PCL-DEL-1/restore');
+
+      const restored = await request(app)
+        .patch('/api/parcels/PCL-DEL-1/restore')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(restored.status).to.equal(200);
+      expect(restored.body.isDeleted).to.equal(false);
+      expect(restored.body).to.not.have.property('deletedAt');
+
+      const visible = await request(app)
+        .get('/api/parcels/PCL-DEL-1')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(visible.status).to.equal(200);
+
+      const notDeleted = await request(app)
+        .patch('/api/parcels/PCL-DEL-2/restore')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(notDeleted.status).to.equal(404);
+    });
+
+    it('should log who changed which fields, with the old and new values', async () => {
+      await createParcel('PCL-HIST-1');
+
+      await request(app)
+        .put('/api/parcels/PCL-HIST-1')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ deliveryLocation: 'Galle', receiverName: 'New Receiver' });
+
+      // Saving the same values again changes nothing and logs nothing
+      await request(app)
+        .put('/api/parcels/PCL-HIST-1')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ receiverName: 'New Receiver' });
+
+      await request(app)
+        .put('/api/parcels/PCL-HIST-1')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ weightKg: 4 });
+
+      const res = await history('PCL-HIST-1');
+      expect(res.status).to.equal(200);
+      expect(res.body.data.count).to.equal(2);
+
+      const [addressChange, weightChange] = res.body.data.history;
+      expect(addressChange.action).to.equal('Updated');
+      expect(addressChange.changedBy).to.include({ name: 'Test Supervisor', role: 'Supervisor' });
+      expect(addressChange.timestamp).to.be.a('string');
+      expect(addressChange.changes).to.deep.include({ field: 'deliveryLocation', oldValue: 'Kandy', newValue: 'Galle' });
+      expect(addressChange.changes).to.deep.include({ field: 'receiverName', oldValue: 'Receiver', newValue: 'New Receiver' });
+      expect(weightChange.changes).to.deep.equal([{ field: 'weightKg', oldValue: null, newValue: 4 }]);
+
+      // Who changed the address?
+      const address = await history('PCL-HIST-1', supportToken, '?field=deliveryLocation');
+      expect(address.status).to.equal(200);
+      expect(address.body.data.history).to.have.length(1);
+      expect(address.body.data.history[0].changedBy.email).to.equal('supervisor@test.com');
+
+      const forbidden = await history('PCL-HIST-1', driverToken);
+      expect(forbidden.status).to.equal(403);
+    });
+
+    it('should log other updates, deletion and restore, and keep the log of deleted parcels', async () => {
+      await createParcel('PCL-HIST-2');
+
+      await request(app)
+        .post('/api/parcels/PCL-HIST-2/tracking-code')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      await request(app)
+        .patch('/api/parcels/PCL-HIST-2/coordinates')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ location: 'delivery', latitude: 7.2906, longitude: 80.6337 });
+      await request(app)
+        .delete('/api/parcels/PCL-HIST-2')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const res = await history('PCL-HIST-2');
+      expect(res.status).to.equal(200);
+      expect(res.body.data.isDeleted).to.equal(true);
+      expect(res.body.data.history.map((entry) => entry.action)).to.deep.equal([
+        'TrackingCodeRotated',
+        'CoordinatesCorrected',
+        'Deleted',
+      ]);
+      expect(res.body.data.history[2].changes.map((change) => change.field)).to.have.members(['isDeleted', 'deletedAt', 'deletedBy']);
+
+      await request(app)
+        .patch('/api/parcels/PCL-HIST-2/restore')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const restored = await history('PCL-HIST-2');
+      const entry = restored.body.data.history[3];
+      expect(entry.action).to.equal('Restored');
+      expect(entry.changes).to.deep.include({ field: 'isDeleted', oldValue: true, newValue: false });
+    });
+
+    it('should keep the parcel on tickets that refer to it after deletion', async () => {
+      await createParcel('PCL-HIST-TICKET');
+      const parcel = await Parcel.findOne({ parcelId: 'PCL-HIST-TICKET' });
+
+      await Ticket.create({
+        ticketId: 'TK-20260101-0002',
+        issueType: 'Delayed',
+        priority: 'Medium',
+        status: 'Open',
+        description: 'Where is my parcel?',
+        createdBy: supervisor._id,
+        parcel: parcel._id,
+      });
+
+      await request(app)
+        .delete('/api/parcels/PCL-HIST-TICKET')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const res = await request(app)
+        .get('/api/tickets/TK-20260101-0002/with-parcel')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.ticket.parcel.parcelId).to.equal('PCL-HIST-TICKET');
+      expect(res.body.data.ticket.parcel.deletedAt).to.be.a('string');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import DriverProfile from '../src/models/DriverProfile.js';
+import parcelImportService from '../src/services/parcelImportService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-parcel-import';
+process.env.NODE_ENV = 'test';
+
+describe('Parcel Import Tests', function() {
+  this.timeout(15000);
+
+  const header = 'parcelId,senderName,receiverName,pickupLocation,deliveryLocation,assignedDriver';
+
+  describe('Parsing', () => {
+    it('should read quoted CSV fields and loose header names', () => {
+      const rows = parcelImportService.parse(
+        'Parcel ID,Sender Name,receiver_name,Pickup Location,Delivery Location\r\n' +
+        'PCL-1,"Perera, A","Silva ""Jr""",Colombo 03,"Kandy\n20000"\r\n',
+        'csv'
+      );
+
+      expect(rows).to.have.length(1);
+      expect(rows[0].rowNumber).to.equal(2);
+      expect(rows[0].data.senderName).to.equal('Perera, A');
+      expect(rows[0].data.receiverName).to.equal('Silva "Jr"');
+      expect(rows[0].data.deliveryLocation).to.equal('Kandy\n20000');
+    });
+
+    it('should reject CSV files without the required columns', () => {
+      expect(() => parcelImportService.parse('parcelId,senderName\nPCL-1,A\n', 'csv'))
+        .to.throw('missing required columns: receiverName, pickupLocation, deliveryLocation');
+    });
+
+    it('should keep unreadable NDJSON lines as invalid rows', () => {
+      const rows = parcelImportService.parse('{"parcelId":"PCL-1"}\nnot json\n', 'ndjson');
+
+      expect(rows).to.have.length(2);
+      expect(rows[1].data.parseError).to.equal(true);
+    });
+  });
+
+  describe('POST /api/parcels/import', () => {
+    let mongoServer;
+    let supervisorToken, driverToken;
+    let driver;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const importCsv = (csv, query = '') => request(app)
+      .post(`/api/parcels/import${query}`)
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+      await DriverProfile.deleteMany({});
+
+      await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      supervisorToken = await login('supervisor@test.com');
+      driverToken = await login('driver@test.com');
+    });
+
+    it('should report every problem in a dry run without inserting', async () => {
+      await Parcel.create({
+        parcelId: 'PCL-EXISTING',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Kandy',
+      });
+
+      const res = await importCsv([
+        header,
+        'PCL-1,Sender,Receiver,Colombo 03,Kandy,driver@test.com',
+        'PCL-1,Sender,Receiver,Colombo 03,Kandy,',
+        'PCL-EXISTING,Sender,Receiver,Colombo 03,Kandy,',
+        'PCL-2,,Receiver,Colombo 03,Kandy,',
+        'PCL-3,Sender,Receiver,Colombo 03,Kandy,nobody@test.com',
+      ].join('\n'));
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.mode).to.equal('dry-run');
+      expect(res.body.data.summary).to.include({ totalRows: 5, validRows: 1, invalidRows: 4, inserted: 0 });
+
+      const [valid, duplicate, existing, missing, unknown] = res.body.data.rows;
+      expect(valid.status).to.equal('valid');
+      expect(valid.assignedDriver.email).to.equal('driver@test.com');
+      expect(duplicate.errors).to.deep.equal(['Duplicate parcelId; first used on row 2']);
+      expect(existing.errors).to.deep.equal(['A parcel with this parcelId already exists']);
+      expect(missing.errors).to.deep.equal(['Missing senderName']);
+      expect(unknown.errors).to.deep.equal(['Unknown driver: nobody@test.com']);
+
+      expect(await Parcel.countDocuments()).to.equal(1);
+    });
+
+    it('should insert only the valid rows in commit mode', async () => {
+      const res = await importCsv([
+        header,
+        'PCL-1,Sender,Receiver,Colombo 03,Kandy,',
+        'PCL-2,Sender,Receiver,Colombo 03,,',
+        'PCL-3,Sender,Receiver,Galle,Matara,',
+      ].join('\n'), '?mode=commit');
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data.summary.inserted).to.equal(2);
+      expect(res.body.data.rows.map((row) => row.status)).to.deep.equal(['inserted', 'invalid', 'inserted']);
+      expect(await Parcel.countDocuments()).to.equal(2);
+    });
+
+    it('should accept NDJSON and JSON bodies', async () => {
+      const ndjson = await request(app)
+        .post('/api/parcels/import?mode=commit')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"parcelId":"PCL-1","senderName":"S","receiverName":"R","pickupLocation":"Colombo","deliveryLocation":"Kandy"}\n');
+      expect(ndjson.status).to.equal(201);
+
+      const json = await request(app)
+        .post('/api/parcels/import?mode=commit')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ parcels: [{ parcelId: 'PCL-2', senderName: 'S', receiverName: 'R', pickupLocation: 'Colombo', deliveryLocation: 'Galle' }] });
+      expect(json.status).to.equal(201);
+
+      expect(await Parcel.countDocuments()).to.equal(2);
+    });
+
+    it('should refuse drivers who are not available', async () => {
+      await DriverProfile.create({
+        user: driver._id,
+        phone: '+94 77 123 4567',
+        licence: { number: 'B1234567', expiresAt: new Date('2020-01-01') },
+        workingHours: [],
+      });
+
+      const res = await importCsv(`${header}\nPCL-1,Sender,Receiver,Colombo,Kandy,${driver.id}\n`);
+
+      expect(res.body.data.rows[0].errors).to.deep.equal(['Driver is not available: Driving licence has expired']);
+    });
+
+    it('should geocode and auto-assign when asked', async () => {
+      const res = await importCsv([
+        'parcelId,senderName,receiverName,pickupLocation,deliveryLocation',
+        'PCL-1,Sender,Receiver,"Galle Road, Colombo 03","Kandy 20000"',
+        'PCL-2,Sender,Receiver,Colombo,Nowhere in particular',
+      ].join('\n'), '?mode=commit&geocode=true&autoAssign=true');
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data.summary.autoAssigned).to.equal(2);
+      expect(res.body.data.rows[1].warnings).to.include('Delivery location could not be geocoded');
+
+      const parcel = await Parcel.findOne({ parcelId: 'PCL-1' });
+      expect(parcel.assignedDriver.toString()).to.equal(driver.id);
+      expect(parcel.deliveryCoordinates.matchedName).to.equal('Kandy');
+    });
+
+    it('should reject unreadable files and non-Supervisors', async () => {
+      const empty = await importCsv('');
+      expect(empty.status).to.equal(400);
+
+      const badMode = await importCsv(`${header}\n`, '?mode=maybe');
+      expect(badMode.status).to.equal(400);
+
+      const forbidden = await request(app)
+        .post('/api/parcels/import')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(`${header}\n`);
+      expect(forbidden.status).to.equal(403);
+    });
+  });
+});
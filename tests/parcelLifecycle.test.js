@@ -0,0 +1,215 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import parcelLifecycleService from '../src/services/parcelLifecycleService.js';
+import driverLocationService from '../src/services/driverLocationService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-parcel-lifecycle';
+process.env.NODE_ENV = 'test';
+
+describe('Parcel Lifecycle Tests', function() {
+  this.timeout(15000);
+
+  describe('Lifecycle service', () => {
+    // Shaped like req.user, which carries the id as a string and no _id
+    const driver = { id: new mongoose.Types.ObjectId().toString(), name: 'Test Driver', email: 'driver@test.com', role: 'Driver' };
+    const supervisor = { id: new mongoose.Types.ObjectId().toString(), name: 'Test Supervisor', email: 'supervisor@test.com', role: 'Supervisor' };
+
+    it('should reject transitions the lifecycle does not define', () => {
+      expect(parcelLifecycleService.checkTransition('PickedUp', 'Delivered', driver)).to.deep.equal({
+        statusCode: 400,
+        message: 'Invalid status transition from PickedUp to Delivered.',
+      });
+      expect(parcelLifecycleService.checkTransition('Delivered', 'Returned', supervisor).statusCode).to.equal(400);
+      expect(parcelLifecycleService.checkTransition('PickedUp', 'Lost', driver).message).to.include('Invalid status');
+    });
+
+    it('should only let the named roles make a transition', () => {
+      expect(parcelLifecycleService.checkTransition('PickedUp', 'InTransit', supervisor).statusCode).to.equal(403);
+      expect(parcelLifecycleService.checkTransition('AwaitingPickup', 'Cancelled', driver).statusCode).to.equal(403);
+      expect(parcelLifecycleService.checkTransition('AtHub', 'InTransit', supervisor).transition).to.include({ to: 'InTransit' });
+    });
+
+    it('should require the fields a transition names', () => {
+      const missing = parcelLifecycleService.checkTransition('OutForDelivery', 'DeliveryFailed', driver, { reason: '  ' });
+      expect(missing).to.deep.equal({ statusCode: 400, message: 'reason is required to move a parcel to DeliveryFailed.' });
+
+      const allowed = parcelLifecycleService.checkTransition('OutForDelivery', 'DeliveryFailed', driver, { reason: 'No one home' });
+      expect(allowed.transition.sideEffects).to.include('countDeliveryAttempt');
+    });
+
+    it('should record history and apply side effects', async () => {
+      const parcel = { status: 'OutForDelivery', statusHistory: [], deliveryAttempts: 0, assignedDriver: driver.id };
+      const { transition } = parcelLifecycleService.checkTransition('OutForDelivery', 'DeliveryFailed', driver, { reason: 'No one home' });
+
+      // The driver's latest GPS fix, as it would come from the breadcrumb collection
+      const latestFix = driverLocationService.latestFix;
+      driverLocationService.latestFix = async (driverId) => (driverId === driver.id
+        ? { latitude: 7.2906, longitude: 80.6337, accuracy: 8, recordedAt: new Date() }
+        : null);
+      try {
+        await parcelLifecycleService.applyTransition(parcel, transition, driver, { reason: ' No one home ', note: 'Left a card' });
+      } finally {
+        driverLocationService.latestFix = latestFix;
+      }
+
+      expect(parcel.status).to.equal('DeliveryFailed');
+      expect(parcel.deliveryAttempts).to.equal(1);
+      expect(parcel.currentLocation).to.include({ latitude: 7.2906, longitude: 80.6337 });
+      expect(parcel.statusHistory[0]).to.deep.include({
+        status: 'DeliveryFailed',
+        from: 'OutForDelivery',
+        reason: 'No one home',
+        note: 'Left a card',
+        changedBy: driver.id,
+      });
+    });
+
+    it('should release the driver when a parcel is cancelled', async () => {
+      const parcel = { status: 'AwaitingPickup', statusHistory: [], assignedDriver: driver.id };
+      const { transition } = parcelLifecycleService.checkTransition('AwaitingPickup', 'Cancelled', supervisor, { reason: 'Order withdrawn' });
+
+      await parcelLifecycleService.applyTransition(parcel, transition, supervisor, { reason: 'Order withdrawn' });
+
+      expect(parcel.status).to.equal('Cancelled');
+      expect(parcel.assignedDriver).to.equal(undefined);
+    });
+
+    it('should mark the transitions a role may make', () => {
+      const { transitions, terminalStatuses } = parcelLifecycleService.describe(driver, 'OutForDelivery');
+
+      expect(terminalStatuses).to.have.members(['Delivered', 'Returned', 'Cancelled']);
+      expect(transitions.map(({ to, allowed }) => ({ to, allowed }))).to.deep.equal([
+        { to: 'Delivered', allowed: true },
+        { to: 'DeliveryFailed', allowed: true },
+      ]);
+    });
+  });
+
+  describe('Parcel status API', () => {
+    let mongoServer;
+    let supervisorToken, driverToken;
+    let driver;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const moveParcel = (parcelId, token, body) => request(app)
+      .patch(`/api/parcels/${parcelId}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    const createParcel = (overrides = {}) => Parcel.create({
+      parcelId: 'PCL-LIFE-1',
+      senderName: 'Sender',
+      receiverName: 'Receiver',
+      pickupLocation: 'Colombo',
+      deliveryLocation: 'Kandy',
+      ...overrides,
+    });
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+
+      await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      supervisorToken = await login('supervisor@test.com');
+      driverToken = await login('driver@test.com');
+    });
+
+    it('should start new parcels in the initial status with a history entry', async () => {
+      const parcel = await createParcel();
+
+      expect(parcel.status).to.equal('Created');
+      expect(parcel.deliveryAttempts).to.equal(0);
+      expect(parcel.statusHistory.map((entry) => entry.status)).to.deep.equal(['Created']);
+    });
+
+    it('should describe the lifecycle with the caller\'s allowed transitions', async () => {
+      const res = await request(app)
+        .get('/api/parcels/status-transitions?from=Created')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.initialStatus).to.equal('Created');
+      expect(res.body.data.statuses.map((status) => status.name)).to.include.members(['AtHub', 'DeliveryFailed', 'ReturnToSender']);
+      expect(res.body.data.transitions.every((transition) => transition.allowed)).to.equal(true);
+
+      const driverView = await request(app)
+        .get('/api/parcels/status-transitions?from=Created')
+        .set('Authorization', `Bearer ${driverToken}`);
+      expect(driverView.body.data.transitions.some((transition) => transition.allowed)).to.equal(false);
+
+      const invalid = await request(app)
+        .get('/api/parcels/status-transitions?from=Lost')
+        .set('Authorization', `Bearer ${driverToken}`);
+      expect(invalid.status).to.equal(400);
+    });
+
+    it('should record a failed delivery with its reason and allow a retry', async () => {
+      await createParcel({ status: 'OutForDelivery', assignedDriver: driver._id });
+
+      const withoutReason = await moveParcel('PCL-LIFE-1', driverToken, { status: 'DeliveryFailed' });
+      expect(withoutReason.status).to.equal(400);
+
+      const failed = await moveParcel('PCL-LIFE-1', driverToken, { status: 'DeliveryFailed', reason: 'Receiver not home' });
+      expect(failed.status).to.equal(200);
+      expect(failed.body.deliveryAttempts).to.equal(1);
+      expect(failed.body.statusHistory[1]).to.include({ status: 'DeliveryFailed', from: 'OutForDelivery', reason: 'Receiver not home' });
+      expect(failed.body.statusHistory[1].changedBy).to.equal(driver.id);
+
+      const retry = await moveParcel('PCL-LIFE-1', driverToken, { status: 'OutForDelivery' });
+      expect(retry.status).to.equal(200);
+    });
+
+    it('should let Supervisors schedule, cancel and return parcels but not drive them', async () => {
+      await createParcel();
+
+      const scheduled = await moveParcel('PCL-LIFE-1', supervisorToken, { status: 'AwaitingPickup' });
+      expect(scheduled.status).to.equal(200);
+
+      await Parcel.updateOne({ parcelId: 'PCL-LIFE-1' }, { assignedDriver: driver._id });
+      const pickup = await moveParcel('PCL-LIFE-1', supervisorToken, { status: 'PickedUp' });
+      expect(pickup.status).to.equal(403);
+
+      const cancelled = await moveParcel('PCL-LIFE-1', supervisorToken, { status: 'Cancelled', reason: 'Sender withdrew the order' });
+      expect(cancelled.status).to.equal(200);
+      expect(cancelled.body.assignedDriver).to.equal(undefined);
+
+      const afterCancel = await moveParcel('PCL-LIFE-1', supervisorToken, { status: 'AwaitingPickup' });
+      expect(afterCancel.status).to.equal(400);
+    });
+
+    it('should not assign drivers to parcels that have left the lifecycle', async () => {
+      await createParcel({ status: 'Delivered' });
+
+      const res = await request(app)
+        .patch('/api/parcels/PCL-LIFE-1/assign-driver')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ driverId: driver.id });
+
+      expect(res.status).to.equal(409);
+    });
+  });
+});
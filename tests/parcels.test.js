@@ -28,17 +28,17 @@ describe('Parcel API Endpoints', () => {
     const uri = mongoServer.getUri();
     await mongoose.connect(uri);
 
-    // Register and login users to get tokens
-    await request(app).post('/api/auth/register').send(supervisor);
+    // Seed and login users to get tokens; staff accounts cannot self-register without approval
+    await User.create(supervisor);
     const supLogin = await request(app).post('/api/auth/login').send({ email: supervisor.email, password: supervisor.password });
     supervisorToken = supLogin.body.token;
 
-    await request(app).post('/api/auth/register').send(driver);
+    await User.create(driver);
     const driverLogin = await request(app).post('/api/auth/login').send({ email: driver.email, password: driver.password });
     driverToken = driverLogin.body.token;
     driverId = driverLogin.body.user.id;
 
-    await request(app).post('/api/auth/register').send(supportAgent);
+    await User.create(supportAgent);
     const supportLogin = await request(app).post('/api/auth/login').send({ email: supportAgent.email, password: supportAgent.password });
     supportToken = supportLogin.body.token;
   });
@@ -82,8 +82,10 @@ describe('Parcel API Endpoints', () => {
     await request(app).post('/api/parcels').set('Authorization', `Bearer ${supervisorToken}`).send(parcelData);
     const res = await request(app).get('/api/parcels').set('Authorization', `Bearer ${driverToken}`);
     assert.equal(res.status, 200);
-    assert.equal(res.body.length, 1);
-    assert.equal(res.body[0].parcelId, parcelData.parcelId);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.parcels.length, 1);
+    assert.equal(res.body.data.parcels[0].parcelId, parcelData.parcelId);
+    assert.equal(res.body.data.pagination.totalParcels, 1);
   });
 
   it('should allow a Supervisor to update a parcel', async () => {
@@ -91,9 +93,24 @@ describe('Parcel API Endpoints', () => {
     const res = await request(app)
       .put(`/api/parcels/${parcelData.parcelId}`)
       .set('Authorization', `Bearer ${supervisorToken}`)
-      .send({ status: 'InTransit' });
+      .send({ receiverName: 'New Receiver', $set: { senderName: 'Injected' } });
     assert.equal(res.status, 200);
-    assert.equal(res.body.status, 'InTransit');
+    assert.equal(res.body.receiverName, 'New Receiver');
+    assert.equal(res.body.senderName, parcelData.senderName);
+  });
+
+  it('should send status changes to the status endpoint', async () => {
+    await request(app).post('/api/parcels').set('Authorization', `Bearer ${supervisorToken}`).send(parcelData);
+    const res = await request(app)
+      .put(`/api/parcels/${parcelData.parcelId}`)
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send({ status: 'Delivered', receiverName: 'New Receiver' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /\/status/);
+
+    const stored = await Parcel.findOne({ parcelId: parcelData.parcelId });
+    assert.notEqual(stored.status, 'Delivered');
+    assert.equal(stored.receiverName, parcelData.receiverName);
   });
 
   it('should prevent a Driver from updating a parcel', async () => {
@@ -130,7 +147,7 @@ describe('Parcel API Endpoints', () => {
       .send({ driverId });
     assert.equal(res.status, 200);
     assert.equal(res.body.assignedDriver.email, driver.email);
-    assert.equal(res.body.status, 'PickedUp');
+    assert.equal(res.body.status, 'AwaitingPickup');
   });
 
   it('should prevent assigning a non-driver to a parcel', async () => {
@@ -144,10 +161,36 @@ describe('Parcel API Endpoints', () => {
     assert.equal(res.body.message, 'The assigned user is not a driver.');
   });
 
+  it('should only create parcels for drivers that exist and have the Driver role', async () => {
+    const supervisorId = (await User.findOne({ email: supervisor.email }))._id;
+
+    for (const assignedDriver of [supervisorId, new mongoose.Types.ObjectId()]) {
+      const res = await request(app)
+        .post('/api/parcels')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ ...parcelData, assignedDriver });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'The assigned driver must be a user with the Driver role.');
+    }
+
+    const res = await request(app)
+      .post('/api/parcels')
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send({ ...parcelData, assignedDriver: driverId });
+    assert.equal(res.status, 201);
+    assert.equal(String(res.body.assignedDriver), String(driverId));
+  });
+
   it('should allow a Driver to update the status of a parcel', async () => {
     await request(app).post('/api/parcels').set('Authorization', `Bearer ${supervisorToken}`).send(parcelData);
     await request(app).patch(`/api/parcels/${parcelData.parcelId}/assign-driver`).set('Authorization', `Bearer ${supervisorToken}`).send({ driverId });
 
+    const pickedUp = await request(app)
+      .patch(`/api/parcels/${parcelData.parcelId}/status`)
+      .set('Authorization', `Bearer ${driverToken}`)
+      .send({ status: 'PickedUp' });
+    assert.equal(pickedUp.status, 200);
+
     const res = await request(app)
       .patch(`/api/parcels/${parcelData.parcelId}/status`)
       .set('Authorization', `Bearer ${driverToken}`)
@@ -155,16 +198,16 @@ describe('Parcel API Endpoints', () => {
 
     assert.equal(res.status, 200);
     assert.equal(res.body.status, 'InTransit');
-    assert.equal(res.body.statusHistory.length, 2);
-    assert.equal(res.body.statusHistory[1].status, 'InTransit');
+    assert.deepEqual(res.body.statusHistory.map((entry) => entry.status), ['Created', 'AwaitingPickup', 'PickedUp', 'InTransit']);
   });
 
-  it('should prevent a Supervisor from updating the status of a parcel', async () => {
+  it('should prevent a Supervisor from making driver-only status transitions', async () => {
     await request(app).post('/api/parcels').set('Authorization', `Bearer ${supervisorToken}`).send(parcelData);
+    await request(app).patch(`/api/parcels/${parcelData.parcelId}/assign-driver`).set('Authorization', `Bearer ${supervisorToken}`).send({ driverId });
     const res = await request(app)
       .patch(`/api/parcels/${parcelData.parcelId}/status`)
       .set('Authorization', `Bearer ${supervisorToken}`)
-      .send({ status: 'InTransit' });
+      .send({ status: 'PickedUp' });
     assert.equal(res.status, 403);
   });
 
@@ -175,10 +218,10 @@ describe('Parcel API Endpoints', () => {
     const res = await request(app)
       .patch(`/api/parcels/${parcelData.parcelId}/status`)
       .set('Authorization', `Bearer ${driverToken}`)
-      .send({ status: 'Delivered' }); // Invalid transition from PickedUp
+      .send({ status: 'Delivered' }); // Invalid transition from AwaitingPickup
 
     assert.equal(res.status, 400);
-    assert.equal(res.body.message, 'Invalid status transition from PickedUp to Delivered.');
+    assert.equal(res.body.message, 'Invalid status transition from AwaitingPickup to Delivered.');
   });
 
   it('should allow a Supervisor to track any parcel', async () => {
@@ -187,7 +230,8 @@ describe('Parcel API Endpoints', () => {
       .get(`/api/parcels/track/${parcelData.parcelId}`)
       .set('Authorization', `Bearer ${supervisorToken}`);
     assert.equal(res.status, 200);
-    assert.ok(res.body.currentLocation);
+    // No GPS fix has been recorded for the new parcel yet
+    assert.equal(res.body.currentLocation, null);
   });
 
   it('should allow a SupportAgent to track any parcel', async () => {
@@ -196,7 +240,9 @@ describe('Parcel API Endpoints', () => {
       .get(`/api/parcels/track/${parcelData.parcelId}`)
       .set('Authorization', `Bearer ${supportToken}`);
     assert.equal(res.status, 200);
-    assert.ok(res.body.estimatedDeliveryTime);
+    // Neither address can be geocoded and there is no route or GPS fix, so there is nothing to estimate from
+    assert.equal(res.body.estimatedDeliveryTime, null);
+    assert.ok(res.body.eta.computedAt);
   });
 
   it('should allow an assigned Driver to track their parcel', async () => {
@@ -216,4 +262,115 @@ describe('Parcel API Endpoints', () => {
       .set('Authorization', `Bearer ${driverToken}`);
     assert.equal(res.status, 403);
   });
+
+  describe('Parcel listing', () => {
+    const listParcels = (query = '') => request(app)
+      .get(`/api/parcels${query}`)
+      .set('Authorization', `Bearer ${supervisorToken}`);
+
+    beforeEach(async () => {
+      await Parcel.create([
+        { ...parcelData, parcelId: 'ECO-LIST-001', senderName: 'Ceylon Tea Traders', receiverName: 'Nimal Silva', deliveryLocation: 'Galle Fort', createdAt: new Date('2030-01-01') },
+        { ...parcelData, parcelId: 'ECO-LIST-002', senderName: 'Kandy Crafts', receiverName: 'Ayesha Fernando', deliveryLocation: 'Colombo 07', status: 'InTransit', assignedDriver: driverId, createdAt: new Date('2030-02-01') },
+        { ...parcelData, parcelId: 'ECO-LIST-003', senderName: 'Spice Garden', receiverName: 'Ceylon Hotels', deliveryLocation: 'Galle Road, Colombo 03', routeAssignmentStatus: 'Assigned', createdAt: new Date('2030-03-01') },
+      ]);
+    });
+
+    it('should paginate with metadata', async () => {
+      const res = await listParcels('?page=2&limit=2');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.parcels.length, 1);
+      assert.equal(res.body.data.pagination.currentPage, 2);
+      assert.equal(res.body.data.pagination.totalPages, 2);
+      assert.equal(res.body.data.pagination.hasNextPage, false);
+      assert.equal(res.body.data.pagination.prevPage, 1);
+    });
+
+    it('should sort by the requested field', async () => {
+      const res = await listParcels('?sortBy=createdAt&sortOrder=asc');
+
+      assert.deepEqual(res.body.data.parcels.map((p) => p.parcelId), ['ECO-LIST-001', 'ECO-LIST-002', 'ECO-LIST-003']);
+    });
+
+    it('should filter by status, driver and route assignment status', async () => {
+      const byStatus = await listParcels('?status=InTransit');
+      assert.deepEqual(byStatus.body.data.parcels.map((p) => p.parcelId), ['ECO-LIST-002']);
+
+      const byDriver = await listParcels(`?assignedDriver=${driverId}`);
+      assert.deepEqual(byDriver.body.data.parcels.map((p) => p.parcelId), ['ECO-LIST-002']);
+
+      const unassigned = await listParcels('?assignedDriver=unassigned');
+      assert.equal(unassigned.body.data.pagination.totalParcels, 2);
+
+      const byRoute = await listParcels('?routeAssignmentStatus=Assigned');
+      assert.deepEqual(byRoute.body.data.parcels.map((p) => p.parcelId), ['ECO-LIST-003']);
+    });
+
+    it('should filter by created date range and delivery location', async () => {
+      const byDate = await listParcels('?startDate=2030-01-15&endDate=2030-02-15');
+      assert.deepEqual(byDate.body.data.parcels.map((p) => p.parcelId), ['ECO-LIST-002']);
+
+      const byLocation = await listParcels('?deliveryLocation=galle&sortBy=parcelId&sortOrder=asc');
+      assert.deepEqual(byLocation.body.data.parcels.map((p) => p.parcelId), ['ECO-LIST-001', 'ECO-LIST-003']);
+    });
+
+    it('should search sender and receiver names', async () => {
+      const res = await listParcels('?search=ceylon&sortBy=parcelId&sortOrder=asc');
+
+      assert.deepEqual(res.body.data.parcels.map((p) => p.parcelId), ['ECO-LIST-001', 'ECO-LIST-003']);
+    });
+
+    it('should reject invalid filters', async () => {
+      assert.equal((await listParcels('?status=Lost')).status, 400);
+      assert.equal((await listParcels('?assignedDriver=nobody')).status, 400);
+      assert.equal((await listParcels('?startDate=yesterday')).status, 400);
+    });
+  });
+
+  describe('Cargo attributes', () => {
+    const createCargoParcel = (overrides) => request(app)
+      .post('/api/parcels')
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send({ ...parcelData, ...overrides });
+
+    it('should store weight, dimensions, declared value and handling flags', async () => {
+      const res = await createCargoParcel({
+        weightKg: 1800,
+        dimensions: { lengthCm: 120, widthCm: 80, heightCm: 100 },
+        declaredValue: { amount: 250000, currency: 'lkr' },
+        handling: { fragile: true },
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.weightKg, 1800);
+      assert.equal(res.body.declaredValue.currency, 'LKR');
+      assert.deepEqual(res.body.handling, { fragile: true, perishable: false, hazardous: false });
+    });
+
+    it('should reject invalid cargo attributes', async () => {
+      assert.equal((await createCargoParcel({ weightKg: -5 })).status, 400);
+      assert.equal((await createCargoParcel({ dimensions: { lengthCm: 10, widthCm: 10 } })).status, 400);
+      assert.equal((await createCargoParcel({ declaredValue: { amount: 10, currency: 'rupees' } })).status, 400);
+    });
+
+    it('should optimize with the parcel weight instead of the client cargo weight', async () => {
+      await createCargoParcel({ weightKg: 1800, dimensions: { lengthCm: 120, widthCm: 80, heightCm: 100 } });
+
+      const res = await request(app)
+        .post('/api/routes/optimize')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({
+          parcelId: parcelData.parcelId,
+          pickupLocation: { latitude: 6.9271, longitude: 79.8612 },
+          deliveryLocation: { latitude: 7.2906, longitude: 80.6337 },
+          options: { cargoWeight: 50 },
+        });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.cargo.cargoWeight, 1800);
+      assert.equal(res.body.data.cargo.cargoVolumeM3, 0.96);
+      assert.equal(res.body.data.cargo.vehicleType, 'medium');
+    });
+  });
 });
@@ -0,0 +1,183 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import PasswordResetToken from '../src/models/PasswordResetToken.js';
+import mailService from '../src/services/mailService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-password-reset';
+process.env.NODE_ENV = 'test';
+
+describe('Password Reset and Change Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let originalTransport;
+  let sentMail;
+
+  const credentials = { email: 'driver.reset@test.com', password: 'password123' };
+
+  // Pull the reset token out of the link in the most recent email
+  const extractResetToken = () => {
+    const match = sentMail[sentMail.length - 1].text.match(/token=([a-f0-9]+)/);
+    return match ? match[1] : null;
+  };
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    originalTransport = mailService.transport;
+  });
+
+  after(async () => {
+    mailService.setTransport(originalTransport);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await PasswordResetToken.deleteMany({});
+
+    sentMail = [];
+    mailService.setTransport({ name: 'memory', send: async (message) => { sentMail.push(message); } });
+
+    await User.create({ name: 'Reset Driver', role: 'Driver', ...credentials });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should email a reset link to a registered user', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: credentials.email });
+
+      expect(res.status).to.equal(200);
+      expect(sentMail).to.have.length(1);
+      expect(sentMail[0].to).to.equal(credentials.email);
+      expect(extractResetToken()).to.be.a('string');
+    });
+
+    it('should respond identically for unknown emails without sending mail', async () => {
+      const known = await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@test.com' });
+
+      expect(unknown.status).to.equal(200);
+      expect(unknown.body.message).to.equal(known.body.message);
+      expect(sentMail).to.have.length(1);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should set a new password with a valid token', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: extractResetToken(), password: 'newpassword456' });
+
+      expect(res.status).to.equal(200);
+
+      const oldLogin = await request(app).post('/api/auth/login').send(credentials);
+      expect(oldLogin.status).to.equal(401);
+
+      const newLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'newpassword456' });
+      expect(newLogin.status).to.equal(200);
+    });
+
+    it('should reject a token that was already used', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      const token = extractResetToken();
+
+      await request(app).post('/api/auth/reset-password').send({ token, password: 'newpassword456' });
+      const replay = await request(app).post('/api/auth/reset-password').send({ token, password: 'another789' });
+
+      expect(replay.status).to.equal(400);
+    });
+
+    it('should reject an expired token', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      await PasswordResetToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: extractResetToken(), password: 'newpassword456' });
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should invalidate earlier tokens when a new one is requested', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      const firstToken = extractResetToken();
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: firstToken, password: 'newpassword456' });
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should revoke existing access tokens', async () => {
+      const loginRes = await request(app).post('/api/auth/login').send(credentials);
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: extractResetToken(), password: 'newpassword456' });
+
+      const profileRes = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${loginRes.body.token}`);
+
+      expect(profileRes.status).to.equal(401);
+    });
+  });
+
+  describe('PATCH /api/auth/password', () => {
+    it('should change the password and return a fresh token', async () => {
+      const loginRes = await request(app).post('/api/auth/login').send(credentials);
+
+      const res = await request(app)
+        .patch('/api/auth/password')
+        .set('Authorization', `Bearer ${loginRes.body.token}`)
+        .send({ currentPassword: credentials.password, newPassword: 'newpassword456' });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.token).to.be.a('string');
+
+      // The old token is revoked, the new one works
+      const oldProfile = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${loginRes.body.token}`);
+      expect(oldProfile.status).to.equal(401);
+
+      const newProfile = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${res.body.token}`);
+      expect(newProfile.status).to.equal(200);
+    });
+
+    it('should reject an incorrect current password', async () => {
+      const loginRes = await request(app).post('/api/auth/login').send(credentials);
+
+      const res = await request(app)
+        .patch('/api/auth/password')
+        .set('Authorization', `Bearer ${loginRes.body.token}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword456' });
+
+      expect(res.status).to.equal(401);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app)
+        .patch('/api/auth/password')
+        .send({ currentPassword: credentials.password, newPassword: 'newpassword456' });
+
+      expect(res.status).to.equal(401);
+    });
+  });
+});
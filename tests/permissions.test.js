@@ -0,0 +1,165 @@
+import { expect } from 'chai';
+import mongoose from 'mongoose';
+
+import authorizationService from '../src/services/authorizationService.js';
+import { requirePermission } from '../src/middleware/authMiddleware.js';
+import { ANY_SCOPE, permissions, rolePermissions } from '../src/config/permissions.js';
+
+describe('Permission Registry Tests', () => {
+  const driver = { id: new mongoose.Types.ObjectId().toString(), role: 'Driver' };
+  const agent = { id: new mongoose.Types.ObjectId().toString(), role: 'SupportAgent' };
+  const supervisor = { id: new mongoose.Types.ObjectId().toString(), role: 'Supervisor' };
+
+  // Minimal Express response double recording status and body
+  const createResponse = () => {
+    const res = {};
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+  };
+
+  describe('Registry', () => {
+    it('should only grant known permissions', () => {
+      Object.values(rolePermissions).forEach((grants) => {
+        Object.keys(grants).forEach((permission) => {
+          expect(permissions).to.have.property(permission);
+        });
+      });
+    });
+
+    it('should grant Supervisors parcel status updates on any parcel', () => {
+      expect(authorizationService.can(supervisor, 'parcel:update-status', { assignedDriver: null })).to.equal(true);
+    });
+
+    it('should throw for unknown permissions', () => {
+      expect(() => authorizationService.hasPermission('Driver', 'parcel:teleport')).to.throw('Unknown permission');
+    });
+  });
+
+  describe('Ownership policies', () => {
+    it('should limit drivers to their assigned parcels', () => {
+      const assigned = { assignedDriver: new mongoose.Types.ObjectId(driver.id) };
+      const other = { assignedDriver: new mongoose.Types.ObjectId() };
+
+      expect(authorizationService.can(driver, 'parcel:track', assigned)).to.equal(true);
+      expect(authorizationService.can(driver, 'parcel:track', other)).to.equal(false);
+      expect(authorizationService.can(driver, 'parcel:track', {})).to.equal(false);
+    });
+
+    it('should accept populated references', () => {
+      const parcel = { assignedDriver: { _id: new mongoose.Types.ObjectId(driver.id), name: 'Driver' } };
+      expect(authorizationService.can(driver, 'route:optimize-parcel', parcel)).to.equal(true);
+    });
+
+    it('should limit support agents to their assigned tickets', () => {
+      const ticket = { assignedTo: new mongoose.Types.ObjectId(agent.id) };
+
+      expect(authorizationService.can(agent, 'ticket:update-status', ticket)).to.equal(true);
+      expect(authorizationService.can(agent, 'ticket:update-status', { assignedTo: null })).to.equal(false);
+    });
+
+    it('should let any-scope grants act on every resource', () => {
+      expect(authorizationService.can(supervisor, 'ticket:update-status', { assignedTo: null })).to.equal(true);
+      expect(authorizationService.can(agent, 'parcel:track', {})).to.equal(true);
+    });
+
+    it('should build listing filters from the policy', () => {
+      expect(authorizationService.scopeQuery(agent, 'ticket:read')).to.deep.equal({ assignedTo: agent.id });
+      expect(authorizationService.scopeQuery(supervisor, 'ticket:read')).to.deep.equal({});
+    });
+
+    it('should limit customers to tickets they opened on their own parcels', () => {
+      const customer = { id: new mongoose.Types.ObjectId().toString(), role: 'Customer' };
+      const ownParcel = { customer: new mongoose.Types.ObjectId(customer.id) };
+
+      expect(authorizationService.can(customer, 'ticket:create', { parcel: ownParcel })).to.equal(true);
+      expect(authorizationService.can(customer, 'ticket:create', { parcel: null })).to.equal(false);
+      expect(authorizationService.scopeQuery(customer, 'ticket:read')).to.deep.equal({ createdBy: customer.id });
+      expect(authorizationService.hasPermission('Customer', 'ticket:read-internal')).to.equal(false);
+    });
+
+    it('should limit drivers to their own profile and calendar', () => {
+      const own = { user: new mongoose.Types.ObjectId(driver.id) };
+      const other = { user: new mongoose.Types.ObjectId() };
+
+      expect(authorizationService.can(driver, 'driver-profile:update-availability', own)).to.equal(true);
+      expect(authorizationService.can(driver, 'driver-profile:update-availability', other)).to.equal(false);
+      expect(authorizationService.hasPermission('Driver', 'driver-profile:manage')).to.equal(false);
+      expect(authorizationService.scopeQuery(driver, 'driver-profile:read')).to.deep.equal({ user: driver.id });
+    });
+
+    it('should refuse to build listing filters from check-only policies', () => {
+      const customer = { id: new mongoose.Types.ObjectId().toString(), role: 'Customer' };
+      expect(() => authorizationService.scopeQuery(customer, 'ticket:create')).to.throw('cannot filter listings');
+    });
+
+    it('should list a role\'s grants', () => {
+      expect(authorizationService.getPermissionsForRole('Driver')).to.include({
+        'parcel:update-status': 'assignedDriver',
+        'dashboard:driver': ANY_SCOPE,
+      });
+    });
+  });
+
+  describe('API key scopes', () => {
+    const apiKeyId = new mongoose.Types.ObjectId().toString();
+    const integration = { id: apiKeyId, role: 'ApiClient', apiKeyId, scopes: ['parcels:create', 'parcels:track'] };
+
+    it('should grant only the permissions carried by the key\'s scopes', () => {
+      expect(authorizationService.getGrant(integration, 'parcel:create')).to.equal(ANY_SCOPE);
+      expect(authorizationService.getGrant(integration, 'parcel:read')).to.equal(null);
+      expect(authorizationService.getGrant(integration, 'ticket:read')).to.equal(null);
+    });
+
+    it('should limit tracking to parcels created through the key', () => {
+      const own = { createdByApiKey: new mongoose.Types.ObjectId(apiKeyId) };
+      const other = { createdByApiKey: new mongoose.Types.ObjectId() };
+
+      expect(authorizationService.can(integration, 'parcel:track', own)).to.equal(true);
+      expect(authorizationService.can(integration, 'parcel:track', other)).to.equal(false);
+      expect(authorizationService.can(integration, 'parcel:track', {})).to.equal(false);
+    });
+
+    it('should not let role-only callers match the API key policy', () => {
+      expect(authorizationService.can(driver, 'parcel:track', { createdByApiKey: null })).to.equal(false);
+    });
+
+    it('should pass requirePermission for granted scopes only', () => {
+      let called = false;
+      requirePermission('parcel:create')({ user: integration }, createResponse(), () => { called = true; });
+      expect(called).to.equal(true);
+
+      const res = createResponse();
+      requirePermission('api-key:manage')({ user: integration }, res, () => {});
+      expect(res.statusCode).to.equal(403);
+    });
+  });
+
+  describe('requirePermission middleware', () => {
+    it('should call next when the role holds the permission', () => {
+      let called = false;
+      requirePermission('ticket:read')({ user: agent }, createResponse(), () => { called = true; });
+
+      expect(called).to.equal(true);
+    });
+
+    it('should respond 403 when the role lacks the permission', () => {
+      const res = createResponse();
+      requirePermission('ticket:assign')({ user: agent }, res, () => {});
+
+      expect(res.statusCode).to.equal(403);
+      expect(res.body.message).to.equal('Access denied for your role.');
+    });
+
+    it('should respond 401 without an authenticated user', () => {
+      const res = createResponse();
+      requirePermission('ticket:read')({}, res, () => {});
+
+      expect(res.statusCode).to.equal(401);
+    });
+
+    it('should reject unknown permissions when routes are defined', () => {
+      expect(() => requirePermission('ticket:teleport')).to.throw('Unknown permission');
+    });
+  });
+});
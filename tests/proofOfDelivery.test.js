@@ -0,0 +1,236 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import Ticket from '../src/models/Ticket.js';
+import fileStorageService, { LocalFileStorage } from '../src/services/fileStorageService.js';
+import proofOfDeliveryService, { ProofOfDeliveryError } from '../src/services/proofOfDeliveryService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-proof-of-delivery';
+process.env.NODE_ENV = 'test';
+
+// 1x1 transparent PNG
+const signature = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const kandy = { latitude: 7.2906, longitude: 80.6337 };
+
+describe('Proof of Delivery Tests', function() {
+  this.timeout(15000);
+
+  let storageDir;
+  let originalStorage;
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ecotrack-storage-'));
+    originalStorage = fileStorageService.storage;
+    fileStorageService.setStorage(new LocalFileStorage(storageDir));
+  });
+
+  afterEach(async () => {
+    fileStorageService.setStorage(originalStorage);
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  describe('Proof of delivery service', () => {
+    // Shaped like req.user, which carries the id as a string and no _id
+    const driver = { id: new mongoose.Types.ObjectId().toString(), name: 'Test Driver', email: 'driver@test.com', role: 'Driver' };
+    const proof = (overrides = {}) => ({
+      recipientName: 'Nimal Perera',
+      recipientRelationship: 'Neighbour',
+      signature,
+      location: { latitude: 7.2910, longitude: 80.6340, accuracy: 8 },
+      ...overrides,
+    });
+
+    it('should store the signature and pass the distance check near the destination', async () => {
+      const parcel = { parcelId: 'PCL-POD-1', deliveryCoordinates: kandy };
+
+      await proofOfDeliveryService.capture(parcel, proof(), driver);
+
+      expect(parcel.proofOfDelivery).to.include({ recipientName: 'Nimal Perera', distanceCheck: 'passed', capturedBy: driver.id });
+      expect(parcel.proofOfDelivery.distanceFromDestinationMeters).to.be.below(100);
+      expect(parcel.proofOfDelivery.signature.key).to.match(/^proof-of-delivery\/PCL-POD-1\/.+\.png$/);
+      expect(parcel.currentLocation).to.include({ latitude: 7.2910, longitude: 80.6340 });
+
+      const stored = await proofOfDeliveryService.readFile(parcel, 'signature');
+      expect(stored.contentType).to.equal('image/png');
+      expect(stored.buffer.length).to.equal(parcel.proofOfDelivery.signature.size);
+    });
+
+    it('should flag deliveries far from the destination and skip the check without coordinates', async () => {
+      const far = { parcelId: 'PCL-POD-1', deliveryCoordinates: kandy };
+      await proofOfDeliveryService.capture(far, proof({ location: { latitude: 6.9271, longitude: 79.8612 } }), driver);
+      expect(far.proofOfDelivery.distanceCheck).to.equal('failed');
+
+      const ungeocoded = { parcelId: 'PCL-POD-2' };
+      await proofOfDeliveryService.capture(ungeocoded, proof(), driver);
+      expect(ungeocoded.proofOfDelivery).to.include({ distanceCheck: 'unavailable', distanceFromDestinationMeters: null });
+    });
+
+    it('should reject incomplete or unusable evidence', async () => {
+      const parcel = { parcelId: 'PCL-POD-1' };
+      const rejects = async (input, message) => {
+        try {
+          await proofOfDeliveryService.capture(parcel, input, driver);
+          expect.fail('capture should have thrown');
+        } catch (error) {
+          expect(error).to.be.instanceOf(ProofOfDeliveryError);
+          expect(error.message).to.include(message);
+        }
+      };
+
+      await rejects(undefined, 'required');
+      await rejects(proof({ recipientName: ' ' }), 'recipientName is required');
+      await rejects(proof({ signature: 'not an image' }), 'base64 image data URL');
+      await rejects(proof({ signature: 'data:image/gif;base64,R0lGODlh' }), 'must be one of');
+      await rejects(proof({ signature: `data:image/png;base64,${Buffer.from('plain text').toString('base64')}` }), 'not a valid image/png');
+      await rejects(proof({ location: { latitude: 95, longitude: 80 } }), 'valid latitude and longitude');
+      await rejects(proof({ capturedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }), 'future');
+
+      expect(await fs.readdir(storageDir)).to.deep.equal([]);
+    });
+
+    it('should refuse storage keys outside the storage directory', async () => {
+      const storage = new LocalFileStorage(storageDir);
+
+      try {
+        await storage.read('../outside.png');
+        expect.fail('read should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid storage key');
+      }
+    });
+  });
+
+  describe('Delivered transition and ticket retrieval', () => {
+    let mongoServer;
+    let supervisorToken, driverToken, agentToken, otherAgentToken;
+    let driver, agent, supervisor;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const deliver = (body) => request(app)
+      .patch('/api/parcels/PCL-POD-1/status')
+      .set('Authorization', `Bearer ${driverToken}`)
+      .send({ status: 'Delivered', ...body });
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+      await Ticket.deleteMany({});
+
+      supervisor = await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+      agent = await User.create({ name: 'Test Agent', email: 'agent@test.com', password: 'password123', role: 'SupportAgent' });
+      await User.create({ name: 'Other Agent', email: 'other-agent@test.com', password: 'password123', role: 'SupportAgent' });
+
+      await Parcel.create({
+        parcelId: 'PCL-POD-1',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Kandy',
+        deliveryCoordinates: { ...kandy, source: 'geocoder' },
+        assignedDriver: driver._id,
+        status: 'OutForDelivery',
+      });
+
+      supervisorToken = await login('supervisor@test.com');
+      driverToken = await login('driver@test.com');
+      agentToken = await login('agent@test.com');
+      otherAgentToken = await login('other-agent@test.com');
+    });
+
+    it('should require proof of delivery to mark a parcel Delivered', async () => {
+      const missing = await deliver({});
+      expect(missing.status).to.equal(400);
+
+      const invalid = await deliver({ proofOfDelivery: { recipientName: 'Nimal', recipientRelationship: 'Self', location: kandy } });
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.message).to.include('signature');
+
+      const parcel = await Parcel.findOne({ parcelId: 'PCL-POD-1' });
+      expect(parcel.status).to.equal('OutForDelivery');
+    });
+
+    it('should not take proof of delivery from a parcel update', async () => {
+      const res = await request(app)
+        .put('/api/parcels/PCL-POD-1')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ proofOfDelivery: { recipientName: 'Nimal', recipientRelationship: 'Self', distanceCheck: 'passed' } });
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.include('Delivered');
+
+      const parcel = await Parcel.findOne({ parcelId: 'PCL-POD-1' });
+      expect(parcel.proofOfDelivery).to.equal(undefined);
+    });
+
+    it('should record the proof and serve it to the agent handling a Lost claim', async () => {
+      const res = await deliver({
+        proofOfDelivery: { recipientName: 'Nimal', recipientRelationship: 'Self', signature, location: kandy },
+      });
+      expect(res.status).to.equal(200);
+      expect(res.body.status).to.equal('Delivered');
+      expect(res.body.proofOfDelivery.distanceCheck).to.equal('passed');
+
+      const parcel = await Parcel.findOne({ parcelId: 'PCL-POD-1' });
+      await Ticket.create({
+        ticketId: 'TK-20260101-0001',
+        issueType: 'Lost',
+        priority: 'High',
+        status: 'Open',
+        description: 'Customer says the parcel never arrived',
+        createdBy: supervisor._id,
+        assignedTo: agent._id,
+        parcel: parcel._id,
+      });
+
+      const details = await request(app)
+        .get('/api/tickets/TK-20260101-0001/with-parcel')
+        .set('Authorization', `Bearer ${agentToken}`);
+      expect(details.status).to.equal(200);
+      expect(details.body.data.ticket.parcel.proofOfDelivery).to.include({
+        recipientName: 'Nimal',
+        signatureUrl: '/api/tickets/TK-20260101-0001/proof-of-delivery/signature',
+        photoUrl: null,
+      });
+
+      const image = await request(app)
+        .get('/api/tickets/TK-20260101-0001/proof-of-delivery/signature')
+        .set('Authorization', `Bearer ${agentToken}`);
+      expect(image.status).to.equal(200);
+      expect(image.headers['content-type']).to.equal('image/png');
+
+      const photo = await request(app)
+        .get('/api/tickets/TK-20260101-0001/proof-of-delivery/photo')
+        .set('Authorization', `Bearer ${agentToken}`);
+      expect(photo.status).to.equal(404);
+
+      const otherAgent = await request(app)
+        .get('/api/tickets/TK-20260101-0001/proof-of-delivery/signature')
+        .set('Authorization', `Bearer ${otherAgentToken}`);
+      expect(otherAgent.status).to.equal(403);
+    });
+  });
+});
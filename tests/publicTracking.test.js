@@ -0,0 +1,151 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import RateLimitWindow from '../src/models/RateLimitWindow.js';
+import { generateTrackingCode, normalizeTrackingCode } from '../src/utils/trackingCode.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-public-tracking';
+process.env.NODE_ENV = 'test';
+
+describe('Public Tracking Tests', function() {
+  this.timeout(15000);
+
+  describe('Tracking codes', () => {
+    it('should generate distinct codes in groups of four', () => {
+      const codes = new Set(Array.from({ length: 100 }, generateTrackingCode));
+
+      expect(codes.size).to.equal(100);
+      codes.forEach((code) => expect(code).to.match(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/));
+    });
+
+    it('should read codes the way receivers type them', () => {
+      expect(normalizeTrackingCode('7k3m q9xd 2hpa w4rt')).to.equal('7K3M-Q9XD-2HPA-W4RT');
+      expect(normalizeTrackingCode('OIL0-0000-0000-0000')).to.equal('0110-0000-0000-0000');
+      expect(normalizeTrackingCode('7K3M-Q9XD-2HPA')).to.equal(null);
+      expect(normalizeTrackingCode('7K3M-Q9XD-2HPA-W4RU')).to.equal(null);
+      expect(normalizeTrackingCode(undefined)).to.equal(null);
+    });
+  });
+
+  describe('Public tracking API', () => {
+    let mongoServer;
+    let supervisorToken;
+    let driver;
+    let parcel;
+
+    const track = (code) => request(app).get(`/api/public/track/${code}`);
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      delete process.env.PUBLIC_TRACKING_RATE_LIMIT_PER_MINUTE;
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+      await RateLimitWindow.deleteMany({});
+      delete process.env.PUBLIC_TRACKING_RATE_LIMIT_PER_MINUTE;
+
+      await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      driver = await User.create({ name: 'Test Driver', email: 'driver@test.com', password: 'password123', role: 'Driver' });
+
+      parcel = await Parcel.create({
+        parcelId: 'PCL-PUBLIC-1',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: '12 Temple Road, Kandy',
+        deliveryCoordinates: { latitude: 7.2906, longitude: 80.6337, source: 'geocoder' },
+        assignedDriver: driver._id,
+        status: 'InTransit',
+        currentLocation: { latitude: 7.123456, longitude: 80.456789, timestamp: new Date() },
+        statusHistory: [
+          { status: 'Created' },
+          { status: 'PickedUp', from: 'Created', changedBy: driver._id, note: 'Gate code 1234' },
+          { status: 'InTransit', from: 'PickedUp', changedBy: driver._id },
+        ],
+      });
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'supervisor@test.com', password: 'password123' });
+      supervisorToken = login.body.token;
+    });
+
+    it('should give new parcels a tracking code', () => {
+      expect(normalizeTrackingCode(parcel.trackingCode)).to.equal(parcel.trackingCode);
+    });
+
+    it('should return a redacted view of the parcel without authentication', async () => {
+      const res = await track(parcel.trackingCode.toLowerCase());
+
+      expect(res.status).to.equal(200);
+      expect(res.headers['x-ratelimit-limit']).to.equal('30');
+      expect(res.body.data).to.include({ trackingCode: parcel.trackingCode, status: 'InTransit', statusLabel: 'In transit', progress: 50 });
+      expect(res.body.data.location).to.include({ latitude: 7.12, longitude: 80.46 });
+      expect(new Date(res.body.data.estimatedDeliveryTime).getTime()).to.be.above(Date.now());
+      expect(res.body.data.timeline.map((entry) => entry.status)).to.deep.equal(['Created', 'PickedUp', 'InTransit']);
+      expect(Object.keys(res.body.data.timeline[1])).to.have.members(['status', 'label', 'timestamp']);
+
+      const body = JSON.stringify(res.body);
+      expect(body).to.not.include(driver.id);
+      expect(body).to.not.include('PCL-PUBLIC-1');
+      expect(body).to.not.include('Temple Road');
+      expect(body).to.not.include('Gate code');
+    });
+
+    it('should answer unknown and malformed codes alike', async () => {
+      const unknown = await track(generateTrackingCode());
+      const malformed = await track('PCL-PUBLIC-1');
+
+      expect(unknown.status).to.equal(404);
+      expect(malformed.status).to.equal(404);
+      expect(malformed.body).to.deep.equal(unknown.body);
+    });
+
+    it('should limit lookups per client', async () => {
+      process.env.PUBLIC_TRACKING_RATE_LIMIT_PER_MINUTE = '2';
+
+      expect((await track(generateTrackingCode())).status).to.equal(404);
+      expect((await track(parcel.trackingCode)).status).to.equal(200);
+
+      const limited = await track(parcel.trackingCode);
+      expect(limited.status).to.equal(429);
+      expect(limited.headers['x-ratelimit-remaining']).to.equal('0');
+      expect(Number(limited.headers['retry-after'])).to.be.within(1, 60);
+    });
+
+    it('should let Supervisors replace a leaked code', async () => {
+      const res = await request(app)
+        .post('/api/parcels/PCL-PUBLIC-1/tracking-code')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.trackingCode).to.not.equal(parcel.trackingCode);
+      expect((await track(parcel.trackingCode)).status).to.equal(404);
+      expect((await track(res.body.trackingCode)).status).to.equal(200);
+    });
+
+    it('should only change the code by issuing a new one', async () => {
+      const res = await request(app)
+        .put('/api/parcels/PCL-PUBLIC-1')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ trackingCode: 'EASY-GUESS' });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.include('/tracking-code');
+      expect((await track(parcel.trackingCode)).status).to.equal(200);
+    });
+  });
+});
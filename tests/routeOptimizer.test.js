@@ -109,6 +109,35 @@ describe('Route Optimizer Tests', function() {
       expect(category.type).to.equal('large');
       expect(category.weight).to.equal('> 3 tons');
     });
+
+    it('should move bulky light cargo up a category', () => {
+      expect(routeOptimizer.getVehicleCategory(300, 12).type).to.equal('medium'); // 12 m³
+      expect(routeOptimizer.getVehicleCategory(300, 40).type).to.equal('large'); // 40 m³
+    });
+  });
+
+  describe('Cargo Summary', () => {
+    it('should total weight, volume and handling flags of the routed parcels', () => {
+      const cargo = routeOptimizer.summarizeCargo([
+        { weightKg: 12.5, dimensions: { lengthCm: 100, widthCm: 50, heightCm: 40 }, handling: { fragile: true } },
+        { weightKg: 7.5, dimensions: { lengthCm: 200, widthCm: 100, heightCm: 100 } },
+        { handling: { hazardous: true } }
+      ]);
+
+      expect(cargo.cargoWeight).to.equal(20);
+      expect(cargo.cargoVolumeM3).to.equal(2.2);
+      expect(cargo.vehicleType).to.equal('light');
+      expect(cargo.parcelCount).to.equal(3);
+      expect(cargo.unweighedParcels).to.equal(1);
+      expect(cargo.handling).to.deep.equal({ fragile: true, perishable: false, hazardous: true });
+    });
+
+    it('should fall back to the default load when no parcel has a weight', () => {
+      const cargo = routeOptimizer.summarizeCargo([{}]);
+
+      expect(cargo.cargoWeight).to.equal(1000);
+      expect(cargo.unweighedParcels).to.equal(1);
+    });
   });
 
   describe('Route Comparison', () => {
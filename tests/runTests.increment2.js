@@ -4,6 +4,7 @@ import { MongoMemoryServer } from 'mongodb-memory-server';
 import request from 'supertest';
 
 import app from '../src/app.js';
+import User from '../src/models/User.js';
 
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret-increment2';
 process.env.NODE_ENV = process.env.NODE_ENV || 'test';
@@ -55,9 +56,9 @@ const test = async (name, fn) => {
   }
 };
 
+// Staff accounts need a Supervisor's approval when self-registered, so seed them directly
 const registerUser = async (payload) => {
-  const response = await request(app).post('/api/auth/register').send(payload);
-  assert.equal(response.status, 201, 'Registration should succeed');
+  await User.create(payload);
 };
 
 const loginUser = async ({ email, password }) => {
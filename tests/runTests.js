@@ -60,7 +60,7 @@ const loginUser = async ({ email, password }) => {
   try {
     await mongoose.connect(uri);
 
-    await test('Registration succeeds for Supervisor, Driver, and SupportAgent roles', async () => {
+    await test('Registration for Supervisor, Driver, and SupportAgent roles waits for approval', async () => {
       const roles = ['Supervisor', 'Driver', 'SupportAgent'];
 
       for (const role of roles) {
@@ -73,9 +73,47 @@ const loginUser = async ({ email, password }) => {
 
         assert.equal(response.status, 201, `Expected 201 for role ${role}`);
         assert.equal(response.body.user.role, role, `Expected role ${role} in response`);
+        assert.equal(response.body.user.approvalStatus, 'Pending', `Expected ${role} to await approval`);
         assert.ok(response.body.user.id, 'Expected user id in response');
         assert.ok(await User.findOne({ email: `${role.toLowerCase()}@example.com` }), 'User should persist in database');
       }
+
+      const pendingLogin = await loginUser({ email: 'supervisor@example.com', password: 'Password123!' });
+      assert.equal(pendingLogin.status, 403);
+    });
+
+    await test('Existing Supervisor approves pending registrations', async () => {
+      await User.create({
+        name: 'Seed Supervisor',
+        email: 'seed.supervisor@example.com',
+        password: 'Password123!',
+        role: 'Supervisor',
+      });
+      const seedLogin = await loginUser({ email: 'seed.supervisor@example.com', password: 'Password123!' });
+
+      const pendingUsers = await User.find({ approvalStatus: 'Pending' });
+      assert.equal(pendingUsers.length, 3);
+
+      for (const pendingUser of pendingUsers) {
+        const response = await request(app)
+          .patch(`/api/users/${pendingUser.id}/approve`)
+          .set('Authorization', `Bearer ${seedLogin.body.token}`);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.approvalStatus, 'Approved');
+      }
+    });
+
+    await test('Customers can register without approval', async () => {
+      const response = await registerUser({
+        name: 'Customer User',
+        email: 'customer@example.com',
+        password: 'Password123!',
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.user.role, 'Customer');
+      assert.equal(response.body.user.approvalStatus, 'Approved');
     });
 
     await test('Duplicate email registration is rejected', async () => {
@@ -0,0 +1,179 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-sessions';
+process.env.NODE_ENV = 'test';
+
+describe('Session Management Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let driver;
+
+  const login = (email, userAgent = 'depot-tablet/1.0') => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email, password: 'password123' });
+
+  const getProfile = (token) => request(app)
+    .get('/api/protected/profile')
+    .set('Authorization', `Bearer ${token}`);
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await RefreshToken.deleteMany({});
+
+    await User.create({
+      name: 'Test Supervisor',
+      email: 'supervisor@test.com',
+      password: 'password123',
+      role: 'Supervisor',
+    });
+
+    driver = await User.create({
+      name: 'Test Driver',
+      email: 'driver@test.com',
+      password: 'password123',
+      role: 'Driver',
+    });
+  });
+
+  it('should put a session ID in issued tokens', async () => {
+    const res = await login('driver@test.com');
+    const decoded = jwt.decode(res.body.token);
+
+    expect(decoded.sid).to.be.a('string');
+    expect(await Session.findById(decoded.sid)).to.exist;
+  });
+
+  it('should list active sessions with device details', async () => {
+    const tablet = await login('driver@test.com', 'depot-tablet/1.0');
+    await login('driver@test.com', 'phone/2.0');
+
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${tablet.body.token}`);
+
+    expect(res.status).to.equal(200);
+    expect(res.body.sessions).to.have.length(2);
+
+    const current = res.body.sessions.find((session) => session.current);
+    expect(current.userAgent).to.equal('depot-tablet/1.0');
+    expect(current).to.have.property('ipAddress');
+    expect(current).to.have.property('createdAt');
+    expect(current).to.have.property('lastSeenAt');
+  });
+
+  it('should sign a device out when its session is revoked', async () => {
+    const tablet = await login('driver@test.com', 'depot-tablet/1.0');
+    const phone = await login('driver@test.com', 'phone/2.0');
+    const phoneSessionId = jwt.decode(phone.body.token).sid;
+
+    const revokeRes = await request(app)
+      .delete(`/api/auth/sessions/${phoneSessionId}`)
+      .set('Authorization', `Bearer ${tablet.body.token}`);
+    expect(revokeRes.status).to.equal(200);
+
+    const phoneProfile = await getProfile(phone.body.token);
+    expect(phoneProfile.status).to.equal(401);
+    expect(phoneProfile.body.message).to.equal('Session has been signed out.');
+
+    const refreshRes = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: phone.body.refreshToken });
+    expect(refreshRes.status).to.equal(401);
+
+    expect((await getProfile(tablet.body.token)).status).to.equal(200);
+  });
+
+  it('should keep the session across token refreshes', async () => {
+    const loginRes = await login('driver@test.com');
+
+    const refreshRes = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginRes.body.refreshToken });
+
+    expect(refreshRes.status).to.equal(200);
+    expect(jwt.decode(refreshRes.body.token).sid).to.equal(jwt.decode(loginRes.body.token).sid);
+  });
+
+  it('should sign out other sessions but keep the current one', async () => {
+    const tablet = await login('driver@test.com', 'depot-tablet/1.0');
+    const phone = await login('driver@test.com', 'phone/2.0');
+
+    const res = await request(app)
+      .delete('/api/auth/sessions')
+      .set('Authorization', `Bearer ${tablet.body.token}`);
+
+    expect(res.status).to.equal(200);
+    expect(res.body.revokedCount).to.equal(1);
+    expect((await getProfile(phone.body.token)).status).to.equal(401);
+    expect((await getProfile(tablet.body.token)).status).to.equal(200);
+  });
+
+  it('should let Supervisors list and revoke anyone\'s sessions', async () => {
+    const driverLogin = await login('driver@test.com');
+    const supervisorLogin = await login('supervisor@test.com');
+
+    const listRes = await request(app)
+      .get(`/api/auth/sessions?userId=${driver.id}`)
+      .set('Authorization', `Bearer ${supervisorLogin.body.token}`);
+    expect(listRes.status).to.equal(200);
+    expect(listRes.body.sessions).to.have.length(1);
+
+    const revokeRes = await request(app)
+      .delete(`/api/auth/sessions/${listRes.body.sessions[0].id}`)
+      .set('Authorization', `Bearer ${supervisorLogin.body.token}`);
+    expect(revokeRes.status).to.equal(200);
+
+    expect((await getProfile(driverLogin.body.token)).status).to.equal(401);
+  });
+
+  it('should not let users see or revoke other users\' sessions', async () => {
+    const driverLogin = await login('driver@test.com');
+    const supervisorLogin = await login('supervisor@test.com');
+    const supervisorSessionId = jwt.decode(supervisorLogin.body.token).sid;
+
+    const supervisor = await User.findOne({ email: 'supervisor@test.com' });
+    const listRes = await request(app)
+      .get(`/api/auth/sessions?userId=${supervisor.id}`)
+      .set('Authorization', `Bearer ${driverLogin.body.token}`);
+    expect(listRes.status).to.equal(403);
+
+    const revokeRes = await request(app)
+      .delete(`/api/auth/sessions/${supervisorSessionId}`)
+      .set('Authorization', `Bearer ${driverLogin.body.token}`);
+    expect(revokeRes.status).to.equal(404);
+  });
+
+  it('should end the session on logout', async () => {
+    const loginRes = await login('driver@test.com');
+    const sessionId = jwt.decode(loginRes.body.token).sid;
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${loginRes.body.token}`);
+
+    const session = await Session.findById(sessionId);
+    expect(session.revokedAt).to.be.an.instanceOf(Date);
+  });
+});
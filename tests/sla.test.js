@@ -0,0 +1,224 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Parcel from '../src/models/Parcel.js';
+import slaService from '../src/services/slaService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-sla';
+process.env.NODE_ENV = 'test';
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('SLA Tests', function() {
+  this.timeout(15000);
+
+  describe('SLA service', () => {
+    const parcel = (overrides = {}) => ({
+      status: 'InTransit',
+      serviceTier: 'Standard',
+      promisedBy: hoursFromNow(6),
+      statusHistory: [],
+      ...overrides,
+    });
+
+    it('should compare the ETA with the promise', () => {
+      const onTime = slaService.evaluate(parcel({ eta: { estimatedDeliveryTime: hoursFromNow(2), latestDeliveryTime: hoursFromNow(3) } }));
+      expect(onTime.status).to.equal('on-track');
+
+      const late = slaService.evaluate(parcel({ eta: { estimatedDeliveryTime: hoursFromNow(5), latestDeliveryTime: hoursFromNow(7) } }));
+      expect(late.status).to.equal('at-risk');
+
+      // The window's end is the deadline
+      const window = { start: hoursFromNow(1), end: hoursFromNow(2) };
+      const pastWindow = slaService.evaluate(parcel({ promisedWindow: window, eta: { latestDeliveryTime: hoursFromNow(3) } }));
+      expect(pastWindow.status).to.equal('at-risk');
+    });
+
+    it('should fall back to the tier margin without an ETA and flag lapsed promises as breached', () => {
+      expect(slaService.evaluate(parcel()).status).to.equal('on-track');
+      expect(slaService.evaluate(parcel({ promisedBy: hoursFromNow(3) })).status).to.equal('at-risk');
+      expect(slaService.evaluate(parcel({ serviceTier: 'SameDay', promisedBy: hoursFromNow(3) })).status).to.equal('on-track');
+
+      const promisedBy = hoursFromNow(-1);
+      expect(slaService.evaluate(parcel({ promisedBy }))).to.deep.equal({
+        status: 'breached',
+        reason: 'The promised time has passed.',
+        breachedAt: promisedBy,
+      });
+    });
+
+    it('should judge delivered parcels by their delivery time and skip withdrawn ones', () => {
+      const delivered = (at, overrides = {}) => slaService.evaluate(parcel({
+        status: 'Delivered',
+        promisedBy: hoursFromNow(-2),
+        statusHistory: [{ status: 'Delivered', timestamp: at }],
+        ...overrides,
+      }));
+
+      expect(delivered(hoursFromNow(-3)).status).to.equal('met');
+      expect(delivered(hoursFromNow(-1)).reason).to.equal('Delivered after the promised time.');
+      expect(delivered(hoursFromNow(-5), { promisedWindow: { start: hoursFromNow(-4), end: hoursFromNow(-2) } }).reason)
+        .to.equal('Delivered before the promised window.');
+
+      expect(slaService.evaluate(parcel({ status: 'Cancelled' }))).to.equal(null);
+      expect(slaService.evaluate(parcel({ promisedBy: undefined }))).to.equal(null);
+    });
+
+    it('should only report a change when the status or reason moves', () => {
+      const target = parcel();
+      expect(slaService.apply(target)).to.equal(true);
+      const { changedAt } = target.sla;
+
+      expect(slaService.apply(target)).to.equal(false);
+      expect(target.sla.changedAt).to.equal(changedAt);
+
+      target.status = 'Cancelled';
+      expect(slaService.apply(target)).to.equal(true);
+      expect(target.sla).to.equal(undefined);
+    });
+
+    it('should reject windows that do not fit the promise', () => {
+      expect(slaService.checkPromise({ serviceTier: 'Overnight' })).to.include('service tier');
+      expect(slaService.checkPromise({ promisedBy: 'tomorrow' })).to.include('promisedBy');
+      expect(slaService.checkPromise({ promisedWindow: { start: hoursFromNow(2), end: hoursFromNow(1) } })).to.include('start before');
+      expect(slaService.checkPromise({ promisedBy: hoursFromNow(1), promisedWindow: { start: hoursFromNow(1), end: hoursFromNow(2) } }))
+        .to.include('end by promisedBy');
+      expect(slaService.checkPromise({ promisedBy: hoursFromNow(3), promisedWindow: { start: hoursFromNow(1), end: hoursFromNow(2) } })).to.equal(null);
+    });
+  });
+
+  describe('SLA API', () => {
+    let mongoServer;
+    let supervisorToken;
+
+    const login = async (email) => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return res.body.token;
+    };
+
+    const createParcel = (body) => request(app)
+      .post('/api/parcels')
+      .set('Authorization', `Bearer ${supervisorToken}`)
+      .send({
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Kandy',
+        ...body,
+      });
+
+    before(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    after(async () => {
+      await mongoose.disconnect();
+      await mongoServer.stop();
+    });
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Parcel.deleteMany({});
+
+      await User.create({ name: 'Test Supervisor', email: 'supervisor@test.com', password: 'password123', role: 'Supervisor' });
+      supervisorToken = await login('supervisor@test.com');
+    });
+
+    it('should set the promise from the service tier and evaluate it on creation', async () => {
+      const res = await createParcel({ parcelId: 'PCL-SLA-1', serviceTier: 'Express' });
+
+      expect(res.status).to.equal(201);
+      const hours = (new Date(res.body.promisedBy) - Date.now()) / (60 * 60 * 1000);
+      expect(hours).to.be.within(23.9, 24);
+      expect(res.body.sla.status).to.equal('on-track');
+
+      const windowed = await createParcel({
+        parcelId: 'PCL-SLA-2',
+        promisedWindow: { start: hoursFromNow(1), end: hoursFromNow(2) },
+      });
+      expect(windowed.status).to.equal(201);
+      expect(windowed.body.promisedBy).to.equal(windowed.body.promisedWindow.end);
+      expect(windowed.body.sla.status).to.equal('at-risk');
+
+      const invalid = await createParcel({ parcelId: 'PCL-SLA-3', serviceTier: 'Overnight' });
+      expect(invalid.status).to.equal(400);
+
+      const badWindow = await createParcel({ parcelId: 'PCL-SLA-4', promisedWindow: { start: hoursFromNow(2), end: hoursFromNow(1) } });
+      expect(badWindow.status).to.equal(400);
+    });
+
+    it('should flag lapsed promises in the background evaluator and filter the list by SLA status', async () => {
+      await createParcel({ parcelId: 'PCL-SLA-LATE' });
+      await createParcel({ parcelId: 'PCL-SLA-SOON', promisedBy: hoursFromNow(1) });
+      await createParcel({ parcelId: 'PCL-SLA-FINE' });
+
+      // The promise lapses without any status or location update
+      await Parcel.updateOne({ parcelId: 'PCL-SLA-LATE' }, { promisedBy: hoursFromNow(-2) });
+      expect(await slaService.evaluateOpenParcels()).to.equal(1);
+      expect(await slaService.evaluateOpenParcels()).to.equal(0);
+
+      const late = await Parcel.findOne({ parcelId: 'PCL-SLA-LATE' });
+      expect(late.sla).to.include({ status: 'breached', reason: 'The promised time has passed.' });
+
+      const attention = await request(app)
+        .get('/api/parcels?sla=at-risk,breached&sortBy=promisedBy&sortOrder=asc')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(attention.status).to.equal(200);
+      expect(attention.body.data.parcels.map((parcel) => parcel.parcelId)).to.deep.equal(['PCL-SLA-LATE', 'PCL-SLA-SOON']);
+
+      const invalid = await request(app)
+        .get('/api/parcels?sla=late')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+      expect(invalid.status).to.equal(400);
+    });
+
+    it('should re-evaluate when the promise is edited, and ignore attempts to set the status', async () => {
+      await createParcel({ parcelId: 'PCL-SLA-EDIT', promisedBy: hoursFromNow(1) });
+
+      const res = await request(app)
+        .put('/api/parcels/PCL-SLA-EDIT')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ promisedBy: hoursFromNow(48), sla: { status: 'met' } });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.sla.status).to.equal('on-track');
+    });
+
+    it('should show breaches and the on-time rate on the supervisor dashboard', async () => {
+      await createParcel({ parcelId: 'PCL-SLA-OVERDUE' });
+      await createParcel({ parcelId: 'PCL-SLA-OK' });
+      await Parcel.updateOne({ parcelId: 'PCL-SLA-OVERDUE' }, { promisedBy: hoursFromNow(-3) });
+
+      const delivered = await Parcel.create({
+        parcelId: 'PCL-SLA-DONE',
+        senderName: 'Sender',
+        receiverName: 'Receiver',
+        pickupLocation: 'Colombo',
+        deliveryLocation: 'Kandy',
+        status: 'Delivered',
+        promisedBy: hoursFromNow(1),
+      });
+      slaService.apply(delivered);
+      await delivered.save();
+      await slaService.evaluateOpenParcels();
+
+      const res = await request(app)
+        .get('/api/dashboard/supervisor')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.sla.open).to.deep.equal({ onTrack: 1, atRisk: 0, breached: 1 });
+      expect(res.body.sla.breaches).to.have.length(1);
+      expect(res.body.sla.breaches[0]).to.include({ parcelId: 'PCL-SLA-OVERDUE' });
+      expect(res.body.sla.breaches[0].overdueMinutes).to.be.within(179, 181);
+      expect(res.body.sla.delivered).to.include({ met: 1, breached: 0, onTimeRate: 100 });
+    });
+  });
+});
@@ -0,0 +1,262 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import AuthEvent from '../src/models/AuthEvent.js';
+import LoginThrottle from '../src/models/LoginThrottle.js';
+import twoFactorService from '../src/services/twoFactorService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-two-factor';
+process.env.NODE_ENV = 'test';
+
+describe('Two-Factor Authentication Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+
+  const login = (email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' });
+
+  const verifyLogin = (body) => request(app)
+    .post('/api/auth/login/2fa')
+    .send(body);
+
+  const authed = (method, url, token) => request(app)[method](url)
+    .set('Authorization', `Bearer ${token}`);
+
+  // Enrol a user through the API and return the secret and recovery codes
+  const enrol = async (token) => {
+    const setupRes = await authed('post', '/api/auth/2fa/setup', token);
+    const { secret } = setupRes.body;
+
+    const enableRes = await authed('post', '/api/auth/2fa/enable', token)
+      .send({ code: twoFactorService.generateCode(secret) });
+
+    return { secret, recoveryCodes: enableRes.body.recoveryCodes };
+  };
+
+  // Code for the next time step, since the current one was spent during enrolment
+  const nextCode = (secret) => twoFactorService.generateCode(secret, twoFactorService.getTimeStep() + 1);
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    await User.deleteMany({});
+    await AuthEvent.deleteMany({});
+    await LoginThrottle.deleteMany({});
+
+    await User.create({
+      name: 'Test Supervisor',
+      email: 'supervisor@test.com',
+      password: 'password123',
+      role: 'Supervisor',
+    });
+
+    await User.create({
+      name: 'Test Driver',
+      email: 'driver@test.com',
+      password: 'password123',
+      role: 'Driver',
+    });
+  });
+
+  describe('TOTP codes', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      // Base32 of the ASCII secret "12345678901234567890"
+      const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+      expect(twoFactorService.generateCode(secret, twoFactorService.getTimeStep(59 * 1000))).to.equal('287082');
+      expect(twoFactorService.generateCode(secret, twoFactorService.getTimeStep(1111111109 * 1000))).to.equal('081804');
+    });
+
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = twoFactorService.getProvisioningUri('JBSWY3DPEHPK3PXP', 'supervisor@test.com');
+
+      expect(uri).to.match(/^otpauth:\/\/totp\/EcoTrack%20Logistics:supervisor%40test\.com\?/);
+      expect(uri).to.include('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).to.include('issuer=EcoTrack%20Logistics');
+    });
+  });
+
+  describe('Enrolment', () => {
+    it('should enable 2FA after confirming a code and return recovery codes', async () => {
+      const { body } = await login('supervisor@test.com');
+      const { recoveryCodes } = await enrol(body.token);
+
+      expect(recoveryCodes).to.have.length(10);
+
+      const statusRes = await authed('get', '/api/auth/2fa', body.token);
+      expect(statusRes.status).to.equal(200);
+      expect(statusRes.body.enabled).to.equal(true);
+      expect(statusRes.body.recoveryCodesRemaining).to.equal(10);
+
+      const event = await AuthEvent.findOne({ type: 'TwoFactorEnabled' });
+      expect(event).to.exist;
+    });
+
+    it('should refuse to enable 2FA with a wrong code', async () => {
+      const { body } = await login('supervisor@test.com');
+      await authed('post', '/api/auth/2fa/setup', body.token);
+
+      const res = await authed('post', '/api/auth/2fa/enable', body.token).send({ code: '000000' });
+
+      expect(res.status).to.equal(400);
+      const user = await User.findOne({ email: 'supervisor@test.com' });
+      expect(user.twoFactor.enabled).to.equal(false);
+    });
+
+    it('should never return secrets in user listings', async () => {
+      const { body } = await login('supervisor@test.com');
+      await enrol(body.token);
+
+      const res = await authed('get', '/api/users', body.token);
+      const supervisor = res.body.data.users.find((user) => user.email === 'supervisor@test.com');
+
+      expect(supervisor.twoFactor.enabled).to.equal(true);
+      expect(supervisor.twoFactor).to.not.have.property('secret');
+      expect(supervisor.twoFactor).to.not.have.property('recoveryCodeHashes');
+    });
+  });
+
+  describe('Two-step login', () => {
+    it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+      const first = await login('supervisor@test.com');
+      const { secret } = await enrol(first.body.token);
+
+      const res = await login('supervisor@test.com');
+
+      expect(res.status).to.equal(200);
+      expect(res.body.twoFactorRequired).to.equal(true);
+      expect(res.body.challengeToken).to.be.a('string');
+      expect(res.body).to.not.have.property('token');
+
+      const verifyRes = await verifyLogin({ challengeToken: res.body.challengeToken, code: nextCode(secret) });
+      expect(verifyRes.status).to.equal(200);
+      expect(verifyRes.body.token).to.be.a('string');
+      expect(verifyRes.body.refreshToken).to.be.a('string');
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      const first = await login('supervisor@test.com');
+      await enrol(first.body.token);
+
+      const res = await login('supervisor@test.com');
+      const profileRes = await authed('get', '/api/protected/profile', res.body.challengeToken);
+
+      expect(profileRes.status).to.equal(401);
+    });
+
+    it('should reject wrong and replayed codes', async () => {
+      const first = await login('supervisor@test.com');
+      const { secret } = await enrol(first.body.token);
+      const code = nextCode(secret);
+
+      const challenge = (await login('supervisor@test.com')).body.challengeToken;
+      const wrongRes = await verifyLogin({ challengeToken: challenge, code: '000000' });
+      expect(wrongRes.status).to.equal(401);
+
+      const okRes = await verifyLogin({ challengeToken: challenge, code });
+      expect(okRes.status).to.equal(200);
+
+      const replayChallenge = (await login('supervisor@test.com')).body.challengeToken;
+      const replayRes = await verifyLogin({ challengeToken: replayChallenge, code });
+      expect(replayRes.status).to.equal(401);
+
+      const failure = await AuthEvent.findOne({ type: 'LoginFailed', reason: 'InvalidTwoFactorCode' });
+      expect(failure).to.exist;
+    });
+
+    it('should accept each recovery code once', async () => {
+      const first = await login('supervisor@test.com');
+      const { recoveryCodes } = await enrol(first.body.token);
+
+      const challenge = (await login('supervisor@test.com')).body.challengeToken;
+      const res = await verifyLogin({ challengeToken: challenge, recoveryCode: recoveryCodes[0] });
+      expect(res.status).to.equal(200);
+
+      const secondChallenge = (await login('supervisor@test.com')).body.challengeToken;
+      const reuseRes = await verifyLogin({ challengeToken: secondChallenge, recoveryCode: recoveryCodes[0] });
+      expect(reuseRes.status).to.equal(401);
+
+      const statusRes = await authed('get', '/api/auth/2fa', res.body.token);
+      expect(statusRes.body.recoveryCodesRemaining).to.equal(9);
+    });
+  });
+
+  describe('Mandatory 2FA policy', () => {
+    it('should hold users of required roles at enrolment until 2FA is enabled', async () => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = 'Supervisor';
+
+      const { body } = await login('supervisor@test.com');
+      expect(body.twoFactorSetupRequired).to.equal(true);
+
+      const blockedRes = await authed('get', '/api/users', body.token);
+      expect(blockedRes.status).to.equal(403);
+      expect(blockedRes.body.twoFactorSetupRequired).to.equal(true);
+
+      await enrol(body.token);
+
+      const allowedRes = await authed('get', '/api/users', body.token);
+      expect(allowedRes.status).to.equal(200);
+    });
+
+    it('should leave other roles alone and refuse disabling for required roles', async () => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = 'Supervisor';
+
+      const driverLogin = await login('driver@test.com');
+      expect(driverLogin.body.twoFactorSetupRequired).to.equal(false);
+      expect((await authed('get', '/api/protected/profile', driverLogin.body.token)).status).to.equal(200);
+
+      const supervisorLogin = await login('supervisor@test.com');
+      const { secret } = await enrol(supervisorLogin.body.token);
+
+      const disableRes = await authed('post', '/api/auth/2fa/disable', supervisorLogin.body.token)
+        .send({ password: 'password123', code: nextCode(secret) });
+      expect(disableRes.status).to.equal(403);
+    });
+  });
+
+  describe('Disabling and reset', () => {
+    it('should let users turn 2FA off with their password and a code', async () => {
+      const { body } = await login('driver@test.com');
+      const { secret } = await enrol(body.token);
+
+      const res = await authed('post', '/api/auth/2fa/disable', body.token)
+        .send({ password: 'password123', code: nextCode(secret) });
+      expect(res.status).to.equal(200);
+
+      const loginRes = await login('driver@test.com');
+      expect(loginRes.body.token).to.be.a('string');
+    });
+
+    it('should let a Supervisor reset another user\'s 2FA and sign them out', async () => {
+      const driverLogin = await login('driver@test.com');
+      await enrol(driverLogin.body.token);
+
+      const supervisorLogin = await login('supervisor@test.com');
+      const driver = await User.findOne({ email: 'driver@test.com' });
+
+      const res = await authed('patch', `/api/users/${driver.id}/reset-2fa`, supervisorLogin.body.token);
+      expect(res.status).to.equal(200);
+
+      expect((await authed('get', '/api/protected/profile', driverLogin.body.token)).status).to.equal(401);
+
+      const loginRes = await login('driver@test.com');
+      expect(loginRes.body.token).to.be.a('string');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-users';
+process.env.NODE_ENV = 'test';
+
+describe('User Management API Tests', function() {
+  this.timeout(15000);
+
+  let mongoServer;
+  let supervisorToken, driverToken;
+  let supervisorId, driverId, agentId;
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    const supervisor = await User.create({
+      name: 'Test Supervisor',
+      email: 'supervisor@test.com',
+      password: 'password123',
+      role: 'Supervisor',
+    });
+
+    const driver = await User.create({
+      name: 'Test Driver',
+      email: 'driver@test.com',
+      password: 'password123',
+      role: 'Driver',
+    });
+
+    const agent = await User.create({
+      name: 'Kamal Perera',
+      email: 'kamal@test.com',
+      password: 'password123',
+      role: 'SupportAgent',
+    });
+
+    supervisorId = supervisor._id.toString();
+    driverId = driver._id.toString();
+    agentId = agent._id.toString();
+
+    const supervisorLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'supervisor@test.com', password: 'password123' });
+
+    const driverLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'driver@test.com', password: 'password123' });
+
+    supervisorToken = supervisorLogin.body.token;
+    driverToken = driverLogin.body.token;
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users for a Supervisor', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.success).to.be.true;
+      expect(res.body.data.users).to.have.length(3);
+      expect(res.body.data.pagination.totalUsers).to.equal(3);
+      expect(res.body.data.users[0]).to.not.have.property('password');
+    });
+
+    it('should filter users by role', async () => {
+      const res = await request(app)
+        .get('/api/users?role=SupportAgent')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.users).to.have.length(1);
+      expect(res.body.data.users[0]._id).to.equal(agentId);
+    });
+
+    it('should search users by name or email', async () => {
+      const res = await request(app)
+        .get('/api/users?search=kamal')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.users).to.have.length(1);
+      expect(res.body.data.users[0].email).to.equal('kamal@test.com');
+    });
+
+    it('should reject an unknown role filter', async () => {
+      const res = await request(app)
+        .get('/api/users?role=Admin')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should deny access to non-supervisors', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.status).to.equal(403);
+    });
+  });
+
+  describe('GET /api/users/:userId', () => {
+    it('should return a single user', async () => {
+      const res = await request(app)
+        .get(`/api/users/${driverId}`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.email).to.equal('driver@test.com');
+    });
+
+    it('should return 404 for a missing user', async () => {
+      const res = await request(app)
+        .get(`/api/users/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(404);
+    });
+  });
+
+  describe('PATCH /api/users/:userId', () => {
+    it('should update name and role', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${agentId}`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ name: 'Kamal P.', role: 'Driver' });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.name).to.equal('Kamal P.');
+      expect(res.body.data.role).to.equal('Driver');
+    });
+
+    it('should not let a supervisor change their own role', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${supervisorId}`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ role: 'Driver' });
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should reject an email that is already registered', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${agentId}`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ email: 'driver@test.com' });
+
+      expect(res.status).to.equal(409);
+    });
+  });
+
+  describe('Deactivation and reactivation', () => {
+    it('should deactivate a user and reject their existing token', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${driverId}/deactivate`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.isActive).to.be.false;
+
+      const profileRes = await request(app)
+        .get('/api/protected/profile')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(profileRes.status).to.equal(401);
+    });
+
+    it('should block login for a deactivated user', async () => {
+      await request(app)
+        .patch(`/api/users/${driverId}/deactivate`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'driver@test.com', password: 'password123' });
+
+      expect(loginRes.status).to.equal(403);
+    });
+
+    it('should exclude deactivated users when filtering active users', async () => {
+      await request(app)
+        .patch(`/api/users/${agentId}/deactivate`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const res = await request(app)
+        .get('/api/users?role=SupportAgent&isActive=true')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.users).to.have.length(0);
+    });
+
+    it('should reactivate a deactivated user', async () => {
+      await request(app)
+        .patch(`/api/users/${driverId}/deactivate`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const res = await request(app)
+        .patch(`/api/users/${driverId}/reactivate`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.isActive).to.be.true;
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'driver@test.com', password: 'password123' });
+
+      expect(loginRes.status).to.equal(200);
+    });
+
+    it('should not let a supervisor deactivate their own account', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${supervisorId}/deactivate`)
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(res.status).to.equal(400);
+    });
+  });
+});